@@ -0,0 +1,18 @@
+// Case-insensitive email lookups. ilike treats %, _ and (through PostgREST) *
+// as wildcards, so the address is escaped to a literal pattern and the rows are
+// compared exactly afterwards; a pattern alone must never decide which account
+// an address belongs to.
+
+export const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const escapeLike = (value) => value.replace(/[\\%_*]/g, "\\$&");
+
+// Adds the filter to `query`, which must select `email`; resolves to { data: rows, error }
+// with only the rows whose email equals `email` ignoring case
+export const matchEmail = async (query, email) => {
+  const normalized = normalizeEmail(email);
+  const { data, error } = await query.ilike("email", escapeLike(normalized));
+  if (error) return { data: null, error };
+
+  return { data: data.filter(row => normalizeEmail(row.email) === normalized), error: null };
+};
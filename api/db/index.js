@@ -0,0 +1,44 @@
+import fs from "fs";
+import dotenv from "dotenv";
+import { recordDbCall } from "../utils/metrics.js";
+dotenv.config();
+
+// DB_DRIVER picks the backend every repository and route talks to:
+//   supabase (default) - the hosted Postgres project
+//   memory             - in-process store for offline development and tests;
+//                        MEMORY_DB_SEED may point at a JSON file of { table: [rows] }
+export const DB_DRIVER = (process.env.DB_DRIVER || "supabase").toLowerCase();
+
+const createDb = async () => {
+  switch (DB_DRIVER) {
+    case "supabase": {
+      const { supabase } = await import("./supabaseClient.js");
+      return supabase;
+    }
+    case "memory": {
+      const { createMemoryClient } = await import("./memory/index.js");
+      const seed = process.env.MEMORY_DB_SEED
+        ? JSON.parse(fs.readFileSync(process.env.MEMORY_DB_SEED, "utf8"))
+        : {};
+      return createMemoryClient({ seed });
+    }
+    default:
+      throw new Error(`Unknown DB_DRIVER: ${DB_DRIVER}`);
+  }
+};
+
+// Every query starts with from() or rpc(); counting them gives the per-request
+// database call metric
+const instrument = (client) => new Proxy(client, {
+  get(target, property) {
+    const value = Reflect.get(target, property);
+    if (property !== "from" && property !== "rpc") return value;
+
+    return (...args) => {
+      recordDbCall();
+      return value.apply(target, args);
+    };
+  },
+});
+
+export const db = instrument(await createDb());
@@ -0,0 +1,25 @@
+// The stored functions the migrations create, for the in-memory backend. Each
+// takes the rpc() params and the client and returns what PostgREST would.
+export const FUNCTIONS = {
+  // 0003_rate_limits.sql
+  rate_limit_hit: async ({ p_key, p_window_seconds }, client) => {
+    const { data, error } = await client
+      .from("rate_limits")
+      .select("count, reset_at")
+      .eq("key", p_key);
+    if (error) throw error;
+
+    const now = Date.now();
+    const [current] = data;
+    const window = current && new Date(current.reset_at).getTime() > now
+      ? { key: p_key, count: current.count + 1, reset_at: current.reset_at }
+      : { key: p_key, count: 1, reset_at: new Date(now + p_window_seconds * 1000).toISOString() };
+
+    const { error: upsertError } = await client
+      .from("rate_limits")
+      .upsert(window, { onConflict: "key" });
+    if (upsertError) throw upsertError;
+
+    return [{ count: window.count, reset_at: window.reset_at }];
+  },
+};
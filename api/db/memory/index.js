@@ -0,0 +1,52 @@
+import { MemoryQueryBuilder } from "./queryBuilder.js";
+import { FUNCTIONS } from "./functions.js";
+
+// In-memory stand-in for the Supabase client (DB_DRIVER=memory). Data lives in
+// plain arrays for the life of the process; `seed` is { table: [rows] }.
+export const createMemoryClient = ({ seed = {} } = {}) => {
+  const tables = new Map();
+  const functions = new Map();
+
+  const store = {
+    table(name) {
+      if (!tables.has(name)) tables.set(name, []);
+      return tables.get(name);
+    },
+  };
+
+  const client = {
+    from: (table) => new MemoryQueryBuilder(store, table),
+
+    // Stored procedures are plain functions registered with defineFunction()
+    rpc: async (name, params = {}) => {
+      const fn = functions.get(name);
+      if (!fn) {
+        return { data: null, error: { code: "PGRST202", message: `Could not find the function public.${name}` } };
+      }
+      try {
+        return { data: await fn(params, client), error: null };
+      } catch (err) {
+        return { data: null, error: { code: err.code || "P0001", message: err.message } };
+      }
+    },
+
+    defineFunction: (name, fn) => {
+      functions.set(name, fn);
+    },
+
+    // Replace all data, e.g. between tests
+    reset: (data = {}) => {
+      tables.clear();
+      Object.entries(data).forEach(([name, rows]) => {
+        tables.set(name, structuredClone(rows));
+      });
+    },
+
+    // Copy of a table's rows, for inspection in tests
+    dump: (name) => structuredClone(store.table(name)),
+  };
+
+  Object.entries(FUNCTIONS).forEach(([name, fn]) => client.defineFunction(name, fn));
+  client.reset(seed);
+  return client;
+};
@@ -0,0 +1,550 @@
+import crypto from "crypto";
+import { FOREIGN_KEYS, UNIQUE_KEYS, primaryKeyOf } from "./schema.js";
+
+// A PostgREST-flavoured query builder over plain arrays, covering the subset of
+// supabase-js the routes use. Like supabase-js it never throws: awaiting a query
+// resolves to { data, error, count }.
+
+const pgError = (code, message, details = null) => ({ code, message, details, hint: null });
+
+// ---------- select list parsing ----------
+
+// Split on `sep` outside parentheses
+const splitTopLevel = (text, sep = ",") => {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of text) {
+    if (char === "(") depth += 1;
+    if (char === ")") depth -= 1;
+    if (char === sep && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+const EMBED_PATTERN = /^(?:(\w+)\s*:\s*)?(\w+)(?:!(\w+))?\s*\(([\s\S]*)\)$/;
+const COLUMN_PATTERN = /^(?:(\w+)\s*:\s*)?(\w+)$/;
+
+const parseSelect = (columns = "*") => {
+  return splitTopLevel(columns.replace(/\s+/g, " ")).map(item => {
+    if (item === "*") return { type: "star" };
+
+    const embed = item.match(EMBED_PATTERN);
+    if (embed) {
+      const [, alias, target, hint, inner] = embed;
+      return {
+        type: "embed",
+        key: alias || target,
+        target,
+        hint,
+        inner: hint === "inner",
+        columns: parseSelect(inner || "*"),
+      };
+    }
+
+    const column = item.match(COLUMN_PATTERN);
+    if (column) {
+      const [, alias, name] = column;
+      return { type: "column", key: alias || name, name };
+    }
+
+    throw pgError("PGRST100", `Unsupported select item "${item}"`);
+  });
+};
+
+// Work out how `target` (a table name or a foreign key column) relates to `table`
+const resolveRelation = (table, target, hint) => {
+  const outgoing = FOREIGN_KEYS[table] || {};
+
+  // alias:fk_column ( ... )
+  if (outgoing[target]) {
+    return { kind: "one", table: outgoing[target], column: target };
+  }
+
+  if (hint && hint !== "inner" && outgoing[hint] === target) {
+    return { kind: "one", table: target, column: hint };
+  }
+
+  const columns = Object.keys(outgoing).filter(column => outgoing[column] === target);
+  if (columns.length === 1) {
+    return { kind: "one", table: target, column: columns[0] };
+  }
+  if (columns.length > 1) {
+    throw pgError("PGRST201", `Could not embed because more than one relationship was found for '${table}' and '${target}'`);
+  }
+
+  const incoming = Object.keys(FOREIGN_KEYS[target] || {}).filter(column => FOREIGN_KEYS[target][column] === table);
+  if (incoming.length === 1) {
+    return { kind: "many", table: target, column: incoming[0] };
+  }
+
+  throw pgError("PGRST200", `Could not find a relationship between '${table}' and '${target}'`);
+};
+
+// ---------- value comparison ----------
+
+const isNumeric = (value) => value !== "" && value !== null && !Number.isNaN(Number(value));
+
+const looseEquals = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (typeof a === typeof b) return a === b;
+  return String(a) === String(b);
+};
+
+const compare = (a, b) => {
+  if ((typeof a === "number" || typeof b === "number") && isNumeric(a) && isNumeric(b)) {
+    return Number(a) - Number(b);
+  }
+  if (typeof a === "boolean" && typeof b === "boolean") return Number(a) - Number(b);
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+// % and * match any run of characters, _ any one; a backslash makes the next character literal
+const likeToRegExp = (pattern, flags) => {
+  const escaped = String(pattern).replace(/\\(.)|([%*])|(_)|([.+?^${}()|[\]\\])/g, (match, literal, any, one, special) => {
+    if (literal !== undefined) return literal.replace(/[.+?^${}()|[\]\\*]/g, "\\$&");
+    if (any) return ".*";
+    if (one) return ".";
+    return `\\${special}`;
+  });
+  return new RegExp(`^${escaped}$`, flags);
+};
+
+const OPERATORS = {
+  eq: (value, arg) => looseEquals(value, arg),
+  neq: (value, arg) => value !== null && value !== undefined && !looseEquals(value, arg),
+  gt: (value, arg) => value !== null && value !== undefined && compare(value, arg) > 0,
+  gte: (value, arg) => value !== null && value !== undefined && compare(value, arg) >= 0,
+  lt: (value, arg) => value !== null && value !== undefined && compare(value, arg) < 0,
+  lte: (value, arg) => value !== null && value !== undefined && compare(value, arg) <= 0,
+  like: (value, arg) => value !== null && value !== undefined && likeToRegExp(arg, "").test(String(value)),
+  ilike: (value, arg) => value !== null && value !== undefined && likeToRegExp(arg, "i").test(String(value)),
+  is: (value, arg) => {
+    if (arg === null || arg === "null") return value === null || value === undefined;
+    if (arg === true || arg === "true") return value === true;
+    if (arg === false || arg === "false") return value === false;
+    return false;
+  },
+  in: (value, arg) => arg.some(item => looseEquals(value, item)),
+  contains: (value, arg) => Array.isArray(value) && [].concat(arg).every(item => value.some(v => looseEquals(v, item))),
+  containedBy: (value, arg) => Array.isArray(value) && value.every(v => arg.some(item => looseEquals(v, item))),
+  overlaps: (value, arg) => Array.isArray(value) && value.some(v => arg.some(item => looseEquals(v, item))),
+};
+
+// ---------- or() filter strings ----------
+
+const parseListValue = (raw) => {
+  const inner = raw.replace(/^[({]/, "").replace(/[)}]$/, "");
+  return splitTopLevel(inner).map(item => item.replace(/^"(.*)"$/, "$1"));
+};
+
+// "col.op.value", "col.not.op.value", "and(...)", "or(...)"
+const parseCondition = (text) => {
+  const group = text.match(/^(and|or)\(([\s\S]*)\)$/);
+  if (group) {
+    return { group: group[1], conditions: splitTopLevel(group[2]).map(parseCondition) };
+  }
+
+  const [column, ...rest] = text.split(".");
+  let negate = false;
+  if (rest[0] === "not") {
+    negate = true;
+    rest.shift();
+  }
+
+  const [op, ...valueParts] = rest;
+  if (!OPERATORS[op]) {
+    throw pgError("PGRST100", `Unsupported operator "${op}" in filter "${text}"`);
+  }
+
+  const raw = valueParts.join(".");
+  const value = ["in", "contains", "containedBy", "overlaps"].includes(op) ? parseListValue(raw) : raw;
+  return { column, op, value, negate };
+};
+
+const matchesCondition = (row, condition) => {
+  if (condition.group === "and") return condition.conditions.every(c => matchesCondition(row, c));
+  if (condition.group === "or") return condition.conditions.some(c => matchesCondition(row, c));
+
+  const result = OPERATORS[condition.op](row[condition.column], condition.value);
+  return condition.negate ? !result : result;
+};
+
+// ---------- query builder ----------
+
+export class MemoryQueryBuilder {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.action = "select";
+    this.columns = null;
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.rangeFrom = 0;
+    this.countMode = null;
+    this.head = false;
+    this.singleMode = null;
+    this.values = null;
+    this.options = {};
+  }
+
+  // Reading and writing
+
+  select(columns = "*", { count = null, head = false } = {}) {
+    this.columns = columns;
+    if (this.action === "select") {
+      this.countMode = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(values, options = {}) {
+    this.action = "insert";
+    this.values = [].concat(values);
+    this.options = options;
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.action = "upsert";
+    this.values = [].concat(values);
+    this.options = options;
+    return this;
+  }
+
+  update(values, options = {}) {
+    this.action = "update";
+    this.values = values;
+    this.options = options;
+    return this;
+  }
+
+  delete(options = {}) {
+    this.action = "delete";
+    this.options = options;
+    return this;
+  }
+
+  // Filters
+
+  filter(column, op, value) {
+    let list = value;
+    if (["in", "contains", "containedBy", "overlaps"].includes(op) && typeof value === "string") {
+      list = parseListValue(value);
+    }
+    this.filters.push({ column, op, value: list, negate: false });
+    return this;
+  }
+
+  not(column, op, value) {
+    this.filter(column, op, value);
+    this.filters[this.filters.length - 1].negate = true;
+    return this;
+  }
+
+  match(query) {
+    Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  or(filters) {
+    this.filters.push({ group: "or", conditions: splitTopLevel(filters).map(parseCondition) });
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = "maybe";
+    return this;
+  }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.execute();
+    } catch (err) {
+      result = { data: null, error: err.code ? err : pgError("XX000", err.message), count: null, status: 400 };
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  // Execution
+
+  rows() {
+    return this.store.table(this.table);
+  }
+
+  matchesTopLevel(row) {
+    return this.filters
+      .filter(f => f.group || !f.column.includes("."))
+      .every(f => matchesCondition(row, f));
+  }
+
+  // Build the selected shape of a row, resolving embeds. Returns null when an
+  // !inner embed has no match and the row must be dropped.
+  project(table, row, items, path = "") {
+    const result = {};
+
+    for (const item of items) {
+      if (item.type === "star") {
+        Object.assign(result, structuredClone(row));
+      } else if (item.type === "column") {
+        result[item.key] = row[item.name] === undefined ? null : structuredClone(row[item.name]);
+      } else {
+        const relation = resolveRelation(table, item.target, item.hint);
+        const embedPath = path ? `${path}.${item.key}` : item.key;
+        const embedFilters = this.filters.filter(f => !f.group && f.column.startsWith(`${embedPath}.`)
+          && !f.column.slice(embedPath.length + 1).includes("."))
+          .map(f => ({ ...f, column: f.column.slice(embedPath.length + 1) }));
+
+        const candidates = relation.kind === "one"
+          ? this.store.table(relation.table).filter(r => looseEquals(r[primaryKeyOf(relation.table)], row[relation.column]))
+          : this.store.table(relation.table).filter(r => looseEquals(r[relation.column], row[primaryKeyOf(table)]));
+
+        const related = candidates
+          .filter(r => embedFilters.every(f => matchesCondition(r, f)))
+          .map(r => this.project(relation.table, r, item.columns, embedPath))
+          .filter(Boolean);
+
+        if (relation.kind === "one") {
+          if (item.inner && related.length === 0) return null;
+          result[item.key] = related[0] || null;
+        } else {
+          if (item.inner && related.length === 0) return null;
+          result[item.key] = related;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  sort(rows) {
+    if (this.orders.length === 0) return rows;
+
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const left = a[column];
+        const right = b[column];
+        const leftNull = left === null || left === undefined;
+        const rightNull = right === null || right === undefined;
+
+        if (leftNull && rightNull) continue;
+        if (leftNull) return nullsFirst ? -1 : 1;
+        if (rightNull) return nullsFirst ? 1 : -1;
+
+        const diff = compare(left, right);
+        if (diff !== 0) return ascending ? diff : -diff;
+      }
+      return 0;
+    });
+  }
+
+  shape(rows) {
+    const items = parseSelect(this.columns || "*");
+    const shaped = [];
+
+    // Sort on the stored rows so ordering by unselected columns works
+    for (const row of this.sort(rows)) {
+      const projected = this.project(this.table, row, items);
+      if (projected) shaped.push(projected);
+    }
+
+    return shaped;
+  }
+
+  finish(rows, { count = null, status = 200 } = {}) {
+    let data = rows;
+
+    if (this.singleMode) {
+      if (rows.length > 1 || (rows.length === 0 && this.singleMode === "single")) {
+        return {
+          data: null,
+          error: pgError(
+            "PGRST116",
+            "JSON object requested, multiple (or no) rows returned",
+            `The result contains ${rows.length} rows`
+          ),
+          count,
+          status: 406,
+        };
+      }
+      data = rows[0] || null;
+    }
+
+    return { data, error: null, count, status };
+  }
+
+  execute() {
+    switch (this.action) {
+      case "insert":
+        return this.executeInsert();
+      case "upsert":
+        return this.executeUpsert();
+      case "update":
+        return this.executeUpdate();
+      case "delete":
+        return this.executeDelete();
+      default:
+        return this.executeSelect();
+    }
+  }
+
+  executeSelect() {
+    const matched = this.rows().filter(row => this.matchesTopLevel(row));
+    let shaped = this.shape(matched);
+    const count = this.countMode ? shaped.length : null;
+
+    if (this.head) return { data: null, error: null, count, status: 200 };
+
+    if (this.limitCount !== null || this.rangeFrom) {
+      const end = this.limitCount === null ? undefined : this.rangeFrom + this.limitCount;
+      shaped = shaped.slice(this.rangeFrom, end);
+    }
+
+    return this.finish(shaped, { count });
+  }
+
+  withDefaults(values) {
+    const row = structuredClone(values);
+    const key = primaryKeyOf(this.table);
+
+    if (key === "id" && (row.id === undefined || row.id === null)) {
+      row.id = crypto.randomUUID();
+    }
+    if (row.created_at === undefined) {
+      row.created_at = new Date().toISOString();
+    }
+
+    return row;
+  }
+
+  // Throws a 23505 error when `candidate` clashes with another row on a unique key
+  checkUnique(candidate, others) {
+    const keys = [[primaryKeyOf(this.table)], ...(UNIQUE_KEYS[this.table] || [])];
+
+    for (const columns of keys) {
+      if (columns.some(column => candidate[column] === null || candidate[column] === undefined)) continue;
+
+      const clash = others.find(other => other !== candidate &&
+        columns.every(column => looseEquals(other[column], candidate[column])));
+
+      if (clash) {
+        throw pgError(
+          "23505",
+          `duplicate key value violates unique constraint "${this.table}_${columns.join("_")}_key"`,
+          `Key (${columns.join(", ")}) already exists.`
+        );
+      }
+    }
+  }
+
+  returned(rows, status) {
+    if (!this.returning) return { data: null, error: null, count: null, status };
+    return this.finish(this.shape(rows), { status });
+  }
+
+  executeInsert() {
+    const table = this.rows();
+    const inserted = this.values.map(values => this.withDefaults(values));
+
+    inserted.forEach((row, index) => this.checkUnique(row, [...table, ...inserted.slice(0, index)]));
+
+    table.push(...inserted);
+    return this.returned(inserted, 201);
+  }
+
+  executeUpsert() {
+    const table = this.rows();
+    const conflictColumns = this.options.onConflict
+      ? this.options.onConflict.split(",").map(column => column.trim())
+      : [primaryKeyOf(this.table)];
+    const written = [];
+
+    for (const values of this.values) {
+      const existing = table.find(row => conflictColumns.every(column => looseEquals(row[column], values[column])));
+
+      if (existing) {
+        if (this.options.ignoreDuplicates) continue;
+        const merged = { ...existing, ...values };
+        this.checkUnique(merged, table.filter(row => row !== existing));
+        Object.assign(existing, structuredClone(values));
+        written.push(existing);
+      } else {
+        const row = this.withDefaults(values);
+        this.checkUnique(row, table);
+        table.push(row);
+        written.push(row);
+      }
+    }
+
+    return this.returned(written, 201);
+  }
+
+  executeUpdate() {
+    const table = this.rows();
+    const matched = table.filter(row => this.matchesTopLevel(row));
+
+    matched.forEach(row => {
+      const updated = { ...row, ...this.values };
+      this.checkUnique(updated, table.filter(other => other !== row));
+    });
+    matched.forEach(row => Object.assign(row, structuredClone(this.values)));
+
+    return this.returned(matched, 200);
+  }
+
+  executeDelete() {
+    const table = this.rows();
+    const matched = table.filter(row => this.matchesTopLevel(row));
+    const remaining = table.filter(row => !matched.includes(row));
+
+    table.length = 0;
+    table.push(...remaining);
+
+    return this.returned(matched, 200);
+  }
+}
+
+// The shorthand filter methods all map onto filter()
+["eq", "neq", "gt", "gte", "lt", "lte", "like", "ilike", "is", "in", "contains", "containedBy", "overlaps"]
+  .forEach(op => {
+    MemoryQueryBuilder.prototype[op] = function (column, value) {
+      return this.filter(column, op, value);
+    };
+  });
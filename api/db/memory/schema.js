@@ -0,0 +1,54 @@
+// Just enough of the Postgres schema for the in-memory backend to behave like PostgREST:
+// foreign keys (for embedded selects such as `classes ( department_id )`), unique keys
+// (for upsert conflicts and 23505 errors) and primary keys that aren't `id`.
+
+// table → column → referenced table (always the referenced table's primary key)
+export const FOREIGN_KEYS = {
+  users: { department_id: "departments" },
+  classes: { department_id: "departments", class_teacher_id: "users" },
+  batches: { class_id: "classes", faculty_id: "users" },
+  students: { class_id: "classes", batch_id: "batches" },
+  subjects: { class_id: "classes", department_id: "departments" },
+  faculty_subjects: { faculty_id: "users", subject_id: "subjects", class_id: "classes", batch_id: "batches" },
+  department_offered_subjects: { department_id: "departments", subject_id: "subjects" },
+  faculty_availability: { faculty_id: "users", subject_id: "subjects" },
+  student_subject_selection: {
+    student_id: "students",
+    mdm_id: "subjects",
+    oe_id: "subjects",
+    pe_id: "subjects",
+    mdm_faculty_id: "users",
+    oe_faculty_id: "users",
+    pe_faculty_id: "users",
+  },
+  student_submissions: {
+    student_id: "students",
+    subject_id: "subjects",
+    submission_type_id: "submission_types",
+    marked_by: "users",
+  },
+  defaulter_submissions: { student_id: "students", subject_id: "subjects", faculty_id: "users" },
+  refresh_tokens: { session_id: "auth_sessions" },
+  mfa_recovery_codes: { user_id: "users" },
+  staff_invitations: { department_id: "departments", invited_by: "users", user_id: "users" },
+  api_key_usage: { api_key_id: "api_keys" },
+};
+
+// Primary keys other than `id`
+export const PRIMARY_KEYS = {
+  login_throttles: "key",
+  oidc_login_states: "state",
+  rate_limits: "key",
+};
+
+// Unique constraints, each a list of columns
+export const UNIQUE_KEYS = {
+  users: [["email"]],
+  students: [["hall_ticket_number"]],
+  refresh_tokens: [["token_hash"]],
+  api_keys: [["key_hash"]],
+  staff_invitations: [["token_hash"]],
+  role_permissions: [["role", "permission", "scope"]],
+};
+
+export const primaryKeyOf = (table) => PRIMARY_KEYS[table] || "id";
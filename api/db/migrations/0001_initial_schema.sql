@@ -0,0 +1,316 @@
+-- Schema as it stood before migrations were tracked. Every statement is
+-- idempotent so existing projects can adopt it: tables and columns that already
+-- exist are left alone and only the missing ones are created.
+
+-- Organisation
+
+create table if not exists departments (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+-- `role` is the default role, `roles` every role the person holds
+create table if not exists users (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  email text not null unique,
+  password text not null,
+  role text not null,
+  roles text[] not null default '{}',
+  department_id uuid references departments (id) on delete set null,
+  designation text,
+  totp_secret text,
+  totp_enabled boolean not null default false,
+  totp_last_step bigint,
+  created_at timestamptz not null default now()
+);
+
+alter table users add column if not exists roles text[] not null default '{}';
+alter table users add column if not exists designation text;
+alter table users add column if not exists totp_secret text;
+alter table users add column if not exists totp_enabled boolean not null default false;
+alter table users add column if not exists totp_last_step bigint;
+
+create table if not exists classes (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  year integer not null check (year between 1 and 4),
+  department_id uuid not null references departments (id) on delete cascade,
+  class_teacher_id uuid references users (id) on delete set null,
+  total_students integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists batches (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  roll_start integer not null,
+  roll_end integer not null,
+  class_id uuid not null references classes (id) on delete cascade,
+  faculty_id uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  check (roll_start <= roll_end)
+);
+
+create table if not exists students (
+  id uuid primary key default gen_random_uuid(),
+  roll_no integer not null,
+  name text not null,
+  email text,
+  mobile text,
+  hall_ticket_number text not null unique,
+  attendance_percent numeric(5, 2) not null default 0 check (attendance_percent between 0 and 100),
+  defaulter boolean not null default false,
+  class_id uuid references classes (id) on delete cascade,
+  batch_id uuid references batches (id) on delete set null,
+  password text not null,
+  must_change_password boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+alter table students add column if not exists must_change_password boolean not null default false;
+
+create index if not exists students_class_id_idx on students (class_id);
+
+-- Subjects and who teaches them
+
+-- Class subjects (theory, practical) have a class_id; electives (mdm, oe, pe) don't
+create table if not exists subjects (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  subject_code text,
+  type text not null check (type in ('theory', 'practical', 'mdm', 'oe', 'pe')),
+  class_id uuid references classes (id) on delete cascade,
+  department_id uuid references departments (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+-- batch_id is set for practicals taught per batch; class_id is null for electives.
+-- Rows without a subject link a faculty member to a batch they supervise.
+create table if not exists faculty_subjects (
+  id uuid primary key default gen_random_uuid(),
+  faculty_id uuid not null references users (id) on delete cascade,
+  subject_id uuid references subjects (id) on delete cascade,
+  class_id uuid references classes (id) on delete cascade,
+  batch_id uuid references batches (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists faculty_subjects_faculty_id_idx on faculty_subjects (faculty_id);
+create index if not exists faculty_subjects_subject_id_idx on faculty_subjects (subject_id);
+
+-- Electives a department offers to a year; students pick one of faculty_ids
+create table if not exists department_offered_subjects (
+  id uuid primary key default gen_random_uuid(),
+  subject_id uuid not null references subjects (id) on delete cascade,
+  department_id uuid not null references departments (id) on delete cascade,
+  faculty_ids uuid[] not null default '{}',
+  semester integer,
+  year integer,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists faculty_availability (
+  id uuid primary key default gen_random_uuid(),
+  faculty_id uuid not null references users (id) on delete cascade,
+  subject_id uuid references subjects (id) on delete cascade,
+  is_available boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+-- One row per student with their elective picks and the faculty chosen for each
+create table if not exists student_subject_selection (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null unique references students (id) on delete cascade,
+  mdm_id uuid references subjects (id) on delete set null,
+  mdm_faculty_id uuid references users (id) on delete set null,
+  oe_id uuid references subjects (id) on delete set null,
+  oe_faculty_id uuid references users (id) on delete set null,
+  pe_id uuid references subjects (id) on delete set null,
+  pe_faculty_id uuid references users (id) on delete set null,
+  selections_locked boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+-- Submissions
+
+-- applicable_to lists the subject types the submission is collected for
+create table if not exists submission_types (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  applicable_to text[] not null default '{}'
+);
+
+insert into submission_types (name, applicable_to) values
+  ('CIE', array['theory', 'mdm', 'oe', 'pe']),
+  ('TA', array['theory', 'practical', 'mdm', 'oe', 'pe']),
+  ('Defaulter work', array['theory', 'mdm', 'oe', 'pe'])
+on conflict (name) do nothing;
+
+create table if not exists student_submissions (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null references students (id) on delete cascade,
+  subject_id uuid not null references subjects (id) on delete cascade,
+  submission_type_id uuid not null references submission_types (id) on delete cascade,
+  status text not null check (status in ('pending', 'completed')),
+  marked_by uuid references users (id) on delete set null,
+  marked_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (student_id, subject_id, submission_type_id)
+);
+
+create index if not exists student_submissions_subject_id_idx on student_submissions (subject_id);
+
+-- Work assigned to defaulters. Skipped work is flagged with `skip`; status stays
+-- pending or completed.
+create table if not exists defaulter_submissions (
+  id uuid primary key default gen_random_uuid(),
+  student_id uuid not null references students (id) on delete cascade,
+  subject_id uuid not null references subjects (id) on delete cascade,
+  faculty_id uuid not null references users (id) on delete cascade,
+  submission_text text,
+  reference_link text,
+  skip boolean not null default false,
+  status text not null default 'pending' check (status in ('pending', 'completed')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists defaulter_submissions_student_id_idx on defaulter_submissions (student_id);
+create index if not exists defaulter_submissions_faculty_id_idx on defaulter_submissions (faculty_id);
+
+-- Sessions and sign-in security
+
+-- user_id points at users or students depending on user_type
+create table if not exists auth_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  user_type text not null check (user_type in ('user', 'student')),
+  active_role text,
+  active_class_id uuid,
+  ip text,
+  user_agent text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists auth_sessions_user_idx on auth_sessions (user_id, user_type);
+
+create table if not exists refresh_tokens (
+  id uuid primary key default gen_random_uuid(),
+  session_id uuid not null references auth_sessions (id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists password_reset_codes (
+  id uuid primary key default gen_random_uuid(),
+  account_id uuid not null,
+  account_type text not null check (account_type in ('user', 'student')),
+  code_hash text not null,
+  expires_at timestamptz not null,
+  attempts integer not null default 0,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists password_reset_codes_account_idx on password_reset_codes (account_id, account_type);
+
+-- key is "account:<type>:<identifier>" or "ip:<address>"
+create table if not exists login_throttles (
+  key text primary key,
+  failed_count integer not null default 0,
+  last_failed_at timestamptz not null,
+  locked_until timestamptz
+);
+
+create table if not exists mfa_recovery_codes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  code_hash text not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists oidc_login_states (
+  state text primary key,
+  nonce text not null,
+  code_verifier text not null,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists audit_logs (
+  id uuid primary key default gen_random_uuid(),
+  actor_id uuid,
+  actor_type text,
+  action text not null,
+  target_type text,
+  target_id text,
+  details jsonb,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_logs_actor_idx on audit_logs (actor_id, created_at desc);
+
+-- Permissions
+
+create table if not exists role_permissions (
+  id uuid primary key default gen_random_uuid(),
+  role text not null,
+  permission text not null,
+  scope text not null default 'any' check (scope in ('any', 'own_class', 'own_department', 'own_subject')),
+  unique (role, permission, scope)
+);
+
+-- Integrations
+
+create table if not exists api_keys (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  scopes text[] not null default '{}',
+  key_hash text not null unique,
+  key_prefix text not null,
+  created_by uuid references users (id) on delete set null,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  last_used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists api_key_usage (
+  id uuid primary key default gen_random_uuid(),
+  api_key_id uuid not null references api_keys (id) on delete cascade,
+  method text not null,
+  path text not null,
+  status_code integer,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists api_key_usage_key_idx on api_key_usage (api_key_id, created_at desc);
+
+-- Staff onboarding
+
+create table if not exists staff_invitations (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  email text not null,
+  role text not null check (role in ('faculty', 'class_teacher')),
+  designation text,
+  department_id uuid not null references departments (id) on delete cascade,
+  invited_by uuid references users (id) on delete set null,
+  user_id uuid references users (id) on delete set null,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  accepted_at timestamptz,
+  revoked_at timestamptz,
+  last_sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
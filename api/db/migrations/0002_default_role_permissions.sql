@@ -0,0 +1,67 @@
+-- The default grants of DEFAULT_ROLE_PERMISSIONS (api/db/rolePermissions.js).
+-- Rows already in the table are kept, so local changes survive. Grants added to
+-- the defaults later go in a new migration.
+
+insert into role_permissions (role, permission, scope) values
+  ('director', 'profile:read', 'any'),
+  ('director', 'department:read', 'any'),
+  ('director', 'department:manage', 'any'),
+  ('director', 'hod:assign', 'any'),
+  ('director', 'staff:delete', 'any'),
+  ('director', 'statistics:institution', 'any'),
+  ('director', 'account:unlock', 'any'),
+  ('director', 'api_key:manage', 'any'),
+  ('director', 'staff:invite', 'any'),
+  ('director', 'session:revoke', 'any'),
+  ('director', 'user:impersonate', 'any'),
+  ('hod', 'profile:read', 'any'),
+  ('hod', 'class:read', 'own_department'),
+  ('hod', 'class:manage', 'own_department'),
+  ('hod', 'staff:read', 'own_department'),
+  ('hod', 'staff:reset_password', 'own_department'),
+  ('hod', 'staff:invite', 'own_department'),
+  ('hod', 'session:revoke', 'own_department'),
+  ('hod', 'user:impersonate', 'own_department'),
+  ('hod', 'offered_subject:read', 'own_department'),
+  ('hod', 'offered_subject:manage', 'own_department'),
+  ('hod', 'statistics:department', 'own_department'),
+  ('hod', 'account:unlock', 'own_department'),
+  ('hod', 'subject:read', 'own_subject'),
+  ('hod', 'submission:read', 'own_subject'),
+  ('hod', 'submission:mark', 'own_subject'),
+  ('hod', 'statistics:subject', 'own_subject'),
+  ('hod', 'defaulter_work:read', 'own_subject'),
+  ('hod', 'defaulter_work:assign', 'own_subject'),
+  ('class_teacher', 'class:read', 'own_class'),
+  ('class_teacher', 'class:export', 'own_class'),
+  ('class_teacher', 'staff:directory', 'any'),
+  ('class_teacher', 'student:read', 'own_class'),
+  ('class_teacher', 'student:edit', 'own_class'),
+  ('class_teacher', 'student:delete', 'own_class'),
+  ('class_teacher', 'student:import', 'own_class'),
+  ('class_teacher', 'batch:read', 'own_class'),
+  ('class_teacher', 'batch:create', 'own_class'),
+  ('class_teacher', 'subject:read', 'own_subject'),
+  ('class_teacher', 'subject:assign', 'own_class'),
+  ('class_teacher', 'subject:delete', 'own_class'),
+  ('class_teacher', 'elective:unlock', 'own_class'),
+  ('class_teacher', 'availability:manage', 'any'),
+  ('class_teacher', 'submission:read', 'own_subject'),
+  ('class_teacher', 'submission:mark', 'own_subject'),
+  ('class_teacher', 'statistics:class', 'own_class'),
+  ('class_teacher', 'statistics:subject', 'own_subject'),
+  ('class_teacher', 'defaulter_work:read', 'own_subject'),
+  ('class_teacher', 'defaulter_work:assign', 'own_class'),
+  ('class_teacher', 'defaulter_work:assign', 'own_subject'),
+  ('faculty', 'staff:directory', 'any'),
+  ('faculty', 'student:read', 'own_subject'),
+  ('faculty', 'subject:read', 'own_subject'),
+  ('faculty', 'availability:manage', 'any'),
+  ('faculty', 'submission:read', 'own_subject'),
+  ('faculty', 'submission:mark', 'own_subject'),
+  ('faculty', 'statistics:subject', 'own_subject'),
+  ('faculty', 'defaulter_work:read', 'own_subject'),
+  ('faculty', 'defaulter_work:assign', 'own_subject'),
+  ('student', 'student_portal:read', 'any'),
+  ('student', 'elective:select', 'any')
+on conflict (role, permission, scope) do nothing;
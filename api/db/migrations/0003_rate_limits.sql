@@ -0,0 +1,23 @@
+-- Shared counters for the API rate limiter (RATE_LIMIT_STORE=database).
+-- key is "<budget>:user:<id>" or "<budget>:ip:<address>"; a row holds the
+-- count of the key's current fixed window. Expired windows are restarted in
+-- place on the key's next request.
+create table if not exists rate_limits (
+  key text primary key,
+  count integer not null,
+  reset_at timestamptz not null
+);
+
+-- Counts one request and returns the window's count and end in a single
+-- statement, so concurrent requests from other instances can't lose increments
+create or replace function rate_limit_hit(p_key text, p_window_seconds integer)
+returns table (count integer, reset_at timestamptz)
+language sql
+as $$
+  insert into rate_limits as r (key, count, reset_at)
+  values (p_key, 1, now() + make_interval(secs => p_window_seconds))
+  on conflict (key) do update set
+    count = case when r.reset_at <= now() then 1 else r.count + 1 end,
+    reset_at = case when r.reset_at <= now() then excluded.reset_at else r.reset_at end
+  returning r.count, r.reset_at;
+$$;
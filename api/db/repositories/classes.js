@@ -0,0 +1,88 @@
+import { db } from "../index.js";
+
+// Classes and their practical batches. Functions resolve to { data, error }.
+
+export const findClassById = (id, columns = "*") =>
+  db
+    .from("classes")
+    .select(columns)
+    .eq("id", id)
+    .maybeSingle();
+
+// A class by id, only if it belongs to the department
+export const findDepartmentClass = (id, department_id, columns = "id") =>
+  db
+    .from("classes")
+    .select(columns)
+    .eq("id", id)
+    .eq("department_id", department_id)
+    .maybeSingle();
+
+export const findClassByName = ({ name, year, department_id }, columns = "*") =>
+  db
+    .from("classes")
+    .select(columns)
+    .eq("name", name)
+    .eq("year", year)
+    .eq("department_id", department_id)
+    .maybeSingle();
+
+// Classes matching every given filter, ordered by year then name
+export const listClasses = ({ ids, department_id, columns = "*" } = {}) => {
+  let query = db
+    .from("classes")
+    .select(columns);
+
+  if (ids !== undefined) query = query.in("id", ids);
+  if (department_id !== undefined) query = query.eq("department_id", department_id);
+
+  return query
+    .order("year", { ascending: true })
+    .order("name", { ascending: true });
+};
+
+export const insertClass = (values) =>
+  db
+    .from("classes")
+    .insert([values])
+    .select()
+    .single();
+
+export const updateClass = (id, changes) =>
+  db
+    .from("classes")
+    .update(changes)
+    .eq("id", id)
+    .select()
+    .single();
+
+export const deleteClass = (id) =>
+  db
+    .from("classes")
+    .delete()
+    .eq("id", id);
+
+export const findBatchById = (id, columns = "*") =>
+  db
+    .from("batches")
+    .select(columns)
+    .eq("id", id)
+    .maybeSingle();
+
+export const listBatches = ({ ids, class_id, columns = "*" } = {}) => {
+  let query = db
+    .from("batches")
+    .select(columns);
+
+  if (ids !== undefined) query = query.in("id", ids);
+  if (class_id !== undefined) query = query.eq("class_id", class_id);
+
+  return query.order("name", { ascending: true });
+};
+
+export const insertBatch = (values) =>
+  db
+    .from("batches")
+    .insert([values])
+    .select()
+    .single();
@@ -0,0 +1,29 @@
+import { db } from "../index.js";
+
+// Departments. Functions resolve to { data, error }.
+
+export const findDepartmentById = (id, columns = "*") =>
+  db
+    .from("departments")
+    .select(columns)
+    .eq("id", id)
+    .maybeSingle();
+
+export const listDepartments = ({ columns = "*", orderBy = "name" } = {}) =>
+  db
+    .from("departments")
+    .select(columns)
+    .order(orderBy, { ascending: true });
+
+export const insertDepartment = (values) =>
+  db
+    .from("departments")
+    .insert([values])
+    .select()
+    .single();
+
+export const deleteDepartment = (id) =>
+  db
+    .from("departments")
+    .delete()
+    .eq("id", id);
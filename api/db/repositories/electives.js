@@ -0,0 +1,40 @@
+import { db } from "../index.js";
+
+// Each student's elective picks (MDM, OE, PE) and who teaches them, kept in
+// student_subject_selection. Functions resolve to { data, error }.
+
+export const findSelection = (student_id, columns = "*") =>
+  db
+    .from("student_subject_selection")
+    .select(columns)
+    .eq("student_id", student_id)
+    .maybeSingle();
+
+// Selections for a set of students, taught by a faculty member, or of a subject
+export const listSelections = ({ student_ids, faculty_id, subject_id, columns = "*", limit } = {}) => {
+  let query = db
+    .from("student_subject_selection")
+    .select(columns);
+
+  if (student_ids !== undefined) query = query.in("student_id", student_ids);
+  if (faculty_id !== undefined) {
+    query = query.or(`mdm_faculty_id.eq.${faculty_id},oe_faculty_id.eq.${faculty_id},pe_faculty_id.eq.${faculty_id}`);
+  }
+  if (subject_id !== undefined) {
+    query = query.or(`mdm_id.eq.${subject_id},oe_id.eq.${subject_id},pe_id.eq.${subject_id}`);
+  }
+  if (limit !== undefined) query = query.limit(limit);
+
+  return query;
+};
+
+export const insertSelection = (values) =>
+  db
+    .from("student_subject_selection")
+    .insert([values]);
+
+export const updateSelection = (student_id, changes) =>
+  db
+    .from("student_subject_selection")
+    .update(changes)
+    .eq("student_id", student_id);
@@ -0,0 +1,92 @@
+import { db } from "../index.js";
+
+// Student records. Like the db client, every function resolves to { data, error }.
+
+export const findStudentById = (id, columns = "*") =>
+  db
+    .from("students")
+    .select(columns)
+    .eq("id", id)
+    .maybeSingle();
+
+export const findStudentByHallTicket = (hall_ticket_number, columns = "*") =>
+  db
+    .from("students")
+    .select(columns)
+    .eq("hall_ticket_number", hall_ticket_number)
+    .maybeSingle();
+
+// Students matching every given filter, in roll number order
+export const listStudents = ({ class_id, class_ids, ids, defaulter, columns = "*", count } = {}) => {
+  let query = db
+    .from("students")
+    .select(columns, count ? { count } : undefined);
+
+  if (class_id !== undefined) query = query.eq("class_id", class_id);
+  if (class_ids !== undefined) query = query.in("class_id", class_ids);
+  if (ids !== undefined) query = query.in("id", ids);
+  if (defaulter !== undefined) query = query.eq("defaulter", defaulter);
+
+  return query.order("roll_no", { ascending: true });
+};
+
+// Resolves to { count } without fetching the rows
+export const countStudents = ({ defaulter } = {}) => {
+  let query = db
+    .from("students")
+    .select("id", { count: "exact", head: true });
+
+  if (defaulter !== undefined) query = query.eq("defaulter", defaulter);
+
+  return query;
+};
+
+// Students of the classes in a given year of a department
+export const listStudentsByYear = ({ year, department_id }) =>
+  db
+    .from("students")
+    .select(`
+      id,
+      class_id,
+      classes!inner (
+        year,
+        department_id
+      )
+    `)
+    .eq("classes.year", year)
+    .eq("classes.department_id", department_id);
+
+export const insertStudents = (students) =>
+  db
+    .from("students")
+    .insert(students);
+
+export const updateStudent = (id, changes) =>
+  db
+    .from("students")
+    .update(changes)
+    .eq("id", id)
+    .select()
+    .single();
+
+export const updateStudentByHallTicket = (hall_ticket_number, changes) =>
+  db
+    .from("students")
+    .update(changes)
+    .eq("hall_ticket_number", hall_ticket_number)
+    .select("id");
+
+// Put the students of a class with roll numbers in [roll_start, roll_end] into a batch
+export const assignBatchByRollRange = ({ class_id, roll_start, roll_end, batch_id }) =>
+  db
+    .from("students")
+    .update({ batch_id })
+    .gte("roll_no", roll_start)
+    .lte("roll_no", roll_end)
+    .eq("class_id", class_id);
+
+export const deleteStudent = (id) =>
+  db
+    .from("students")
+    .delete()
+    .eq("id", id);
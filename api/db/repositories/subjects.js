@@ -0,0 +1,163 @@
+import { db } from "../index.js";
+
+// Subjects, who teaches them (faculty_subjects), the department's offered
+// electives and faculty availability. Functions resolve to { data, error }.
+
+export const findSubjectById = (id, columns = "*") =>
+  db
+    .from("subjects")
+    .select(columns)
+    .eq("id", id)
+    .maybeSingle();
+
+export const findSubjectByCode = (subject_code, department_id, columns = "*") =>
+  db
+    .from("subjects")
+    .select(columns)
+    .eq("subject_code", subject_code)
+    .eq("department_id", department_id)
+    .maybeSingle();
+
+// Subjects matching every given filter; `codes` matches subject_code
+export const listSubjects = ({ ids, class_id, class_ids, codes, columns = "*", orderByName = false } = {}) => {
+  let query = db
+    .from("subjects")
+    .select(columns);
+
+  if (ids !== undefined) query = query.in("id", ids);
+  if (class_id !== undefined) query = query.eq("class_id", class_id);
+  if (class_ids !== undefined) query = query.in("class_id", class_ids);
+  if (codes !== undefined) query = query.in("subject_code", codes);
+  if (orderByName) query = query.order("name", { ascending: true });
+
+  return query;
+};
+
+export const insertSubject = (values) =>
+  db
+    .from("subjects")
+    .insert([values])
+    .select()
+    .single();
+
+export const deleteSubject = (id) =>
+  db
+    .from("subjects")
+    .delete()
+    .eq("id", id);
+
+// Teaching assignments
+
+export const listFacultySubjects = ({ faculty_id, subject_id, class_id, class_ids, columns = "*" } = {}) => {
+  let query = db
+    .from("faculty_subjects")
+    .select(columns);
+
+  if (faculty_id !== undefined) query = query.eq("faculty_id", faculty_id);
+  if (subject_id !== undefined) query = query.eq("subject_id", subject_id);
+  if (class_id !== undefined) query = query.eq("class_id", class_id);
+  if (class_ids !== undefined) query = query.in("class_id", class_ids);
+
+  return query;
+};
+
+export const findFacultySubject = ({ faculty_id, subject_id }, columns = "id") =>
+  db
+    .from("faculty_subjects")
+    .select(columns)
+    .eq("faculty_id", faculty_id)
+    .eq("subject_id", subject_id)
+    .maybeSingle();
+
+export const insertFacultySubjects = (rows, { returning = false } = {}) => {
+  const query = db
+    .from("faculty_subjects")
+    .insert(rows);
+
+  return returning ? query.select() : query;
+};
+
+export const deleteFacultySubjects = ({ subject_id }) =>
+  db
+    .from("faculty_subjects")
+    .delete()
+    .eq("subject_id", subject_id);
+
+// Electives a department offers, ordered by year then semester
+
+export const listOfferedSubjects = ({ department_id, year, faculty_id, active, columns = "*" } = {}) => {
+  let query = db
+    .from("department_offered_subjects")
+    .select(columns);
+
+  if (department_id !== undefined) query = query.eq("department_id", department_id);
+  if (year !== undefined) query = query.eq("year", year);
+  if (faculty_id !== undefined) query = query.contains("faculty_ids", [faculty_id]);
+  if (active !== undefined) query = query.eq("is_active", active);
+
+  return query
+    .order("year", { ascending: true })
+    .order("semester", { ascending: true });
+};
+
+export const findOfferedSubject = ({ id, subject_id, department_id, semester, year }, columns = "*") => {
+  let query = db
+    .from("department_offered_subjects")
+    .select(columns);
+
+  if (id !== undefined) query = query.eq("id", id);
+  if (subject_id !== undefined) query = query.eq("subject_id", subject_id);
+  if (department_id !== undefined) query = query.eq("department_id", department_id);
+  if (semester !== undefined) query = query.eq("semester", semester);
+  if (year !== undefined) query = query.eq("year", year);
+
+  return query.maybeSingle();
+};
+
+export const insertOfferedSubject = (values) =>
+  db
+    .from("department_offered_subjects")
+    .insert([values])
+    .select()
+    .single();
+
+export const deleteOfferedSubject = (id) =>
+  db
+    .from("department_offered_subjects")
+    .delete()
+    .eq("id", id);
+
+// Faculty availability per subject
+
+export const listAvailability = ({ faculty_id, subject_ids, available, columns = "*" } = {}) => {
+  let query = db
+    .from("faculty_availability")
+    .select(columns);
+
+  if (faculty_id !== undefined) query = query.eq("faculty_id", faculty_id);
+  if (subject_ids !== undefined) query = query.in("subject_id", subject_ids);
+  if (available !== undefined) query = query.eq("is_available", available);
+
+  return query;
+};
+
+// The faculty member's most recently updated availability record
+export const findLatestAvailability = (faculty_id, columns = "*") =>
+  db
+    .from("faculty_availability")
+    .select(columns)
+    .eq("faculty_id", faculty_id)
+    .order("updated_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+export const insertAvailability = (rows) =>
+  db
+    .from("faculty_availability")
+    .insert(rows);
+
+export const deleteAvailability = (faculty_id) =>
+  db
+    .from("faculty_availability")
+    .delete()
+    .eq("faculty_id", faculty_id);
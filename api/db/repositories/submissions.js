@@ -0,0 +1,86 @@
+import { db } from "../index.js";
+
+// Submission types (CIE, TA, Defaulter work), the status of each student's
+// submissions and defaulter work assigned by faculty. Functions resolve to { data, error }.
+
+export const listSubmissionTypes = (columns = "*") =>
+  db
+    .from("submission_types")
+    .select(columns)
+    .order("name", { ascending: true });
+
+export const findSubmissionTypeByName = (name, columns = "id") =>
+  db
+    .from("submission_types")
+    .select(columns)
+    .eq("name", name)
+    .maybeSingle();
+
+export const listSubmissions = ({ student_id, student_ids, subject_id, columns = "*" } = {}) => {
+  let query = db
+    .from("student_submissions")
+    .select(columns);
+
+  if (student_id !== undefined) query = query.eq("student_id", student_id);
+  if (student_ids !== undefined) query = query.in("student_id", student_ids);
+  if (subject_id !== undefined) query = query.eq("subject_id", subject_id);
+
+  return query;
+};
+
+// Resolves to { count } without fetching the rows
+export const countSubmissions = ({ status } = {}) => {
+  let query = db
+    .from("student_submissions")
+    .select("id", { count: "exact", head: true });
+
+  if (status !== undefined) query = query.eq("status", status);
+
+  return query;
+};
+
+export const findSubmission = ({ student_id, subject_id, submission_type_id }, columns = "id") =>
+  db
+    .from("student_submissions")
+    .select(columns)
+    .eq("student_id", student_id)
+    .eq("subject_id", subject_id)
+    .eq("submission_type_id", submission_type_id)
+    .maybeSingle();
+
+export const insertSubmission = (values) =>
+  db
+    .from("student_submissions")
+    .insert([values]);
+
+export const updateSubmission = (id, changes) =>
+  db
+    .from("student_submissions")
+    .update(changes)
+    .eq("id", id);
+
+// Defaulter work
+
+export const listDefaulterWork = ({ faculty_id, student_id, skip, columns = "*" } = {}) => {
+  let query = db
+    .from("defaulter_submissions")
+    .select(columns);
+
+  if (faculty_id !== undefined) query = query.eq("faculty_id", faculty_id);
+  if (student_id !== undefined) query = query.eq("student_id", student_id);
+  if (skip !== undefined) query = query.eq("skip", skip);
+
+  return query.order("created_at", { ascending: false });
+};
+
+export const insertDefaulterWork = (rows) =>
+  db
+    .from("defaulter_submissions")
+    .insert(rows);
+
+export const deleteDefaulterWork = ({ subject_id, faculty_id }) =>
+  db
+    .from("defaulter_submissions")
+    .delete()
+    .eq("subject_id", subject_id)
+    .eq("faculty_id", faculty_id);
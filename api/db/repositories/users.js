@@ -0,0 +1,79 @@
+import { db } from "../index.js";
+import { matchEmail } from "../emails.js";
+
+// Staff accounts (directors, HODs, class teachers, faculty). Functions resolve to { data, error }.
+
+export const findUserById = (id, columns = "*") =>
+  db
+    .from("users")
+    .select(columns)
+    .eq("id", id)
+    .maybeSingle();
+
+// Emails are matched exactly
+export const findUserByEmail = (email, { columns = "*" } = {}) =>
+  db
+    .from("users")
+    .select(columns)
+    .eq("email", email)
+    .maybeSingle();
+
+// Every account whose email equals `email` ignoring case (for addresses coming
+// from outside, e.g. an IdP). `columns` must include email.
+export const listUsersByEmail = (email, columns = "*") =>
+  matchEmail(db.from("users").select(columns), email);
+
+// Users matching every given filter; `roles` matches the default role column
+export const listUsers = ({ ids, department_id, role, roles, excludeRole, columns = "*", orderByName = false } = {}) => {
+  let query = db
+    .from("users")
+    .select(columns);
+
+  if (ids !== undefined) query = query.in("id", ids);
+  if (department_id !== undefined) query = query.eq("department_id", department_id);
+  if (role !== undefined) query = query.eq("role", role);
+  if (roles !== undefined) query = query.in("role", roles);
+  if (excludeRole !== undefined) query = query.neq("role", excludeRole);
+  if (orderByName) query = query.order("name", { ascending: true });
+
+  return query;
+};
+
+export const insertUser = (user) =>
+  db
+    .from("users")
+    .insert([user])
+    .select()
+    .single();
+
+export const updateUser = (id, changes) =>
+  db
+    .from("users")
+    .update(changes)
+    .eq("id", id);
+
+// Update and return the updated row
+export const updateUserReturning = (id, changes) =>
+  db
+    .from("users")
+    .update(changes)
+    .eq("id", id)
+    .select()
+    .single();
+
+// Detach users from a department, optionally only those whose default role is `role`
+export const clearDepartment = (department_id, { role } = {}) => {
+  let query = db
+    .from("users")
+    .update({ department_id: null })
+    .eq("department_id", department_id);
+
+  if (role !== undefined) query = query.eq("role", role);
+  return query;
+};
+
+export const deleteUser = (id) =>
+  db
+    .from("users")
+    .delete()
+    .eq("id", id);
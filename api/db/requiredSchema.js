@@ -0,0 +1,66 @@
+// Every table and column the code reads or writes, as created by the migrations
+// in api/db/migrations. The readiness check (utils/health.js) selects them all,
+// so a database that is missing one is reported before requests start failing.
+// tests/migrations.test.js keeps this in step with the migrations.
+export const REQUIRED_COLUMNS = {
+  departments: ["id", "name", "created_at"],
+  users: [
+    "id", "name", "email", "password", "role", "roles", "department_id", "designation",
+    "totp_secret", "totp_enabled", "totp_last_step", "created_at",
+  ],
+  classes: [
+    "id", "name", "year", "department_id", "class_teacher_id", "total_students", "created_at",
+  ],
+  batches: ["id", "name", "roll_start", "roll_end", "class_id", "faculty_id", "created_at"],
+  students: [
+    "id", "roll_no", "name", "email", "mobile", "hall_ticket_number", "attendance_percent",
+    "defaulter", "class_id", "batch_id", "password", "must_change_password", "created_at",
+  ],
+  subjects: ["id", "name", "subject_code", "type", "class_id", "department_id", "created_at"],
+  faculty_subjects: ["id", "faculty_id", "subject_id", "class_id", "batch_id", "created_at"],
+  department_offered_subjects: [
+    "id", "subject_id", "department_id", "faculty_ids", "semester", "year", "is_active",
+    "created_at",
+  ],
+  faculty_availability: ["id", "faculty_id", "subject_id", "is_available", "updated_at"],
+  student_subject_selection: [
+    "id", "student_id", "mdm_id", "mdm_faculty_id", "oe_id", "oe_faculty_id", "pe_id",
+    "pe_faculty_id", "selections_locked", "created_at",
+  ],
+  submission_types: ["id", "name", "applicable_to"],
+  student_submissions: [
+    "id", "student_id", "subject_id", "submission_type_id", "status", "marked_by", "marked_at",
+    "created_at",
+  ],
+  defaulter_submissions: [
+    "id", "student_id", "subject_id", "faculty_id", "submission_text", "reference_link", "skip",
+    "status", "created_at",
+  ],
+  auth_sessions: [
+    "id", "user_id", "user_type", "active_role", "active_class_id", "ip", "user_agent",
+    "created_at", "last_used_at", "expires_at", "revoked_at",
+  ],
+  refresh_tokens: ["id", "session_id", "token_hash", "expires_at", "used_at", "created_at"],
+  password_reset_codes: [
+    "id", "account_id", "account_type", "code_hash", "expires_at", "attempts", "used_at",
+    "created_at",
+  ],
+  login_throttles: ["key", "failed_count", "last_failed_at", "locked_until"],
+  mfa_recovery_codes: ["id", "user_id", "code_hash", "used_at", "created_at"],
+  oidc_login_states: ["state", "nonce", "code_verifier", "expires_at", "created_at"],
+  audit_logs: [
+    "id", "actor_id", "actor_type", "action", "target_type", "target_id", "details", "ip",
+    "created_at",
+  ],
+  role_permissions: ["id", "role", "permission", "scope"],
+  api_keys: [
+    "id", "name", "scopes", "key_hash", "key_prefix", "created_by", "expires_at", "revoked_at",
+    "last_used_at", "created_at",
+  ],
+  api_key_usage: ["id", "api_key_id", "method", "path", "status_code", "ip", "created_at"],
+  staff_invitations: [
+    "id", "name", "email", "role", "designation", "department_id", "invited_by", "user_id",
+    "token_hash", "expires_at", "accepted_at", "revoked_at", "last_sent_at", "created_at",
+  ],
+  rate_limits: ["key", "count", "reset_at"],
+};
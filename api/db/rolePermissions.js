@@ -0,0 +1,90 @@
+// Default role → permission grants, seeded into the role_permissions table by
+// migration 0002 and `npm run seed:permissions`. The table is the source of truth
+// at runtime; a test keeps the migration in step with this map.
+//
+// Scopes narrow a grant to resources the user is responsible for:
+//   any            - no restriction
+//   own_class      - a class the user is class teacher of
+//   own_department - the user's department
+//   own_subject    - a subject the user teaches
+// A role can hold a permission under several scopes; any one of them is enough.
+export const DEFAULT_ROLE_PERMISSIONS = {
+  director: {
+    "profile:read": "any",
+    "department:read": "any",
+    "department:manage": "any",
+    "hod:assign": "any",
+    "staff:delete": "any",
+    "statistics:institution": "any",
+    "account:unlock": "any",
+    "api_key:manage": "any",
+    "staff:invite": "any",
+    "session:revoke": "any",
+    "user:impersonate": "any",
+  },
+  hod: {
+    "profile:read": "any",
+    "class:read": "own_department",
+    "class:manage": "own_department",
+    "staff:read": "own_department",
+    "staff:reset_password": "own_department",
+    "staff:invite": "own_department",
+    "session:revoke": "own_department",
+    "user:impersonate": "own_department",
+    "offered_subject:read": "own_department",
+    "offered_subject:manage": "own_department",
+    "statistics:department": "own_department",
+    "account:unlock": "own_department",
+    "subject:read": "own_subject",
+    "submission:read": "own_subject",
+    "submission:mark": "own_subject",
+    "statistics:subject": "own_subject",
+    "defaulter_work:read": "own_subject",
+    "defaulter_work:assign": "own_subject",
+  },
+  class_teacher: {
+    "class:read": "own_class",
+    "class:export": "own_class",
+    "staff:directory": "any",
+    "student:read": "own_class",
+    "student:edit": "own_class",
+    "student:delete": "own_class",
+    "student:import": "own_class",
+    "batch:read": "own_class",
+    "batch:create": "own_class",
+    "subject:read": "own_subject",
+    "subject:assign": "own_class",
+    "subject:delete": "own_class",
+    "elective:unlock": "own_class",
+    "availability:manage": "any",
+    "submission:read": "own_subject",
+    "submission:mark": "own_subject",
+    "statistics:class": "own_class",
+    "statistics:subject": "own_subject",
+    "defaulter_work:read": "own_subject",
+    "defaulter_work:assign": ["own_class", "own_subject"],
+  },
+  faculty: {
+    "staff:directory": "any",
+    "student:read": "own_subject",
+    "subject:read": "own_subject",
+    "availability:manage": "any",
+    "submission:read": "own_subject",
+    "submission:mark": "own_subject",
+    "statistics:subject": "own_subject",
+    "defaulter_work:read": "own_subject",
+    "defaulter_work:assign": "own_subject",
+  },
+  student: {
+    "student_portal:read": "any",
+    "elective:select": "any",
+  },
+};
+
+// Flatten into role_permissions rows
+export const defaultPermissionRows = () =>
+  Object.entries(DEFAULT_ROLE_PERMISSIONS).flatMap(([role, grants]) =>
+    Object.entries(grants).flatMap(([permission, scopes]) =>
+      [].concat(scopes).map(scope => ({ role, permission, scope }))
+    )
+  );
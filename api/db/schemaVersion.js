@@ -0,0 +1,45 @@
+import { db, DB_DRIVER } from "./index.js";
+
+// Highest migration in api/db/migrations this code was written against.
+// Bump it together with every new migration file.
+export const SCHEMA_VERSION = 3;
+
+// Version recorded by `npm run migrate`, or null when nothing has been applied
+export const getAppliedSchemaVersion = async () => {
+  const { data, error } = await db
+    .from("schema_migrations")
+    .select("version")
+    .order("version", { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0].version : null;
+};
+
+// A mismatch says which side needs updating
+const compare = (applied) => {
+  if (applied === SCHEMA_VERSION) {
+    return { ok: true, applied, expected: SCHEMA_VERSION };
+  }
+
+  const error = applied === null
+    ? `Database has no migrations applied; this code expects schema version ${SCHEMA_VERSION}. Run npm run migrate.`
+    : applied < SCHEMA_VERSION
+      ? `Database schema is at version ${applied}; this code expects ${SCHEMA_VERSION}. Run npm run migrate.`
+      : `Database schema is at version ${applied}, newer than the ${SCHEMA_VERSION} this code expects. Deploy the matching code.`;
+  return { ok: false, applied, expected: SCHEMA_VERSION, error };
+};
+
+// Compare the database with SCHEMA_VERSION. Resolves to { ok, applied, expected, error? }
+// and never rejects. The in-memory backend has no migrations.
+export const checkSchemaVersion = async () => {
+  if (DB_DRIVER === "memory") {
+    return { ok: true, applied: SCHEMA_VERSION, expected: SCHEMA_VERSION };
+  }
+
+  try {
+    return compare(await getAppliedSchemaVersion());
+  } catch (err) {
+    return { ok: false, applied: null, expected: SCHEMA_VERSION, error: `Unable to read schema version: ${err.message}` };
+  }
+};
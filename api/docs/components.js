@@ -0,0 +1,361 @@
+// Shared pieces of the OpenAPI spec: the response shapes several routes return
+// and the catalogue of error codes.
+
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+export const arrayOf = (items) => ({ type: "array", items });
+
+export const nullable = (type) => ({ type: [type, "null"] });
+
+const id = { type: "string", format: "uuid" };
+const nullableId = { type: ["string", "null"], format: "uuid" };
+const timestamp = { type: "string", format: "date-time" };
+const nullableTimestamp = { type: ["string", "null"], format: "date-time" };
+const subjectType = { type: "string", enum: ["theory", "practical", "mdm", "oe", "pe"] };
+const submissionStatus = { type: "string", enum: ["pending", "completed"] };
+
+// A successful response body: { success: true, ...properties }
+export const ok = (properties = {}) => ({
+  type: "object",
+  properties: { success: { type: "boolean", const: true }, ...properties },
+  required: ["success", ...Object.keys(properties)],
+});
+
+export const message = { type: "string" };
+
+// Every `code` an error response can carry; tests/openapi.test.js checks that
+// each code thrown under api/ is listed here.
+export const ERROR_CODES = {
+  VALIDATION_FAILED: "The request is invalid; `details` lists each problem for schema failures",
+  INVALID_JSON: "The body is not valid JSON",
+  INVALID_FORMAT: "A value has the wrong format, e.g. a malformed uuid",
+  INVALID_UPLOAD: "The uploaded file was rejected",
+  WEAK_PASSWORD: "The new password breaks the password policy; `details` lists the problems",
+  INVALID_RESET_CODE: "The password reset code is wrong or expired",
+  INVALID_MFA_CODE: "The authenticator or recovery code is wrong",
+  CLASS_NOT_ASSIGNED: "The student is not assigned to a class",
+  UNAUTHORIZED: "Authentication failed",
+  TOKEN_MISSING: "No bearer token or API key was sent",
+  TOKEN_INVALID: "The token is malformed, has a bad signature or has expired",
+  SESSION_EXPIRED: "The token predates server-side sessions; log in again",
+  SESSION_REVOKED: "The token's session was signed out",
+  INVALID_API_KEY: "The API key is unknown, revoked or expired",
+  INVALID_CREDENTIALS: "Wrong email, hall ticket number or password",
+  INVALID_REFRESH_TOKEN: "The refresh token is unknown, used or expired",
+  FORBIDDEN: "The caller may not perform this request",
+  PASSWORD_CHANGE_REQUIRED: "The account must change its password first; `details.scope` is the token's scope",
+  IMPERSONATION_READ_ONLY: "Impersonation tokens can only read",
+  NOT_FOUND: "The resource does not exist",
+  ROUTE_NOT_FOUND: "No route matches the method and path",
+  CONFLICT: "The request conflicts with the current state",
+  ALREADY_EXISTS: "A record with the same unique value exists",
+  REFERENCE_CONFLICT: "A referenced record is missing or still in use",
+  ACCOUNT_EXISTS: "A staff account with this email exists",
+  INVITATION_PENDING: "A pending invitation for this email exists",
+  PAYLOAD_TOO_LARGE: "The request body is too large",
+  TOO_MANY_REQUESTS: "Too many requests; retry after the Retry-After header",
+  LOGIN_THROTTLED: "Too many failed logins; `details.retry_after` is in seconds",
+  INTERNAL_ERROR: "Unexpected server error",
+  IDP_UNAVAILABLE: "The single sign-on provider could not be reached",
+  SSO_FAILED: "The single sign-on provider rejected the login",
+  SERVICE_UNAVAILABLE: "The service is temporarily unavailable",
+  MAIL_NOT_CONFIGURED: "The server has no working mail transport, so the email could not be sent",
+};
+
+const subjectSummary = {
+  type: "object",
+  properties: { id, name: { type: "string" }, code: nullable("string"), type: subjectType },
+};
+
+const electiveOption = {
+  type: "object",
+  properties: {
+    id,
+    code: nullable("string"),
+    name: { type: "string" },
+    semester: nullable("integer"),
+    // Faculty the student can pick for this subject
+    faculties: arrayOf({ type: "object", properties: { id, name: { type: "string" } } }),
+  },
+};
+
+const submissionCounts = {
+  type: "object",
+  properties: {
+    total: { type: "integer" },
+    completed: { type: "integer" },
+    pending: { type: "integer" },
+    notStarted: { type: "integer" },
+  },
+};
+
+export const schemas = {
+  Error: {
+    type: "object",
+    properties: {
+      success: { type: "boolean", const: false },
+      error: { type: "string", description: "Human-readable message" },
+      code: { type: "string", enum: Object.keys(ERROR_CODES) },
+      details: { description: "Extra data for some codes, e.g. the list of validation problems" },
+    },
+    required: ["success", "error", "code"],
+  },
+  ValidationError: {
+    allOf: [
+      ref("Error"),
+      {
+        type: "object",
+        properties: {
+          details: arrayOf({
+            type: "object",
+            properties: {
+              in: { type: "string", enum: ["params", "query", "body"] },
+              field: { type: "string" },
+              message: { type: "string" },
+            },
+          }),
+        },
+      },
+    ],
+  },
+  Message: ok({ message }),
+  User: {
+    type: "object",
+    properties: {
+      id,
+      name: { type: "string" },
+      role: { type: "string", description: "Active role" },
+      roles: arrayOf({ type: "string" }),
+      email: { type: "string", format: "email" },
+      class_id: { ...nullableId, description: "Selected class of a class teacher" },
+      classes: arrayOf({ type: "object", properties: { id, name: { type: "string" }, year: { type: "integer" } } }),
+      department_id: nullableId,
+    },
+  },
+  Login: ok({
+    message,
+    token: { type: "string", description: "Access token (JWT)" },
+    refresh_token: { type: "string" },
+    user: ref("User"),
+  }),
+  StudentAccount: {
+    type: "object",
+    properties: {
+      id,
+      name: { type: "string" },
+      roll_no: { type: "integer" },
+      hall_ticket_number: { type: "string" },
+      email: nullable("string"),
+      mobile: nullable("string"),
+      class_id: nullableId,
+      batch_id: nullableId,
+      defaulter: { type: "boolean" },
+      role: { type: "string", const: "student" },
+    },
+  },
+  Session: {
+    type: "object",
+    properties: {
+      id,
+      active_role: nullable("string"),
+      ip: nullable("string"),
+      user_agent: nullable("string"),
+      created_at: timestamp,
+      last_used_at: nullableTimestamp,
+      expires_at: timestamp,
+      current: { type: "boolean", description: "The session of the calling token" },
+    },
+  },
+  Staff: {
+    type: "object",
+    properties: {
+      id,
+      name: { type: "string" },
+      email: { type: "string", format: "email" },
+      role: { type: "string" },
+    },
+  },
+  StaffRecord: {
+    type: "object",
+    description: "A users row without secrets",
+    properties: {
+      id,
+      name: { type: "string" },
+      email: { type: "string", format: "email" },
+      role: { type: "string" },
+      roles: arrayOf({ type: "string" }),
+      department_id: nullableId,
+      designation: nullable("string"),
+      created_at: timestamp,
+    },
+  },
+  Department: {
+    type: "object",
+    properties: { id, name: { type: "string" }, created_at: timestamp },
+  },
+  Class: {
+    type: "object",
+    properties: {
+      id,
+      name: { type: "string" },
+      year: { type: "integer", minimum: 1, maximum: 4 },
+      department_id: id,
+      class_teacher_id: nullableId,
+      total_students: { type: "integer" },
+      created_at: timestamp,
+    },
+  },
+  Batch: {
+    type: "object",
+    properties: {
+      id,
+      name: { type: "string" },
+      roll_start: { type: "integer" },
+      roll_end: { type: "integer" },
+      faculty_id: nullableId,
+      class_id: id,
+    },
+  },
+  Student: {
+    type: "object",
+    properties: {
+      id,
+      roll_no: { type: "integer" },
+      name: { type: "string" },
+      email: nullable("string"),
+      mobile: nullable("string"),
+      attendance_percent: { type: "number" },
+      hall_ticket_number: { type: "string" },
+      defaulter: { type: "boolean" },
+      class_id: nullableId,
+      batch_id: nullableId,
+      created_at: timestamp,
+      batch_name: nullable("string"),
+    },
+  },
+  Subject: {
+    type: "object",
+    properties: {
+      id,
+      name: { type: "string" },
+      subject_code: nullable("string"),
+      type: subjectType,
+      class_id: nullableId,
+      department_id: nullableId,
+      created_at: timestamp,
+    },
+  },
+  SubjectSummary: subjectSummary,
+  SubjectsByKind: {
+    type: "object",
+    description: "Practical subjects, and everything else under theory",
+    properties: { theory: arrayOf(subjectSummary), practical: arrayOf(subjectSummary) },
+  },
+  FacultyAssignment: {
+    type: "object",
+    description: "A faculty_subjects row; batch_id is set for practicals",
+    properties: { id, faculty_id: id, subject_id: nullableId, class_id: nullableId, batch_id: nullableId },
+  },
+  ElectiveOptions: {
+    type: "object",
+    description: "Only the kinds the student's year offers are filled",
+    properties: { mdm: arrayOf(electiveOption), oe: arrayOf(electiveOption), pe: arrayOf(electiveOption) },
+  },
+  ElectiveSelection: {
+    type: "object",
+    description: "Empty when the student hasn't picked anything yet",
+    properties: {
+      mdm_id: nullableId,
+      mdm_faculty_id: nullableId,
+      oe_id: nullableId,
+      oe_faculty_id: nullableId,
+      pe_id: nullableId,
+      pe_faculty_id: nullableId,
+      selections_locked: { type: "boolean" },
+    },
+  },
+  SubmissionType: {
+    type: "object",
+    properties: {
+      id,
+      name: { type: "string", examples: ["CIE", "TA", "Defaulter work"] },
+      applicable_to: arrayOf(subjectType),
+    },
+  },
+  SubjectStatistics: {
+    type: "object",
+    properties: {
+      id,
+      name: { type: "string" },
+      code: nullable("string"),
+      type: subjectType,
+      className: { type: "string", description: "\"Elective\" for electives" },
+      batchName: nullable("string"),
+      totalStudents: { type: "integer" },
+      defaulterCount: { type: "integer" },
+      completionPercentage: { type: "integer" },
+      submissionStats: {
+        type: "object",
+        description: "Counts per submission type name",
+        additionalProperties: submissionCounts,
+      },
+    },
+  },
+  DefaulterWork: {
+    type: "object",
+    properties: {
+      id,
+      subject_id: id,
+      submission_text: nullable("string"),
+      reference_link: nullable("string"),
+      skip: { type: "boolean" },
+      created_at: timestamp,
+      subjects: subjectSummary,
+    },
+  },
+  Invitation: {
+    type: "object",
+    properties: {
+      id,
+      name: { type: "string" },
+      email: { type: "string", format: "email" },
+      role: { type: "string", enum: ["faculty", "class_teacher"] },
+      designation: nullable("string"),
+      department_id: id,
+      expires_at: timestamp,
+      created_at: timestamp,
+    },
+  },
+  ApiKey: {
+    type: "object",
+    properties: {
+      id,
+      name: { type: "string" },
+      scopes: arrayOf({ type: "string" }),
+      key_prefix: { type: "string", description: "First characters of the key, to recognise it" },
+      expires_at: timestamp,
+      revoked_at: nullableTimestamp,
+      last_used_at: nullableTimestamp,
+      created_at: timestamp,
+    },
+  },
+  Clearance: {
+    type: "object",
+    properties: {
+      hall_ticket_number: { type: "string" },
+      name: { type: "string" },
+      roll_no: { type: "integer" },
+      class_id: nullableId,
+      attendance_percent: { type: "number" },
+      defaulter: { type: "boolean" },
+      cleared: { type: "boolean", description: "Every required submission is completed" },
+      required_submissions: { type: "integer" },
+      completed_submissions: { type: "integer" },
+      pending: arrayOf({
+        type: "object",
+        properties: { subject_id: id, submission_type: { type: "string" } },
+      }),
+    },
+  },
+  SubmissionStatus: submissionStatus,
+};
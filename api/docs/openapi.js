@@ -0,0 +1,279 @@
+import { readFileSync } from "node:fs";
+import { BUDGETS } from "../middlewares/rateLimit.js";
+import { routers } from "../routes/index.js";
+import { isApiKeyScope } from "../utils/apiKeys.js";
+import { ERROR_CODES, ref, schemas } from "./components.js";
+import authDocs from "./routes/auth.js";
+import classTeacherDocs from "./routes/classTeacher.js";
+import defaulterDocs from "./routes/defaulter.js";
+import directorDocs from "./routes/director.js";
+import exportDocs from "./routes/export.js";
+import facultyDocs from "./routes/faculty.js";
+import hodDocs from "./routes/hod.js";
+import integrationDocs from "./routes/integrations.js";
+import invitationDocs from "./routes/invitations.js";
+import oidcDocs from "./routes/oidc.js";
+import studentDocs from "./routes/students.js";
+import submissionDocs from "./routes/submissions.js";
+
+const { version } = JSON.parse(readFileSync(new URL("../../package.json", import.meta.url), "utf8"));
+
+// Summaries, response bodies and route-specific errors per mount path, keyed by
+// "METHOD /path" as written in the route file. Parameters and request bodies come
+// from the route's validate() schemas, security from its auth middleware.
+export const routeDocs = {
+  "/api/students": studentDocs,
+  "/api/auth/oidc": oidcDocs,
+  "/api/auth": authDocs,
+  "/api/director": directorDocs,
+  "/api/hod": hodDocs,
+  "/api/class-teacher": classTeacherDocs,
+  "/api/faculty": facultyDocs,
+  "/api/defaulter": defaulterDocs,
+  "/api/submissions": submissionDocs,
+  "/api/export": exportDocs,
+  "/api/integrations": integrationDocs,
+  "/api/invitations": invitationDocs,
+};
+
+const STATUS_TEXT = {
+  200: "OK",
+  201: "Created",
+  302: "Found",
+  400: "Bad request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "Not found",
+  409: "Conflict",
+  429: "Too many requests",
+  502: "Bad gateway",
+};
+
+// "/student/:id" -> "/student/{id}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const joinPath = (mountPath, routePath) => mountPath.replace(/\/$/, "") + (routePath === "/" ? "" : routePath);
+
+// Every route of every mounted router, with the middleware and handlers it runs
+export const listRoutes = () => routers.flatMap(({ path: mountPath, router, tag }) =>
+  router.stack
+    .filter(layer => layer.route)
+    .flatMap(({ route }) => Object.keys(route.methods)
+      .filter(method => method !== "_all")
+      .map(method => ({
+        method,
+        mountPath,
+        tag,
+        key: `${method.toUpperCase()} ${route.path}`,
+        path: joinPath(mountPath, route.path),
+        handlers: route.stack.map(layer => layer.handle),
+      })))
+);
+
+const jsonContent = (schema) => ({ "application/json": { schema } });
+
+const errorResponse = (description, schema = ref("Error")) => ({ description, content: jsonContent(schema) });
+
+const parameters = (route, requestSchemas) => {
+  const pathNames = [...route.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+  const query = requestSchemas.query;
+
+  return [
+    ...pathNames.map(name => ({
+      name,
+      in: "path",
+      required: true,
+      schema: requestSchemas.params?.properties[name] ?? { type: "string" },
+    })),
+    ...Object.entries(query?.properties ?? {}).map(([name, schema]) => ({
+      name,
+      in: "query",
+      required: query.required.includes(name),
+      schema,
+    })),
+  ];
+};
+
+const requestBody = (requestSchemas, upload) => {
+  const body = requestSchemas.body;
+
+  // Multipart upload: the file field plus the schema's form fields
+  if (upload) {
+    return {
+      required: true,
+      content: {
+        "multipart/form-data": {
+          schema: {
+            type: "object",
+            properties: { [upload]: { type: "string", format: "binary" }, ...body?.properties },
+            required: [upload, ...(body?.required ?? [])],
+          },
+        },
+      },
+    };
+  }
+
+  if (!body) return undefined;
+  return { required: body.required.length > 0 || body.minProperties > 0, content: jsonContent(body) };
+};
+
+// API keys get through authenticate() when the route allows them, then need a
+// key scope matching the route's permission
+const security = (auth, permission) => {
+  if (!auth) return [];
+
+  const requirements = [{ bearerAuth: [] }];
+  if (auth.apiKeys && (!permission || isApiKeyScope(permission))) {
+    requirements.push({ apiKey: permission ? [permission] : [] });
+  }
+  return requirements;
+};
+
+const describe = (docs, { auth, permission, rateLimit }) => {
+  const notes = [];
+  if (docs.description) notes.push(docs.description);
+  if (permission) notes.push(`Requires the \`${permission.permission}\` permission.`);
+  if (rateLimit) {
+    const { limit, windowSeconds } = BUDGETS[rateLimit];
+    notes.push(`Rate limited by the \`${rateLimit}\` budget: ${limit} requests per ${windowSeconds} seconds by default.`);
+  }
+  if (auth?.scopes.length > 0) {
+    notes.push(`Also accepts the restricted ${auth.scopes.map(scope => `\`${scope}\``).join(" or ")} token.`);
+  }
+  if (auth && !auth.impersonation) notes.push("Not available to impersonation tokens.");
+  return notes.join("\n\n") || undefined;
+};
+
+const responses = (docs, { auth, permission, requestSchemas, rateLimit }) => {
+  const result = {};
+
+  for (const [status, value] of Object.entries(docs.responses ?? {})) {
+    result[status] = typeof value === "string"
+      ? { description: value }
+      : { description: STATUS_TEXT[status] ?? "Success", content: jsonContent(value) };
+  }
+
+  // Errors every route with this middleware can return
+  const common = {};
+  if (Object.keys(requestSchemas).length > 0) common[400] = { $ref: "#/components/responses/ValidationFailed" };
+  if (auth) common[401] = { $ref: "#/components/responses/Unauthorized" };
+  if (auth || permission) common[403] = { $ref: "#/components/responses/Forbidden" };
+  if (permission?.resource) common[404] = { $ref: "#/components/responses/NotFound" };
+  if (rateLimit) common[429] = { $ref: "#/components/responses/RateLimited" };
+
+  const errors = { ...common, ...docs.errors };
+  for (const status of Object.keys(errors).sort()) {
+    const description = docs.errors?.[status];
+    if (!description) {
+      result[status] = common[status];
+    } else if (status === "400" && common[400]) {
+      result[status] = errorResponse(`${description}, or the request failed validation (VALIDATION_FAILED)`);
+    } else if (status === "429") {
+      const text = common[429] ? `${description}, or the rate limit is used up (TOO_MANY_REQUESTS)` : description;
+      result[status] = { ...errorResponse(text), headers: { "Retry-After": { $ref: "#/components/headers/Retry-After" } } };
+    } else {
+      result[status] = errorResponse(description);
+    }
+  }
+
+  result.default = { $ref: "#/components/responses/Error" };
+  return result;
+};
+
+const buildOperation = (route, docs) => {
+  const auth = route.handlers.find(handler => handler.auth)?.auth;
+  const permission = route.handlers.find(handler => handler.permission);
+  const requestSchemas = route.handlers.find(handler => handler.schemas)?.schemas ?? {};
+  const rateLimit = route.handlers.find(handler => handler.rateLimit)?.rateLimit;
+
+  const operation = {
+    tags: [route.tag],
+    summary: docs.summary,
+    description: describe(docs, { auth, permission, rateLimit }),
+    security: security(auth, permission?.permission),
+    parameters: parameters(route, requestSchemas),
+    requestBody: requestBody(requestSchemas, docs.upload),
+    responses: responses(docs, { auth, permission, requestSchemas, rateLimit }),
+  };
+  if (permission) operation["x-permission"] = permission.permission;
+
+  // Drop the keys that don't apply so the JSON stays readable
+  for (const [key, value] of Object.entries(operation)) {
+    if (value === undefined || (Array.isArray(value) && value.length === 0 && key !== "security")) delete operation[key];
+  }
+  return operation;
+};
+
+const errorCodeTable = Object.entries(ERROR_CODES)
+  .map(([code, description]) => `| \`${code}\` | ${description} |`)
+  .join("\n");
+
+const DESCRIPTION = `Submission tracking for directors, HODs, class teachers, faculty and students.
+
+Staff log in at \`/api/auth/login\` and students at \`/api/auth/student/login\`. Send the access token as
+\`Authorization: Bearer <token>\` and trade the refresh token at \`/api/auth/refresh\` when it expires.
+Integrations use API keys created by a director; each key only reaches the routes its scopes allow.
+Class teachers with several classes can pick one per request with the \`X-Class-Id\` header.
+
+Requests are rate limited per signed-in user, or per IP address without a valid token: ${BUDGETS.default.limit} per
+${BUDGETS.default.windowSeconds} seconds across the API, with smaller budgets on logins and statistics. Responses carry
+\`RateLimit-Limit\`, \`RateLimit-Remaining\` and \`RateLimit-Reset\`; a 429 carries \`Retry-After\`.
+
+Every error has the body \`{ "success": false, "error": "<message>", "code": "<CODE>" }\`, with \`details\`
+for some codes:
+
+| Code | Meaning |
+| --- | --- |
+${errorCodeTable}`;
+
+export const buildOpenApiSpec = () => {
+  const paths = {};
+
+  for (const route of listRoutes()) {
+    const docs = routeDocs[route.mountPath]?.[route.key] ?? {};
+    const path = toOpenApiPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: buildOperation(route, docs) };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: { title: "Rivo API", version, description: DESCRIPTION },
+    tags: routers.map(({ tag }) => ({ name: tag })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        apiKey: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key",
+          description: "Integration key; `Authorization: ApiKey <key>` works too. " +
+            "The listed scopes are the key scopes the route needs.",
+        },
+      },
+      schemas,
+      headers: {
+        "Retry-After": { description: "Seconds to wait before retrying", schema: { type: "integer" } },
+      },
+      responses: {
+        ValidationFailed: errorResponse("The request failed validation (VALIDATION_FAILED)", ref("ValidationError")),
+        Unauthorized: errorResponse("Missing, invalid or revoked credentials"),
+        Forbidden: errorResponse("The caller's role or key scopes don't allow this request"),
+        NotFound: errorResponse("The resource doesn't exist"),
+        RateLimited: {
+          ...errorResponse("The caller's rate limit for this route is used up (TOO_MANY_REQUESTS)"),
+          headers: { "Retry-After": { $ref: "#/components/headers/Retry-After" } },
+        },
+        Error: errorResponse("Error; see the code"),
+      },
+    },
+  };
+};
+
+let spec;
+
+// Routes don't change at runtime, so the spec is built once
+export const getOpenApiSpec = () => {
+  spec ??= buildOpenApiSpec();
+  return spec;
+};
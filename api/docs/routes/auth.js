@@ -0,0 +1,179 @@
+import { arrayOf, message, ok, ref } from "../components.js";
+
+const accessToken = { type: "string", description: "Access token (JWT)" };
+
+// Sent instead of the tokens while a restricted step is pending
+const restrictedToken = { type: "string", description: "Short-lived token only accepted by the next step" };
+
+const recoveryCodes = arrayOf({ type: "string", description: "Single-use code, shown once" });
+
+const refreshed = ok({ token: accessToken, refresh_token: { type: "string" } });
+
+const withToken = ok({ message, token: accessToken, user: ref("User") });
+
+const throttled = "Too many failed attempts (LOGIN_THROTTLED); see Retry-After";
+
+export default {
+  "POST /login": {
+    summary: "Staff login",
+    description: "Directors and HODs with two-factor authentication get an `mfa_token` to send to /login/2fa; " +
+      "those who must enrol first get a `token` for /2fa/setup and /2fa/enable.",
+    responses: {
+      200: {
+        oneOf: [
+          ref("Login"),
+          ok({ message, two_factor_required: { type: "boolean", const: true }, mfa_token: restrictedToken }),
+          ok({ message, two_factor_setup_required: { type: "boolean", const: true }, token: restrictedToken }),
+        ],
+      },
+    },
+    errors: { 400: "Wrong email or password (INVALID_CREDENTIALS)", 429: throttled },
+  },
+  "POST /login/2fa": {
+    summary: "Finish a staff login with an authenticator or recovery code",
+    description: "Authenticate with the `mfa_token` from /login. Send `code` or `recovery_code`.",
+    responses: { 200: ref("Login") },
+    errors: { 400: "Wrong code (INVALID_MFA_CODE)", 429: throttled },
+  },
+  "POST /student/login": {
+    summary: "Student login",
+    description: "Students who must change their password get a restricted `token` for PUT /password only.",
+    responses: {
+      200: {
+        oneOf: [
+          ok({ message, token: accessToken, refresh_token: { type: "string" }, student: ref("StudentAccount") }),
+          ok({ message, must_change_password: { type: "boolean", const: true }, token: restrictedToken, student: ref("StudentAccount") }),
+        ],
+      },
+    },
+    errors: { 400: "Wrong hall ticket number or password (INVALID_CREDENTIALS)", 429: throttled },
+  },
+  "POST /refresh": {
+    summary: "Trade a refresh token for a new access token",
+    description: "Refresh tokens are single-use; the response carries the replacement.",
+    responses: { 200: refreshed },
+    errors: { 401: "Unknown, used or expired refresh token (INVALID_REFRESH_TOKEN)" },
+  },
+  "POST /logout": {
+    summary: "Sign out the current session",
+    responses: { 200: ref("Message") },
+  },
+  "GET /sessions": {
+    summary: "The caller's active sessions",
+    responses: { 200: ok({ sessions: arrayOf(ref("Session")) }) },
+  },
+  "DELETE /sessions/:id": {
+    summary: "Sign out one of the caller's sessions",
+    responses: { 200: ref("Message") },
+    errors: { 404: "Session not found" },
+  },
+  "DELETE /sessions": {
+    summary: "Sign out the caller's other sessions",
+    description: "With `include_current=true` the calling session is signed out too.",
+    responses: { 200: ref("Message") },
+  },
+  "DELETE /users/:id/sessions": {
+    summary: "Sign out every session of a staff user",
+    responses: { 200: ref("Message") },
+  },
+  "DELETE /students/:id/sessions": {
+    summary: "Sign out every session of a student",
+    responses: { 200: ref("Message") },
+  },
+  "POST /users/:id/impersonate": {
+    summary: "View the app as another staff user",
+    description: "Returns a read-only token that expires after a few minutes. Every request made with it is audited.",
+    responses: {
+      200: ok({
+        message,
+        token: accessToken,
+        expires_in: { type: "integer", description: "Seconds" },
+        read_only: { type: "boolean", const: true },
+        user: ref("User"),
+      }),
+    },
+    errors: { 400: "Impersonating yourself", 403: "Directors cannot be impersonated" },
+  },
+  "PUT /password": {
+    summary: "Change the caller's password",
+    description: "Also accepts the restricted token of an account that must change its password; " +
+      "that call returns a full token pair.",
+    responses: {
+      200: {
+        oneOf: [ref("Message"), ok({ message, token: accessToken, refresh_token: { type: "string" } })],
+      },
+    },
+    errors: {
+      400: "Wrong current password (INVALID_CREDENTIALS) or a weak new password (WEAK_PASSWORD)",
+      404: "Account not found",
+      429: throttled,
+    },
+  },
+  "POST /forgot-password": {
+    summary: "Email a password reset code",
+    description: "Send `email` (staff) or `hall_ticket_number` (students). " +
+      "The response is the same whether or not the account exists.",
+    responses: { 200: ref("Message") },
+  },
+  "POST /reset-password": {
+    summary: "Set a new password with a reset code",
+    description: "Send `email` or `hall_ticket_number` with the code.",
+    responses: { 200: ref("Message") },
+    errors: { 400: "Wrong or expired code (INVALID_RESET_CODE) or a weak password (WEAK_PASSWORD)" },
+  },
+  "POST /unlock-account": {
+    summary: "Clear the failed-login lock of an account",
+    description: "Send `email` or `hall_ticket_number`. HODs can only unlock accounts in their department.",
+    responses: { 200: ref("Message") },
+    errors: { 404: "Account not found" },
+  },
+  "POST /switch-role": {
+    summary: "Change the caller's active role",
+    responses: { 200: withToken },
+    errors: { 403: "The caller doesn't hold the role", 404: "User not found" },
+  },
+  "POST /switch-class": {
+    summary: "Select another of the class teacher's classes",
+    description: "Class teachers can also pick a class per request with the X-Class-Id header.",
+    responses: { 200: withToken },
+    errors: { 403: "Not the class teacher of this class", 404: "User not found" },
+  },
+  "POST /2fa/setup": {
+    summary: "Start two-factor enrolment",
+    description: "Returns a new secret to add to an authenticator app; confirm it with /2fa/enable. " +
+      "`current_password` is required unless the caller uses the enrolment token from /login.",
+    responses: {
+      200: ok({ secret: { type: "string", description: "Base32" }, otpauth_url: { type: "string", format: "uri" } }),
+    },
+    errors: {
+      400: "Wrong or missing current password (INVALID_CREDENTIALS)",
+      403: "Only directors and HODs use two-factor authentication",
+      409: "Already enabled",
+      429: throttled,
+    },
+  },
+  "POST /2fa/enable": {
+    summary: "Confirm the authenticator and turn on two-factor authentication",
+    description: "Starts a full session, like a login, and returns the recovery codes.",
+    responses: {
+      200: {
+        allOf: [ref("Login"), ok({ recovery_codes: recoveryCodes })],
+      },
+    },
+    errors: { 400: "Wrong code (INVALID_MFA_CODE) or /2fa/setup not called", 409: "Already enabled" },
+  },
+  "POST /2fa/recovery-codes": {
+    summary: "Replace the recovery codes",
+    responses: { 200: ok({ recovery_codes: recoveryCodes }) },
+    errors: { 400: "Wrong code (INVALID_MFA_CODE) or two-factor authentication is off", 429: throttled },
+  },
+  "POST /2fa/disable": {
+    summary: "Turn off two-factor authentication",
+    responses: { 200: ref("Message") },
+    errors: {
+      400: "Wrong password or code (INVALID_CREDENTIALS)",
+      403: "Mandatory for the caller's role",
+      429: throttled,
+    },
+  },
+};
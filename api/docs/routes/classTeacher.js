@@ -0,0 +1,115 @@
+import { arrayOf, message, ok, ref } from "../components.js";
+
+const noClass = "The teacher has no class selected";
+
+export default {
+  "GET /class-info": {
+    summary: "The teacher's selected class",
+    responses: {
+      200: ok({
+        class: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            division: { type: "string", description: "Same as name" },
+            year: { type: "integer" },
+            department_id: { type: "string" },
+          },
+        },
+      }),
+    },
+    errors: { 400: noClass, 404: "Class not found" },
+  },
+  "GET /faculties": {
+    summary: "Staff other than directors",
+    responses: { 200: ok({ faculties: arrayOf(ref("Staff")) }) },
+  },
+  "GET /students": {
+    summary: "Students of the class with their submission percentage",
+    responses: {
+      200: ok({
+        students: arrayOf({
+          allOf: [ref("Student"), { type: "object", properties: { submission_percentage: { type: "integer" } } }],
+        }),
+      }),
+    },
+    errors: { 400: noClass },
+  },
+  "GET /batches": {
+    summary: "Practical batches of the class",
+    responses: { 200: ok({ batches: arrayOf(ref("Batch")) }) },
+    errors: { 400: noClass },
+  },
+  "PUT /student/:id": {
+    summary: "Update a student",
+    description: "Only the fields sent are changed. Setting attendance_percent recalculates the defaulter flag " +
+      "unless `defaulter` is sent too. `electiveSelections` replaces the student's picks.",
+    responses: { 200: ok({ message, student: ref("Student") }) },
+    errors: { 404: "Student not found" },
+  },
+  "DELETE /student/:id": {
+    summary: "Delete a student",
+    responses: { 200: ref("Message") },
+    errors: { 404: "Student not found" },
+  },
+  "POST /subjects/assign": {
+    summary: "Create a class subject and assign its faculty",
+    description: "Theory subjects need `faculty_id`; practicals need one `faculty_assignments` entry per batch.",
+    responses: { 201: ok({ message, subject: ref("Subject"), assignments: arrayOf(ref("FacultyAssignment")) }) },
+    errors: { 400: "Missing faculty for the subject type, or an unknown class" },
+  },
+  "POST /create-batch": {
+    summary: "Create a batch and move the students in its roll number range",
+    responses: { 200: ok({ message, batch: ref("Batch") }) },
+    errors: { 400: "roll_start is greater than roll_end", 403: noClass },
+  },
+  "POST /import-students": {
+    summary: "Import students from an Excel sheet",
+    description: "The first sheet needs `roll_no`, `name`, `hall_ticket_number` and `attendance_percent` columns. " +
+      "Students whose hall ticket number exists are skipped.",
+    upload: "file",
+    responses: { 200: ref("Message") },
+    errors: { 400: "No file, an empty sheet or missing columns" },
+  },
+  "GET /subjects": {
+    summary: "Subjects the caller teaches",
+    description: "Class teachers get their class's subjects as `{ id, name, code }`. " +
+      "Faculty get every subject they teach, electives included, and each entry also has `type`.",
+    responses: { 200: ok({ subjects: ref("SubjectsByKind") }) },
+    errors: { 400: noClass },
+  },
+  "GET /availability": {
+    summary: "Whether the teacher is marked available",
+    responses: { 200: ok({ isAvailable: { type: "boolean" } }) },
+  },
+  "PUT /availability": {
+    summary: "Mark the teacher available for some subjects",
+    description: "Going offline clears the subjects.",
+    responses: {
+      200: ok({ isAvailable: { type: "boolean" }, selectedSubjects: arrayOf({ type: "string", description: "Subject code" }) }),
+    },
+    errors: { 400: "Unknown subject codes" },
+  },
+  "GET /available-subjects": {
+    summary: "Subjects the teacher is marked available for",
+    responses: {
+      200: ok({ isAvailable: { type: "boolean" }, selectedSubjects: arrayOf({ type: "string", description: "Subject code" }) }),
+    },
+  },
+  "GET /elective-subjects/:studentId": {
+    summary: "A student's elective options and picks",
+    responses: { 200: ok({ electives: ref("ElectiveOptions"), currentSelections: ref("ElectiveSelection") }) },
+    errors: { 404: "Student or class not found" },
+  },
+  "PUT /unlock-student-selections/:studentId": {
+    summary: "Let a student change their elective picks again",
+    responses: { 200: ref("Message") },
+    errors: { 404: "Student not found" },
+  },
+  "DELETE /subjects/:id": {
+    summary: "Delete a class subject and its faculty assignments",
+    responses: { 200: ref("Message") },
+    errors: { 400: noClass, 404: "Subject not found" },
+  },
+};
@@ -0,0 +1,20 @@
+import { arrayOf, message, ok, ref } from "../components.js";
+
+export default {
+  "POST /assign-defaulter-work": {
+    summary: "Give the subject's defaulter students extra work",
+    description: "With `skip` the students are excused instead. Returns 200 when the subject has no defaulters.",
+    responses: {
+      200: ref("Message"),
+      201: ok({ message, total_assigned: { type: "integer" } }),
+    },
+  },
+  "GET /submissions": {
+    summary: "The latest defaulter work the faculty member gave per subject",
+    responses: { 200: ok({ submissions: arrayOf(ref("DefaulterWork")) }) },
+  },
+  "DELETE /submissions/:subject_id": {
+    summary: "Withdraw the faculty member's defaulter work for a subject",
+    responses: { 200: ref("Message") },
+  },
+};
@@ -0,0 +1,107 @@
+import { API_KEY_SCOPES } from "../../utils/apiKeys.js";
+import { arrayOf, message, nullable, ok, ref } from "../components.js";
+
+export default {
+  "GET /profile": {
+    summary: "The director's profile",
+    responses: { 200: ok({ user: ref("Staff") }) },
+    errors: { 404: "User not found" },
+  },
+  "GET /departments": {
+    summary: "Departments with their HOD",
+    responses: {
+      200: ok({
+        departments: arrayOf({
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            hod: nullable("string"),
+            hod_id: nullable("string"),
+          },
+        }),
+      }),
+    },
+  },
+  "GET /hods": {
+    summary: "Staff who can be made HOD",
+    responses: { 200: ok({ hods: arrayOf(ref("Staff")) }) },
+  },
+  "POST /departments": {
+    summary: "Create a department",
+    responses: { 201: ok({ department: ref("Department") }) },
+  },
+  "POST /assign-hod": {
+    summary: "Make a staff user the HOD of a department",
+    description: "The department's previous HOD loses it; the user keeps their other roles.",
+    responses: { 200: ok({ message, data: ref("StaffRecord") }) },
+    errors: { 404: "Department or user not found" },
+  },
+  "DELETE /departments/:id": {
+    summary: "Delete a department",
+    responses: { 200: ref("Message") },
+  },
+  "DELETE /faculty/:id": {
+    summary: "Delete a staff user",
+    responses: { 200: ref("Message") },
+    errors: { 404: "User not found" },
+  },
+  "GET /department-statistics": {
+    summary: "Submission rate per department",
+    responses: {
+      200: ok({
+        statistics: arrayOf({
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            submissionRate: { type: "integer", description: "Percent of students with a completed submission" },
+            totalStudents: { type: "integer" },
+            completedStudents: { type: "integer" },
+            classCount: { type: "integer" },
+          },
+        }),
+      }),
+    },
+  },
+  "GET /api-keys": {
+    summary: "Integration API keys",
+    responses: {
+      200: ok({
+        api_keys: arrayOf(ref("ApiKey")),
+        available_scopes: {
+          type: "object",
+          description: "Scope name to description",
+          properties: Object.fromEntries(Object.entries(API_KEY_SCOPES).map(([scope, text]) => [scope, { type: "string", const: text }])),
+        },
+      }),
+    },
+  },
+  "POST /api-keys": {
+    summary: "Create an integration API key",
+    description: "The key is only returned here; the server keeps its hash.",
+    responses: { 201: ok({ message, key: { type: "string" }, api_key: ref("ApiKey") }) },
+  },
+  "DELETE /api-keys/:id": {
+    summary: "Revoke an API key",
+    responses: { 200: ref("Message") },
+    errors: { 404: "API key not found or already revoked" },
+  },
+  "GET /api-keys/:id/usage": {
+    summary: "Recent requests made with an API key",
+    responses: {
+      200: ok({
+        usage: arrayOf({
+          type: "object",
+          properties: {
+            method: { type: "string" },
+            path: { type: "string" },
+            status_code: nullable("integer"),
+            ip: nullable("string"),
+            created_at: { type: "string", format: "date-time" },
+          },
+        }),
+      }),
+    },
+  },
+};
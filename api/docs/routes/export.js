@@ -0,0 +1,52 @@
+import { arrayOf, ok } from "../components.js";
+
+export default {
+  "GET /class-data": {
+    summary: "The class's submission sheet, for spreadsheet export",
+    responses: {
+      200: ok({
+        data: {
+          type: "object",
+          properties: {
+            classInfo: { type: "object", properties: { name: { type: "string" }, year: { type: "integer" } } },
+            students: arrayOf({
+              type: "object",
+              properties: {
+                roll_no: { type: "integer" },
+                name: { type: "string" },
+                batch: { type: "string", description: "\"-\" without a batch" },
+                defaulter: { type: "boolean" },
+                submissions: {
+                  type: "object",
+                  description: "Keyed by subject id",
+                  additionalProperties: {
+                    type: "object",
+                    properties: {
+                      subject_name: { type: "string" },
+                      subject_code: { type: "string" },
+                      subject_type: { type: "string" },
+                      cie: { type: "string", description: "Status, or \"N/A\" for practicals" },
+                      ta: { type: "string" },
+                      defaulter: { type: "string", description: "Status, or \"-\" when it doesn't apply" },
+                    },
+                  },
+                },
+              },
+            }),
+            subjects: arrayOf({
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                name: { type: "string" },
+                code: { type: "string" },
+                type: { type: "string" },
+                isElective: { type: "boolean" },
+              },
+            }),
+          },
+        },
+      }),
+    },
+    errors: { 400: "The teacher has no class selected", 404: "Class not found" },
+  },
+};
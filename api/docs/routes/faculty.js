@@ -0,0 +1,38 @@
+import { arrayOf, ok, ref } from "../components.js";
+
+const status = { type: "string", enum: ["pending", "completed"] };
+
+export default {
+  "GET /subjects": {
+    summary: "Subjects the faculty member teaches, electives included",
+    responses: { 200: ok({ subjects: arrayOf(ref("SubjectSummary")) }) },
+  },
+  "GET /students": {
+    summary: "Students the faculty member teaches, one entry per student and subject",
+    description: "Practicals only include the faculty member's batches; electives only the students who picked them.",
+    responses: {
+      200: ok({
+        students: arrayOf({
+          allOf: [
+            ref("Student"),
+            {
+              type: "object",
+              properties: {
+                subject_id: { type: "string" },
+                subject_name: { type: "string" },
+                subject_code: { type: "string" },
+                subject_type: { type: "string" },
+                ta_status: status,
+                cie_status: status,
+                defaulter_status: status,
+                submission_percentage: { type: "integer" },
+                total_submissions: { type: "integer" },
+                completed_submissions: { type: "integer" },
+              },
+            },
+          ],
+        }),
+      }),
+    },
+  },
+};
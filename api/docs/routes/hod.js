@@ -0,0 +1,183 @@
+import { arrayOf, message, nullable, ok, ref } from "../components.js";
+
+const noDepartment = "The HOD has no department";
+
+const classResponse = ok({ message, data: ref("Class") });
+
+export default {
+  "GET /profile": {
+    summary: "The HOD's profile with the department name",
+    responses: {
+      200: ok({
+        user: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            email: { type: "string" },
+            role: { type: "string" },
+            department_id: nullable("string"),
+            department_name: { type: "string" },
+          },
+        },
+      }),
+    },
+    errors: { 404: "User not found" },
+  },
+  "GET /classes": {
+    summary: "Classes of the HOD's department",
+    responses: {
+      200: ok({
+        classes: arrayOf({
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            year: { type: "integer" },
+            total_students: { type: "integer" },
+            teacher: { type: "string", description: "Class teacher's name, or \"Not Assigned\"" },
+            teacher_id: nullable("string"),
+            created_at: { type: "string", format: "date-time" },
+          },
+        }),
+      }),
+    },
+    errors: { 403: noDepartment },
+  },
+  "GET /faculties": {
+    summary: "Staff of the HOD's department",
+    responses: { 200: ok({ faculties: arrayOf(ref("Staff")) }) },
+    errors: { 403: noDepartment },
+  },
+  "GET /class-teachers": {
+    summary: "Teachers who can be given a class",
+    description: "Faculty and class teachers of the department, and those without a department.",
+    responses: { 200: ok({ teachers: arrayOf(ref("Staff")) }) },
+    errors: { 403: noDepartment },
+  },
+  "POST /classes": {
+    summary: "Create a class in the HOD's department",
+    responses: { 201: classResponse },
+    errors: { 400: "The teacher already has this class" },
+  },
+  "PUT /classes/:id": {
+    summary: "Update a class",
+    responses: { 200: classResponse },
+    errors: { 404: "Class not found" },
+  },
+  "DELETE /classes/:id": {
+    summary: "Delete a class",
+    responses: { 200: ref("Message") },
+    errors: { 404: "Class not found" },
+  },
+  "GET /offered-subjects": {
+    summary: "Electives the department offers",
+    responses: {
+      200: ok({
+        subjects: arrayOf({
+          type: "object",
+          properties: {
+            id: { type: "string", description: "Offering id" },
+            subject_code: { type: "string" },
+            subject_name: { type: "string" },
+            type: { type: "string" },
+            faculties: arrayOf({ type: "string", description: "Faculty name" }),
+            semester: nullable("integer"),
+            year: nullable("integer"),
+            created_at: { type: "string", format: "date-time" },
+          },
+        }),
+      }),
+    },
+    errors: { 403: noDepartment },
+  },
+  "DELETE /offered-subjects/:id": {
+    summary: "Stop offering an elective",
+    responses: { 200: ref("Message") },
+    errors: { 404: "Subject not found" },
+  },
+  "POST /add-offered-subject": {
+    summary: "Offer a new elective with the faculty who teach it",
+    responses: {
+      201: ok({
+        message,
+        data: {
+          type: "object",
+          properties: {
+            subject: ref("Subject"),
+            department_offered_subject: {
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                subject_id: { type: "string" },
+                department_id: { type: "string" },
+                faculty_ids: arrayOf({ type: "string" }),
+                semester: nullable("integer"),
+                year: nullable("integer"),
+              },
+            },
+            faculty_subjects: arrayOf(ref("FacultyAssignment")),
+          },
+        },
+      }),
+    },
+    errors: { 400: "The subject code or offering already exists" },
+  },
+  "GET /year-statistics": {
+    summary: "Submission progress per year of the department",
+    responses: {
+      200: ok({
+        statistics: arrayOf({
+          type: "object",
+          properties: {
+            year: { type: "integer" },
+            yearName: { type: "string", examples: ["Second Year"] },
+            percentage: { type: "integer" },
+            totalStudents: { type: "integer" },
+            completedStudents: { type: "integer" },
+            defaulterCount: { type: "integer" },
+            classCount: { type: "integer" },
+          },
+        }),
+      }),
+    },
+  },
+  "POST /reset-faculty-password": {
+    summary: "Set a new password for a faculty member of the department",
+    description: "Signs the faculty member out of every session.",
+    responses: { 200: ref("Message") },
+    errors: { 403: "The user is not faculty of the HOD's department", 404: "Faculty not found" },
+  },
+  "POST /import-faculty": {
+    summary: "Invite faculty from an Excel sheet",
+    description: "The first sheet needs `name` and `email` columns; `designation` and `role` are optional. " +
+      "At most 500 rows. Every row gets an invitation email; existing accounts and duplicates are skipped.",
+    upload: "file",
+    responses: {
+      200: ok({
+        message,
+        summary: {
+          type: "object",
+          properties: {
+            invited: { type: "integer" },
+            skipped: { type: "integer" },
+            invalid: { type: "integer" },
+            failed: { type: "integer" },
+          },
+        },
+        results: arrayOf({
+          type: "object",
+          properties: {
+            row: { type: "integer", description: "Sheet row, counting the header as row 1" },
+            email: { type: "string" },
+            status: { type: "string", enum: ["invited", "skipped", "invalid", "failed"] },
+            invitation_id: { type: "string" },
+            reason: { type: "string" },
+            errors: arrayOf({ type: "string" }),
+          },
+        }),
+      }),
+    },
+    errors: { 400: "No file, an unreadable or empty sheet, too many rows or missing columns", 403: noDepartment },
+  },
+};
@@ -0,0 +1,28 @@
+import { arrayOf, ok, ref } from "../components.js";
+
+export default {
+  "GET /clearance": {
+    summary: "Exam clearance of one student or a whole class",
+    description: "Pass `hall_ticket_number` or `class_id`. A student is cleared when every required submission is completed.",
+    responses: { 200: ok({ students: arrayOf(ref("Clearance")) }) },
+    errors: { 404: "Student not found" },
+  },
+  "POST /attendance": {
+    summary: "Update attendance from an external system",
+    description: "Each record is applied on its own and the defaulter flag follows the new attendance. " +
+      "Bad records are reported in `results` without failing the batch.",
+    responses: {
+      200: ok({
+        updated: { type: "integer" },
+        results: arrayOf({
+          type: "object",
+          properties: {
+            hall_ticket_number: { type: "string" },
+            status: { type: "string", enum: ["updated", "not_found", "invalid"] },
+            error: { type: "string" },
+          },
+        }),
+      }),
+    },
+  },
+};
@@ -0,0 +1,51 @@
+import { arrayOf, message, nullable, ok, ref } from "../components.js";
+
+export default {
+  "POST /": {
+    summary: "Invite a staff member by email",
+    description: "Directors pick the department; HODs invite into their own.",
+    responses: { 201: ok({ message, invitation: ref("Invitation") }) },
+    errors: { 409: "An account or pending invitation exists for the email (ACCOUNT_EXISTS, INVITATION_PENDING)" },
+  },
+  "GET /": {
+    summary: "Invitations, pending ones by default",
+    description: "HODs see their department's; directors can filter by `department_id`.",
+    responses: {
+      200: ok({
+        invitations: arrayOf({
+          allOf: [
+            ref("Invitation"),
+            {
+              type: "object",
+              properties: {
+                invited_by: nullable("string"),
+                accepted_at: nullable("string"),
+                revoked_at: nullable("string"),
+                last_sent_at: nullable("string"),
+                department_name: nullable("string"),
+                status: { type: "string", enum: ["pending", "accepted", "revoked", "expired"] },
+              },
+            },
+          ],
+        }),
+      }),
+    },
+  },
+  "POST /:id/resend": {
+    summary: "Email a fresh invitation link",
+    description: "The old link stops working. Also revives an expired invitation.",
+    responses: { 200: ok({ message, invitation: ref("Invitation") }) },
+    errors: { 409: "The invitation was accepted or revoked" },
+  },
+  "DELETE /:id": {
+    summary: "Revoke an invitation",
+    responses: { 200: ref("Message") },
+    errors: { 409: "The invitation was accepted or revoked" },
+  },
+  "POST /accept": {
+    summary: "Accept an invitation and set a password",
+    description: "Creates the staff account and logs it in.",
+    responses: { 201: ref("Login") },
+    errors: { 400: "Invalid or expired link, or a weak password (WEAK_PASSWORD)" },
+  },
+};
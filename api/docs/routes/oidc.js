@@ -0,0 +1,37 @@
+import { message, ok, ref } from "../components.js";
+
+const notConfigured = "Single sign-on is not configured";
+
+const restrictedToken = { type: "string", description: "Short-lived token only accepted by the next step" };
+
+export default {
+  "GET /login": {
+    summary: "Start a single sign-on login",
+    description: "Redirects the browser to the college identity provider.",
+    responses: { 302: "Redirect to the identity provider" },
+    errors: { 404: notConfigured, 502: "The identity provider is unreachable (IDP_UNAVAILABLE)" },
+  },
+  "GET /callback": {
+    summary: "Finish a single sign-on login",
+    description: "The identity provider redirects here. The verified email must belong to a staff account. " +
+      "When OIDC_POST_LOGIN_REDIRECT is set the browser is redirected there with the tokens in the URL fragment; " +
+      "otherwise the login response is returned. Accounts with two-factor authentication get the same " +
+      "`mfa_token` or enrolment `token` as from /api/auth/login instead of a session.",
+    responses: {
+      200: {
+        oneOf: [
+          ref("Login"),
+          ok({ message, two_factor_required: { type: "boolean", const: true }, mfa_token: restrictedToken }),
+          ok({ message, two_factor_setup_required: { type: "boolean", const: true }, token: restrictedToken }),
+        ],
+      },
+      302: "Redirect to the frontend with the tokens, or the second-factor token, in the URL fragment",
+    },
+    errors: {
+      400: "The login attempt is invalid or expired",
+      403: "No staff account, or several, for the email, or the email isn't verified",
+      404: notConfigured,
+      502: "The identity provider rejected the login (SSO_FAILED)",
+    },
+  },
+};
@@ -0,0 +1,118 @@
+import { arrayOf, message, nullable, ok, ref } from "../components.js";
+
+const submissionState = { type: "string", enum: ["pending", "completed"] };
+
+const portalSubject = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    code: nullable("string"),
+    name: { type: "string" },
+    faculty: { type: "string", description: "\"Not assigned\" when no faculty teaches it" },
+    facultyAvailable: { type: "boolean" },
+  },
+};
+
+const electiveSubject = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    code: nullable("string"),
+    name: { type: "string" },
+    faculty: { type: "string" },
+    description: { type: "string", examples: ["Open Elective"] },
+  },
+};
+
+export default {
+  "GET /dashboard": {
+    summary: "The student's profile, subjects and submission progress",
+    responses: {
+      200: ok({
+        student: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            rollNumber: { type: "integer" },
+            hallTicket: { type: "string" },
+            email: nullable("string"),
+            contact: nullable("string"),
+            defaulter: { type: "boolean" },
+            attendancePercent: { type: "number" },
+            submissionPercentage: { type: "integer" },
+          },
+        },
+        subjects: arrayOf({
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            code: nullable("string"),
+            name: { type: "string" },
+            type: { type: "string" },
+            facultyAvailable: { type: "boolean" },
+            submissions: {
+              type: "object",
+              properties: { cie: submissionState, ta: submissionState, defaulter: submissionState },
+            },
+          },
+        }),
+      }),
+    },
+    errors: { 400: "The student has no class (CLASS_NOT_ASSIGNED)", 404: "Student not found" },
+  },
+  "GET /subjects": {
+    summary: "The student's subjects by kind, with their faculty",
+    responses: {
+      200: ok({
+        subjects: {
+          type: "object",
+          properties: {
+            theory: arrayOf(portalSubject),
+            practical: arrayOf({ ...portalSubject, properties: { ...portalSubject.properties, batch: { type: "string" } } }),
+            mdm: arrayOf(electiveSubject),
+            oe: arrayOf(electiveSubject),
+            pe: arrayOf(electiveSubject),
+          },
+        },
+      }),
+    },
+    errors: { 400: "The student has no class (CLASS_NOT_ASSIGNED)" },
+  },
+  "GET /elective-subjects": {
+    summary: "Electives the student can choose from and the current picks",
+    responses: { 200: ok({ electives: ref("ElectiveOptions"), currentSelections: ref("ElectiveSelection") }) },
+    errors: { 404: "Class not found" },
+  },
+  "GET /defaulter-work": {
+    summary: "Defaulter work assigned to the student",
+    responses: {
+      200: ok({
+        defaulterWork: arrayOf({
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            subjectCode: { type: "string" },
+            subjectName: { type: "string" },
+            description: nullable("string"),
+            referenceLink: nullable("string"),
+            assignedDate: { type: "string", format: "date-time" },
+            status: submissionState,
+          },
+        }),
+      }),
+    },
+  },
+  "POST /select-elective": {
+    summary: "Pick a subject and faculty for an elective",
+    description: "200 when an earlier pick is replaced, 201 for the first pick.",
+    responses: { 200: ok({ message }), 201: ok({ message }) },
+    errors: { 400: "The faculty doesn't teach the subject", 403: "The selections are locked" },
+  },
+  "POST /lock-selections": {
+    summary: "Lock the student's elective selections",
+    description: "Only the class teacher can unlock them again.",
+    responses: { 200: ok({ message }) },
+    errors: { 400: "A required elective hasn't been picked" },
+  },
+};
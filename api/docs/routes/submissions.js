@@ -0,0 +1,102 @@
+import { arrayOf, message, nullable, ok, ref } from "../components.js";
+
+export default {
+  "GET /faculty-subjects": {
+    summary: "Subjects the faculty member can mark submissions for",
+    responses: {
+      200: ok({
+        subjects: {
+          type: "object",
+          properties: {
+            theory: arrayOf({
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                code: nullable("string"),
+                name: { type: "string" },
+                type: { type: "string" },
+                className: { type: "string" },
+              },
+            }),
+            practical: arrayOf({
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                code: nullable("string"),
+                name: { type: "string" },
+                type: { type: "string", const: "practical" },
+                className: { type: "string" },
+                batches: arrayOf({ type: "object", properties: { batch_id: { type: "string" }, batch_name: { type: "string" } } }),
+              },
+            }),
+          },
+        },
+      }),
+    },
+  },
+  "GET /types": {
+    summary: "Submission types",
+    responses: { 200: ok({ submission_types: arrayOf(ref("SubmissionType")) }) },
+  },
+  "GET /students": {
+    summary: "Students of a subject with their submission statuses",
+    description: "Only the students the caller teaches in that subject.",
+    responses: {
+      200: {
+        type: "object",
+        properties: {
+          success: { type: "boolean", const: true },
+          students: arrayOf({
+            type: "object",
+            properties: {
+              id: { type: "string" },
+              roll_no: { type: "integer" },
+              name: { type: "string" },
+              email: nullable("string"),
+              attendance_percent: { type: "number" },
+              defaulter: { type: "boolean" },
+              class_id: { type: "string" },
+              batch_id: nullable("string"),
+              submissions: {
+                type: "object",
+                description: "Status keyed by submission type name",
+                additionalProperties: ref("SubmissionStatus"),
+              },
+            },
+          }),
+          submission_types: arrayOf(ref("SubmissionType")),
+          subject_type: { type: "string", description: "Missing when the subject has no students" },
+        },
+        required: ["success", "students", "submission_types"],
+      },
+    },
+  },
+  "POST /mark-submission": {
+    summary: "Set a student's submission status for a subject",
+    description: "200 when the submission existed, 201 when it's recorded for the first time.",
+    responses: { 200: ok({ message }), 201: ok({ message }) },
+    errors: { 400: "Unknown submission_type" },
+  },
+  "GET /dashboard-statistics": {
+    summary: "Submission progress of the class teacher's class",
+    responses: {
+      200: ok({
+        statistics: {
+          type: "object",
+          properties: {
+            overallSubmission: { type: "integer", description: "Percent of students with any completed submission" },
+            submissionMarked: { type: "integer", description: "Percent of students with both CIE and TA completed" },
+            defaulterWorkSubmitted: { type: "integer", description: "Percent of defaulters who completed their work" },
+            totalStudents: { type: "integer" },
+            defaulterCount: { type: "integer" },
+          },
+        },
+      }),
+    },
+    errors: { 400: "The teacher has no class selected" },
+  },
+  "GET /subject-statistics": {
+    summary: "Submission progress per subject the faculty member teaches",
+    responses: { 200: ok({ subjects: arrayOf(ref("SubjectStatistics")) }) },
+  },
+};
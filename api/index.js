@@ -3,12 +3,29 @@ dotenv.config();
 
 import express from "express";
 import cors from "cors";
-import dbCheck from "./middlewares/dbCheck.js";
+import { recordMountPath, requestLogger } from "./middlewares/requestLogger.js";
+import { requestMetrics } from "./middlewares/metrics.js";
+import { rateLimit } from "./middlewares/rateLimit.js";
+import metricsRoutes from "./routes/metrics.js";
+import healthRoutes from "./routes/health.js";
+import { errorHandler, notFoundHandler } from "./middlewares/errorHandler.js";
+import { checkSchemaVersion } from "./db/schemaVersion.js";
+import { logger } from "./utils/logger.js";
 
 const app = express();
 
-app.use(dbCheck);
-app.use(cors());
+// Compare the database schema with the code at startup; /health/ready keeps reporting it
+checkSchemaVersion().then(schema => {
+  if (!schema.ok) logger.error(schema.error, { applied: schema.applied, expected: schema.expected });
+});
+
+// Vercel's proxy sets X-Forwarded-For; trust it so req.ip is the client address
+app.set("trust proxy", 1);
+
+app.use(requestLogger);
+app.use(requestMetrics);
+// Browsers only let the frontend read X-Request-Id when it's exposed
+app.use(cors({ exposedHeaders: ["X-Request-Id"] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -20,25 +37,26 @@ app.get("/", (req, res) => {
   });
 });
 
-import studentRoutes from './routes/students.js'
-import authRoutes from './routes/auth.js'
-import directorRoutes from "./routes/director.js";
-import hodRoutes from "./routes/hod.js"
-import classTeacherRoutes from "./routes/classTeacherRoutes.js"
-import facultyRoutes from "./routes/faculty.js"
-import defaulterRoutes from "./routes/defaulter.js"
-import submissionRoutes from "./routes/submissionRoute.js"
-import exportRoutes from "./routes/exportRoutes.js"
-
-app.use('/api/students', studentRoutes)
-app.use("/api/auth", authRoutes);
-app.use("/api/director", directorRoutes);
-app.use("/api/hod", hodRoutes)
-app.use("/api/class-teacher", classTeacherRoutes)
-app.use("/api/faculty", facultyRoutes)
-app.use("/api/defaulter/", defaulterRoutes)
-app.use("/api/submissions/", submissionRoutes)
-app.use("/api/export", exportRoutes);
+// Monitoring: Prometheus scrapes and load balancer / uptime probes
+app.use("/metrics", recordMountPath, metricsRoutes);
+app.use("/health", recordMountPath, healthRoutes);
+
+// Every API route shares the default budget; login and statistics routes add their own
+app.use(rateLimit("default"));
+
+import { routers } from "./routes/index.js";
+import docsRoutes from "./routes/docs.js";
+
+for (const { path, router } of routers) {
+  app.use(path, recordMountPath, router);
+}
+
+// OpenAPI spec and docs UI at /api/openapi.json and /api/docs
+app.use("/api", recordMountPath, docsRoutes);
+
+// Must come after every route
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // app.listen(process.env.PORT, () => {
 //   console.log(`Server running on port ${process.env.PORT}`);
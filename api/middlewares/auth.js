@@ -1,29 +1,162 @@
 import jwt from "jsonwebtoken";
+import { db } from "../db/index.js";
+import { findActiveApiKey, recordApiKeyUsage } from "../utils/apiKeys.js";
+import { recordAudit } from "../utils/audit.js";
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.js";
+
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Integration keys arrive as "Authorization: ApiKey <key>" or an X-API-Key header
+const readApiKey = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith("ApiKey ")) {
+    return authHeader.slice("ApiKey ".length).trim();
+  }
+  return req.headers["x-api-key"];
+};
+
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await findActiveApiKey(key);
+
+  if (!apiKey) {
+    throw new UnauthorizedError("Invalid, revoked or expired API key", { code: "INVALID_API_KEY" });
+  }
+
+  res.on("finish", () => {
+    recordApiKeyUsage({
+      api_key_id: apiKey.id,
+      method: req.method,
+      path: req.originalUrl,
+      status_code: res.statusCode,
+      ip: req.ip,
+    });
+  });
+
+  // requirePermission checks `scopes` instead of role grants for api_client
+  req.user = { id: apiKey.id, role: "api_client", name: apiKey.name, scopes: apiKey.scopes || [] };
+  next();
+};
+
+const authenticateRequest = ({ scopes, apiKeys, impersonation }) => async (req, res, next) => {
+  const apiKey = readApiKey(req);
+  if (apiKey) {
+    if (!apiKeys) {
+      throw new ForbiddenError("API keys cannot be used here");
+    }
+    return authenticateApiKey(req, res, next, apiKey);
+  }
 
-export const authenticateUser = (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ success: false, error: "No token provided" });
+    throw new UnauthorizedError("No token provided", { code: "TOKEN_MISSING" });
   }
 
   const token = authHeader.split(" ")[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // attach user id, role
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
-    return res.status(401).json({ success: false, error: "Invalid or expired token" });
+    throw new UnauthorizedError("Invalid or expired token", { code: "TOKEN_INVALID" });
+  }
+
+  if (decoded.scope) {
+    if (!scopes.includes(decoded.scope)) {
+      if (decoded.scope === "password_change") {
+        throw new ForbiddenError("You must change your password before continuing.", {
+          code: "PASSWORD_CHANGE_REQUIRED",
+          details: { scope: decoded.scope },
+        });
+      }
+      throw new ForbiddenError("Access denied", { details: { scope: decoded.scope } });
+    }
+
+    // Restricted tokens are short-lived and are not tied to a session
+    req.user = decoded;
+    return next();
+  }
+
+  // Impersonation tokens are read-only and can't manage the impersonated user's account
+  if (decoded.impersonator) {
+    if (!impersonation) {
+      throw new ForbiddenError("Not available while viewing as another user");
+    }
+    if (!READ_ONLY_METHODS.includes(req.method)) {
+      throw new ForbiddenError("Impersonation sessions are read-only", { code: "IMPERSONATION_READ_ONLY" });
+    }
+  }
+
+  // Every access token belongs to a server-side session that can be revoked early.
+  // Impersonation tokens carry the real actor's session, so they end when it does.
+  if (!decoded.sid) {
+    throw new UnauthorizedError("Session expired. Please log in again.", { code: "SESSION_EXPIRED" });
+  }
+
+  const { data: session, error } = await db
+    .from("auth_sessions")
+    .select("id, revoked_at")
+    .eq("id", decoded.sid)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!session || session.revoked_at) {
+    throw new UnauthorizedError("Session has been revoked", { code: "SESSION_REVOKED" });
+  }
+
+  // Class teachers with several classes may pick one per request
+  const requestedClassId = req.headers["x-class-id"];
+  if (requestedClassId && Array.isArray(decoded.class_ids)) {
+    if (!decoded.class_ids.includes(requestedClassId)) {
+      throw new ForbiddenError("You are not the class teacher of this class");
+    }
+    decoded.class_id = requestedClassId;
   }
+
+  // Tag every request made while viewing as someone else with the real actor
+  if (decoded.impersonator) {
+    res.on("finish", () => {
+      recordAudit({
+        actor_id: decoded.impersonator.id,
+        actor_type: decoded.impersonator.role,
+        action: "impersonation.request",
+        target_type: "user",
+        target_id: decoded.id,
+        details: { method: req.method, path: req.originalUrl, status_code: res.statusCode },
+        ip: req.ip,
+      });
+    });
+  }
+
+  req.user = decoded; // attach user id, role, session id, selected class, impersonator
+  next();
 };
 
+// Restricted tokens carry a `scope` claim and are only accepted by routes that
+// opt in to that scope, e.g. authenticate({ scopes: ["password_change"] }).
+// API keys and "view as" impersonation tokens are accepted unless `apiKeys` / `impersonation`
+// is false (routes acting on the caller's own session).
+export const authenticate = ({ scopes = [], apiKeys = true, impersonation = true } = {}) => {
+  const middleware = authenticateRequest({ scopes, apiKeys, impersonation });
+  // Kept on the middleware so the OpenAPI spec can show how the route authenticates
+  middleware.auth = { scopes, apiKeys, impersonation };
+  return middleware;
+};
+
+export const authenticateUser = authenticate();
+
+// For routes that only make sense for a logged-in person (logout, role switch, 2FA, sessions)
+export const authenticateSession = authenticate({ apiKeys: false, impersonation: false });
 
+
+// Checks the active role from the token, not every role the user holds;
+// users pick their active role through /api/auth/switch-role
 export const authorizeRoles = (...allowedRoles) => {
   return (req, res, next) => {
     if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({ success: false, error: "Access denied" });
+      throw new ForbiddenError("Access denied");
     }
     next();
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,70 @@
+import { AppError, ConflictError, NotFoundError, ValidationError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+// Postgres / PostgREST error codes that describe a bad request rather than a bug
+const DATABASE_ERRORS = {
+  "23505": () => new ConflictError("A record with these details already exists", { code: "ALREADY_EXISTS" }),
+  "23503": () => new ConflictError("The record refers to, or is still referred to by, another record", { code: "REFERENCE_CONFLICT" }),
+  "23514": () => new ValidationError("A value is outside the allowed range"),
+  "22P02": () => new ValidationError("A value has the wrong format", { code: "INVALID_FORMAT" }),
+  PGRST116: () => new NotFoundError(),
+};
+
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  // Supabase returns errors as { code, message, details, hint }
+  const databaseError = typeof err?.code === "string" && DATABASE_ERRORS[err.code];
+  if (databaseError) return databaseError();
+
+  // express.json() and friends
+  if (err?.type === "entity.parse.failed") {
+    return new ValidationError("Request body is not valid JSON", { code: "INVALID_JSON" });
+  }
+  if (err?.type === "entity.too.large") {
+    return new AppError("Request body is too large", { status: 413, code: "PAYLOAD_TOO_LARGE" });
+  }
+
+  if (err?.name === "MulterError") {
+    return new ValidationError(err.message, { code: "INVALID_UPLOAD" });
+  }
+
+  return null;
+};
+
+// Unknown routes get the same JSON shape as every other error
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`, { code: "ROUTE_NOT_FOUND" }));
+};
+
+// Registered last. Anything that isn't an AppError (or a database error we can
+// classify) is a bug: it's logged and the client only sees a generic 500, so
+// Supabase/PostgREST internals don't leak. Express needs all four parameters to
+// recognise an error handler.
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const appError = toAppError(err);
+
+  if (!appError) {
+    logger.error("Unhandled error", { error: err });
+    return res.status(500).json({ success: false, error: "Internal server error", code: "INTERNAL_ERROR" });
+  }
+
+  if (appError.status >= 500) {
+    logger.error("Request failed", { error: err, code: appError.code });
+  }
+
+  if (appError.retryAfter !== undefined) {
+    res.set("Retry-After", String(appError.retryAfter));
+  }
+
+  return res.status(appError.status).json({
+    success: false,
+    error: appError.message,
+    code: appError.code,
+    ...(appError.details !== undefined && { details: appError.details }),
+  });
+};
@@ -0,0 +1,21 @@
+import { getRequestContext, routeOf } from "../utils/logger.js";
+import { observeRequest } from "../utils/metrics.js";
+
+// Registered after requestLogger, whose request context carries the route and
+// the database call count
+export const requestMetrics = (req, res, next) => {
+  const context = getRequestContext();
+  const started = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    observeRequest({
+      method: req.method,
+      route: routeOf(context),
+      status: res.statusCode,
+      seconds: Number(process.hrtime.bigint() - started) / 1e9,
+      db_calls: context?.dbCalls ?? 0,
+    });
+  });
+
+  next();
+};
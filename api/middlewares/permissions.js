@@ -0,0 +1,210 @@
+import { db } from "../db/index.js";
+import { findClassById } from "../db/repositories/classes.js";
+import { findDepartmentById } from "../db/repositories/departments.js";
+import { findStudentById } from "../db/repositories/students.js";
+import { findSubjectById } from "../db/repositories/subjects.js";
+import { findUserById } from "../db/repositories/users.js";
+import { ForbiddenError, NotFoundError } from "../utils/errors.js";
+
+// role → permission → Set of scopes, loaded from role_permissions
+const CACHE_TTL_MS = 60 * 1000;
+let cachedGrants = null;
+let cachedAt = 0;
+
+const loadGrants = async () => {
+  if (cachedGrants && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedGrants;
+  }
+
+  const { data, error } = await db
+    .from("role_permissions")
+    .select("role, permission, scope");
+
+  if (error) throw error;
+
+  const grants = new Map();
+  (data || []).forEach(({ role, permission, scope }) => {
+    if (!grants.has(role)) grants.set(role, new Map());
+    const rolePermissions = grants.get(role);
+    if (!rolePermissions.has(permission)) rolePermissions.set(permission, new Set());
+    rolePermissions.get(permission).add(scope || "any");
+  });
+
+  cachedGrants = grants;
+  cachedAt = Date.now();
+  return grants;
+};
+
+export const clearPermissionCache = () => {
+  cachedGrants = null;
+};
+
+// Scopes granted to a role for a permission (empty when not granted)
+export const getPermissionScopes = async (role, permission) => {
+  const grants = await loadGrants();
+  return grants.get(role)?.get(permission) || new Set();
+};
+
+const teachesSubject = async (faculty_id, subject_id) => {
+  const { data: assigned, error: assignedError } = await db
+    .from("faculty_subjects")
+    .select("id")
+    .eq("faculty_id", faculty_id)
+    .eq("subject_id", subject_id)
+    .limit(1);
+
+  if (assignedError) throw assignedError;
+  if (assigned && assigned.length > 0) return true;
+
+  const { data: offered, error: offeredError } = await db
+    .from("department_offered_subjects")
+    .select("id")
+    .eq("subject_id", subject_id)
+    .contains("faculty_ids", [faculty_id])
+    .limit(1);
+
+  if (offeredError) throw offeredError;
+  if (offered && offered.length > 0) return true;
+
+  const { data: selected, error: selectedError } = await db
+    .from("student_subject_selection")
+    .select("id")
+    .or(
+      `and(mdm_id.eq.${subject_id},mdm_faculty_id.eq.${faculty_id}),` +
+      `and(oe_id.eq.${subject_id},oe_faculty_id.eq.${faculty_id}),` +
+      `and(pe_id.eq.${subject_id},pe_faculty_id.eq.${faculty_id})`
+    )
+    .limit(1);
+
+  if (selectedError) throw selectedError;
+  return Boolean(selected && selected.length > 0);
+};
+
+const withinScope = async (scope, user, target) => {
+  switch (scope) {
+    case "any":
+      return true;
+    case "own_class": {
+      const classIds = user.class_ids || (user.class_id ? [user.class_id] : []);
+      return Boolean(target.class_id) && classIds.includes(target.class_id);
+    }
+    case "own_department":
+      return Boolean(target.department_id) && target.department_id === user.department_id;
+    case "own_subject":
+      return Boolean(target.subject_id) && await teachesSubject(user.id, target.subject_id);
+    default:
+      return false;
+  }
+};
+
+const checkPermission = (permission, resource) => async (req, res, next) => {
+  if (req.user.role === "api_client") {
+    if (!req.user.scopes.includes(permission)) {
+      throw new ForbiddenError(`API key lacks the ${permission} scope`);
+    }
+    return next();
+  }
+
+  const scopes = await getPermissionScopes(req.user.role, permission);
+
+  if (scopes.size === 0) {
+    throw new ForbiddenError("Access denied");
+  }
+
+  if (!resource || scopes.has("any")) {
+    return next();
+  }
+
+  const target = await resource(req);
+
+  // No identifier in the request: the handler rejects it as invalid input
+  if (target === undefined) {
+    return next();
+  }
+
+  if (!target) {
+    throw new NotFoundError("Resource not found");
+  }
+
+  for (const scope of scopes) {
+    if (await withinScope(scope, req.user, target)) {
+      return next();
+    }
+  }
+
+  throw new ForbiddenError("Access denied");
+};
+
+// Allow the request when the active role holds `permission`.
+//
+// With a `resource` loader the granted scope is checked against the resource the
+// request targets; the loader resolves to { class_id, department_id, subject_id }
+// (whichever apply), null when the resource doesn't exist, or undefined when the
+// request doesn't name one. Without a loader the
+// handler is expected to limit itself to the caller's own class, department or subjects.
+//
+// API keys (role "api_client") are institution-wide: the key's scopes must list the permission.
+export const requirePermission = (permission, { resource } = {}) => {
+  const middleware = checkPermission(permission, resource);
+  // The OpenAPI spec lists the permission each route needs
+  middleware.permission = permission;
+  middleware.resource = Boolean(resource);
+  return middleware;
+};
+
+// Resource loaders for requirePermission
+
+export const studentResource = (param = "id") => async (req) => {
+  const { data, error } = await findStudentById(req.params[param], "id, class_id, classes ( department_id )");
+
+  if (error) throw error;
+  return data && { class_id: data.class_id, department_id: data.classes?.department_id };
+};
+
+export const staffResource = (param = "id") => async (req) => {
+  const { data, error } = await findUserById(req.params[param], "id, department_id");
+
+  if (error) throw error;
+  return data && { department_id: data.department_id };
+};
+
+export const classResource = (getClassId) => async (req) => {
+  const class_id = getClassId(req);
+  if (!class_id) return undefined;
+
+  const { data, error } = await findClassById(class_id, "id, department_id");
+
+  if (error) throw error;
+  return data && { class_id: data.id, department_id: data.department_id };
+};
+
+export const subjectResource = (getSubjectId) => async (req) => {
+  const subject_id = getSubjectId(req);
+  if (!subject_id) return undefined;
+
+  const { data, error } = await findSubjectById(subject_id, "id, class_id, department_id");
+
+  if (error) throw error;
+  return data && { subject_id: data.id, class_id: data.class_id, department_id: data.department_id };
+};
+
+export const departmentResource = (getDepartmentId) => async (req) => {
+  const department_id = getDepartmentId(req);
+  if (!department_id) return undefined;
+
+  const { data, error } = await findDepartmentById(department_id, "id");
+
+  if (error) throw error;
+  return data && { department_id: data.id };
+};
+
+export const invitationResource = (param = "id") => async (req) => {
+  const { data, error } = await db
+    .from("staff_invitations")
+    .select("id, department_id")
+    .eq("id", req.params[param])
+    .maybeSingle();
+
+  if (error) throw error;
+  return data && { department_id: data.department_id };
+};
@@ -0,0 +1,105 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { TooManyRequestsError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { createDatabaseStore, createMemoryStore } from "../utils/rateLimitStores.js";
+
+// Requests allowed per window for each budget. Override one with
+// RATE_LIMIT_<BUDGET>="<requests>/<seconds>", e.g. RATE_LIMIT_LOGIN="5/60".
+//   login       credential checks: logins, 2FA codes, password resets; counted per
+//               client and account
+//   statistics  the aggregate statistics endpoints, which read whole departments,
+//               and the student dashboard
+//   default     every other API route
+export const BUDGETS = {
+  login: { limit: 10, windowSeconds: 60 },
+  statistics: { limit: 30, windowSeconds: 60 },
+  default: { limit: 300, windowSeconds: 60 },
+};
+
+const budgetFor = (name) => {
+  const match = process.env[`RATE_LIMIT_${name.toUpperCase()}`]?.match(/^(\d+)\/(\d+)$/);
+  return match ? { limit: Number(match[1]), windowSeconds: Number(match[2]) } : BUDGETS[name];
+};
+
+const STORES = { memory: createMemoryStore, database: createDatabaseStore };
+const stores = new Map();
+
+// RATE_LIMIT_STORE picks where counts live: "memory" (default, per instance),
+// "database" (shared by every instance) or "off"
+const getStore = () => {
+  const kind = (process.env.RATE_LIMIT_STORE || "memory").toLowerCase();
+  if (kind === "off") return null;
+  if (!STORES[kind]) throw new Error(`Unknown RATE_LIMIT_STORE: ${kind}`);
+
+  if (!stores.has(kind)) stores.set(kind, STORES[kind]());
+  return stores.get(kind);
+};
+
+// Signed-in callers are counted per user wherever they connect from; everyone
+// else (including API keys and bad tokens) per IP. Impersonation counts against
+// the real actor.
+const clientKey = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader?.startsWith("Bearer ")) {
+    try {
+      const decoded = jwt.verify(authHeader.slice("Bearer ".length), process.env.JWT_SECRET);
+      return `user:${decoded.impersonator?.id ?? decoded.id}`;
+    } catch {
+      // Counted by IP below
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+// Credential checks also count per account named in the body, so one lab behind a
+// NAT address doesn't share ten attempts a minute; loginThrottle still locks out an
+// IP that tries many accounts. The identifier is hashed to keep emails out of the store.
+const bucketKey = (budget, req) => {
+  const key = `${budget}:${clientKey(req)}`;
+  const account = budget === "login" ? req.body?.email ?? req.body?.hall_ticket_number : undefined;
+  if (account === undefined || account === null) return key;
+
+  const accountHash = crypto.createHash("sha256").update(String(account).trim().toLowerCase()).digest("base64url");
+  return `${key}:${accountHash}`;
+};
+
+// rateLimit("login") counts each request against the budget and rejects it with
+// 429 and Retry-After once the caller's window is used up. Every response carries
+// RateLimit-Limit/-Remaining/-Reset for the budget checked last (the route's own).
+export const rateLimit = (budget) => {
+  const middleware = async (req, res, next) => {
+    const store = getStore();
+    if (!store) return next();
+
+    const { limit, windowSeconds } = budgetFor(budget);
+    let window;
+    try {
+      window = await store.hit(bucketKey(budget, req), windowSeconds);
+    } catch (err) {
+      // An unavailable counter store shouldn't take the API down with it
+      logger.error("Rate limit store failed; request allowed", { budget, error: err });
+      return next();
+    }
+
+    const reset = Math.max(1, Math.ceil((window.resetAt - Date.now()) / 1000));
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(0, limit - window.count)),
+      "RateLimit-Reset": String(reset),
+    });
+
+    if (window.count > limit) {
+      throw new TooManyRequestsError(`Too many requests. Try again in ${reset} seconds.`, {
+        retryAfter: reset,
+        details: { retry_after: reset, budget },
+      });
+    }
+
+    next();
+  };
+
+  // The OpenAPI spec documents the 429 of routes with their own budget
+  middleware.rateLimit = budget;
+  return middleware;
+};
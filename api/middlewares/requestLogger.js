@@ -0,0 +1,48 @@
+import { randomUUID } from "node:crypto";
+import { getRequestContext, logger, routeOf, runWithRequestContext } from "../utils/logger.js";
+
+// Ids from a proxy or the caller are reused so one id follows the request
+// through every system; anything odd-looking is replaced
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const levelFor = (status) => {
+  if (status >= 500) return "error";
+  if (status >= 400) return "warn";
+  return "info";
+};
+
+// Registered first: gives the request an id, echoes it in X-Request-Id and logs
+// one line per request when the response has been sent
+export const requestLogger = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  // dbCalls is counted by the db client (utils/metrics.js)
+  const context = { requestId, req, dbCalls: 0 };
+  const started = process.hrtime.bigint();
+
+  res.set("X-Request-Id", requestId);
+
+  res.on("finish", () => {
+    runWithRequestContext(context, () => {
+      logger[levelFor(res.statusCode)]("request completed", {
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        route: routeOf(context),
+        status: res.statusCode,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+        db_calls: context.dbCalls,
+        ip: req.ip,
+      });
+    });
+  });
+
+  runWithRequestContext(context, next);
+};
+
+// Express resets req.baseUrl before error handlers run, so the router's mount
+// path is kept for the route label: app.use(path, recordMountPath, router)
+export const recordMountPath = (req, res, next) => {
+  const context = getRequestContext();
+  if (context) context.mountPath = req.baseUrl;
+  next();
+};
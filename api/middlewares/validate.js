@@ -0,0 +1,69 @@
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { ValidationError } from "../utils/errors.js";
+
+// Params and query strings are always strings and multipart bodies (multer) are
+// too, so values are coerced to the schema type: "5" passes as 5, "abc" doesn't.
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true });
+addFormats(ajv);
+
+const LOCATIONS = ["params", "query", "body"];
+
+const describe = (error) => {
+  switch (error.keyword) {
+    case "required":
+      return "is required";
+    case "additionalProperties":
+      return "is not allowed";
+    case "enum":
+      return `must be one of: ${error.params.allowedValues.join(", ")}`;
+    default:
+      return error.message;
+  }
+};
+
+// One entry per problem: { in: "body", field: "attendance_percent", message: "must be number" }
+const toDetail = (location, error) => {
+  const path = error.instancePath.split("/").filter(Boolean);
+  if (error.keyword === "required") path.push(error.params.missingProperty);
+  if (error.keyword === "additionalProperties") path.push(error.params.additionalProperty);
+
+  return { in: location, field: path.join(".") || location, message: describe(error) };
+};
+
+// validate({ params, query, body }) checks each part of the request against its
+// JSON schema (see api/schemas) and rejects the request with a 400 listing every
+// problem. Coerced and defaulted values replace the originals.
+// The schemas stay on the middleware for the API docs.
+export const validate = (schemas) => {
+  const validators = LOCATIONS
+    .filter(location => schemas[location])
+    .map(location => [location, ajv.compile(schemas[location])]);
+
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    for (const [location, check] of validators) {
+      // Express 5 leaves req.body undefined without a body, and re-parses req.query on every read
+      const value = location === "body" ? req.body ?? {} : location === "query" ? { ...req.query } : req[location];
+
+      if (!check(value)) {
+        details.push(...check.errors.map(error => toDetail(location, error)));
+        continue;
+      }
+
+      if (location === "params") continue;
+      Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true });
+    }
+
+    if (details.length > 0) {
+      const summary = details.map(detail => `${detail.field} ${detail.message}`).join("; ");
+      throw new ValidationError(`Invalid request: ${summary}`, { details });
+    }
+
+    next();
+  };
+
+  middleware.schemas = schemas;
+  return middleware;
+};
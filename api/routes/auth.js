@@ -3,234 +3,833 @@ import express from "express";
 // import bcrypt from "bcrypt";
 import bcrypt from "bcryptjs";
 
-import jwt from "jsonwebtoken";
-
-import { supabase } from '../db/supabaseClient.js'
-import { authenticateUser, authorizeRoles } from "../middlewares/auth.js";
+import { db } from '../db/index.js'
+import { authenticate, authenticateSession, authenticateUser, authorizeRoles } from "../middlewares/auth.js";
+import { requirePermission, staffResource, studentResource } from "../middlewares/permissions.js";
+import { validate } from "../middlewares/validate.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import * as schemas from "../schemas/auth.js";
+import {
+  clientInfo,
+  createSession,
+  IMPERSONATION_TTL_MINUTES,
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  signAccessToken,
+  signImpersonationToken,
+  signRestrictedToken,
+  updateSession,
+} from "../utils/tokens.js";
+import { getUserRoles } from "../utils/roles.js";
+import { buildStudentClaims, buildUserClaims, formatUser, startUserSession } from "../utils/authSession.js";
+import { checkPasswordStrength } from "../utils/passwordPolicy.js";
+import { consumeResetCode, createResetCode, findResetAccount } from "../utils/passwordReset.js";
+import { sendMail } from "../utils/mailer/index.js";
+import { accountKey, clearLoginFailures, getRetryAfter, ipKey, recordLoginFailure } from "../utils/loginThrottle.js";
+import { recordAudit } from "../utils/audit.js";
+import { canUseMfa, generateRecoveryCodes, isMfaRequired, secondFactorStep, verifySecondFactor } from "../utils/mfa.js";
+import { buildOtpauthUri, generateSecret, verifyCode } from "../utils/totp.js";
+import { findStudentByHallTicket, findStudentById } from "../db/repositories/students.js";
+import { findUserByEmail, findUserById, updateUser } from "../db/repositories/users.js";
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  UnauthorizedError,
+  ValidationError,
+} from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
 
 
 const router = express.Router();
 
+// Reject the attempt early while the account or IP is backing off or locked
+const rejectIfThrottled = async (keys) => {
+  const retryAfter = await getRetryAfter(keys);
+  if (retryAfter === 0) return;
+
+  throw new TooManyRequestsError(`Too many failed login attempts. Try again in ${retryAfter} seconds.`, {
+    code: "LOGIN_THROTTLED",
+    retryAfter,
+    details: { retry_after: retryAfter },
+  });
+};
+
+// Re-check the password before a sensitive change made with an access token.
+// Wrong guesses count towards the same lockout as /login.
+const confirmPassword = async (req, throttleKey, password, hash) => {
+  const throttleKeys = [throttleKey, ipKey(req.ip)];
+  await rejectIfThrottled(throttleKeys);
+
+  if (!password || !(await bcrypt.compare(password, hash))) {
+    await recordLoginFailure(throttleKeys, { ip: req.ip });
+    return false;
+  }
 
-// POST /api/auth/register
-// router.post("/register", async (req, res) => {
-//   try {
-//     const { name, email, password, role, department_id } = req.body;
-
-//     if (!name || !email || !password || !role) {
-//       return res.status(400).json({ success: false, error: "All fields are required." });
-//     }
-
-//     // Check if user already exists
-//     const { data: existingUser } = await supabase
-//       .from("users")
-//       .select("*")
-//       .eq("email", email)
-//       .single();
-
-//     if (existingUser) {
-//       return res.status(400).json({ success: false, error: "User already exists." });
-//     }
-
-//     // Hash password before saving
-//     const hashedPassword = await bcrypt.hash(password, 10);
-
-//     // Insert new user
-//     const { data, error } = await supabase
-//       .from("users")
-//       .insert([{ name, email, password: hashedPassword, role, department_id }])
-//       .select();
-
-//     if (error) throw error;
-
-//     res.status(201).json({ success: true, message: "User registered successfully", data });
-//   } catch (err) {
-//     console.error(err);
-//     res.status(500).json({ success: false, error: err.message });
-//   }
-// });
-
-router.post("/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        error: "Email and password are required.",
-      });
-    }
+  await clearLoginFailures([throttleKey]);
+  return true;
+};
 
-    // Fetch user by email
-    const { data: user, error: userError } = await supabase
-      .from("users")
-      .select("*")
-      .eq("email", email)
-      .single();
-
-    if (userError || !user) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid credentials.",
-      });
-    }
+// Same for the authenticator or recovery code of an account with 2FA, counted like /login/2fa
+const confirmSecondFactor = async (req, user, factor) => {
+  const throttleKeys = [accountKey("mfa", user.id), ipKey(req.ip)];
+  await rejectIfThrottled(throttleKeys);
 
-    // Validate password
-    const isMatch = await bcrypt.compare(password, user.password);
+  if (!(await verifySecondFactor(user, factor))) {
+    await recordLoginFailure(throttleKeys, { ip: req.ip });
+    return false;
+  }
 
-    if (!isMatch) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid credentials.",
-      });
-    }
+  await clearLoginFailures([throttleKeys[0]]);
+  return true;
+};
 
-    // Base JWT payload
-    let payload = {
-      id: user.id,
-      role: user.role,
-    };
+router.post("/login", rateLimit("login"), validate(schemas.login), async (req, res) => {
+  const { email, password } = req.body;
 
-    // Add class_id if user is class_teacher
-    if (user.role === "class_teacher") {
-      const { data: classData, error: classError } = await supabase
-        .from("classes")
-        .select("id")
-        .eq("class_teacher_id", user.id)
-        .limit(1);
-
-      if (classError) {
-        console.error("Error fetching class for class_teacher:", classError);
-      }
-
-      if (classData && classData.length > 0) {
-        payload.class_id = classData[0].id; // UUID
-      } else {
-        console.warn(`No class found for class_teacher_id = ${user.id}`);
-      }
-    }
+  const throttleKeys = [accountKey("user", email), ipKey(req.ip)];
+  await rejectIfThrottled(throttleKeys);
 
-    // Add department_id if user is HOD
-    if (user.role === "hod") {
-      const { data: hodData, error: hodError } = await supabase
-        .from("users")
-        .select("department_id")
-        .eq("id", user.id)
-        .single();
-
-      if (hodError) {
-        console.error("Error fetching department for HOD:", hodError);
-        throw new Error("Unable to fetch department for HOD");
-      }
-
-      if (hodData?.department_id) {
-        payload.department_id = hodData.department_id;
-      } else {
-        throw new Error(`No department_id found for HOD with user ID: ${user.id}`);
-      }
-    }
+  // Fetch user by email
+  const { data: user, error: userError } = await findUserByEmail(email);
+
+  // Validate password
+  const isMatch = !userError && user && await bcrypt.compare(password, user.password);
+
+  if (!isMatch) {
+    await recordLoginFailure(throttleKeys, { ip: req.ip });
+    throw new ValidationError("Invalid credentials.", { code: "INVALID_CREDENTIALS" });
+  }
+
+  await clearLoginFailures([throttleKeys[0]]);
+
+  // The password alone is not enough once 2FA is enabled or required
+  const secondFactor = secondFactorStep(user);
+  if (secondFactor) {
+    return res.status(200).json(secondFactor);
+  }
+
+  // Response
+  res.status(200).json(await startUserSession(user, clientInfo(req)));
+});
+
+// Second login step for accounts with 2FA: exchange the mfa_token from /login
+// plus an authenticator code (or a recovery code) for a session
+router.post("/login/2fa", rateLimit("login"), authenticate({ scopes: ["mfa_login"], apiKeys: false }), validate(schemas.loginTwoFactor), async (req, res) => {
+  const { code, recovery_code } = req.body;
+
+  if (req.user.scope !== "mfa_login") {
+    throw new ValidationError("Send the mfa_token from /login as the bearer token.");
+  }
+
+  if (!code && !recovery_code) {
+    throw new ValidationError("An authenticator code or a recovery code is required.");
+  }
+
+  const throttleKeys = [accountKey("mfa", req.user.id), ipKey(req.ip)];
+  await rejectIfThrottled(throttleKeys);
+
+  const { data: user, error } = await findUserById(req.user.id);
+
+  if (error) throw error;
+
+  if (!user || !user.totp_enabled) {
+    throw new ValidationError("Two-factor authentication is not enabled.");
+  }
 
+  const isValid = await verifySecondFactor(user, { code, recovery_code });
+  if (!isValid) {
+    await recordLoginFailure(throttleKeys, { ip: req.ip });
+    throw new ValidationError("Invalid authentication code.", { code: "INVALID_MFA_CODE" });
+  }
+
+  await clearLoginFailures([throttleKeys[0]]);
 
-    // Generate JWT token
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: "7d",
+  if (recovery_code) {
+    await recordAudit({
+      actor_id: user.id,
+      actor_type: user.role,
+      action: "mfa.recovery_code_used",
+      target_type: "user",
+      target_id: user.id,
+      ip: req.ip,
     });
+  }
+
+  return res.status(200).json(await startUserSession(user, clientInfo(req)));
+});
+
+router.post("/student/login", rateLimit("login"), validate(schemas.studentLogin), async (req, res) => {
+  const { hall_ticket_number, password } = req.body;
+
+  const throttleKeys = [accountKey("student", hall_ticket_number), ipKey(req.ip)];
+  await rejectIfThrottled(throttleKeys);
+
+  const { data: student, error: studentError } = await findStudentByHallTicket(hall_ticket_number);
 
-    // Response
-    res.status(200).json({
+  if (studentError || !student) {
+    if (studentError) logger.error("Failed to look up student", { error: studentError });
+    await recordLoginFailure(throttleKeys, { ip: req.ip });
+    throw new ValidationError("Invalid hall ticket number or password.", { code: "INVALID_CREDENTIALS" });
+  }
+
+  // 🔐 Verify password (hashed hall_ticket_number)
+  const isMatch = await bcrypt.compare(password, student.password);
+  if (!isMatch) {
+    await recordLoginFailure(throttleKeys, { ip: req.ip });
+    throw new ValidationError("Invalid hall ticket number or password.", { code: "INVALID_CREDENTIALS" });
+  }
+
+  await clearLoginFailures([throttleKeys[0]]);
+
+  const studentInfo = {
+    id: student.id,
+    name: student.name,
+    roll_no: student.roll_no,
+    hall_ticket_number: student.hall_ticket_number,
+    email: student.email,
+    mobile: student.mobile,
+    class_id: student.class_id,
+    batch_id: student.batch_id,
+    defaulter: student.defaulter,
+    role: "student", // Add role field for AuthWrapper routing
+  };
+
+  // 🔒 Imported accounts still use their hall ticket number as password;
+  // hand out a token that can only reach the password-change endpoint
+  if (student.must_change_password) {
+    return res.status(200).json({
       success: true,
-      message: "Login successful",
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        role: user.role,
-        email: user.email,
-        class_id: payload.class_id || null,
-        department_id: payload.department_id || null,
-      },
-    });
-  } catch (err) {
-    console.error("Login error:", err);
-    res.status(500).json({
-      success: false,
-      error: err.message,
+      message: "Password change required.",
+      must_change_password: true,
+      token: signRestrictedToken(buildStudentClaims(student), "password_change"),
+      student: studentInfo,
     });
   }
+
+  // 🎟️ Start a session and issue tokens
+  const { session, refresh_token } = await createSession({
+    user_id: student.id,
+    user_type: "student",
+    client: clientInfo(req),
+  });
+  const token = signAccessToken({ ...buildStudentClaims(student), sid: session.id });
+
+  // 📦 Respond
+  return res.status(200).json({
+    success: true,
+    message: "Student login successful.",
+    token,
+    refresh_token,
+    student: studentInfo,
+  });
 });
 
-router.post("/student/login", async (req, res) => {
-  try {
-    const { hall_ticket_number, password } = req.body;
+// Exchange a refresh token for a fresh access token and a new refresh token
+router.post("/refresh", validate(schemas.refresh), async (req, res) => {
+  const { refresh_token } = req.body;
 
-    // 🧩 Basic validation
-    if (!hall_ticket_number || !password) {
-      return res.status(400).json({
-        success: false,
-        error: "Hall ticket number and password are required.",
-      });
-    }
+  const rotated = await rotateRefreshToken(refresh_token);
+  if (!rotated) {
+    throw new UnauthorizedError("Invalid or expired refresh token.", { code: "INVALID_REFRESH_TOKEN" });
+  }
 
-    const { data: student, error: studentError } = await supabase
-      .from("students")
-      .select("*")
-      .eq("hall_ticket_number", hall_ticket_number)
-      .maybeSingle();
-
-    if (studentError || !student) {
-      console.error("No student found:", studentError);
-      return res.status(400).json({
-        success: false,
-        error: "Invalid hall ticket number or password.",
-      });
-    }
+  const { session } = rotated;
+  let payload;
+
+  if (session.user_type === "student") {
+    const { data: student, error } = await findStudentById(session.user_id);
 
-    // 🔐 Verify password (hashed hall_ticket_number)
-    const isMatch = await bcrypt.compare(password, student.password);
-    if (!isMatch) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid hall ticket number or password.",
-      });
+    if (error) throw error;
+    if (student) payload = buildStudentClaims(student);
+  } else {
+    const { data: user, error } = await findUserById(session.user_id);
+
+    if (error) throw error;
+
+    // Fall back to the default role if the active one was taken away meanwhile
+    if (user) {
+      const activeRole = getUserRoles(user).includes(session.active_role) ? session.active_role : user.role;
+      ({ payload } = await buildUserClaims(user, activeRole, session.active_class_id));
     }
+  }
 
-    // 🪪 Prepare JWT payload
-    const payload = {
-      id: student.id,
-      role: "student",
-      class_id: student.class_id,
-      batch_id: student.batch_id,
-    };
+  // Account was removed while the session was alive
+  if (!payload) {
+    await revokeSession(session.id);
+    throw new UnauthorizedError("Account no longer exists.");
+  }
 
-    // 🎟️ Generate JWT token
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "7d" });
+  // A refresh is the session being used again, possibly from a new network
+  await updateSession(session.id, { last_used_at: new Date().toISOString(), ip: req.ip || null });
+
+  return res.status(200).json({
+    success: true,
+    token: signAccessToken({ ...payload, sid: session.id }),
+    refresh_token: rotated.refresh_token,
+  });
+});
+
+// End the current session; its access and refresh tokens stop working immediately
+router.post("/logout", authenticateSession, async (req, res) => {
+  await revokeSession(req.user.sid);
+
+  return res.status(200).json({
+    success: true,
+    message: "Logged out successfully.",
+  });
+});
+
+const sessionOwner = (user) => ({
+  user_id: user.id,
+  user_type: user.role === "student" ? "student" : "user",
+});
+
+// List the caller's signed-in devices
+router.get("/sessions", authenticateSession, async (req, res) => {
+  const sessions = await listActiveSessions(sessionOwner(req.user));
+
+  return res.status(200).json({
+    success: true,
+    sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sid })),
+  });
+});
+
+// Sign out one of the caller's devices
+router.delete("/sessions/:id", authenticateSession, validate(schemas.revokeSession), async (req, res) => {
+  const { user_id, user_type } = sessionOwner(req.user);
+
+  const { data, error } = await db
+    .from("auth_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", req.params.id)
+    .eq("user_id", user_id)
+    .eq("user_type", user_type)
+    .is("revoked_at", null)
+    .select("id");
+
+  if (error) throw error;
+
+  if (!data || data.length === 0) {
+    throw new NotFoundError("Session not found");
+  }
+
+  return res.status(200).json({ success: true, message: "Session signed out." });
+});
+
+// Sign out every other device; ?include_current=true signs out this one as well
+router.delete("/sessions", authenticateSession, validate(schemas.revokeSessions), async (req, res) => {
+  const includeCurrent = req.query.include_current;
+
+  await revokeUserSessions({
+    ...sessionOwner(req.user),
+    except: includeCurrent ? undefined : req.user.sid,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: includeCurrent ? "All sessions signed out." : "All other sessions signed out.",
+  });
+});
+
+// Forced sign-out by an HOD (own department) or director
+const forceSignOut = (user_type) => async (req, res) => {
+  const { id } = req.params;
+
+  await revokeUserSessions({ user_id: id, user_type });
+
+  await recordAudit({
+    actor_id: req.user.id,
+    actor_type: req.user.role,
+    action: "session.force_sign_out",
+    target_type: user_type,
+    target_id: id,
+    ip: req.ip,
+  });
+
+  return res.status(200).json({ success: true, message: "All sessions of the account were signed out." });
+};
+
+router.delete("/users/:id/sessions", authenticateSession, requirePermission("session:revoke", { resource: staffResource("id") }), validate(schemas.forceSignOut), forceSignOut("user"));
+
+router.delete("/students/:id/sessions", authenticateSession, requirePermission("session:revoke", { resource: studentResource("id") }), validate(schemas.forceSignOut), forceSignOut("student"));
+
+// "View as": a director (anyone) or HOD (own department) gets a short-lived, read-only
+// token for another staff user. Every request made with it is audited under the actor.
+router.post("/users/:id/impersonate", authenticateSession, requirePermission("user:impersonate", { resource: staffResource("id") }), validate(schemas.impersonate), async (req, res) => {
+  const { reason } = req.body;
+
+  if (req.params.id === req.user.id) {
+    throw new ValidationError("You cannot impersonate yourself.");
+  }
+
+  const { data: target, error } = await findUserById(req.params.id);
+
+  if (error) throw error;
+
+  if (!target) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (getUserRoles(target).includes("director")) {
+    throw new ForbiddenError("Directors cannot be impersonated.");
+  }
+
+  const { payload, classes } = await buildUserClaims(target);
+  const token = signImpersonationToken(payload, { actor: req.user, sid: req.user.sid });
+
+  await recordAudit({
+    actor_id: req.user.id,
+    actor_type: req.user.role,
+    action: "impersonation.start",
+    target_type: "user",
+    target_id: target.id,
+    details: { reason: reason || null, ttl_minutes: IMPERSONATION_TTL_MINUTES },
+    ip: req.ip,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `Viewing as ${target.name}. This token is read-only and expires in ${IMPERSONATION_TTL_MINUTES} minutes.`,
+    token,
+    expires_in: IMPERSONATION_TTL_MINUTES * 60,
+    read_only: true,
+    user: formatUser(target, payload, classes),
+  });
+});
+
+// Change the logged-in account's own password (staff and students).
+// Also accepts the restricted token handed out when a password change is forced.
+router.put("/password", rateLimit("login"), authenticate({ scopes: ["password_change"], apiKeys: false }), validate(schemas.changePassword), async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  const isStudent = req.user.role === "student";
+  const table = isStudent ? "students" : "users";
+
+  const { data: account, error: fetchError } = await db
+    .from(table)
+    .select(isStudent ? "id, password, email, hall_ticket_number" : "id, password, email")
+    .eq("id", req.user.id)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  if (!account) {
+    throw new NotFoundError("Account not found.");
+  }
+
+  const throttleKey = isStudent ? accountKey("student", account.hall_ticket_number) : accountKey("user", account.email);
+  if (!(await confirmPassword(req, throttleKey, current_password, account.password))) {
+    throw new ValidationError("Current password is incorrect.", { code: "INVALID_CREDENTIALS" });
+  }
+
+  if (current_password === new_password) {
+    throw new ValidationError("New password must be different from the current password.");
+  }
+
+  const problems = checkPasswordStrength(new_password, [account.email, account.hall_ticket_number]);
+  if (problems.length > 0) {
+    throw new ValidationError("Password does not meet the requirements.", { code: "WEAK_PASSWORD", details: problems });
+  }
+
+  const hashedPassword = await bcrypt.hash(new_password, 10);
+  const updates = isStudent
+    ? { password: hashedPassword, must_change_password: false }
+    : { password: hashedPassword };
+
+  const { error: updateError } = await db
+    .from(table)
+    .update(updates)
+    .eq("id", account.id);
+
+  if (updateError) throw updateError;
+
+  // Sign out every other device; the current session stays logged in
+  await revokeUserSessions({
+    user_id: account.id,
+    user_type: isStudent ? "student" : "user",
+    except: req.user.sid,
+  });
+
+  // A forced change ends with a normal login session
+  if (req.user.scope === "password_change") {
+    const { session, refresh_token } = await createSession({
+      user_id: account.id,
+      user_type: isStudent ? "student" : "user",
+      client: clientInfo(req),
+    });
+    const { scope, iat, exp, ...claims } = req.user;
 
-    // 📦 Respond
     return res.status(200).json({
       success: true,
-      message: "Student login successful.",
-      token,
-      student: {
-        id: student.id,
-        name: student.name,
-        roll_no: student.roll_no,
-        hall_ticket_number: student.hall_ticket_number,
-        email: student.email,
-        mobile: student.mobile,
-        class_id: student.class_id,
-        batch_id: student.batch_id,
-        defaulter: student.defaulter,
-        role: "student", // Add role field for AuthWrapper routing
-      },
-    });
-  } catch (err) {
-    console.error("Student login error:", err);
-    return res.status(500).json({
-      success: false,
-      error: "Internal server error.",
+      message: "Password changed successfully.",
+      token: signAccessToken({ ...claims, sid: session.id }),
+      refresh_token,
     });
   }
+
+  return res.status(200).json({
+    success: true,
+    message: "Password changed successfully.",
+  });
+});
+
+// Send a one-time password reset code.
+// Staff identify themselves by email, students by hall ticket number.
+router.post("/forgot-password", rateLimit("login"), validate(schemas.forgotPassword), async (req, res) => {
+  const { email, hall_ticket_number } = req.body;
+
+  if (!email && !hall_ticket_number) {
+    throw new ValidationError("Email or hall ticket number is required.");
+  }
+
+  // Same answer whether or not the account exists, so this can't be used to probe accounts
+  const genericResponse = {
+    success: true,
+    message: "If the account exists, a reset code has been sent to its registered email.",
+  };
+
+  const target = await findResetAccount({ email, hall_ticket_number });
+
+  if (!target || !target.account.email) {
+    return res.status(200).json(genericResponse);
+  }
+
+  const { code, ttlMinutes } = await createResetCode(target);
+
+  await sendMail({
+    to: target.account.email,
+    subject: "Your password reset code",
+    text:
+      `Hello ${target.account.name || ""},\n\n` +
+      `Your password reset code is ${code}. It expires in ${ttlMinutes} minutes and can be used once.\n\n` +
+      "If you did not request a reset, you can ignore this email.",
+  });
+
+  return res.status(200).json(genericResponse);
+});
+
+// Set a new password using a code from /forgot-password
+router.post("/reset-password", rateLimit("login"), validate(schemas.resetPassword), async (req, res) => {
+  const { email, hall_ticket_number, code, new_password } = req.body;
+
+  if (!email && !hall_ticket_number) {
+    throw new ValidationError("Email or hall ticket number is required.");
+  }
+
+  const target = await findResetAccount({ email, hall_ticket_number });
+  if (!target) {
+    throw new ValidationError("Invalid or expired reset code.", { code: "INVALID_RESET_CODE" });
+  }
+
+  const problems = checkPasswordStrength(new_password, [target.account.email, hall_ticket_number]);
+  if (problems.length > 0) {
+    throw new ValidationError("Password does not meet the requirements.", { code: "WEAK_PASSWORD", details: problems });
+  }
+
+  const isValid = await consumeResetCode(target, code);
+  if (!isValid) {
+    throw new ValidationError("Invalid or expired reset code.", { code: "INVALID_RESET_CODE" });
+  }
+
+  const isStudent = target.account_type === "student";
+  const hashedPassword = await bcrypt.hash(new_password, 10);
+  const updates = isStudent
+    ? { password: hashedPassword, must_change_password: false }
+    : { password: hashedPassword };
+
+  const { error: updateError } = await db
+    .from(isStudent ? "students" : "users")
+    .update(updates)
+    .eq("id", target.account.id);
+
+  if (updateError) throw updateError;
+
+  // Whoever had the old password is signed out everywhere
+  await revokeUserSessions({ user_id: target.account.id, user_type: target.account_type });
+
+  return res.status(200).json({
+    success: true,
+    message: "Password reset successfully. Please log in with your new password.",
+  });
+});
+
+// Lift a login lockout (HOD for their department, director for anyone)
+router.post("/unlock-account", authenticateUser, requirePermission("account:unlock"), validate(schemas.unlockAccount), async (req, res) => {
+  const { email, hall_ticket_number } = req.body;
+
+  if (!email && !hall_ticket_number) {
+    throw new ValidationError("Email or hall ticket number is required.");
+  }
+
+  let target;
+  if (hall_ticket_number) {
+    const { data: student, error } = await findStudentByHallTicket(String(hall_ticket_number).trim(), "id, hall_ticket_number, classes ( department_id )");
+
+    if (error) throw error;
+    target = student && {
+      id: student.id,
+      type: "student",
+      key: accountKey("student", student.hall_ticket_number),
+      department_id: student.classes?.department_id,
+    };
+  } else {
+    const { data: user, error } = await findUserByEmail(String(email).trim(), { columns: "id, email, role, department_id" });
+
+    if (error) throw error;
+    target = user && {
+      id: user.id,
+      type: "user",
+      key: accountKey("user", user.email),
+      department_id: user.department_id,
+      role: user.role,
+    };
+  }
+
+  if (!target) {
+    throw new NotFoundError("Account not found.");
+  }
+
+  if (req.user.role === "hod" &&
+      (target.department_id !== req.user.department_id || target.role === "director")) {
+    throw new ForbiddenError("You can only unlock accounts in your department.");
+  }
+
+  await clearLoginFailures([target.key]);
+
+  await recordAudit({
+    actor_id: req.user.id,
+    actor_type: req.user.role,
+    action: "login.unlocked",
+    target_type: target.type,
+    target_id: target.id,
+    ip: req.ip,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: "Account unlocked successfully.",
+  });
+});
+
+// Act as another of the logged-in user's roles; returns an access token for that role
+router.post("/switch-role", authenticateSession, validate(schemas.switchRole), async (req, res) => {
+  const { role } = req.body;
+
+  if (req.user.role === "student") {
+    throw new ForbiddenError("Students cannot switch roles.");
+  }
+
+  const { data: user, error } = await findUserById(req.user.id);
+
+  if (error) throw error;
+
+  if (!user) {
+    throw new NotFoundError("User not found.");
+  }
+
+  if (!getUserRoles(user).includes(role)) {
+    throw new ForbiddenError(`You do not hold the ${role} role.`);
+  }
+
+  const { payload, classes } = await buildUserClaims(user, role);
+  await updateSession(req.user.sid, { active_role: role, active_class_id: payload.class_id || null });
+
+  return res.status(200).json({
+    success: true,
+    message: `Switched to ${role}.`,
+    token: signAccessToken({ ...payload, sid: req.user.sid }),
+    user: formatUser(user, payload, classes),
+  });
+});
+
+// Select which of a class teacher's classes the /api/class-teacher and /api/export
+// endpoints work on. A single request can also pick one with the X-Class-Id header.
+router.post("/switch-class", authenticateSession, authorizeRoles("class_teacher"), validate(schemas.switchClass), async (req, res) => {
+  const { class_id } = req.body;
+
+  const { data: user, error } = await findUserById(req.user.id);
+
+  if (error) throw error;
+
+  if (!user) {
+    throw new NotFoundError("User not found.");
+  }
+
+  const { payload, classes } = await buildUserClaims(user, "class_teacher", class_id);
+
+  if (payload.class_id !== class_id) {
+    throw new ForbiddenError("You are not the class teacher of this class.");
+  }
+
+  await updateSession(req.user.sid, { active_class_id: class_id });
+
+  return res.status(200).json({
+    success: true,
+    message: "Class switched successfully.",
+    token: signAccessToken({ ...payload, sid: req.user.sid }),
+    user: formatUser(user, payload, classes),
+  });
+});
+
+// Start 2FA enrolment: store a new secret and return it with an otpauth:// URI for QR codes.
+// Also reachable with the enrolment-only token handed out when policy makes 2FA mandatory;
+// that token comes straight from a login, so only full sessions confirm the password.
+router.post("/2fa/setup", rateLimit("login"), authenticate({ scopes: ["mfa_enrollment"], apiKeys: false }), validate(schemas.setupTwoFactor), async (req, res) => {
+  const { current_password } = req.body;
+
+  const { data: user, error } = await findUserById(req.user.id);
+
+  if (error) throw error;
+
+  if (!user || !canUseMfa(user)) {
+    throw new ForbiddenError("Two-factor authentication is only available to directors and HODs.");
+  }
+
+  if (user.totp_enabled) {
+    throw new ConflictError("Two-factor authentication is already enabled.");
+  }
+
+  if (req.user.scope !== "mfa_enrollment" &&
+      !(await confirmPassword(req, accountKey("user", user.email), current_password, user.password))) {
+    throw new ValidationError("Current password is incorrect.", { code: "INVALID_CREDENTIALS" });
+  }
+
+  const secret = generateSecret();
+
+  const { error: updateError } = await updateUser(user.id, { totp_secret: secret, totp_enabled: false, totp_last_step: null });
+
+  if (updateError) throw updateError;
+
+  return res.status(200).json({
+    success: true,
+    secret,
+    otpauth_url: buildOtpauthUri({
+      secret,
+      account: user.email,
+      issuer: process.env.MFA_ISSUER || "Rivo",
+    }),
+  });
+});
+
+// Finish enrolment by proving the authenticator works; returns one-time recovery codes
+router.post("/2fa/enable", authenticate({ scopes: ["mfa_enrollment"], apiKeys: false }), validate(schemas.enableTwoFactor), async (req, res) => {
+  const { code } = req.body;
+
+  const { data: user, error } = await findUserById(req.user.id);
+
+  if (error) throw error;
+
+  if (!user || !user.totp_secret) {
+    throw new ValidationError("Call /2fa/setup first.");
+  }
+
+  if (user.totp_enabled) {
+    throw new ConflictError("Two-factor authentication is already enabled.");
+  }
+
+  const step = verifyCode(user.totp_secret, code);
+  if (step === null) {
+    throw new ValidationError("Invalid authentication code.", { code: "INVALID_MFA_CODE" });
+  }
+
+  const { error: updateError } = await updateUser(user.id, { totp_enabled: true, totp_last_step: step });
+
+  if (updateError) throw updateError;
+
+  const recovery_codes = await generateRecoveryCodes(user.id);
+
+  await recordAudit({
+    actor_id: user.id,
+    actor_type: user.role,
+    action: "mfa.enabled",
+    target_type: "user",
+    target_id: user.id,
+    ip: req.ip,
+  });
+
+  // Enrolment forced at login ends with a normal session
+  const session = req.user.scope === "mfa_enrollment" ? await startUserSession(user, clientInfo(req)) : {};
+
+  return res.status(200).json({
+    ...session,
+    success: true,
+    message: "Two-factor authentication enabled. Store the recovery codes somewhere safe.",
+    recovery_codes,
+  });
+});
+
+// Issue a new set of recovery codes, invalidating the old ones
+router.post("/2fa/recovery-codes", rateLimit("login"), authenticateSession, validate(schemas.recoveryCodes), async (req, res) => {
+  const { code } = req.body;
+
+  const { data: user, error } = await findUserById(req.user.id);
+
+  if (error) throw error;
+
+  if (!user || !user.totp_enabled) {
+    throw new ValidationError("Two-factor authentication is not enabled.");
+  }
+
+  if (!(await confirmSecondFactor(req, user, { code }))) {
+    throw new ValidationError("Invalid authentication code.", { code: "INVALID_MFA_CODE" });
+  }
+
+  return res.status(200).json({
+    success: true,
+    recovery_codes: await generateRecoveryCodes(user.id),
+  });
+});
+
+// Turn 2FA off (not allowed while policy requires it for the user's roles)
+router.post("/2fa/disable", rateLimit("login"), authenticateSession, validate(schemas.disableTwoFactor), async (req, res) => {
+  const { password, code } = req.body;
+
+  const { data: user, error } = await findUserById(req.user.id);
+
+  if (error) throw error;
+
+  if (!user || !user.totp_enabled) {
+    throw new ValidationError("Two-factor authentication is not enabled.");
+  }
+
+  if (isMfaRequired(user)) {
+    throw new ForbiddenError("Two-factor authentication is mandatory for your role.");
+  }
+
+  const isMatch = await confirmPassword(req, accountKey("user", user.email), password, user.password);
+  if (!isMatch || !(await confirmSecondFactor(req, user, { code }))) {
+    throw new ValidationError("Invalid password or authentication code.", { code: "INVALID_CREDENTIALS" });
+  }
+
+  const { error: updateError } = await updateUser(user.id, { totp_enabled: false, totp_secret: null, totp_last_step: null });
+
+  if (updateError) throw updateError;
+
+  const { error: codesError } = await db
+    .from("mfa_recovery_codes")
+    .delete()
+    .eq("user_id", user.id);
+
+  if (codesError) throw codesError;
+
+  await recordAudit({
+    actor_id: user.id,
+    actor_type: user.role,
+    action: "mfa.disabled",
+    target_type: "user",
+    target_id: user.id,
+    ip: req.ip,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled.",
+  });
 });
 
 
-export default router;  
\ No newline at end of file
+export default router;
\ No newline at end of file
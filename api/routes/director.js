@@ -1,331 +1,334 @@
 import express from "express";
-import { supabase } from '../db/supabaseClient.js'
-import { authenticateUser, authorizeRoles  } from "../middlewares/auth.js";
+import { db } from '../db/index.js'
+import { authenticateUser } from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/permissions.js";
+import { validate } from "../middlewares/validate.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import * as schemas from "../schemas/director.js";
+import { withRole } from "../utils/roles.js";
+import { recordAudit } from "../utils/audit.js";
+import { API_KEY_SCOPES, createApiKey } from "../utils/apiKeys.js";
+import { listClasses } from "../db/repositories/classes.js";
+import {
+  deleteDepartment,
+  findDepartmentById,
+  insertDepartment,
+  listDepartments,
+} from "../db/repositories/departments.js";
+import { listStudents } from "../db/repositories/students.js";
+import { listSubmissionTypes, listSubmissions } from "../db/repositories/submissions.js";
+import {
+  clearDepartment,
+  deleteUser,
+  findUserById,
+  listUsers,
+  updateUserReturning,
+} from "../db/repositories/users.js";
+import { NotFoundError } from "../utils/errors.js";
 
 const router = express.Router();
 
 // Get director profile
-router.get("/profile", authenticateUser, authorizeRoles("director"), async (req, res) => {
-  try {
-    const userId = req.user.id;
+router.get("/profile", authenticateUser, requirePermission("profile:read"), async (req, res) => {
+  const userId = req.user.id;
 
-    const { data: user, error } = await supabase
-      .from("users")
-      .select("id, name, email, role")
-      .eq("id", userId)
-      .single();
+  const { data: user, error } = await findUserById(userId, "id, name, email, role");
 
-    if (error) throw error;
+  if (error) throw error;
 
-    if (!user) {
-      return res.status(404).json({ success: false, error: "User not found" });
-    }
-
-    res.json({ success: true, user });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+  if (!user) {
+    throw new NotFoundError("User not found");
   }
+
+  res.json({ success: true, user });
 });
 
-router.get("/departments", authenticateUser, authorizeRoles("director"), async (req, res) => {
-  try {
-    // Get all departments
-    const { data: departments, error: deptError } = await supabase
-      .from("departments")
-      .select("id, name, created_at")
-      .order("id", { ascending: true });
+router.get("/departments", authenticateUser, requirePermission("department:read"), async (req, res) => {
+  // Get all departments
+  const { data: departments, error: deptError } = await listDepartments({ columns: "id, name, created_at", orderBy: "id" });
 
-    if (deptError) throw deptError;
+  if (deptError) throw deptError;
 
-    // Get all HODs (users with role 'hod' and their department_id)
-    const { data: hods, error: hodError } = await supabase
-      .from("users")
-      .select("id, name, department_id, role")
-      .eq("role", "hod");
+  // Get all HODs (users with role 'hod' and their department_id)
+  const { data: hods, error: hodError } = await listUsers({ role: "hod", columns: "id, name, department_id, role" });
 
-    if (hodError) throw hodError;
+  if (hodError) throw hodError;
 
-    // Map departments with their assigned HOD
-    const formatted = departments.map((dept) => {
-      const assignedHod = hods.find(hod => hod.department_id === dept.id);
-      return {
-        id: dept.id,
-        name: dept.name,
-        hod: assignedHod ? assignedHod.name : null,
-        hod_id: assignedHod ? assignedHod.id : null,
-      };
-    });
+  // Map departments with their assigned HOD
+  const formatted = departments.map((dept) => {
+    const assignedHod = hods.find(hod => hod.department_id === dept.id);
+    return {
+      id: dept.id,
+      name: dept.name,
+      hod: assignedHod ? assignedHod.name : null,
+      hod_id: assignedHod ? assignedHod.id : null,
+    };
+  });
 
-    res.json({ success: true, departments: formatted });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
+  res.json({ success: true, departments: formatted });
 });
 
-router.get("/hods", authenticateUser, authorizeRoles("director"), async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from("users")
-      .select("id, name, email, role")
-      .in("role", ["hod", "faculty"]); // Fetch HODs or faculty
+router.get("/hods", authenticateUser, requirePermission("department:read"), async (req, res) => {
+  const { data, error } = await listUsers({ roles: ["hod", "faculty"], columns: "id, name, email, role" }); // Fetch HODs or faculty
 
-    if (error) throw error;
+  if (error) throw error;
 
-    res.json({ success: true, hods: data });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
+  res.json({ success: true, hods: data });
 });
 
-router.post("/departments", authenticateUser, authorizeRoles("director"), async (req, res) => {
-  try {
-    const { name } = req.body;
-
-    if (!name) {
-      return res
-        .status(400)
-        .json({ success: false, error: "Department name is required" });
-    }
-
-    const { data, error } = await supabase
-      .from("departments")
-      .insert([{ name }])
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    res.status(201).json({ success: true, department: data });
-  } catch (err) {
-    res
-      .status(500)
-      .json({ success: false, error: err.message || "Something went wrong" });
-  }
+router.post("/departments", authenticateUser, requirePermission("department:manage"), validate(schemas.createDepartment), async (req, res) => {
+  const { name } = req.body;
+
+  const { data, error } = await insertDepartment({ name });
+
+  if (error) throw error;
+
+  res.status(201).json({ success: true, department: data });
 });
 
 
-router.post("/assign-hod", authenticateUser, authorizeRoles("director"), async (req, res) => {
-  try {
-    const { user_id, department_id } = req.body;
-
-    if (!user_id || !department_id) {
-      return res
-        .status(400)
-        .json({ success: false, error: "user_id and department_id are required" });
-    }
-
-    // Check if department exists
-    const { data: dept, error: deptError } = await supabase
-      .from("departments")
-      .select("id, name")
-      .eq("id", department_id)
-      .single();
-
-    if (deptError || !dept) {
-      return res.status(404).json({ success: false, error: "Department not found" });
-    }
-
-    // Check if user exists
-    const { data: user, error: userCheckError } = await supabase
-      .from("users")
-      .select("id, name, role")
-      .eq("id", user_id)
-      .single();
-
-    if (userCheckError || !user) {
-      return res.status(404).json({ success: false, error: "User not found" });
-    }
-
-    // Remove department_id from any other user who was HOD of this department
-    await supabase
-      .from("users")
-      .update({ department_id: null })
-      .eq("department_id", department_id)
-      .eq("role", "hod");
-
-    // Update the selected user's role to 'hod' and assign department_id
-    const { data, error } = await supabase
-      .from("users")
-      .update({ role: "hod", department_id })
-      .eq("id", user_id)
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    res.status(200).json({
-      success: true,
-      message: "HOD assigned successfully",
-      data: data,
-    });
-  } catch (err) {
-    res
-      .status(500)
-      .json({ success: false, error: err.message || "Something went wrong" });
+router.post("/assign-hod", authenticateUser, requirePermission("hod:assign"), validate(schemas.assignHod), async (req, res) => {
+  const { user_id, department_id } = req.body;
+
+  // Check if department exists
+  const { data: dept, error: deptError } = await findDepartmentById(department_id, "id, name");
+
+  if (deptError || !dept) {
+    throw new NotFoundError("Department not found");
+  }
+
+  // Check if user exists
+  const { data: user, error: userCheckError } = await findUserById(user_id, "id, name, role, roles");
+
+  if (userCheckError || !user) {
+    throw new NotFoundError("User not found");
   }
+
+  // Remove department_id from any other user who was HOD of this department
+  await clearDepartment(department_id, { role: "hod" });
+
+  // Make 'hod' the selected user's default role, keeping any roles they already hold
+  const { data, error } = await updateUserReturning(user_id, { role: "hod", roles: withRole(user, "hod"), department_id });
+
+  if (error) throw error;
+
+  res.status(200).json({
+    success: true,
+    message: "HOD assigned successfully",
+    data: data,
+  });
 });
 
-router.delete("/departments/:id", authenticateUser, authorizeRoles("director"), async (req, res) => {
-  try {
-    const { id } = req.params;
+router.delete("/departments/:id", authenticateUser, requirePermission("department:manage"), validate(schemas.deleteDepartment), async (req, res) => {
+  const { id } = req.params;
 
-    // First, remove department_id from all users in this department
-    await supabase
-      .from("users")
-      .update({ department_id: null })
-      .eq("department_id", id);
+  // First, remove department_id from all users in this department
+  await clearDepartment(id);
 
-    // Then delete the department
-    const { error } = await supabase
-      .from("departments")
-      .delete()
-      .eq("id", id);
+  // Then delete the department
+  const { error } = await deleteDepartment(id);
 
-    if (error) throw error;
+  if (error) throw error;
 
-    res.json({ success: true, message: "Department deleted successfully" });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
+  res.json({ success: true, message: "Department deleted successfully" });
 });
 
 // Delete faculty/HOD
-router.delete("/faculty/:id", authenticateUser, authorizeRoles("director"), async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // Check if user exists
-    const { data: existingUser, error: checkError } = await supabase
-      .from("users")
-      .select("id, role")
-      .eq("id", id)
-      .single();
-
-    if (checkError || !existingUser) {
-      return res.status(404).json({ success: false, error: "User not found" });
-    }
-
-    // Delete the user
-    const { error } = await supabase
-      .from("users")
-      .delete()
-      .eq("id", id);
-
-    if (error) throw error;
-
-    res.json({ success: true, message: "Faculty deleted successfully" });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+router.delete("/faculty/:id", authenticateUser, requirePermission("staff:delete"), validate(schemas.deleteStaff), async (req, res) => {
+  const { id } = req.params;
+
+  // Check if user exists
+  const { data: existingUser, error: checkError } = await findUserById(id, "id, role");
+
+  if (checkError || !existingUser) {
+    throw new NotFoundError("User not found");
   }
+
+  // Delete the user
+  const { error } = await deleteUser(id);
+
+  if (error) throw error;
+
+  res.json({ success: true, message: "Faculty deleted successfully" });
 });
 
 // Get department-wise submission statistics
-router.get("/department-statistics", authenticateUser, authorizeRoles("director"), async (req, res) => {
-  try {
-
-    // Get all departments
-    const { data: departments, error: deptError } = await supabase
-      .from("departments")
-      .select("id, name")
-      .order("name", { ascending: true });
-
-    if (deptError) throw deptError;
-
-    // Calculate statistics for each department
-    const deptStats = await Promise.all(
-      (departments || []).map(async (dept) => {
-        // Get all classes in this department
-        const { data: classes, error: classesError } = await supabase
-          .from("classes")
-          .select("id")
-          .eq("department_id", dept.id);
-
-        if (classesError) throw classesError;
-
-        const classIds = (classes || []).map(c => c.id);
-
-        if (classIds.length === 0) {
-          return {
-            id: dept.id,
-            name: dept.name,
-            submissionRate: 0,
-            totalStudents: 0,
-            completedStudents: 0,
-            classCount: 0
-          };
-        }
+router.get("/department-statistics", authenticateUser, requirePermission("statistics:institution"), rateLimit("statistics"), async (req, res) => {
 
-        // Get all students in these classes
-        const { data: students, error: studentsError } = await supabase
-          .from("students")
-          .select("id")
-          .in("class_id", classIds);
-
-        if (studentsError) throw studentsError;
-
-        const totalStudents = students?.length || 0;
-
-        if (totalStudents === 0) {
-          return {
-            id: dept.id,
-            name: dept.name,
-            submissionRate: 0,
-            totalStudents: 0,
-            completedStudents: 0,
-            classCount: classIds.length
-          };
-        }
+  // Get all departments
+  const { data: departments, error: deptError } = await listDepartments({ columns: "id, name" });
 
-        const studentIds = students.map(s => s.id);
+  if (deptError) throw deptError;
 
-        // Get all submissions for these students
-        const { data: submissions, error: submissionsError } = await supabase
-          .from("student_submissions")
-          .select("student_id, submission_type_id, status")
-          .in("student_id", studentIds);
+  // Calculate statistics for each department
+  const deptStats = await Promise.all(
+    (departments || []).map(async (dept) => {
+      // Get all classes in this department
+      const { data: classes, error: classesError } = await listClasses({ department_id: dept.id, columns: "id" });
 
-        if (submissionsError) throw submissionsError;
+      if (classesError) throw classesError;
 
-        // Get submission types
-        const { data: submissionTypes, error: typesError } = await supabase
-          .from("submission_types")
-          .select("*");
+      const classIds = (classes || []).map(c => c.id);
 
-        if (typesError) throw typesError;
+      if (classIds.length === 0) {
+        return {
+          id: dept.id,
+          name: dept.name,
+          submissionRate: 0,
+          totalStudents: 0,
+          completedStudents: 0,
+          classCount: 0
+        };
+      }
 
-        const taType = submissionTypes.find(t => t.name === 'TA');
-        const cieType = submissionTypes.find(t => t.name === 'CIE');
+      // Get all students in these classes
+      const { data: students, error: studentsError } = await listStudents({ class_ids: classIds, columns: "id" });
 
-        // Calculate overall submission percentage
-        const studentsWithSubmissions = new Set();
-        submissions.forEach(sub => {
-          if (sub.status === 'completed' && 
-              (sub.submission_type_id === taType?.id || sub.submission_type_id === cieType?.id)) {
-            studentsWithSubmissions.add(sub.student_id);
-          }
-        });
+      if (studentsError) throw studentsError;
 
-        const submissionRate = Math.round((studentsWithSubmissions.size / totalStudents) * 100);
+      const totalStudents = students?.length || 0;
 
+      if (totalStudents === 0) {
         return {
           id: dept.id,
           name: dept.name,
-          submissionRate,
-          totalStudents,
-          completedStudents: studentsWithSubmissions.size,
+          submissionRate: 0,
+          totalStudents: 0,
+          completedStudents: 0,
           classCount: classIds.length
         };
-      })
-    );
-
-    return res.json({
-      success: true,
-      statistics: deptStats
-    });
-  } catch (err) {
-    console.error("Error fetching department statistics:", err);
-    return res.status(500).json({ success: false, error: err.message });
+      }
+
+      const studentIds = students.map(s => s.id);
+
+      // Get all submissions for these students
+      const { data: submissions, error: submissionsError } = await listSubmissions({
+        student_ids: studentIds,
+        columns: "student_id, submission_type_id, status",
+      });
+
+      if (submissionsError) throw submissionsError;
+
+      // Get submission types
+      const { data: submissionTypes, error: typesError } = await listSubmissionTypes();
+
+      if (typesError) throw typesError;
+
+      const taType = submissionTypes.find(t => t.name === 'TA');
+      const cieType = submissionTypes.find(t => t.name === 'CIE');
+
+      // Calculate overall submission percentage
+      const studentsWithSubmissions = new Set();
+      submissions.forEach(sub => {
+        if (sub.status === 'completed' && 
+            (sub.submission_type_id === taType?.id || sub.submission_type_id === cieType?.id)) {
+          studentsWithSubmissions.add(sub.student_id);
+        }
+      });
+
+      const submissionRate = Math.round((studentsWithSubmissions.size / totalStudents) * 100);
+
+      return {
+        id: dept.id,
+        name: dept.name,
+        submissionRate,
+        totalStudents,
+        completedStudents: studentsWithSubmissions.size,
+        classCount: classIds.length
+      };
+    })
+  );
+
+  return res.json({
+    success: true,
+    statistics: deptStats
+  });
+});
+
+// API keys for institutional integrations (ERP, exam cell)
+
+router.get("/api-keys", authenticateUser, requirePermission("api_key:manage"), async (req, res) => {
+  const { data, error } = await db
+    .from("api_keys")
+    .select("id, name, scopes, key_prefix, expires_at, revoked_at, last_used_at, created_at")
+    .order("created_at", { ascending: false });
+
+  if (error) throw error;
+
+  return res.json({ success: true, api_keys: data || [], available_scopes: API_KEY_SCOPES });
+});
+
+router.post("/api-keys", authenticateUser, requirePermission("api_key:manage"), validate(schemas.createApiKey), async (req, res) => {
+  const { name, scopes, expires_in_days } = req.body;
+
+  const { key, apiKey } = await createApiKey({
+    name,
+    scopes: [...new Set(scopes)],
+    expiresInDays: expires_in_days,
+    created_by: req.user.id,
+  });
+
+  await recordAudit({
+    actor_id: req.user.id,
+    actor_type: req.user.role,
+    action: "api_key.create",
+    target_type: "api_key",
+    target_id: apiKey.id,
+    details: { name, scopes: apiKey.scopes, expires_at: apiKey.expires_at },
+    ip: req.ip,
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: "API key created. Copy it now, it will not be shown again.",
+    key,
+    api_key: apiKey,
+  });
+});
+
+router.delete("/api-keys/:id", authenticateUser, requirePermission("api_key:manage"), validate(schemas.revokeApiKey), async (req, res) => {
+  const { id } = req.params;
+
+  const { data, error } = await db
+    .from("api_keys")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", id)
+    .is("revoked_at", null)
+    .select("id, name")
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!data) {
+    throw new NotFoundError("API key not found or already revoked");
   }
+
+  await recordAudit({
+    actor_id: req.user.id,
+    actor_type: req.user.role,
+    action: "api_key.revoke",
+    target_type: "api_key",
+    target_id: id,
+    details: { name: data.name },
+    ip: req.ip,
+  });
+
+  return res.json({ success: true, message: "API key revoked" });
+});
+
+router.get("/api-keys/:id/usage", authenticateUser, requirePermission("api_key:manage"), validate(schemas.apiKeyUsage), async (req, res) => {
+  const { limit } = req.query;
+
+  const { data, error } = await db
+    .from("api_key_usage")
+    .select("method, path, status_code, ip, created_at")
+    .eq("api_key_id", req.params.id)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  return res.json({ success: true, usage: data || [] });
 });
 
 export default router;
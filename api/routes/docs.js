@@ -0,0 +1,31 @@
+import express from "express";
+import { getOpenApiSpec } from "../docs/openapi.js";
+
+const router = express.Router();
+
+// Swagger UI from a CDN; the page only loads the spec below
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Rivo API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: "openapi.json", dom_id: "#docs", persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+router.get("/openapi.json", (req, res) => {
+  res.json(getOpenApiSpec());
+});
+
+router.get("/docs", (req, res) => {
+  res.type("html").send(DOCS_PAGE);
+});
+
+export default router;
@@ -1,67 +1,125 @@
 import express from "express";
-import { supabase } from '../db/supabaseClient.js';
-import { authenticateUser, authorizeRoles } from "../middlewares/auth.js";
+import { authenticateUser } from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/permissions.js";
+import { listSelections } from "../db/repositories/electives.js";
+import { listStudents } from "../db/repositories/students.js";
+import {
+  listFacultySubjects,
+  listOfferedSubjects,
+  listSubjects,
+} from "../db/repositories/subjects.js";
+import { listSubmissionTypes, listSubmissions } from "../db/repositories/submissions.js";
 
 const router = express.Router();
 
 // Get subjects assigned to the faculty
-router.get('/subjects', authenticateUser, authorizeRoles("faculty"), async (req, res) => {
-  try {
-    const facultyId = req.user.id;
-
-    // Fetch subjects assigned to this faculty from faculty_subjects table
-    const { data: facultySubjects, error } = await supabase
-      .from('faculty_subjects')
-      .select(`
-        subject_id,
-        subjects (
-          id,
-          name,
-          subject_code,
-          type
-        )
-      `)
-      .eq('faculty_id', facultyId);
-
-    if (error) throw error;
-
-    // Extract unique subjects
-    const uniqueSubjects = [];
-    const subjectIds = new Set();
-
-    (facultySubjects || []).forEach(fs => {
-      if (fs.subjects && !subjectIds.has(fs.subjects.id)) {
-        subjectIds.add(fs.subjects.id);
-        uniqueSubjects.push({
-          id: fs.subjects.id,
-          name: fs.subjects.name,
-          code: fs.subjects.subject_code,
-          type: fs.subjects.type
-        });
-      }
+router.get('/subjects', authenticateUser, requirePermission("subject:read"), async (req, res) => {
+  const facultyId = req.user.id;
+
+  // Fetch subjects assigned to this faculty from faculty_subjects table
+  const { data: facultySubjects, error } = await listFacultySubjects({
+    faculty_id: facultyId,
+    columns: `
+      subject_id,
+      subjects (
+        id,
+        name,
+        subject_code,
+        type
+      )
+    `,
+  });
+
+  if (error) throw error;
+
+  // Extract unique subjects
+  const uniqueSubjects = [];
+  const subjectIds = new Set();
+
+  (facultySubjects || []).forEach(fs => {
+    if (fs.subjects && !subjectIds.has(fs.subjects.id)) {
+      subjectIds.add(fs.subjects.id);
+      uniqueSubjects.push({
+        id: fs.subjects.id,
+        name: fs.subjects.name,
+        code: fs.subjects.subject_code,
+        type: fs.subjects.type
+      });
+    }
+  });
+
+  // Also fetch elective subjects from department_offered_subjects where faculty_ids contains this faculty
+  const { data: offeredSubjects, error: offeredError } = await listOfferedSubjects({
+    faculty_id: facultyId,
+    columns: `
+      subject_id,
+      faculty_ids,
+      subjects (
+        id,
+        name,
+        subject_code,
+        type
+      )
+    `,
+  });
+
+  if (offeredError) throw offeredError;
+
+  // Add offered subjects (all types)
+  (offeredSubjects || []).forEach(offered => {
+    const subject = offered.subjects;
+    if (subject && !subjectIds.has(subject.id)) {
+      subjectIds.add(subject.id);
+      uniqueSubjects.push({
+        id: subject.id,
+        name: subject.name,
+        code: subject.subject_code,
+        type: subject.type
+      });
+    }
+  });
+
+  // Also fetch elective subjects (OE, PE, MDM) where this faculty is assigned via student selections
+  const { data: electiveSelections, error: electiveError } = await listSelections({
+    faculty_id: facultyId,
+    columns: `
+      mdm_id,
+      oe_id,
+      pe_id,
+      mdm_faculty_id,
+      oe_faculty_id,
+      pe_faculty_id
+    `,
+  });
+
+  if (electiveError) throw electiveError;
+
+  // Collect unique elective subject IDs where this faculty is assigned
+  const electiveSubjectIds = new Set();
+  (electiveSelections || []).forEach(selection => {
+    if (selection.mdm_faculty_id === facultyId && selection.mdm_id) {
+      electiveSubjectIds.add(selection.mdm_id);
+    }
+    if (selection.oe_faculty_id === facultyId && selection.oe_id) {
+      electiveSubjectIds.add(selection.oe_id);
+    }
+    if (selection.pe_faculty_id === facultyId && selection.pe_id) {
+      electiveSubjectIds.add(selection.pe_id);
+    }
+  });
+
+  // Fetch elective subject details from student selections
+  if (electiveSubjectIds.size > 0) {
+    const { data: electiveSubjects, error: electiveSubjectsError } = await listSubjects({
+      ids: Array.from(electiveSubjectIds),
+      columns: 'id, name, subject_code, type',
     });
 
-    // Also fetch elective subjects from department_offered_subjects where faculty_ids contains this faculty
-    const { data: offeredSubjects, error: offeredError } = await supabase
-      .from('department_offered_subjects')
-      .select(`
-        subject_id,
-        faculty_ids,
-        subjects (
-          id,
-          name,
-          subject_code,
-          type
-        )
-      `)
-      .contains('faculty_ids', [facultyId]);
-
-    if (offeredError) throw offeredError;
-
-    // Add offered subjects (all types)
-    (offeredSubjects || []).forEach(offered => {
-      const subject = offered.subjects;
-      if (subject && !subjectIds.has(subject.id)) {
+    if (electiveSubjectsError) throw electiveSubjectsError;
+
+    // Add elective subjects to the list
+    (electiveSubjects || []).forEach(subject => {
+      if (!subjectIds.has(subject.id)) {
         subjectIds.add(subject.id);
         uniqueSubjects.push({
           id: subject.id,
@@ -71,23 +129,174 @@ router.get('/subjects', authenticateUser, authorizeRoles("faculty"), async (req,
         });
       }
     });
+  }
+
+  return res.json({ success: true, subjects: uniqueSubjects });
+});
+
+router.get('/students', authenticateUser, requirePermission("student:read"), async (req, res) => {
+  const facultyId = req.user.id;
+
+  // First, get all subject-batch assignments for this faculty
+  const { data: assignments, error: assignError } = await listFacultySubjects({
+    faculty_id: facultyId,
+    columns: `
+      subject_id,
+      batch_id,
+      class_id,
+      subjects (
+        id,
+        name,
+        subject_code,
+        type
+      )
+    `,
+  });
+
+  if (assignError) throw assignError;
+
+  // Get all students from the classes where faculty teaches
+  const classIds = [...new Set((assignments || []).map(a => a.class_id).filter(Boolean))];
+    
+  let allStudents = [];
+  if (classIds.length > 0) {
+    const { data: students, error: studentsError } = await listStudents({
+      class_ids: classIds,
+      columns: `
+        id,
+        roll_no,
+        name,
+        email,
+        mobile,
+        attendance_percent,
+        hall_ticket_number,
+        defaulter,
+        class_id,
+        batch_id,
+        created_at,
+        batches ( name )
+      `,
+    });
+
+    if (studentsError) throw studentsError;
+    allStudents = students || [];
+  }
+
+  // Get all student IDs to fetch their submissions
+  const allStudentIds = allStudents.map(s => s.id);
+    
+    
+  // Fetch all submissions for these students
+  let submissions = [];
+  if (allStudentIds.length > 0) {
+    const { data: submissionsData, error: submissionsError } = await listSubmissions({
+      student_ids: allStudentIds,
+      columns: 'student_id, subject_id, submission_type_id, status',
+    });
 
-    // Also fetch elective subjects (OE, PE, MDM) where this faculty is assigned via student selections
-    const { data: electiveSelections, error: electiveError } = await supabase
-      .from('student_subject_selection')
-      .select(`
-        mdm_id,
-        oe_id,
-        pe_id,
-        mdm_faculty_id,
-        oe_faculty_id,
-        pe_faculty_id
-      `)
-      .or(`mdm_faculty_id.eq.${facultyId},oe_faculty_id.eq.${facultyId},pe_faculty_id.eq.${facultyId}`);
-
-    if (electiveError) throw electiveError;
-
-    // Collect unique elective subject IDs where this faculty is assigned
+    if (submissionsError) {
+      throw submissionsError;
+    }
+    submissions = submissionsData || [];
+      
+    // Check unique statuses
+    const uniqueStatuses = [...new Set(submissions.map(s => s.status))];
+  }
+
+  // Get submission types
+  const { data: submissionTypes, error: typesError } = await listSubmissionTypes();
+
+  if (typesError) throw typesError;
+
+  const taType = (submissionTypes || []).find(t => t.name === 'TA');
+  const cieType = (submissionTypes || []).find(t => t.name === 'CIE');
+  const defaulterType = (submissionTypes || []).find(t => t.name === 'Defaulter work');
+    
+
+  // Log subject IDs from assignments vs submissions
+  const assignmentSubjectIds = [...new Set((assignments || []).map(a => a.subjects?.id).filter(Boolean))];
+  const submissionSubjectIds = [...new Set(submissions.map(s => s.subject_id))];
+
+  // Map students to their subjects based on assignments
+  const studentsWithSubjects = [];
+
+  allStudents.forEach(student => {
+    // Find all subject assignments for this student
+    (assignments || []).forEach(assignment => {
+      // Check if this assignment applies to this student
+      const isApplicable = 
+        assignment.class_id === student.class_id &&
+        (assignment.batch_id === null || assignment.batch_id === student.batch_id);
+
+      if (isApplicable && assignment.subjects) {
+        // Get submissions for this student and subject
+        const studentSubjectSubmissions = submissions.filter(
+          sub => sub.student_id === student.id && sub.subject_id === assignment.subjects.id
+        );
+
+        const taSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === taType?.id);
+        const cieSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === cieType?.id);
+        const defaulterSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === defaulterType?.id);
+
+        const studentData = {
+          ...student,
+          batch_name: student.batches?.name || null,
+          subject_id: assignment.subjects.id,
+          subject_name: assignment.subjects.name,
+          subject_code: assignment.subjects.subject_code,
+          subject_type: assignment.subjects.type,
+          ta_status: taSubmission?.status || 'pending',
+          cie_status: cieSubmission?.status || 'pending',
+          defaulter_status: defaulterSubmission?.status || 'pending'
+        };
+
+        studentsWithSubjects.push(studentData);
+      }
+    });
+  });
+
+  // Also get students who have selected elective subjects taught by this faculty
+  const { data: electiveSelections, error: electiveError } = await listSelections({
+    faculty_id: facultyId,
+    columns: `
+      student_id,
+      mdm_id,
+      oe_id,
+      pe_id,
+      mdm_faculty_id,
+      oe_faculty_id,
+      pe_faculty_id
+    `,
+  });
+
+  if (electiveError) throw electiveError;
+
+  // Get unique student IDs from elective selections
+  const electiveStudentIds = [...new Set((electiveSelections || []).map(s => s.student_id))];
+
+  if (electiveStudentIds.length > 0) {
+    // Fetch student details
+    const { data: electiveStudents, error: electiveStudentsError } = await listStudents({
+      ids: electiveStudentIds,
+      columns: `
+        id,
+        roll_no,
+        name,
+        email,
+        mobile,
+        attendance_percent,
+        hall_ticket_number,
+        defaulter,
+        class_id,
+        batch_id,
+        created_at,
+        batches ( name )
+      `,
+    });
+
+    if (electiveStudentsError) throw electiveStudentsError;
+
+    // Get subject IDs for electives
     const electiveSubjectIds = new Set();
     (electiveSelections || []).forEach(selection => {
       if (selection.mdm_faculty_id === facultyId && selection.mdm_id) {
@@ -101,364 +310,146 @@ router.get('/subjects', authenticateUser, authorizeRoles("faculty"), async (req,
       }
     });
 
-    // Fetch elective subject details from student selections
-    if (electiveSubjectIds.size > 0) {
-      const { data: electiveSubjects, error: electiveSubjectsError } = await supabase
-        .from('subjects')
-        .select('id, name, subject_code, type')
-        .in('id', Array.from(electiveSubjectIds));
-
-      if (electiveSubjectsError) throw electiveSubjectsError;
-
-      // Add elective subjects to the list
-      (electiveSubjects || []).forEach(subject => {
-        if (!subjectIds.has(subject.id)) {
-          subjectIds.add(subject.id);
-          uniqueSubjects.push({
-            id: subject.id,
-            name: subject.name,
-            code: subject.subject_code,
-            type: subject.type
-          });
-        }
-      });
-    }
-
-    return res.json({ success: true, subjects: uniqueSubjects });
-  } catch (err) {
-    console.error('Error fetching faculty subjects:', err);
-    return res.status(500).json({ success: false, error: err.message });
-  }
-});
-
-router.get('/students', authenticateUser, authorizeRoles("faculty"), async (req, res) => {
-  try {
-    const facultyId = req.user.id;
+    // Fetch elective subject details
+    const { data: electiveSubjects, error: electiveSubjectsError } = await listSubjects({
+      ids: Array.from(electiveSubjectIds),
+      columns: 'id, name, subject_code, type',
+    });
 
-    // First, get all subject-batch assignments for this faculty
-    const { data: assignments, error: assignError } = await supabase
-      .from('faculty_subjects')
-      .select(`
-        subject_id,
-        batch_id,
-        class_id,
-        subjects (
-          id,
-          name,
-          subject_code,
-          type
-        )
-      `)
-      .eq('faculty_id', facultyId);
-
-    if (assignError) throw assignError;
-
-    // Get all students from the classes where faculty teaches
-    const classIds = [...new Set((assignments || []).map(a => a.class_id).filter(Boolean))];
-    
-    let allStudents = [];
-    if (classIds.length > 0) {
-      const { data: students, error: studentsError } = await supabase
-        .from('students')
-        .select(`
-          id,
-          roll_no,
-          name,
-          email,
-          mobile,
-          attendance_percent,
-          hall_ticket_number,
-          defaulter,
-          class_id,
-          batch_id,
-          created_at,
-          batches ( name )
-        `)
-        .in('class_id', classIds)
-        .order('roll_no', { ascending: true });
-
-      if (studentsError) throw studentsError;
-      allStudents = students || [];
-    }
+    if (electiveSubjectsError) throw electiveSubjectsError;
 
-    // Get all student IDs to fetch their submissions
-    const allStudentIds = allStudents.map(s => s.id);
-    
-    
-    // Fetch all submissions for these students
-    let submissions = [];
-    if (allStudentIds.length > 0) {
-      const { data: submissionsData, error: submissionsError } = await supabase
-        .from('student_submissions')
-        .select('student_id, subject_id, submission_type_id, status')
-        .in('student_id', allStudentIds);
-
-      if (submissionsError) {
-        console.error('Error fetching submissions:', submissionsError);
-        throw submissionsError;
-      }
-      submissions = submissionsData || [];
-      
-      // Check unique statuses
-      const uniqueStatuses = [...new Set(submissions.map(s => s.status))];
-    } else {
-      console.log(' No students found, skipping submission fetch');
-    }
+    // Create a map of subject details
+    const subjectMap = new Map();
+    (electiveSubjects || []).forEach(subject => {
+      subjectMap.set(subject.id, subject);
+    });
 
-    // Get submission types
-    const { data: submissionTypes, error: typesError } = await supabase
-      .from('submission_types')
-      .select('*');
+    // Fetch submissions for elective students
+    const { data: electiveSubmissions, error: electiveSubmissionsError } = await listSubmissions({
+      student_ids: electiveStudentIds,
+      columns: 'student_id, subject_id, submission_type_id, status',
+    });
 
-    if (typesError) throw typesError;
+    if (electiveSubmissionsError) throw electiveSubmissionsError;
 
-    const taType = (submissionTypes || []).find(t => t.name === 'TA');
-    const cieType = (submissionTypes || []).find(t => t.name === 'CIE');
-    const defaulterType = (submissionTypes || []).find(t => t.name === 'Defaulter work');
-    
+    // Map elective students to their subjects
+    (electiveStudents || []).forEach(student => {
+      const selection = electiveSelections.find(s => s.student_id === student.id);
+      if (!selection) return;
 
-    // Log subject IDs from assignments vs submissions
-    const assignmentSubjectIds = [...new Set((assignments || []).map(a => a.subjects?.id).filter(Boolean))];
-    const submissionSubjectIds = [...new Set(submissions.map(s => s.subject_id))];
-
-    // Map students to their subjects based on assignments
-    const studentsWithSubjects = [];
-
-    allStudents.forEach(student => {
-      // Find all subject assignments for this student
-      (assignments || []).forEach(assignment => {
-        // Check if this assignment applies to this student
-        const isApplicable = 
-          assignment.class_id === student.class_id &&
-          (assignment.batch_id === null || assignment.batch_id === student.batch_id);
-
-        if (isApplicable && assignment.subjects) {
-          // Get submissions for this student and subject
-          const studentSubjectSubmissions = submissions.filter(
-            sub => sub.student_id === student.id && sub.subject_id === assignment.subjects.id
+      // Add student for each elective subject they selected with this faculty
+      if (selection.mdm_faculty_id === facultyId && selection.mdm_id) {
+        const subject = subjectMap.get(selection.mdm_id);
+        if (subject) {
+          const studentSubjectSubmissions = (electiveSubmissions || []).filter(
+            sub => sub.student_id === student.id && sub.subject_id === subject.id
           );
 
           const taSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === taType?.id);
           const cieSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === cieType?.id);
           const defaulterSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === defaulterType?.id);
 
-          const studentData = {
+          studentsWithSubjects.push({
             ...student,
             batch_name: student.batches?.name || null,
-            subject_id: assignment.subjects.id,
-            subject_name: assignment.subjects.name,
-            subject_code: assignment.subjects.subject_code,
-            subject_type: assignment.subjects.type,
+            subject_id: subject.id,
+            subject_name: subject.name,
+            subject_code: subject.subject_code,
+            subject_type: subject.type,
             ta_status: taSubmission?.status || 'pending',
             cie_status: cieSubmission?.status || 'pending',
             defaulter_status: defaulterSubmission?.status || 'pending'
-          };
-
-          studentsWithSubjects.push(studentData);
+          });
         }
-      });
-    });
+      }
 
-    // Also get students who have selected elective subjects taught by this faculty
-    const { data: electiveSelections, error: electiveError } = await supabase
-      .from('student_subject_selection')
-      .select(`
-        student_id,
-        mdm_id,
-        oe_id,
-        pe_id,
-        mdm_faculty_id,
-        oe_faculty_id,
-        pe_faculty_id
-      `)
-      .or(`mdm_faculty_id.eq.${facultyId},oe_faculty_id.eq.${facultyId},pe_faculty_id.eq.${facultyId}`);
-
-    if (electiveError) throw electiveError;
-
-    // Get unique student IDs from elective selections
-    const electiveStudentIds = [...new Set((electiveSelections || []).map(s => s.student_id))];
-
-    if (electiveStudentIds.length > 0) {
-      // Fetch student details
-      const { data: electiveStudents, error: electiveStudentsError } = await supabase
-        .from('students')
-        .select(`
-          id,
-          roll_no,
-          name,
-          email,
-          mobile,
-          attendance_percent,
-          hall_ticket_number,
-          defaulter,
-          class_id,
-          batch_id,
-          created_at,
-          batches ( name )
-        `)
-        .in('id', electiveStudentIds)
-        .order('roll_no', { ascending: true });
-
-      if (electiveStudentsError) throw electiveStudentsError;
-
-      // Get subject IDs for electives
-      const electiveSubjectIds = new Set();
-      (electiveSelections || []).forEach(selection => {
-        if (selection.mdm_faculty_id === facultyId && selection.mdm_id) {
-          electiveSubjectIds.add(selection.mdm_id);
-        }
-        if (selection.oe_faculty_id === facultyId && selection.oe_id) {
-          electiveSubjectIds.add(selection.oe_id);
-        }
-        if (selection.pe_faculty_id === facultyId && selection.pe_id) {
-          electiveSubjectIds.add(selection.pe_id);
-        }
-      });
+      if (selection.oe_faculty_id === facultyId && selection.oe_id) {
+        const subject = subjectMap.get(selection.oe_id);
+        if (subject) {
+          const studentSubjectSubmissions = (electiveSubmissions || []).filter(
+            sub => sub.student_id === student.id && sub.subject_id === subject.id
+          );
 
-      // Fetch elective subject details
-      const { data: electiveSubjects, error: electiveSubjectsError } = await supabase
-        .from('subjects')
-        .select('id, name, subject_code, type')
-        .in('id', Array.from(electiveSubjectIds));
+          const taSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === taType?.id);
+          const cieSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === cieType?.id);
+          const defaulterSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === defaulterType?.id);
 
-      if (electiveSubjectsError) throw electiveSubjectsError;
+          studentsWithSubjects.push({
+            ...student,
+            batch_name: student.batches?.name || null,
+            subject_id: subject.id,
+            subject_name: subject.name,
+            subject_code: subject.subject_code,
+            subject_type: subject.type,
+            ta_status: taSubmission?.status || 'pending',
+            cie_status: cieSubmission?.status || 'pending',
+            defaulter_status: defaulterSubmission?.status || 'pending'
+          });
+        }
+      }
 
-      // Create a map of subject details
-      const subjectMap = new Map();
-      (electiveSubjects || []).forEach(subject => {
-        subjectMap.set(subject.id, subject);
-      });
+      if (selection.pe_faculty_id === facultyId && selection.pe_id) {
+        const subject = subjectMap.get(selection.pe_id);
+        if (subject) {
+          const studentSubjectSubmissions = (electiveSubmissions || []).filter(
+            sub => sub.student_id === student.id && sub.subject_id === subject.id
+          );
 
-      // Fetch submissions for elective students
-      const { data: electiveSubmissions, error: electiveSubmissionsError } = await supabase
-        .from('student_submissions')
-        .select('student_id, subject_id, submission_type_id, status')
-        .in('student_id', electiveStudentIds);
-
-      if (electiveSubmissionsError) throw electiveSubmissionsError;
-
-      // Map elective students to their subjects
-      (electiveStudents || []).forEach(student => {
-        const selection = electiveSelections.find(s => s.student_id === student.id);
-        if (!selection) return;
-
-        // Add student for each elective subject they selected with this faculty
-        if (selection.mdm_faculty_id === facultyId && selection.mdm_id) {
-          const subject = subjectMap.get(selection.mdm_id);
-          if (subject) {
-            const studentSubjectSubmissions = (electiveSubmissions || []).filter(
-              sub => sub.student_id === student.id && sub.subject_id === subject.id
-            );
-
-            const taSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === taType?.id);
-            const cieSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === cieType?.id);
-            const defaulterSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === defaulterType?.id);
-
-            studentsWithSubjects.push({
-              ...student,
-              batch_name: student.batches?.name || null,
-              subject_id: subject.id,
-              subject_name: subject.name,
-              subject_code: subject.subject_code,
-              subject_type: subject.type,
-              ta_status: taSubmission?.status || 'pending',
-              cie_status: cieSubmission?.status || 'pending',
-              defaulter_status: defaulterSubmission?.status || 'pending'
-            });
-          }
-        }
+          const taSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === taType?.id);
+          const cieSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === cieType?.id);
+          const defaulterSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === defaulterType?.id);
 
-        if (selection.oe_faculty_id === facultyId && selection.oe_id) {
-          const subject = subjectMap.get(selection.oe_id);
-          if (subject) {
-            const studentSubjectSubmissions = (electiveSubmissions || []).filter(
-              sub => sub.student_id === student.id && sub.subject_id === subject.id
-            );
-
-            const taSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === taType?.id);
-            const cieSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === cieType?.id);
-            const defaulterSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === defaulterType?.id);
-
-            studentsWithSubjects.push({
-              ...student,
-              batch_name: student.batches?.name || null,
-              subject_id: subject.id,
-              subject_name: subject.name,
-              subject_code: subject.subject_code,
-              subject_type: subject.type,
-              ta_status: taSubmission?.status || 'pending',
-              cie_status: cieSubmission?.status || 'pending',
-              defaulter_status: defaulterSubmission?.status || 'pending'
-            });
-          }
+          studentsWithSubjects.push({
+            ...student,
+            batch_name: student.batches?.name || null,
+            subject_id: subject.id,
+            subject_name: subject.name,
+            subject_code: subject.subject_code,
+            subject_type: subject.type,
+            ta_status: taSubmission?.status || 'pending',
+            cie_status: cieSubmission?.status || 'pending',
+            defaulter_status: defaulterSubmission?.status || 'pending'
+          });
         }
+      }
+    });
+  }
 
-        if (selection.pe_faculty_id === facultyId && selection.pe_id) {
-          const subject = subjectMap.get(selection.pe_id);
-          if (subject) {
-            const studentSubjectSubmissions = (electiveSubmissions || []).filter(
-              sub => sub.student_id === student.id && sub.subject_id === subject.id
-            );
-
-            const taSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === taType?.id);
-            const cieSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === cieType?.id);
-            const defaulterSubmission = studentSubjectSubmissions.find(sub => sub.submission_type_id === defaulterType?.id);
-
-            studentsWithSubjects.push({
-              ...student,
-              batch_name: student.batches?.name || null,
-              subject_id: subject.id,
-              subject_name: subject.name,
-              subject_code: subject.subject_code,
-              subject_type: subject.type,
-              ta_status: taSubmission?.status || 'pending',
-              cie_status: cieSubmission?.status || 'pending',
-              defaulter_status: defaulterSubmission?.status || 'pending'
-            });
-          }
-        }
-      });
-    }
+  // Calculate submission percentage for each student-subject pair
+  const studentsWithPercentages = studentsWithSubjects.map((student, index) => {
+    let totalSubmissions = 0;
+    let completedSubmissions = 0;
 
-    // Calculate submission percentage for each student-subject pair
-    const studentsWithPercentages = studentsWithSubjects.map((student, index) => {
-      let totalSubmissions = 0;
-      let completedSubmissions = 0;
-
-      if (student.subject_type === 'practical') {
-        // Practical: only TA counts
-        totalSubmissions = 1;
-        completedSubmissions += (student.ta_status === 'completed' ? 1 : 0);
-      } else {
-        // Theory: CIE + TA
-        totalSubmissions = 2;
-        completedSubmissions += (student.cie_status === 'completed' ? 1 : 0);
-        completedSubmissions += (student.ta_status === 'completed' ? 1 : 0);
+    if (student.subject_type === 'practical') {
+      // Practical: only TA counts
+      totalSubmissions = 1;
+      completedSubmissions += (student.ta_status === 'completed' ? 1 : 0);
+    } else {
+      // Theory: CIE + TA
+      totalSubmissions = 2;
+      completedSubmissions += (student.cie_status === 'completed' ? 1 : 0);
+      completedSubmissions += (student.ta_status === 'completed' ? 1 : 0);
         
-        // Add defaulter work ONLY for theory subjects if student is defaulter
-        if (student.defaulter) {
-          totalSubmissions += 1;
-          completedSubmissions += (student.defaulter_status === 'completed' ? 1 : 0);
-        }
+      // Add defaulter work ONLY for theory subjects if student is defaulter
+      if (student.defaulter) {
+        totalSubmissions += 1;
+        completedSubmissions += (student.defaulter_status === 'completed' ? 1 : 0);
       }
+    }
 
-      const submissionPercentage = totalSubmissions > 0 ? Math.round((completedSubmissions / totalSubmissions) * 100) : 0;
+    const submissionPercentage = totalSubmissions > 0 ? Math.round((completedSubmissions / totalSubmissions) * 100) : 0;
 
-      return {
-        ...student,
-        submission_percentage: submissionPercentage,
-        total_submissions: totalSubmissions,
-        completed_submissions: completedSubmissions
-      };
-    });
+    return {
+      ...student,
+      submission_percentage: submissionPercentage,
+      total_submissions: totalSubmissions,
+      completed_submissions: completedSubmissions
+    };
+  });
 
-    // Find students with actual submissions to show as examples
-    const studentsWithSubmissions = studentsWithPercentages.filter(s => s.completed_submissions > 0);
-    return res.json({ success: true, students: studentsWithPercentages });
-  } catch (err) {
-    console.error('Error fetching faculty students:', err);
-    return res.status(500).json({ success: false, error: err.message });
-  }
+  // Find students with actual submissions to show as examples
+  const studentsWithSubmissions = studentsWithPercentages.filter(s => s.completed_submissions > 0);
+  return res.json({ success: true, students: studentsWithPercentages });
 });
 
 export default router;
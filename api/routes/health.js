@@ -0,0 +1,34 @@
+import express from "express";
+import { checkLiveness, checkReadiness } from "../utils/health.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+// For load balancers and uptime monitors: 200 when every component passes,
+// 503 otherwise, with the component report as the body either way
+const send = (res, report) => {
+  const healthy = report.status === "pass";
+  res.set("Cache-Control", "no-store");
+  res.status(healthy ? 200 : 503).json({ success: healthy, ...report });
+};
+
+router.get("/live", (req, res) => {
+  send(res, checkLiveness());
+});
+
+// The probe is public, so it only says which components pass; why one failed
+// (driver errors, missing variables or columns) goes to the log
+const withoutDetails = (report) => {
+  const checks = {};
+  for (const [name, { status, duration_ms, ...details }] of Object.entries(report.checks)) {
+    if (status !== "pass") logger.error("Readiness check failed", { check: name, ...details });
+    checks[name] = { status, duration_ms };
+  }
+  return { status: report.status, checks };
+};
+
+router.get("/ready", async (req, res) => {
+  send(res, withoutDetails(await checkReadiness()));
+});
+
+export default router;
@@ -1,838 +1,745 @@
 import express from "express";
-import { supabase } from '../db/supabaseClient.js'
-import { authenticateUser, authorizeRoles  } from "../middlewares/auth.js";
+import multer from "multer";
+import xlsx from "xlsx";
+import { authenticateUser } from "../middlewares/auth.js";
+import { requirePermission, classResource } from "../middlewares/permissions.js";
+import { validate } from "../middlewares/validate.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import * as schemas from "../schemas/hod.js";
+import { withRole } from "../utils/roles.js";
+import { createInvitation, EMAIL_PATTERN, findEmailConflict, INVITABLE_ROLES } from "../utils/invitations.js";
+import { recordAudit } from "../utils/audit.js";
+import { revokeUserSessions } from "../utils/tokens.js";
+import {
+  deleteClass,
+  findClassByName,
+  findDepartmentClass,
+  insertClass,
+  listClasses,
+  updateClass,
+} from "../db/repositories/classes.js";
+import { listStudents } from "../db/repositories/students.js";
+import {
+  deleteFacultySubjects,
+  deleteOfferedSubject,
+  deleteSubject,
+  findFacultySubject,
+  findOfferedSubject,
+  findSubjectByCode,
+  insertFacultySubjects,
+  insertOfferedSubject,
+  insertSubject,
+  listOfferedSubjects,
+} from "../db/repositories/subjects.js";
+import { listSubmissionTypes, listSubmissions } from "../db/repositories/submissions.js";
+import { findUserById, listUsers, updateUser } from "../db/repositories/users.js";
+import { ForbiddenError, NotFoundError, ValidationError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
 
 const router = express.Router();
 
+// Keep uploads in memory: the serverless filesystem is read-only
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+const MAX_IMPORT_ROWS = 500;
+
+// Move the assigned class teacher into the department and grant the class_teacher role,
+// so faculty (or the HOD themselves) can also act as class teacher
+const assignClassTeacher = async (class_teacher_id, department_id) => {
+  const { data: teacher, error: teacherError } = await findUserById(class_teacher_id, "id, role, roles");
+
+  if (teacherError || !teacher) {
+    return teacherError || new Error(`Teacher ${class_teacher_id} not found`);
+  }
+
+  const { error } = await updateUser(class_teacher_id, { department_id, roles: withRole(teacher, "class_teacher") });
+
+  return error;
+};
+
 // Get HOD profile
-router.get("/profile", authenticateUser, authorizeRoles("hod"), async (req, res) => {
-  try {
-    const userId = req.user.id;
-
-    const { data: user, error } = await supabase
-      .from("users")
-      .select(`
-        id, 
-        name, 
-        email, 
-        role, 
-        department_id,
-        departments (
-          id,
-          name
-        )
-      `)
-      .eq("id", userId)
-      .single();
-
-    if (error) throw error;
-
-    if (!user) {
-      return res.status(404).json({ success: false, error: "User not found" });
-    }
+router.get("/profile", authenticateUser, requirePermission("profile:read"), async (req, res) => {
+  const userId = req.user.id;
+
+  const { data: user, error } = await findUserById(userId, `
+      id, 
+      name, 
+      email, 
+      role, 
+      department_id,
+      departments (
+        id,
+        name
+      )
+    `);
 
-    // Format response with department name
-    const response = {
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      department_id: user.department_id,
-      department_name: user.departments?.name || 'No Department Assigned'
-    };
+  if (error) throw error;
 
-    res.json({ success: true, user: response });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+  if (!user) {
+    throw new NotFoundError("User not found");
   }
+
+  // Format response with department name
+  const response = {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    department_id: user.department_id,
+    department_name: user.departments?.name || 'No Department Assigned'
+  };
+
+  res.json({ success: true, user: response });
 });
 
 // Get all classes for HOD's department
-router.get("/classes", authenticateUser, authorizeRoles("hod"), async (req, res) => {
-  try {
-    const department_id = req.user.department_id;
+router.get("/classes", authenticateUser, requirePermission("class:read"), async (req, res) => {
+  const department_id = req.user.department_id;
 
-    if (!department_id) {
-      return res.status(403).json({
-        success: false,
-        error: "Department ID missing in token.",
-      });
-    }
+  if (!department_id) {
+    throw new ForbiddenError("Department ID missing in token.");
+  }
 
-    const { data: classes, error } = await supabase
-      .from("classes")
-      .select(`
+  const { data: classes, error } = await listClasses({
+    department_id,
+    columns: `
+      id,
+      name,
+      year,
+      total_students,
+      created_at,
+      class_teacher:class_teacher_id (
         id,
-        name,
-        year,
-        total_students,
-        created_at,
-        class_teacher:class_teacher_id (
-          id,
-          name
-        )
-      `)
-      .eq("department_id", department_id)
-      .order("year", { ascending: true })
-      .order("name", { ascending: true });
-
-    if (error) throw error;
-
-    const formatted = classes.map(cls => ({
-      id: cls.id,
-      name: cls.name,
-      year: cls.year,
-      total_students: cls.total_students || 0,
-      teacher: cls.class_teacher?.name || 'Not Assigned',
-      teacher_id: cls.class_teacher?.id || null,
-      created_at: cls.created_at
-    }));
-
-    res.json({ success: true, classes: formatted });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
+        name
+      )
+    `,
+  });
+
+  if (error) throw error;
+
+  const formatted = classes.map(cls => ({
+    id: cls.id,
+    name: cls.name,
+    year: cls.year,
+    total_students: cls.total_students || 0,
+    teacher: cls.class_teacher?.name || 'Not Assigned',
+    teacher_id: cls.class_teacher?.id || null,
+    created_at: cls.created_at
+  }));
+
+  res.json({ success: true, classes: formatted });
 });
 
 // Get all faculties in HOD's department
-router.get("/faculties", authenticateUser, authorizeRoles("hod"), async (req, res) => {
-  try {
-    const department_id = req.user.department_id;
+router.get("/faculties", authenticateUser, requirePermission("staff:read"), async (req, res) => {
+  const department_id = req.user.department_id;
 
-    if (!department_id) {
-      return res.status(403).json({
-        success: false,
-        error: "Department ID missing in token.",
-      });
-    }
+  if (!department_id) {
+    throw new ForbiddenError("Department ID missing in token.");
+  }
 
-    const { data: faculties, error } = await supabase
-      .from("users")
-      .select("id, name, email, role, created_at")
-      .eq("department_id", department_id)
-      .in("role", ["class_teacher", "faculty", "hod"])
-      .order("name", { ascending: true });
+  const { data: faculties, error } = await listUsers({
+    department_id,
+    roles: ["class_teacher", "faculty", "hod"],
+    columns: "id, name, email, role, created_at",
+    orderByName: true,
+  });
 
-    if (error) throw error;
+  if (error) throw error;
 
-    res.json({ success: true, faculties });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
+  res.json({ success: true, faculties });
 });
 
 // Get available class teachers for HOD's department
-router.get("/class-teachers", authenticateUser, authorizeRoles("hod"), async (req, res) => {
-  try {
-    const department_id = req.user.department_id;
+router.get("/class-teachers", authenticateUser, requirePermission("staff:read"), async (req, res) => {
+  const department_id = req.user.department_id;
 
-    if (!department_id) {
-      return res.status(403).json({
-        success: false,
-        error: "Department ID missing in token.",
-      });
-    }
+  if (!department_id) {
+    throw new ForbiddenError("Department ID missing in token.");
+  }
 
-    // Fetch all users with role 'class_teacher' or 'faculty'
-    // Filter by department_id OR users without department_id (available to assign)
-    const { data: teachers, error } = await supabase
-      .from("users")
-      .select("id, name, email, role, department_id")
-      .in("role", ["class_teacher", "faculty"])
-      .order("name", { ascending: true });
+  // Fetch all users with role 'class_teacher' or 'faculty'
+  // Filter by department_id OR users without department_id (available to assign)
+  const { data: teachers, error } = await listUsers({
+    roles: ["class_teacher", "faculty"],
+    columns: "id, name, email, role, department_id",
+    orderByName: true,
+  });
 
-    if (error) throw error;
+  if (error) throw error;
 
-    // Filter to show only teachers from same department or unassigned teachers
-    const availableTeachers = teachers.filter(teacher => 
-      !teacher.department_id || teacher.department_id === department_id
-    );
+  // Filter to show only teachers from same department or unassigned teachers
+  const availableTeachers = teachers.filter(teacher => 
+    !teacher.department_id || teacher.department_id === department_id
+  );
 
-    res.json({ success: true, teachers: availableTeachers });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
+  res.json({ success: true, teachers: availableTeachers });
 });
 
-router.post("/classes", authenticateUser, authorizeRoles("hod"), async (req, res) => {
-  try {
-    const { name, class_teacher_id, year } = req.body;
+router.post("/classes", authenticateUser, requirePermission("class:manage"), validate(schemas.createClass), async (req, res) => {
+  const { name, class_teacher_id, year } = req.body;
 
-    if (!name || !class_teacher_id || !year) {
-      return res.status(400).json({
-        success: false,
-        error: "Name, year, and class_teacher_id are required",
-      });
-    }
+  // Get HOD's department_id
+  const { data: hodData, error: hodError } = await findUserById(req.user.id, "department_id");
 
-    // Get HOD's department_id
-    const { data: hodData, error: hodError } = await supabase
-      .from("users")
-      .select("department_id")
-      .eq("id", req.user.id)
-      .single();
-
-    if (hodError || !hodData)
-      return res
-        .status(400)
-        .json({ success: false, error: "HOD department not found" });
-
-    const department_id = hodData.department_id;
-
-    // ✅ Check if a class with same name & year already has a class teacher
-    const { data: existingClass, error: classError } = await supabase
-      .from("classes")
-      .select("id, class_teacher_id")
-      .eq("name", name)
-      .eq("year", year)
-      .eq("department_id", department_id)
-      .single();
-
-    if (existingClass && existingClass.class_teacher_id) {
-      return res.status(400).json({
-        success: false,
-        error: "A class teacher is already assigned to this class.",
-      });
-    }
+  if (hodError || !hodData)
+    throw new ValidationError("HOD department not found");
 
-    // Update class teacher's department_id
-    const { error: updateTeacherError } = await supabase
-      .from("users")
-      .update({ department_id: department_id })
-      .eq("id", class_teacher_id);
+  const department_id = hodData.department_id;
 
-    if (updateTeacherError) {
-      console.error("Error updating teacher's department:", updateTeacherError);
-      // Continue anyway, don't fail the class creation
-    }
+  // ✅ Check if a class with same name & year already has a class teacher
+  const { data: existingClass, error: classError } = await findClassByName({ name, year, department_id }, "id, class_teacher_id");
 
-    // Insert class
-    const { data, error } = await supabase
-      .from("classes")
-      .insert([
-        {
-          name,
-          department_id,
-          class_teacher_id,
-          year,
-        },
-      ])
-      .select();
-
-    if (error) throw error;
-
-    res.status(201).json({
-      success: true,
-      message: "Class created successfully",
-      data: data[0],
-    });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+  if (existingClass && existingClass.class_teacher_id) {
+    throw new ValidationError("A class teacher is already assigned to this class.");
   }
+
+  // Update class teacher's department_id and roles
+  const updateTeacherError = await assignClassTeacher(class_teacher_id, department_id);
+
+  if (updateTeacherError) {
+    // Continue anyway, don't fail the class creation
+    logger.error("Failed to update the class teacher's department", { class_teacher_id, error: updateTeacherError });
+  }
+
+  // Insert class
+  const { data, error } = await insertClass({
+    name,
+    department_id,
+    class_teacher_id,
+    year,
+  });
+
+  if (error) throw error;
+
+  res.status(201).json({
+    success: true,
+    message: "Class created successfully",
+    data,
+  });
 });
 
 // Update class
-router.put("/classes/:id", authenticateUser, authorizeRoles("hod"), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, class_teacher_id, year } = req.body;
-    const department_id = req.user.department_id;
+router.put("/classes/:id", authenticateUser, requirePermission("class:manage", { resource: classResource(req => req.params.id) }), validate(schemas.updateClass), async (req, res) => {
+  const { id } = req.params;
+  const { name, class_teacher_id, year } = req.body;
+  const department_id = req.user.department_id;
 
-    if (!department_id) {
-      return res.status(403).json({
-        success: false,
-        error: "Department ID missing in token.",
-      });
-    }
+  if (!department_id) {
+    throw new ForbiddenError("Department ID missing in token.");
+  }
 
-    if (!name || !class_teacher_id || !year) {
-      return res.status(400).json({
-        success: false,
-        error: "Name, year, and class_teacher_id are required",
-      });
-    }
+  // Verify the class belongs to HOD's department
+  const { data: existingClass, error: checkError } = await findDepartmentClass(id, department_id);
 
-    // Verify the class belongs to HOD's department
-    const { data: existingClass, error: checkError } = await supabase
-      .from("classes")
-      .select("id")
-      .eq("id", id)
-      .eq("department_id", department_id)
-      .single();
-
-    if (checkError || !existingClass) {
-      return res.status(404).json({
-        success: false,
-        error: "Class not found or access denied",
-      });
-    }
+  if (checkError || !existingClass) {
+    throw new NotFoundError("Class not found or access denied");
+  }
 
-    // Update class teacher's department_id
-    const { error: updateTeacherError } = await supabase
-      .from("users")
-      .update({ department_id: department_id })
-      .eq("id", class_teacher_id);
+  // Update class teacher's department_id and roles
+  const updateTeacherError = await assignClassTeacher(class_teacher_id, department_id);
 
-    if (updateTeacherError) {
-      console.error("Error updating teacher's department:", updateTeacherError);
-      // Continue anyway, don't fail the class update
-    }
+  if (updateTeacherError) {
+    // Continue anyway, don't fail the class update
+    logger.error("Failed to update the class teacher's department", { class_teacher_id, error: updateTeacherError });
+  }
 
-    // Update the class
-    const { data, error } = await supabase
-      .from("classes")
-      .update({
-        name,
-        class_teacher_id,
-        year,
-      })
-      .eq("id", id)
-      .select();
+  // Update the class
+  const { data, error } = await updateClass(id, {
+    name,
+    class_teacher_id,
+    year,
+  });
 
-    if (error) throw error;
+  if (error) throw error;
 
-    res.json({
-      success: true,
-      message: "Class updated successfully",
-      data: data[0],
-    });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
+  res.json({
+    success: true,
+    message: "Class updated successfully",
+    data,
+  });
 });
 
 // Delete class
-router.delete("/classes/:id", authenticateUser, authorizeRoles("hod"), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const department_id = req.user.department_id;
+router.delete("/classes/:id", authenticateUser, requirePermission("class:manage", { resource: classResource(req => req.params.id) }), validate(schemas.deleteClass), async (req, res) => {
+  const { id } = req.params;
+  const department_id = req.user.department_id;
 
-    if (!department_id) {
-      return res.status(403).json({
-        success: false,
-        error: "Department ID missing in token.",
-      });
-    }
+  if (!department_id) {
+    throw new ForbiddenError("Department ID missing in token.");
+  }
 
-    // Verify the class belongs to HOD's department
-    const { data: existingClass, error: checkError } = await supabase
-      .from("classes")
-      .select("id")
-      .eq("id", id)
-      .eq("department_id", department_id)
-      .single();
-
-    if (checkError || !existingClass) {
-      return res.status(404).json({
-        success: false,
-        error: "Class not found or access denied",
-      });
-    }
+  // Verify the class belongs to HOD's department
+  const { data: existingClass, error: checkError } = await findDepartmentClass(id, department_id);
 
-    // Delete the class
-    const { error } = await supabase
-      .from("classes")
-      .delete()
-      .eq("id", id);
+  if (checkError || !existingClass) {
+    throw new NotFoundError("Class not found or access denied");
+  }
 
-    if (error) throw error;
+  // Delete the class
+  const { error } = await deleteClass(id);
 
-    res.json({
-      success: true,
-      message: "Class deleted successfully",
-    });
-  } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
-  }
+  if (error) throw error;
+
+  res.json({
+    success: true,
+    message: "Class deleted successfully",
+  });
 });
 
 // Get all offered subjects for HOD's department
-router.get("/offered-subjects", authenticateUser, authorizeRoles("hod"), async (req, res) => {
-  try {
-    const department_id = req.user.department_id;
+router.get("/offered-subjects", authenticateUser, requirePermission("offered_subject:read"), async (req, res) => {
+  const department_id = req.user.department_id;
 
-    if (!department_id) {
-      return res.status(403).json({
-        success: false,
-        error: "Department ID missing in token.",
-      });
-    }
+  if (!department_id) {
+    throw new ForbiddenError("Department ID missing in token.");
+  }
 
-    const { data: subjects, error } = await supabase
-      .from("department_offered_subjects")
-      .select(`
+  const { data: subjects, error } = await listOfferedSubjects({
+    department_id,
+    columns: `
+      id,
+      semester,
+      year,
+      faculty_ids,
+      created_at,
+      subject:subject_id (
         id,
-        semester,
-        year,
-        faculty_ids,
-        created_at,
-        subject:subject_id (
-          id,
-          name,
-          subject_code,
-          type
-        )
-      `)
-      .eq("department_id", department_id)
-      .order("year", { ascending: true })
-      .order("semester", { ascending: true });
-
-    if (error) throw error;
-
-    // Fetch faculty names for each subject
-    const formattedSubjects = await Promise.all(
-      subjects.map(async (sub) => {
-        const facultyNames = [];
-        if (sub.faculty_ids && sub.faculty_ids.length > 0) {
-          const { data: faculties } = await supabase
-            .from("users")
-            .select("id, name")
-            .in("id", sub.faculty_ids);
+        name,
+        subject_code,
+        type
+      )
+    `,
+  });
+
+  if (error) throw error;
+
+  // Fetch faculty names for each subject
+  const formattedSubjects = await Promise.all(
+    subjects.map(async (sub) => {
+      const facultyNames = [];
+      if (sub.faculty_ids && sub.faculty_ids.length > 0) {
+        const { data: faculties } = await listUsers({ ids: sub.faculty_ids, columns: "id, name" });
           
-          if (faculties) {
-            facultyNames.push(...faculties.map(f => f.name));
-          }
+        if (faculties) {
+          facultyNames.push(...faculties.map(f => f.name));
         }
+      }
 
-        return {
-          id: sub.id,
-          subject_code: sub.subject?.subject_code || 'N/A',
-          subject_name: sub.subject?.name || 'N/A',
-          type: sub.subject?.type || 'N/A',
-          faculties: facultyNames,
-          semester: sub.semester,
-          year: sub.year,
-          created_at: sub.created_at
-        };
-      })
-    );
+      return {
+        id: sub.id,
+        subject_code: sub.subject?.subject_code || 'N/A',
+        subject_name: sub.subject?.name || 'N/A',
+        type: sub.subject?.type || 'N/A',
+        faculties: facultyNames,
+        semester: sub.semester,
+        year: sub.year,
+        created_at: sub.created_at
+      };
+    })
+  );
+
+  res.json({ success: true, subjects: formattedSubjects });
+});
+
+// Delete offered subject
+router.delete("/offered-subjects/:id", authenticateUser, requirePermission("offered_subject:manage"), validate(schemas.deleteOfferedSubject), async (req, res) => {
+  const { id } = req.params;
+  const department_id = req.user.department_id;
+
+  if (!department_id) {
+    throw new ForbiddenError("Department ID missing in token.");
+  }
 
-    res.json({ success: true, subjects: formattedSubjects });
-  } catch (err) {
-    console.error('Error fetching offered subjects:', err);
-    res.status(500).json({ success: false, error: err.message });
+  // Verify the subject belongs to HOD's department
+  const { data: existingSubject, error: checkError } = await findOfferedSubject({ id, department_id }, "id, subject_id");
+
+
+  if (checkError || !existingSubject) {
+    throw new NotFoundError("Subject not found or access denied");
   }
+
+  const subject_id = existingSubject.subject_id;
+
+  // Step 1: Delete from faculty_subjects (if any)
+  const { error: facultyDeleteError } = await deleteFacultySubjects({ subject_id });
+
+  if (facultyDeleteError) {
+    logger.error("Failed to delete faculty assignments of the subject", { subject_id, error: facultyDeleteError });
+  }
+
+  // Step 2: Delete from department_offered_subjects
+  const { error: deptDeleteError } = await deleteOfferedSubject(id);
+
+  if (deptDeleteError) {
+    throw deptDeleteError;
+  }
+
+  // Step 3: Delete from subjects table
+  const { error: subjectDeleteError } = await deleteSubject(subject_id);
+
+  if (subjectDeleteError) {
+    throw subjectDeleteError;
+  }
+
+  res.json({
+    success: true,
+    message: "Subject deleted successfully",
+  });
 });
 
-// Delete offered subject
-router.delete("/offered-subjects/:id", authenticateUser, authorizeRoles("hod"), async (req, res) => {
-  try {
-    const { id } = req.params;
+router.post("/add-offered-subject", authenticateUser, requirePermission("offered_subject:manage"),
+  validate(schemas.addOfferedSubject),
+  async (req, res) => {
+    const { name, subject_code, type, faculty_ids, semester, year } = req.body;
     const department_id = req.user.department_id;
 
     if (!department_id) {
-      console.error('Department ID missing in token');
-      return res.status(403).json({
-        success: false,
-        error: "Department ID missing in token.",
-      });
+      throw new ForbiddenError("Department ID missing in token.");
     }
 
-    // Verify the subject belongs to HOD's department
-    const { data: existingSubject, error: checkError } = await supabase
-      .from("department_offered_subjects")
-      .select("id, subject_id")
-      .eq("id", id)
-      .eq("department_id", department_id)
-      .single();
+    // ✅ Step 1: Prevent duplicate subject entry
+    const { data: existingSubject, error: subjectCheckError } = await findSubjectByCode(subject_code, department_id, "id");
 
+    if (subjectCheckError) throw subjectCheckError;
 
-    if (checkError || !existingSubject) {
-      console.error('Subject not found or access denied:', checkError);
-      return res.status(404).json({
-        success: false,
-        error: "Subject not found or access denied",
-      });
+    if (existingSubject) {
+      throw new ValidationError("A subject with this code already exists in your department.");
     }
 
-    const subject_id = existingSubject.subject_id;
+    // ✅ Step 2: Insert into subjects
+    const { data: subjectData, error: subjectError } = await insertSubject({
+      name,
+      subject_code,
+      type,
+      department_id,
+      class_id: null,
+    });
 
-    // Step 1: Delete from faculty_subjects (if any)
-    const { error: facultyDeleteError } = await supabase
-      .from("faculty_subjects")
-      .delete()
-      .eq("subject_id", subject_id);
+    if (subjectError) throw subjectError;
 
-    if (facultyDeleteError) {
-      console.error('Error deleting faculty_subjects:', facultyDeleteError);
-    }
+    const subject_id = subjectData.id;
 
-    // Step 2: Delete from department_offered_subjects
-    const { error: deptDeleteError } = await supabase
-      .from("department_offered_subjects")
-      .delete()
-      .eq("id", id);
+    // ✅ Step 3: Prevent duplicate department offered subject
+    const { data: existingDeptSub, error: deptSubCheckError } = await findOfferedSubject({ subject_id, department_id, semester, year }, "id");
 
-    if (deptDeleteError) {
-      console.error('Error deleting department_offered_subjects:', deptDeleteError);
-      throw deptDeleteError;
+    if (deptSubCheckError) throw deptSubCheckError;
+
+    if (existingDeptSub) {
+      throw new ValidationError("This subject is already offered by your department for this semester/year.");
     }
 
-    // Step 3: Delete from subjects table
-    const { error: subjectDeleteError } = await supabase
-      .from("subjects")
-      .delete()
-      .eq("id", subject_id);
+    // ✅ Step 4: Insert into department_offered_subjects
+    const { data: deptSubjectData, error: deptInsertError } = await insertOfferedSubject({
+      subject_id,
+      department_id,
+      faculty_ids,
+      semester,
+      year,
+    });
+
+    if (deptInsertError) throw deptInsertError;
+
+    // ✅ Step 5: Avoid duplicate faculty-subject mapping
+    const facultyMappings = [];
+    for (const faculty_id of faculty_ids) {
+      const { data: existingMap } = await findFacultySubject({ faculty_id, subject_id });
+
+      if (!existingMap) {
+        facultyMappings.push({
+          faculty_id,
+          subject_id,
+          class_id: null,
+          batch_id: null,
+        });
+      }
+    }
 
-    if (subjectDeleteError) {
-      console.error('Error deleting from subjects:', subjectDeleteError);
-      throw subjectDeleteError;
+    if (facultyMappings.length > 0) {
+      const { error: facultyMapError } = await insertFacultySubjects(facultyMappings);
+      if (facultyMapError) throw facultyMapError;
     }
 
-    res.json({
+    return res.status(201).json({
       success: true,
-      message: "Subject deleted successfully",
+      message: `${type} subject "${name}" added successfully with ${facultyMappings.length} faculty assigned.`,
+      data: {
+        subject: subjectData,
+        department_offered_subject: deptSubjectData,
+        faculty_subjects: facultyMappings,
+      },
     });
-  } catch (err) {
-    console.error('Error in delete endpoint:', err);
-    res.status(500).json({ success: false, error: err.message });
   }
-});
+);
 
-router.post("/add-offered-subject", authenticateUser, authorizeRoles("hod"),
-  async (req, res) => {
-    try {
-      const { name, subject_code, type, faculty_ids, semester, year } = req.body;
-      const department_id = req.user.department_id;
-
-      if (!department_id) {
-        console.error('Department ID missing in token');
-        return res.status(403).json({
-          success: false,
-          error: "Department ID missing in token.",
-        });
-      }
 
-      if (!name || !type || !faculty_ids?.length) {
-        console.error('Missing required fields:', { name, type, faculty_ids });
-        return res.status(400).json({
-          success: false,
-          error: "Name, type, and faculty_ids (array) are required.",
-        });
-      }
+// Get year-wise submission statistics for HOD's department
+router.get("/year-statistics", authenticateUser, requirePermission("statistics:department"), rateLimit("statistics"), async (req, res) => {
+  const department_id = req.user.department_id;
 
-      // ✅ Step 1: Prevent duplicate subject entry
-      const { data: existingSubject, error: subjectCheckError } = await supabase
-        .from("subjects")
-        .select("id")
-        .eq("subject_code", subject_code)
-        .eq("department_id", department_id)
-        .maybeSingle();
+  if (!department_id) {
+    throw new ValidationError("Department ID not found in token");
+  }
 
-      if (subjectCheckError) throw subjectCheckError;
+  // Get all classes in this department grouped by year
+  const { data: classes, error: classesError } = await listClasses({ department_id, columns: "id, name, year" });
 
-      if (existingSubject) {
-        return res.status(400).json({
-          success: false,
-          error: "A subject with this code already exists in your department.",
-        });
-      }
+  if (classesError) throw classesError;
 
-      // ✅ Step 2: Insert into subjects
-      const { data: subjectData, error: subjectError } = await supabase
-        .from("subjects")
-        .insert([
-          {
-            name,
-            subject_code,
-            type,
-            department_id,
-            class_id: null,
-          },
-        ])
-        .select()
-        .single();
-
-      if (subjectError) throw subjectError;
-
-      const subject_id = subjectData.id;
-
-      // ✅ Step 3: Prevent duplicate department offered subject
-      const { data: existingDeptSub, error: deptSubCheckError } = await supabase
-        .from("department_offered_subjects")
-        .select("id")
-        .eq("subject_id", subject_id)
-        .eq("department_id", department_id)
-        .eq("semester", semester)
-        .eq("year", year)
-        .maybeSingle();
-
-      if (deptSubCheckError) throw deptSubCheckError;
-
-      if (existingDeptSub) {
-        return res.status(400).json({
-          success: false,
-          error: "This subject is already offered by your department for this semester/year.",
-        });
-      }
+  // Group classes by year
+  const yearGroups = {};
+  (classes || []).forEach(cls => {
+    if (!yearGroups[cls.year]) {
+      yearGroups[cls.year] = [];
+    }
+    yearGroups[cls.year].push(cls.id);
+  });
 
-      // ✅ Step 4: Insert into department_offered_subjects
-      const { data: deptSubjectData, error: deptInsertError } = await supabase
-        .from("department_offered_subjects")
-        .insert([
-          {
-            subject_id,
-            department_id,
-            faculty_ids,
-            semester,
-            year,
-          },
-        ])
-        .select()
-        .single();
-
-      if (deptInsertError) throw deptInsertError;
-
-      // ✅ Step 5: Avoid duplicate faculty-subject mapping
-      const facultyMappings = [];
-      for (const faculty_id of faculty_ids) {
-        const { data: existingMap } = await supabase
-          .from("faculty_subjects")
-          .select("id")
-          .eq("faculty_id", faculty_id)
-          .eq("subject_id", subject_id)
-          .maybeSingle();
-
-        if (!existingMap) {
-          facultyMappings.push({
-            faculty_id,
-            subject_id,
-            class_id: null,
-            batch_id: null,
-          });
-        }
-      }
+  // Calculate statistics for each year
+  const yearStats = await Promise.all(
+    Object.entries(yearGroups).map(async ([year, classIds]) => {
+      // Get all students in these classes
+      const { data: students, error: studentsError } = await listStudents({ class_ids: classIds, columns: "id, defaulter" });
 
-      if (facultyMappings.length > 0) {
-        const { error: facultyMapError } = await supabase
-          .from("faculty_subjects")
-          .insert(facultyMappings);
-        if (facultyMapError) throw facultyMapError;
-      }
+      if (studentsError) throw studentsError;
 
-      return res.status(201).json({
-        success: true,
-        message: `${type} subject "${name}" added successfully with ${facultyMappings.length} faculty assigned.`,
-        data: {
-          subject: subjectData,
-          department_offered_subject: deptSubjectData,
-          faculty_subjects: facultyMappings,
-        },
-      });
-    } catch (err) {
-      console.error("Error adding offered subject:", err);
-      return res.status(500).json({ success: false, error: err.message });
-    }
-  }
-);
+      const totalStudents = students?.length || 0;
+      const defaulterStudents = students?.filter(s => s.defaulter).length || 0;
 
+      if (totalStudents === 0) {
+        return {
+          year: parseInt(year),
+          yearName: year === '1' ? 'First Year' : year === '2' ? 'Second Year' : year === '3' ? 'Third Year' : 'Fourth Year',
+          percentage: 0,
+          totalStudents: 0,
+          defaulterCount: 0,
+          classCount: classIds.length
+        };
+      }
 
-// Get year-wise submission statistics for HOD's department
-router.get("/year-statistics", authenticateUser, authorizeRoles("hod"), async (req, res) => {
-  try {
-    const department_id = req.user.department_id;
+      const studentIds = students.map(s => s.id);
 
-    if (!department_id) {
-      return res.status(400).json({
-        success: false,
-        error: "Department ID not found in token"
+      // Get all submissions for these students
+      const { data: submissions, error: submissionsError } = await listSubmissions({
+        student_ids: studentIds,
+        columns: "student_id, submission_type_id, status",
       });
-    }
 
-    // Get all classes in this department grouped by year
-    const { data: classes, error: classesError } = await supabase
-      .from("classes")
-      .select("id, name, year")
-      .eq("department_id", department_id)
-      .order("year", { ascending: true });
+      if (submissionsError) throw submissionsError;
 
-    if (classesError) throw classesError;
+      // Get submission types
+      const { data: submissionTypes, error: typesError } = await listSubmissionTypes();
 
-    // Group classes by year
-    const yearGroups = {};
-    (classes || []).forEach(cls => {
-      if (!yearGroups[cls.year]) {
-        yearGroups[cls.year] = [];
-      }
-      yearGroups[cls.year].push(cls.id);
-    });
+      if (typesError) throw typesError;
+
+      const taType = submissionTypes.find(t => t.name === 'TA');
+      const cieType = submissionTypes.find(t => t.name === 'CIE');
 
-    // Calculate statistics for each year
-    const yearStats = await Promise.all(
-      Object.entries(yearGroups).map(async ([year, classIds]) => {
-        // Get all students in these classes
-        const { data: students, error: studentsError } = await supabase
-          .from("students")
-          .select("id, defaulter")
-          .in("class_id", classIds);
-
-        if (studentsError) throw studentsError;
-
-        const totalStudents = students?.length || 0;
-        const defaulterStudents = students?.filter(s => s.defaulter).length || 0;
-
-        if (totalStudents === 0) {
-          return {
-            year: parseInt(year),
-            yearName: year === '1' ? 'First Year' : year === '2' ? 'Second Year' : year === '3' ? 'Third Year' : 'Fourth Year',
-            percentage: 0,
-            totalStudents: 0,
-            defaulterCount: 0,
-            classCount: classIds.length
-          };
+      // Calculate overall submission percentage
+      const studentsWithSubmissions = new Set();
+      submissions.forEach(sub => {
+        if (sub.status === 'completed' && 
+            (sub.submission_type_id === taType?.id || sub.submission_type_id === cieType?.id)) {
+          studentsWithSubmissions.add(sub.student_id);
         }
+      });
 
-        const studentIds = students.map(s => s.id);
+      const percentage = Math.round((studentsWithSubmissions.size / totalStudents) * 100);
+
+      return {
+        year: parseInt(year),
+        yearName: year === '1' ? 'First Year' : year === '2' ? 'Second Year' : year === '3' ? 'Third Year' : 'Fourth Year',
+        percentage,
+        totalStudents,
+        completedStudents: studentsWithSubmissions.size,
+        defaulterCount: defaulterStudents,
+        classCount: classIds.length
+      };
+    })
+  );
+
+  return res.json({
+    success: true,
+    statistics: yearStats.sort((a, b) => a.year - b.year)
+  });
+});
 
-        // Get all submissions for these students
-        const { data: submissions, error: submissionsError } = await supabase
-          .from("student_submissions")
-          .select("student_id, submission_type_id, status")
-          .in("student_id", studentIds);
+// Reset faculty password (HOD only)
+router.post("/reset-faculty-password", authenticateUser, requirePermission("staff:reset_password"), validate(schemas.resetFacultyPassword), async (req, res) => {
+  const hod_id = req.user.id;
+  const { faculty_id, new_password } = req.body;
 
-        if (submissionsError) throw submissionsError;
+  // Get HOD's department
+  const { data: hodData, error: hodError } = await findUserById(hod_id, "department_id");
 
-        // Get submission types
-        const { data: submissionTypes, error: typesError } = await supabase
-          .from("submission_types")
-          .select("*");
+  if (hodError) throw hodError;
 
-        if (typesError) throw typesError;
+  if (!hodData || !hodData.department_id) {
+    throw new ForbiddenError("HOD department not found");
+  }
 
-        const taType = submissionTypes.find(t => t.name === 'TA');
-        const cieType = submissionTypes.find(t => t.name === 'CIE');
+  // Verify faculty belongs to same department and is not a student
+  const { data: facultyData, error: facultyError } = await findUserById(faculty_id, "id, name, email, role, department_id");
 
-        // Calculate overall submission percentage
-        const studentsWithSubmissions = new Set();
-        submissions.forEach(sub => {
-          if (sub.status === 'completed' && 
-              (sub.submission_type_id === taType?.id || sub.submission_type_id === cieType?.id)) {
-            studentsWithSubmissions.add(sub.student_id);
-          }
-        });
+  if (facultyError) throw facultyError;
 
-        const percentage = Math.round((studentsWithSubmissions.size / totalStudents) * 100);
+  if (!facultyData) {
+    throw new NotFoundError("Faculty not found");
+  }
 
-        return {
-          year: parseInt(year),
-          yearName: year === '1' ? 'First Year' : year === '2' ? 'Second Year' : year === '3' ? 'Third Year' : 'Fourth Year',
-          percentage,
-          totalStudents,
-          completedStudents: studentsWithSubmissions.size,
-          defaulterCount: defaulterStudents,
-          classCount: classIds.length
-        };
-      })
-    );
+  // Security checks
+  if (facultyData.role === 'student') {
+    throw new ForbiddenError("Cannot reset password for students");
+  }
 
-    return res.json({
-      success: true,
-      statistics: yearStats.sort((a, b) => a.year - b.year)
-    });
-  } catch (err) {
-    console.error("Error fetching year statistics:", err);
-    return res.status(500).json({ success: false, error: err.message });
+  if (facultyData.role === 'director') {
+    throw new ForbiddenError("Cannot reset password for director");
   }
-});
 
-// Reset faculty password (HOD only)
-router.post("/reset-faculty-password", authenticateUser, authorizeRoles("hod"), async (req, res) => {
-  try {
-    const hod_id = req.user.id;
-    const { faculty_id, new_password } = req.body;
-
-    // Validation
-    if (!faculty_id || !new_password) {
-      return res.status(400).json({
-        success: false,
-        error: "Faculty ID and new password are required"
-      });
-    }
+  if (facultyData.department_id !== hodData.department_id) {
+    throw new ForbiddenError("Can only reset passwords for faculty in your department");
+  }
 
-    if (new_password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        error: "Password must be at least 6 characters long"
-      });
-    }
+  // Hash the new password
+  const bcrypt = await import('bcryptjs');
+  const hashedPassword = await bcrypt.default.hash(new_password, 10);
 
-    // Get HOD's department
-    const { data: hodData, error: hodError } = await supabase
-      .from("users")
-      .select("department_id")
-      .eq("id", hod_id)
-      .single();
+  // Update password
+  const { error: updateError } = await updateUser(faculty_id, { password: hashedPassword });
 
-    if (hodError) throw hodError;
+  if (updateError) throw updateError;
 
-    if (!hodData || !hodData.department_id) {
-      return res.status(403).json({
-        success: false,
-        error: "HOD department not found"
-      });
-    }
+  // Whoever had the old password is signed out everywhere
+  await revokeUserSessions({ user_id: faculty_id, user_type: "user" });
 
-    // Verify faculty belongs to same department and is not a student
-    const { data: facultyData, error: facultyError } = await supabase
-      .from("users")
-      .select("id, name, email, role, department_id")
-      .eq("id", faculty_id)
-      .single();
+  await recordAudit({
+    actor_id: hod_id,
+    actor_type: req.user.role,
+    action: "password.reset",
+    target_type: "user",
+    target_id: faculty_id,
+    ip: req.ip,
+  });
 
-    if (facultyError) throw facultyError;
+  return res.json({
+    success: true,
+    message: `Password reset successfully for ${facultyData.name}`
+  });
 
-    if (!facultyData) {
-      return res.status(404).json({
-        success: false,
-        error: "Faculty not found"
-      });
-    }
+});
 
-    // Security checks
-    if (facultyData.role === 'student') {
-      return res.status(403).json({
-        success: false,
-        error: "Cannot reset password for students"
-      });
-    }
+// Bulk onboarding: each sheet row (name, email, designation, role) becomes an invitation
+// into the HOD's department. Returns one result per row.
+router.post("/import-faculty", authenticateUser, requirePermission("staff:invite"), upload.single("file"), async (req, res) => {
+  const department_id = req.user.department_id;
 
-    if (facultyData.role === 'director') {
-      return res.status(403).json({
-        success: false,
-        error: "Cannot reset password for director"
-      });
-    }
+  if (!department_id) {
+    throw new ForbiddenError("HOD department not found");
+  }
 
-    if (facultyData.department_id !== hodData.department_id) {
-      return res.status(403).json({
-        success: false,
-        error: "Can only reset passwords for faculty in your department"
-      });
-    }
+  if (!req.file) {
+    throw new ValidationError("No file uploaded");
+  }
+
+  let rows;
+  try {
+    const workbook = xlsx.read(req.file.buffer, { type: "buffer" });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    rows = xlsx.utils.sheet_to_json(sheet, { defval: "" });
+  } catch (parseError) {
+    throw new ValidationError("Could not read the uploaded sheet");
+  }
 
-    // Hash the new password
-    const bcrypt = await import('bcryptjs');
-    const hashedPassword = await bcrypt.default.hash(new_password, 10);
+  if (!rows.length) {
+    throw new ValidationError("Excel sheet is empty");
+  }
 
-    // Update password
-    const { error: updateError } = await supabase
-      .from("users")
-      .update({ password: hashedPassword })
-      .eq("id", faculty_id);
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+  }
 
-    if (updateError) throw updateError;
+  const required = ["name", "email"];
+  const missing = required.filter((c) => !Object.keys(rows[0]).includes(c));
+  if (missing.length) {
+    throw new ValidationError(`Missing required columns: ${missing.join(", ")}`);
+  }
 
-    console.log(`✅ Password reset by HOD ${hod_id} for faculty ${faculty_id} (${facultyData.name})`);
+  const results = [];
+  const seenEmails = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    // Row 1 of the sheet is the header
+    const rowNumber = index + 2;
+    const name = String(row.name).trim();
+    const email = String(row.email).trim().toLowerCase();
+    const designation = String(row.designation ?? "").trim() || null;
+    const role = String(row.role ?? "").trim().toLowerCase().replace(/\s+/g, "_") || "faculty";
+
+    const problems = [];
+    if (!name) problems.push("name is required");
+    if (!EMAIL_PATTERN.test(email)) problems.push("email is invalid");
+    if (!INVITABLE_ROLES.includes(role)) problems.push(`role must be one of: ${INVITABLE_ROLES.join(", ")}`);
+
+    if (problems.length) {
+      results.push({ row: rowNumber, email, status: "invalid", errors: problems });
+      continue;
+    }
 
-    return res.json({
-      success: true,
-      message: `Password reset successfully for ${facultyData.name}`
-    });
+    if (seenEmails.has(email)) {
+      results.push({ row: rowNumber, email, status: "skipped", reason: "Duplicate email in sheet" });
+      continue;
+    }
+    seenEmails.add(email);
+
+    const conflict = await findEmailConflict(email);
+    if (conflict) {
+      results.push({
+        row: rowNumber,
+        email,
+        status: "skipped",
+        reason: conflict === "user" ? "Account already exists" : "Invitation already pending",
+      });
+      continue;
+    }
 
-  } catch (err) {
-    console.error("Error resetting faculty password:", err);
-    return res.status(500).json({ success: false, error: err.message });
+    try {
+      const invitation = await createInvitation({
+        name,
+        email,
+        role,
+        designation,
+        department_id,
+        invited_by: req.user.id,
+      });
+      results.push({ row: rowNumber, email, status: "invited", invitation_id: invitation.id });
+    } catch (rowError) {
+      // The report goes back to the HOD; the database or mail error only to the log
+      logger.error("Faculty import row failed", { row: rowNumber, error: rowError });
+      results.push({ row: rowNumber, email, status: "failed", reason: "The invitation could not be sent" });
+    }
   }
+
+  const summary = results.reduce((counts, r) => {
+    counts[r.status] = (counts[r.status] || 0) + 1;
+    return counts;
+  }, { invited: 0, skipped: 0, invalid: 0, failed: 0 });
+
+  await recordAudit({
+    actor_id: req.user.id,
+    actor_type: req.user.role,
+    action: "invitation.import",
+    target_type: "department",
+    target_id: department_id,
+    details: summary,
+    ip: req.ip,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: `Import completed. ${summary.invited} invitations sent.`,
+    summary,
+    results,
+  });
 });
 
 export default router;
@@ -0,0 +1,30 @@
+import studentRoutes from "./students.js";
+import authRoutes from "./auth.js";
+import oidcRoutes from "./oidc.js";
+import directorRoutes from "./director.js";
+import hodRoutes from "./hod.js";
+import classTeacherRoutes from "./classTeacherRoutes.js";
+import facultyRoutes from "./faculty.js";
+import defaulterRoutes from "./defaulter.js";
+import submissionRoutes from "./submissionRoute.js";
+import exportRoutes from "./exportRoutes.js";
+import integrationRoutes from "./integrations.js";
+import invitationRoutes from "./invitations.js";
+
+// Every API router and where it is mounted, in mount order. api/index.js mounts
+// them and the OpenAPI spec is generated from the same list; `tag` groups the
+// routes in the docs.
+export const routers = [
+  { path: "/api/students", router: studentRoutes, tag: "Student portal" },
+  { path: "/api/auth/oidc", router: oidcRoutes, tag: "Single sign-on" },
+  { path: "/api/auth", router: authRoutes, tag: "Authentication" },
+  { path: "/api/director", router: directorRoutes, tag: "Director" },
+  { path: "/api/hod", router: hodRoutes, tag: "HOD" },
+  { path: "/api/class-teacher", router: classTeacherRoutes, tag: "Class teacher" },
+  { path: "/api/faculty", router: facultyRoutes, tag: "Faculty" },
+  { path: "/api/defaulter", router: defaulterRoutes, tag: "Defaulter work" },
+  { path: "/api/submissions", router: submissionRoutes, tag: "Submissions" },
+  { path: "/api/export", router: exportRoutes, tag: "Export" },
+  { path: "/api/integrations", router: integrationRoutes, tag: "Integrations" },
+  { path: "/api/invitations", router: invitationRoutes, tag: "Invitations" },
+];
@@ -0,0 +1,87 @@
+import express from "express";
+import { db } from '../db/index.js'
+import { authenticateUser } from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/permissions.js";
+import { validate } from "../middlewares/validate.js";
+import * as schemas from "../schemas/integrations.js";
+import { calculateDefaulter, computeClearance } from "../utils/clearance.js";
+import { updateStudentByHallTicket } from "../db/repositories/students.js";
+import { NotFoundError, ValidationError } from "../utils/errors.js";
+
+// Endpoints for institutional systems (ERP, exam cell) calling with an API key
+const router = express.Router();
+
+// Clearance status for one student (hall_ticket_number) or a whole class (class_id)
+router.get("/clearance", authenticateUser, requirePermission("clearance:read"), validate(schemas.clearance), async (req, res) => {
+  const { hall_ticket_number, class_id } = req.query;
+
+  if (!hall_ticket_number && !class_id) {
+    throw new ValidationError("hall_ticket_number or class_id is required");
+  }
+
+  let query = db
+    .from("students")
+    .select("id, name, roll_no, hall_ticket_number, class_id, batch_id, defaulter, attendance_percent");
+
+  query = hall_ticket_number
+    ? query.eq("hall_ticket_number", hall_ticket_number)
+    : query.eq("class_id", class_id).order("roll_no", { ascending: true });
+
+  const { data: students, error } = await query;
+  if (error) throw error;
+
+  if (hall_ticket_number && (!students || students.length === 0)) {
+    throw new NotFoundError("Student not found");
+  }
+
+  const clearance = await computeClearance(students || []);
+
+  return res.json({
+    success: true,
+    students: (students || []).map(student => ({
+      hall_ticket_number: student.hall_ticket_number,
+      name: student.name,
+      roll_no: student.roll_no,
+      class_id: student.class_id,
+      attendance_percent: student.attendance_percent,
+      defaulter: student.defaulter,
+      ...clearance.get(student.id),
+    })),
+  });
+});
+
+// Push attendance: { records: [{ hall_ticket_number, attendance_percent }] }.
+// Defaulter status follows the new attendance, as it does when class teachers edit it.
+router.post("/attendance", authenticateUser, requirePermission("attendance:write"), validate(schemas.attendance), async (req, res) => {
+  const { records } = req.body;
+
+  const results = [];
+
+  for (const record of records) {
+    const hall_ticket_number = record?.hall_ticket_number;
+    const attendance = Number(record?.attendance_percent);
+
+    if (!hall_ticket_number || record.attendance_percent === undefined ||
+        !Number.isFinite(attendance) || attendance < 0 || attendance > 100) {
+      results.push({ hall_ticket_number, status: "invalid", error: "hall_ticket_number and attendance_percent (0-100) are required" });
+      continue;
+    }
+
+    const { data, error } = await updateStudentByHallTicket(hall_ticket_number, { attendance_percent: attendance, defaulter: calculateDefaulter(attendance) });
+
+    if (error) throw error;
+
+    results.push({
+      hall_ticket_number,
+      status: data && data.length > 0 ? "updated" : "not_found",
+    });
+  }
+
+  return res.json({
+    success: true,
+    updated: results.filter(r => r.status === "updated").length,
+    results,
+  });
+});
+
+export default router;
@@ -0,0 +1,220 @@
+import express from "express";
+import bcrypt from "bcryptjs";
+import { db } from '../db/index.js'
+import { authenticateUser } from "../middlewares/auth.js";
+import { validate } from "../middlewares/validate.js";
+import * as schemas from "../schemas/invitations.js";
+import {
+  departmentResource,
+  getPermissionScopes,
+  invitationResource,
+  requirePermission,
+} from "../middlewares/permissions.js";
+import { checkPasswordStrength } from "../utils/passwordPolicy.js";
+import { startUserSession } from "../utils/authSession.js";
+import { recordAudit } from "../utils/audit.js";
+import { clientInfo } from "../utils/tokens.js";
+import {
+  claimInvitation,
+  createInvitation,
+  EMAIL_PATTERN,
+  findEmailConflict,
+  invitationStatus,
+  releaseInvitation,
+  resendInvitation,
+} from "../utils/invitations.js";
+import { insertUser } from "../db/repositories/users.js";
+import { ConflictError, ValidationError } from "../utils/errors.js";
+
+const router = express.Router();
+
+// HODs invite into their own department; directors name the department
+const inviteDepartment = (req) => req.body.department_id || req.user.department_id;
+
+// Invite a faculty member; they get an email link to set their password
+router.post("/", authenticateUser, requirePermission("staff:invite", { resource: departmentResource(inviteDepartment) }), validate(schemas.createInvitation), async (req, res) => {
+  const name = req.body.name?.trim();
+  const email = req.body.email?.trim().toLowerCase();
+  const department_id = inviteDepartment(req);
+  const { role, designation } = req.body;
+
+  if (!name || !email || !department_id) {
+    throw new ValidationError("name, email and department_id are required");
+  }
+
+  if (!EMAIL_PATTERN.test(email)) {
+    throw new ValidationError("Invalid email address");
+  }
+
+  const conflict = await findEmailConflict(email);
+  if (conflict) {
+    throw conflict === "user"
+      ? new ConflictError("An account with this email already exists", { code: "ACCOUNT_EXISTS" })
+      : new ConflictError("A pending invitation for this email already exists", { code: "INVITATION_PENDING" });
+  }
+
+  const invitation = await createInvitation({
+    name,
+    email,
+    role,
+    designation,
+    department_id,
+    invited_by: req.user.id,
+  });
+
+  await recordAudit({
+    actor_id: req.user.id,
+    actor_type: req.user.role,
+    action: "invitation.create",
+    target_type: "staff_invitation",
+    target_id: invitation.id,
+    details: { email, role, department_id },
+    ip: req.ip,
+  });
+
+  return res.status(201).json({ success: true, message: "Invitation sent", invitation });
+});
+
+// List invitations, pending ones by default (?status=pending|accepted|revoked|expired|all)
+router.get("/", authenticateUser, requirePermission("staff:invite"), validate(schemas.listInvitations), async (req, res) => {
+  const { status } = req.query;
+  const scopes = await getPermissionScopes(req.user.role, "staff:invite");
+
+  let query = db
+    .from("staff_invitations")
+    .select(`
+      id, name, email, role, designation, department_id, invited_by, expires_at,
+      accepted_at, revoked_at, last_sent_at, created_at,
+      departments ( name )
+    `)
+    .order("created_at", { ascending: false });
+
+  if (!scopes.has("any")) {
+    query = query.eq("department_id", req.user.department_id);
+  } else if (req.query.department_id) {
+    query = query.eq("department_id", req.query.department_id);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const invitations = (data || [])
+    .map(({ departments, ...invitation }) => ({
+      ...invitation,
+      department_name: departments?.name || null,
+      status: invitationStatus(invitation),
+    }))
+    .filter(invitation => status === "all" || invitation.status === status);
+
+  return res.json({ success: true, invitations });
+});
+
+// Send a fresh link; also revives an expired invitation
+router.post("/:id/resend", authenticateUser, requirePermission("staff:invite", { resource: invitationResource("id") }), validate(schemas.resendInvitation), async (req, res) => {
+  const { data: invitation, error } = await db
+    .from("staff_invitations")
+    .select("*")
+    .eq("id", req.params.id)
+    .single();
+
+  if (error) throw error;
+
+  const status = invitationStatus(invitation);
+  if (status === "accepted" || status === "revoked") {
+    throw new ConflictError(`Invitation has been ${status}`);
+  }
+
+  const updated = await resendInvitation(invitation);
+
+  await recordAudit({
+    actor_id: req.user.id,
+    actor_type: req.user.role,
+    action: "invitation.resend",
+    target_type: "staff_invitation",
+    target_id: invitation.id,
+    details: { email: invitation.email },
+    ip: req.ip,
+  });
+
+  return res.json({ success: true, message: "Invitation resent", invitation: updated });
+});
+
+router.delete("/:id", authenticateUser, requirePermission("staff:invite", { resource: invitationResource("id") }), validate(schemas.revokeInvitation), async (req, res) => {
+  const { data, error } = await db
+    .from("staff_invitations")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", req.params.id)
+    .is("accepted_at", null)
+    .is("revoked_at", null)
+    .select("id, email")
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!data) {
+    throw new ConflictError("Invitation was already accepted or revoked");
+  }
+
+  await recordAudit({
+    actor_id: req.user.id,
+    actor_type: req.user.role,
+    action: "invitation.revoke",
+    target_type: "staff_invitation",
+    target_id: data.id,
+    details: { email: data.email },
+    ip: req.ip,
+  });
+
+  return res.json({ success: true, message: "Invitation revoked" });
+});
+
+// Public: the invitee sets their password and is logged in
+router.post("/accept", validate(schemas.acceptInvitation), async (req, res) => {
+  const { token, password } = req.body;
+
+  const invitation = await claimInvitation(token);
+  if (!invitation) {
+    throw new ValidationError("Invitation link is invalid or has expired");
+  }
+
+  const problems = checkPasswordStrength(password, [invitation.email]);
+  if (problems.length > 0) {
+    await releaseInvitation(invitation.id);
+    throw new ValidationError(problems.join(". "), { code: "WEAK_PASSWORD", details: problems });
+  }
+
+  const { data: user, error } = await insertUser({
+    name: invitation.name,
+    email: invitation.email,
+    password: await bcrypt.hash(password, 10),
+    role: invitation.role,
+    roles: [invitation.role],
+    designation: invitation.designation,
+    department_id: invitation.department_id,
+  });
+
+  if (error) {
+    await releaseInvitation(invitation.id);
+    throw error;
+  }
+
+  const { error: linkError } = await db
+    .from("staff_invitations")
+    .update({ user_id: user.id })
+    .eq("id", invitation.id);
+
+  if (linkError) throw linkError;
+
+  await recordAudit({
+    actor_id: user.id,
+    actor_type: user.role,
+    action: "invitation.accept",
+    target_type: "staff_invitation",
+    target_id: invitation.id,
+    ip: req.ip,
+  });
+
+  return res.status(201).json(await startUserSession(user, clientInfo(req)));
+});
+
+export default router;
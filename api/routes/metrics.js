@@ -0,0 +1,56 @@
+import crypto from "crypto";
+import express from "express";
+import { Gauge } from "prom-client";
+import { countStudents } from "../db/repositories/students.js";
+import { countSubmissions } from "../db/repositories/submissions.js";
+import { NotFoundError, UnauthorizedError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+import { registry } from "../utils/metrics.js";
+
+const router = express.Router();
+
+// Domain gauges are read from the database on each scrape. A failed read keeps
+// the previous value rather than failing the whole scrape.
+const domainGauge = (name, help, read) => new Gauge({
+  name,
+  help,
+  registers: [registry],
+  async collect() {
+    const { count, error } = await read();
+    if (error) {
+      logger.error("Failed to collect metric", { metric: name, error });
+      return;
+    }
+    this.set(count ?? 0);
+  },
+});
+
+domainGauge("rivo_pending_submissions", "Student submissions with status pending",
+  () => countSubmissions({ status: "pending" }));
+
+domainGauge("rivo_defaulters", "Students marked as defaulters",
+  () => countStudents({ defaulter: true }));
+
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+// Scrapers send METRICS_TOKEN as a bearer token. Without one set the endpoint
+// doesn't exist, so metrics are never public by accident.
+const requireMetricsToken = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    throw new NotFoundError("Metrics are not enabled.");
+  }
+
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token || !crypto.timingSafeEqual(digest(token), digest(expected))) {
+    throw new UnauthorizedError("Invalid metrics token.");
+  }
+
+  next();
+};
+
+router.get("/", requireMetricsToken, async (req, res) => {
+  res.set("Content-Type", registry.contentType).send(await registry.metrics());
+});
+
+export default router;
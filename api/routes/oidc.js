@@ -0,0 +1,104 @@
+import express from "express";
+import { validate } from "../middlewares/validate.js";
+import * as schemas from "../schemas/oidc.js";
+import { startUserSession } from "../utils/authSession.js";
+import { secondFactorStep } from "../utils/mfa.js";
+import { beginLogin, completeLogin, isOidcConfigured } from "../utils/oidc.js";
+import { recordAudit } from "../utils/audit.js";
+import { clientInfo } from "../utils/tokens.js";
+import { listUsersByEmail } from "../db/repositories/users.js";
+import { ForbiddenError, NotFoundError, ServiceUnavailableError, ValidationError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+const requireOidc = (req, res, next) => {
+  if (!isOidcConfigured()) {
+    throw new NotFoundError("Single sign-on is not configured.");
+  }
+  next();
+};
+
+// Send the browser to the college identity provider
+router.get("/login", requireOidc, async (req, res) => {
+  let authorizationUrl;
+  try {
+    authorizationUrl = await beginLogin();
+  } catch (err) {
+    logger.error("OIDC login failed", { error: err });
+    throw new ServiceUnavailableError("Identity provider is unavailable.", { status: 502, code: "IDP_UNAVAILABLE" });
+  }
+
+  return res.redirect(authorizationUrl);
+});
+
+// The IdP redirects back here. The verified email is matched to an existing staff
+// account, which then gets our normal session and tokens.
+router.get("/callback", requireOidc, validate(schemas.callback), async (req, res) => {
+  const { code, state, error: idpError, error_description } = req.query;
+
+  if (idpError) {
+    throw new ValidationError(`Identity provider returned an error: ${error_description || idpError}`);
+  }
+
+  if (!code || !state) {
+    throw new ValidationError("code and state are required.");
+  }
+
+  let claims;
+  try {
+    claims = await completeLogin({ code, state });
+  } catch (err) {
+    logger.error("OIDC callback failed", { error: err });
+    throw new ServiceUnavailableError("Single sign-on failed.", { status: 502, code: "SSO_FAILED" });
+  }
+
+  if (!claims) {
+    throw new ValidationError("Login attempt expired or is invalid. Please try again.");
+  }
+
+  if (!claims.email || claims.email_verified === false) {
+    throw new ForbiddenError("Identity provider did not supply a verified email.");
+  }
+
+  const { data: users, error } = await listUsersByEmail(claims.email);
+
+  if (error) throw error;
+
+  if (users.length === 0) {
+    throw new ForbiddenError("No staff account is registered for this email.");
+  }
+
+  // Addresses differing only in case would make the match a guess
+  if (users.length > 1) {
+    throw new ForbiddenError("Several staff accounts use this email. Ask an administrator to fix them.");
+  }
+
+  const [user] = users;
+
+  // The IdP only replaces the password; 2FA still applies as it does for /login
+  const secondFactor = secondFactorStep(user);
+  const loginResponse = secondFactor ?? await startUserSession(user, clientInfo(req));
+
+  await recordAudit({
+    actor_id: user.id,
+    actor_type: user.role,
+    action: "login.sso",
+    target_type: "user",
+    target_id: user.id,
+    details: { subject: claims.sub, issuer: claims.iss, second_factor_pending: Boolean(secondFactor) },
+    ip: req.ip,
+  });
+
+  // Browser flow: hand the tokens to the frontend in the URL fragment, which never reaches a server
+  if (process.env.OIDC_POST_LOGIN_REDIRECT) {
+    const fragment = new URLSearchParams(secondFactor
+      ? Object.entries(secondFactor).filter(([key]) => !["success", "message"].includes(key))
+      : { token: loginResponse.token, refresh_token: loginResponse.refresh_token });
+    return res.redirect(`${process.env.OIDC_POST_LOGIN_REDIRECT}#${fragment.toString()}`);
+  }
+
+  return res.status(200).json(loginResponse);
+});
+
+export default router;
@@ -0,0 +1,84 @@
+import { email, id, idParams, object, password, text } from "./common.js";
+
+// Either address is enough; the handlers check that one of them is present
+const accountIdentifier = {
+  email,
+  hall_ticket_number: text,
+};
+
+// Authenticator app code
+const mfaCode = { type: "string", pattern: "^[0-9]{6}$" };
+
+export const login = {
+  body: object({ email, password }, ["email", "password"]),
+};
+
+export const loginTwoFactor = {
+  body: object({ code: mfaCode, recovery_code: text }),
+};
+
+export const studentLogin = {
+  body: object({ hall_ticket_number: text, password }, ["hall_ticket_number", "password"]),
+};
+
+export const refresh = {
+  body: object({ refresh_token: text }, ["refresh_token"]),
+};
+
+export const revokeSession = {
+  params: idParams("id"),
+};
+
+export const revokeSessions = {
+  query: object({ include_current: { type: "boolean", default: false } }),
+};
+
+export const forceSignOut = {
+  params: idParams("id"),
+};
+
+export const impersonate = {
+  params: idParams("id"),
+  body: object({ reason: { type: "string", maxLength: 500 } }),
+};
+
+export const changePassword = {
+  body: object({ current_password: password, new_password: password }, ["current_password", "new_password"]),
+};
+
+export const forgotPassword = {
+  body: object(accountIdentifier),
+};
+
+export const resetPassword = {
+  body: object({ ...accountIdentifier, code: text, new_password: password }, ["code", "new_password"]),
+};
+
+export const unlockAccount = {
+  body: object(accountIdentifier),
+};
+
+export const switchRole = {
+  body: object({ role: { type: "string", enum: ["director", "hod", "class_teacher", "faculty"] } }, ["role"]),
+};
+
+export const switchClass = {
+  body: object({ class_id: id }, ["class_id"]),
+};
+
+// The password is checked for full sessions, not the enrolment token from /login
+export const setupTwoFactor = {
+  body: object({ current_password: password }),
+};
+
+export const enableTwoFactor = {
+  body: object({ code: mfaCode }, ["code"]),
+};
+
+export const recoveryCodes = {
+  body: object({ code: mfaCode }, ["code"]),
+};
+
+export const disableTwoFactor = {
+  body: object({ password, code: mfaCode }, ["password", "code"]),
+};
@@ -0,0 +1,82 @@
+import { email, id, idParams, nullableId, object, text } from "./common.js";
+
+const electiveSelections = object({
+  mdm_id: nullableId,
+  mdm_faculty_id: nullableId,
+  oe_id: nullableId,
+  oe_faculty_id: nullableId,
+  pe_id: nullableId,
+  pe_faculty_id: nullableId,
+});
+
+export const updateStudent = {
+  params: idParams("id"),
+  body: {
+    ...object({
+      name: text,
+      roll_no: { type: "integer", minimum: 1 },
+      email: { ...email, type: ["string", "null"] },
+      mobile: { type: ["string", "null"] },
+      attendance_percent: { type: "number", minimum: 0, maximum: 100 },
+      hall_ticket_number: text,
+      batch_id: nullableId,
+      // Overrides the flag derived from attendance_percent
+      defaulter: { type: "boolean" },
+      electiveSelections,
+    }),
+    minProperties: 1,
+  },
+};
+
+export const deleteStudent = {
+  params: idParams("id"),
+};
+
+// faculty_id is needed for theory subjects, faculty_assignments for practicals
+export const assignSubject = {
+  body: object({
+    class_id: id,
+    subject_code: text,
+    subject_name: text,
+    type: { type: "string", enum: ["theory", "practical"] },
+    faculty_id: id,
+    faculty_assignments: {
+      type: "array",
+      items: object({ batch_id: id, faculty_id: id }, ["batch_id", "faculty_id"]),
+    },
+  }, ["class_id", "subject_code", "subject_name", "type"]),
+};
+
+export const createBatch = {
+  body: object({
+    name: text,
+    roll_start: { type: "integer", minimum: 1 },
+    roll_end: { type: "integer", minimum: 1 },
+    faculty_id: id,
+  }, ["name", "roll_start", "roll_end", "faculty_id"]),
+};
+
+// Multipart form; class_id defaults to the teacher's selected class
+export const importStudents = {
+  body: object({ class_id: id }),
+};
+
+export const updateAvailability = {
+  body: object({
+    isAvailable: { type: "boolean", default: false },
+    // Subject codes
+    selectedSubjects: { type: "array", items: text },
+  }, ["selectedSubjects"]),
+};
+
+export const studentElectives = {
+  params: idParams("studentId"),
+};
+
+export const unlockSelections = {
+  params: idParams("studentId"),
+};
+
+export const deleteSubject = {
+  params: idParams("id"),
+};
@@ -0,0 +1,34 @@
+// Building blocks shared by the route schemas. Ids are checked as non-empty
+// strings; Postgres rejects malformed uuids itself.
+
+export const id = { type: "string", minLength: 1 };
+
+export const nullableId = { type: ["string", "null"], minLength: 1 };
+
+export const text = { type: "string", minLength: 1 };
+
+export const email = { type: "string", format: "email" };
+
+export const password = { type: "string", minLength: 1 };
+
+export const year = { type: "integer", minimum: 1, maximum: 4 };
+
+export const semester = { type: "integer", minimum: 1, maximum: 8 };
+
+export const subjectType = { type: "string", enum: ["theory", "practical", "mdm", "oe", "pe"] };
+
+export const electiveType = { type: "string", enum: ["mdm", "oe", "pe"] };
+
+export const submissionStatus = { type: "string", enum: ["pending", "completed"] };
+
+// An object with the given properties, all others ignored
+export const object = (properties, required = []) => ({ type: "object", properties, required });
+
+// An object that rejects properties it doesn't list
+export const strictObject = (properties, required = []) => ({ ...object(properties, required), additionalProperties: false });
+
+// Route params: every name is a required id
+export const idParams = (...names) => strictObject(
+  Object.fromEntries(names.map(name => [name, id])),
+  names
+);
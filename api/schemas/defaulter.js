@@ -0,0 +1,15 @@
+import { id, idParams, object } from "./common.js";
+
+// With skip the students are marked as excused instead of given work
+export const assignWork = {
+  body: object({
+    subject_id: id,
+    instruction_text: { type: ["string", "null"] },
+    reference_link: { type: ["string", "null"] },
+    skip: { type: "boolean", default: false },
+  }, ["subject_id"]),
+};
+
+export const deleteWork = {
+  params: idParams("subject_id"),
+};
@@ -0,0 +1,35 @@
+import { API_KEY_SCOPES, DEFAULT_API_KEY_DAYS, MAX_API_KEY_DAYS } from "../utils/apiKeys.js";
+import { id, idParams, object, text } from "./common.js";
+
+export const createDepartment = {
+  body: object({ name: text }, ["name"]),
+};
+
+export const assignHod = {
+  body: object({ user_id: id, department_id: id }, ["user_id", "department_id"]),
+};
+
+export const deleteDepartment = {
+  params: idParams("id"),
+};
+
+export const deleteStaff = {
+  params: idParams("id"),
+};
+
+export const createApiKey = {
+  body: object({
+    name: text,
+    scopes: { type: "array", minItems: 1, items: { type: "string", enum: Object.keys(API_KEY_SCOPES) } },
+    expires_in_days: { type: "integer", minimum: 1, maximum: MAX_API_KEY_DAYS, default: DEFAULT_API_KEY_DAYS },
+  }, ["name", "scopes"]),
+};
+
+export const revokeApiKey = {
+  params: idParams("id"),
+};
+
+export const apiKeyUsage = {
+  params: idParams("id"),
+  query: object({ limit: { type: "integer", minimum: 1, maximum: 1000, default: 100 } }),
+};
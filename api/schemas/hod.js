@@ -0,0 +1,36 @@
+import { electiveType, id, idParams, object, semester, text, year } from "./common.js";
+
+const classFields = object({ name: text, class_teacher_id: id, year }, ["name", "class_teacher_id", "year"]);
+
+export const createClass = {
+  body: classFields,
+};
+
+export const updateClass = {
+  params: idParams("id"),
+  body: classFields,
+};
+
+export const deleteClass = {
+  params: idParams("id"),
+};
+
+export const deleteOfferedSubject = {
+  params: idParams("id"),
+};
+
+export const addOfferedSubject = {
+  body: object({
+    name: text,
+    subject_code: text,
+    type: electiveType,
+    // Faculty the students can choose between
+    faculty_ids: { type: "array", minItems: 1, items: id },
+    semester,
+    year,
+  }, ["name", "type", "faculty_ids"]),
+};
+
+export const resetFacultyPassword = {
+  body: object({ faculty_id: id, new_password: { type: "string", minLength: 6 } }, ["faculty_id", "new_password"]),
+};
@@ -0,0 +1,20 @@
+import { id, object, text } from "./common.js";
+
+const MAX_ATTENDANCE_RECORDS = 1000;
+
+// One of the two is needed; the handler checks that
+export const clearance = {
+  query: object({ hall_ticket_number: text, class_id: id }),
+};
+
+// Records are checked one by one so a bad record doesn't fail the whole batch
+export const attendance = {
+  body: object({
+    records: {
+      type: "array",
+      minItems: 1,
+      maxItems: MAX_ATTENDANCE_RECORDS,
+      items: object({ hall_ticket_number: { type: "string" }, attendance_percent: {} }),
+    },
+  }, ["records"]),
+};
@@ -0,0 +1,33 @@
+import { INVITABLE_ROLES } from "../utils/invitations.js";
+import { id, idParams, object, password, text } from "./common.js";
+
+// Directors pick the department; HODs default to their own
+export const createInvitation = {
+  body: object({
+    name: text,
+    // Trimmed and checked by the handler
+    email: text,
+    role: { type: "string", enum: INVITABLE_ROLES, default: "faculty" },
+    designation: { type: ["string", "null"], default: null },
+    department_id: id,
+  }, ["name", "email"]),
+};
+
+export const listInvitations = {
+  query: object({
+    status: { type: "string", enum: ["pending", "accepted", "revoked", "expired", "all"], default: "pending" },
+    department_id: id,
+  }),
+};
+
+export const resendInvitation = {
+  params: idParams("id"),
+};
+
+export const revokeInvitation = {
+  params: idParams("id"),
+};
+
+export const acceptInvitation = {
+  body: object({ token: text, password }, ["token", "password"]),
+};
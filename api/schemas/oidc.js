@@ -0,0 +1,11 @@
+import { object } from "./common.js";
+
+// The identity provider sends either code and state, or error and error_description
+export const callback = {
+  query: object({
+    code: { type: "string" },
+    state: { type: "string" },
+    error: { type: "string" },
+    error_description: { type: "string" },
+  }),
+};
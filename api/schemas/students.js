@@ -0,0 +1,9 @@
+import { id, object } from "./common.js";
+
+export const selectElective = {
+  body: object({
+    subject_id: id,
+    faculty_id: id,
+    type: { type: "string", enum: ["MDM", "OE", "PE"] },
+  }, ["subject_id", "faculty_id", "type"]),
+};
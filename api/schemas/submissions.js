@@ -0,0 +1,15 @@
+import { id, object, submissionStatus, text } from "./common.js";
+
+export const subjectStudents = {
+  query: object({ subject_id: id }, ["subject_id"]),
+};
+
+export const markSubmission = {
+  body: object({
+    student_id: id,
+    subject_id: id,
+    // Name of a submission type, e.g. "CIE" or "TA"
+    submission_type: text,
+    status: submissionStatus,
+  }, ["student_id", "subject_id", "submission_type", "status"]),
+};
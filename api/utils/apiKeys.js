@@ -0,0 +1,78 @@
+import crypto from "crypto";
+import { db } from "../db/index.js";
+import { hashToken } from "./tokens.js";
+import { logger } from "./logger.js";
+
+// Scopes an integration key can be granted. Each scope is the permission name
+// requirePermission checks, so a key works on any route guarded by it.
+export const API_KEY_SCOPES = {
+  "statistics:institution": "Read institution-wide statistics",
+  "clearance:read": "Read student clearance status",
+  "attendance:write": "Update student attendance",
+};
+
+export const DEFAULT_API_KEY_DAYS = 90;
+export const MAX_API_KEY_DAYS = 730;
+
+const KEY_PREFIX = "rvx_";
+
+export const isApiKeyScope = (scope) => Object.hasOwn(API_KEY_SCOPES, scope);
+
+// Create a key; the plain key is only ever returned here, the database keeps its hash
+export const createApiKey = async ({ name, scopes, expiresInDays, created_by }) => {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await db
+    .from("api_keys")
+    .insert([{
+      name,
+      scopes,
+      key_hash: hashToken(key),
+      key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+      created_by,
+      expires_at: expiresAt.toISOString(),
+    }])
+    .select("id, name, scopes, key_prefix, expires_at, created_at")
+    .single();
+
+  if (error) throw error;
+
+  return { key, apiKey: data };
+};
+
+// Look up a presented key; returns null when it's unknown, revoked or expired
+export const findActiveApiKey = async (key) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const { data, error } = await db
+    .from("api_keys")
+    .select("id, name, scopes, expires_at, revoked_at")
+    .eq("key_hash", hashToken(key))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || data.revoked_at) return null;
+  if (new Date(data.expires_at) <= new Date()) return null;
+
+  return data;
+};
+
+// Log one request made with a key. Failures are logged, never thrown.
+export const recordApiKeyUsage = async ({ api_key_id, method, path, status_code, ip }) => {
+  const now = new Date().toISOString();
+
+  const [{ error: usageError }, { error: keyError }] = await Promise.all([
+    db
+      .from("api_key_usage")
+      .insert([{ api_key_id, method, path, status_code, ip }]),
+    db
+      .from("api_keys")
+      .update({ last_used_at: now })
+      .eq("id", api_key_id),
+  ]);
+
+  if (usageError || keyError) {
+    logger.error("Failed to record API key usage", { api_key_id, error: usageError || keyError });
+  }
+};
@@ -0,0 +1,22 @@
+import { db } from "../db/index.js";
+import { logger } from "./logger.js";
+
+// Append an entry to the audit trail. Failures are logged, never thrown,
+// so auditing can't break the action being audited.
+export const recordAudit = async ({
+  actor_id = null,
+  actor_type = null,
+  action,
+  target_type = null,
+  target_id = null,
+  details = {},
+  ip = null,
+}) => {
+  const { error } = await db
+    .from("audit_logs")
+    .insert([{ actor_id, actor_type, action, target_type, target_id, details, ip }]);
+
+  if (error) {
+    logger.error("Failed to write audit entry", { action, error });
+  }
+};
@@ -0,0 +1,92 @@
+import { db } from "../db/index.js";
+import { getUserRoles } from "./roles.js";
+import { createSession, signAccessToken } from "./tokens.js";
+import { logger } from "./logger.js";
+
+// Build the access-token claims for a staff user acting as one of their roles.
+// `role` is the active role that authorizeRoles checks; `roles` lists all of them.
+// Class teachers get every class they own in `class_ids` and the selected one in
+// `class_id` (preferredClassId if they still own it, otherwise the first).
+// Returns the claims plus the teacher's classes for the login response.
+export const buildUserClaims = async (user, activeRole = user.role, preferredClassId = null) => {
+  const payload = {
+    id: user.id,
+    role: activeRole,
+    roles: getUserRoles(user),
+  };
+  let classes = [];
+
+  // Add class context if user is acting as class_teacher
+  if (activeRole === "class_teacher") {
+    const { data: classData, error: classError } = await db
+      .from("classes")
+      .select("id, name, year")
+      .eq("class_teacher_id", user.id)
+      .order("year", { ascending: true })
+      .order("name", { ascending: true });
+
+    if (classError) {
+      logger.error("Failed to load the class teacher's classes", { class_teacher_id: user.id, error: classError });
+    }
+
+    classes = classData || [];
+
+    if (classes.length > 0) {
+      payload.class_ids = classes.map(cls => cls.id);
+      payload.class_id = payload.class_ids.includes(preferredClassId)
+        ? preferredClassId
+        : payload.class_ids[0];
+    } else {
+      logger.warn("Class teacher has no class", { class_teacher_id: user.id });
+    }
+  }
+
+  // Add department_id if user is acting as HOD
+  if (activeRole === "hod") {
+    if (!user.department_id) {
+      throw new Error(`No department_id found for HOD with user ID: ${user.id}`);
+    }
+    payload.department_id = user.department_id;
+  }
+
+  return { payload, classes };
+};
+
+// Open a session for a fully authenticated staff user and build the login response
+export const startUserSession = async (user, client) => {
+  const { payload, classes } = await buildUserClaims(user);
+  const { session, refresh_token } = await createSession({
+    user_id: user.id,
+    user_type: "user",
+    active_role: payload.role,
+    active_class_id: payload.class_id || null,
+    client,
+  });
+
+  return {
+    success: true,
+    message: "Login successful",
+    token: signAccessToken({ ...payload, sid: session.id }),
+    refresh_token,
+    user: formatUser(user, payload, classes),
+  };
+};
+
+export const formatUser = (user, payload, classes) => ({
+  id: user.id,
+  name: user.name,
+  role: payload.role,
+  roles: payload.roles,
+  email: user.email,
+  class_id: payload.class_id || null,
+  classes,
+  department_id: payload.department_id || null,
+});
+
+// Build the access-token claims for a student
+export const buildStudentClaims = (student) => ({
+  id: student.id,
+  role: "student",
+  class_id: student.class_id,
+  batch_id: student.batch_id,
+});
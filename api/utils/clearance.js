@@ -0,0 +1,107 @@
+import { listSelections } from "../db/repositories/electives.js";
+import { listFacultySubjects, listSubjects } from "../db/repositories/subjects.js";
+import { listSubmissionTypes, listSubmissions } from "../db/repositories/submissions.js";
+
+// Students below 75% attendance are defaulters and owe defaulter work
+export const calculateDefaulter = (attendance) => attendance < 75;
+
+// Clearance = every required submission completed, using the same rules as the
+// student dashboard: practical subjects need TA; theory subjects (and electives)
+// need CIE and TA, plus defaulter work when the student is a defaulter.
+const requiredTypes = (subject, isDefaulter) => {
+  if (subject.type === "practical") return ["TA"];
+  return isDefaulter ? ["CIE", "TA", "Defaulter work"] : ["CIE", "TA"];
+};
+
+// students: rows with id, class_id, batch_id and defaulter
+export const computeClearance = async (students) => {
+  if (students.length === 0) return new Map();
+
+  const studentIds = students.map(s => s.id);
+  const classIds = [...new Set(students.map(s => s.class_id).filter(Boolean))];
+
+  const [subjectsResult, facultySubjectsResult, selectionsResult, submissionsResult, typesResult] =
+    await Promise.all([
+      listSubjects({ class_ids: classIds, columns: "id, type, class_id" }),
+      listFacultySubjects({ class_ids: classIds, columns: "subject_id, batch_id, class_id" }),
+      listSelections({ student_ids: studentIds, columns: "student_id, mdm_id, oe_id, pe_id" }),
+      listSubmissions({ student_ids: studentIds, columns: "student_id, subject_id, submission_type_id, status" }),
+      listSubmissionTypes("id, name"),
+    ]);
+
+  for (const result of [subjectsResult, facultySubjectsResult, selectionsResult, submissionsResult, typesResult]) {
+    if (result.error) throw result.error;
+  }
+
+  const selections = new Map((selectionsResult.data || []).map(s => [s.student_id, s]));
+  const electiveIds = [...new Set(
+    (selectionsResult.data || []).flatMap(s => [s.mdm_id, s.oe_id, s.pe_id]).filter(Boolean)
+  )];
+
+  let electives = [];
+  if (electiveIds.length > 0) {
+    const { data, error } = await listSubjects({ ids: electiveIds, columns: "id, type" });
+
+    if (error) throw error;
+    electives = data || [];
+  }
+
+  const typeNames = new Map((typesResult.data || []).map(t => [t.id, t.name]));
+
+  // student → "subject_id:type name" of completed submissions
+  const completed = new Map();
+  (submissionsResult.data || []).forEach(sub => {
+    if (sub.status !== "completed") return;
+    if (!completed.has(sub.student_id)) completed.set(sub.student_id, new Set());
+    completed.get(sub.student_id).add(`${sub.subject_id}:${typeNames.get(sub.submission_type_id)}`);
+  });
+
+  const clearance = new Map();
+
+  students.forEach(student => {
+    const subjects = (subjectsResult.data || []).filter(subject => {
+      if (subject.class_id !== student.class_id) return false;
+      if (subject.type === "theory") return true;
+      if (subject.type === "practical") {
+        return (facultySubjectsResult.data || []).some(fs =>
+          fs.subject_id === subject.id &&
+          (fs.batch_id === student.batch_id || fs.batch_id === null)
+        );
+      }
+      return false;
+    });
+
+    const selection = selections.get(student.id);
+    if (selection) {
+      [selection.mdm_id, selection.oe_id, selection.pe_id].forEach(id => {
+        const elective = electives.find(e => e.id === id);
+        if (elective && !subjects.some(s => s.id === elective.id)) subjects.push(elective);
+      });
+    }
+
+    const done = completed.get(student.id) || new Set();
+    let required = 0;
+    let completedCount = 0;
+    const pending = [];
+
+    subjects.forEach(subject => {
+      requiredTypes(subject, student.defaulter).forEach(type => {
+        required += 1;
+        if (done.has(`${subject.id}:${type}`)) {
+          completedCount += 1;
+        } else {
+          pending.push({ subject_id: subject.id, submission_type: type });
+        }
+      });
+    });
+
+    clearance.set(student.id, {
+      cleared: required > 0 && completedCount === required,
+      required_submissions: required,
+      completed_submissions: completedCount,
+      pending,
+    });
+  });
+
+  return clearance;
+};
@@ -0,0 +1,59 @@
+// Application errors. Routes throw these (Express 5 forwards rejected async
+// handlers) and the error handler turns them into
+//   { success: false, error, code, details? }
+// `code` is stable for the frontend to branch on; `error` is for people.
+
+export class AppError extends Error {
+  constructor(message, { status = 500, code = "INTERNAL_ERROR", details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message, { code = "VALIDATION_FAILED", details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message, { code = "UNAUTHORIZED", details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Access denied", { code = "FORBIDDEN", details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Resource not found", { code = "NOT_FOUND", details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message, { code = "CONFLICT", details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+// Sent with a Retry-After header
+export class TooManyRequestsError extends AppError {
+  constructor(message, { retryAfter, code = "TOO_MANY_REQUESTS", details } = {}) {
+    super(message, { status: 429, code, details });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Failures of a service we depend on (mail, identity provider, database schema)
+export class ServiceUnavailableError extends AppError {
+  constructor(message, { status = 503, code = "SERVICE_UNAVAILABLE", details } = {}) {
+    super(message, { status, code, details });
+  }
+}
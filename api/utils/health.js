@@ -0,0 +1,105 @@
+import { DB_DRIVER, db } from "../db/index.js";
+import { REQUIRED_COLUMNS } from "../db/requiredSchema.js";
+import { checkSchemaVersion } from "../db/schemaVersion.js";
+import { getMailer } from "./mailer/index.js";
+
+// Components of the readiness report. Each check resolves to { status, ...details }
+// with status "pass" or "fail"; a check that throws or takes longer than
+// CHECK_TIMEOUT_MS fails with the reason as `error`.
+const CHECK_TIMEOUT_MS = 3000;
+
+const pass = (details = {}) => ({ status: "pass", ...details });
+const fail = (error, details = {}) => ({ status: "fail", error, ...details });
+
+const checkConfig = async () => {
+  const missing = [];
+  if (!process.env.JWT_SECRET) missing.push("JWT_SECRET");
+  if (DB_DRIVER === "supabase") {
+    if (!process.env.SUPABASE_URL) missing.push("SUPABASE_URL");
+    if (!process.env.SUPABASE_SERVICE_KEY) missing.push("SUPABASE_SERVICE_KEY");
+  }
+
+  return missing.length > 0
+    ? fail(`Missing environment variables: ${missing.join(", ")}`, { missing })
+    : pass();
+};
+
+// One cheap round trip
+const checkDatabase = async () => {
+  const { error } = await db.from("departments").select("id").limit(1);
+  return error ? fail(error.message, { driver: DB_DRIVER }) : pass({ driver: DB_DRIVER });
+};
+
+// Selecting every required column of a table fails if the table or any column is missing
+const checkTables = async () => {
+  const results = await Promise.all(Object.entries(REQUIRED_COLUMNS).map(async ([table, columns]) => {
+    const { error } = await db.from(table).select(columns.join(", ")).limit(0);
+    return [table, error?.message];
+  }));
+  const problems = Object.fromEntries(results.filter(([, message]) => message));
+
+  return Object.keys(problems).length > 0
+    ? fail("Some required tables or columns could not be read", { tables: problems })
+    : pass({ tables: results.length });
+};
+
+const checkMigrations = async () => {
+  const { ok, applied, expected, error } = await checkSchemaVersion();
+  return ok ? pass({ applied, expected }) : fail(error, { applied, expected });
+};
+
+// Building the transport is where a missing MAIL_TRANSPORT or SMTP_HOST shows up
+const checkMail = async () => {
+  getMailer();
+  return pass();
+};
+
+const READINESS_CHECKS = {
+  config: checkConfig,
+  database: checkDatabase,
+  tables: checkTables,
+  migrations: checkMigrations,
+  mail: checkMail,
+};
+
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS} ms`)), CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const runCheck = async (check) => {
+  const started = process.hrtime.bigint();
+  let result;
+  try {
+    result = await withTimeout(check());
+  } catch (err) {
+    result = fail(err.message);
+  }
+  return { ...result, duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100 };
+};
+
+// { status, checks: { config: {...}, database: {...}, ... } }; the checks run in parallel
+export const checkReadiness = async () => {
+  const entries = await Promise.all(
+    Object.entries(READINESS_CHECKS).map(async ([name, check]) => [name, await runCheck(check)])
+  );
+  const checks = Object.fromEntries(entries);
+  const healthy = Object.values(checks).every(check => check.status === "pass");
+
+  return { status: healthy ? "pass" : "fail", checks };
+};
+
+// Liveness only says the process can still answer; it doesn't touch the database,
+// so an outage there doesn't get healthy instances restarted
+export const checkLiveness = () => ({
+  status: "pass",
+  checks: {
+    process: pass({
+      uptime_seconds: Math.round(process.uptime()),
+      memory_rss_bytes: process.memoryUsage.rss(),
+    }),
+  },
+});
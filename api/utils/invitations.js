@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import { db } from "../db/index.js";
+import { matchEmail } from "../db/emails.js";
+import { hashToken } from "./tokens.js";
+import { sendMail } from "./mailer/index.js";
+import { logger } from "./logger.js";
+
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+
+// The frontend page that reads ?token= and posts it to /api/invitations/accept
+const acceptUrl = (token) => {
+  const base = process.env.INVITE_ACCEPT_URL || "http://localhost:3000/accept-invite";
+  return `${base}${base.includes("?") ? "&" : "?"}token=${encodeURIComponent(token)}`;
+};
+
+export const INVITABLE_ROLES = ["faculty", "class_teacher"];
+
+// Checked for single invitations and for each row of a sheet import
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const invitationStatus = (invitation) => {
+  if (invitation.accepted_at) return "accepted";
+  if (invitation.revoked_at) return "revoked";
+  if (new Date(invitation.expires_at) <= new Date()) return "expired";
+  return "pending";
+};
+
+// Why an email can't be invited: "user" when an account exists, "invited" when an invite is pending.
+// Addresses are compared exactly, ignoring case, however many rows share one.
+export const findEmailConflict = async (email) => {
+  const { data: users, error: userError } = await matchEmail(db.from("users").select("id, email"), email);
+
+  if (userError) throw userError;
+  if (users.length > 0) return "user";
+
+  const { data: invites, error: inviteError } = await matchEmail(
+    db
+      .from("staff_invitations")
+      .select("id, email")
+      .is("accepted_at", null)
+      .is("revoked_at", null)
+      .gte("expires_at", new Date().toISOString()),
+    email
+  );
+
+  if (inviteError) throw inviteError;
+  return invites.length > 0 ? "invited" : null;
+};
+
+const sendInvitationEmail = async (invitation, token, departmentName) => {
+  await sendMail({
+    to: invitation.email,
+    subject: "You're invited to the faculty portal",
+    text:
+      `Hello ${invitation.name || ""},\n\n` +
+      `An account has been created for you${departmentName ? ` in ${departmentName}` : ""}. ` +
+      `Set your password using the link below. It expires in ${INVITE_TTL_HOURS} hours and can be used once.\n\n` +
+      `${acceptUrl(token)}\n\n` +
+      "If you weren't expecting this, you can ignore this email.",
+  });
+};
+
+const getDepartmentName = async (department_id) => {
+  const { data, error } = await db
+    .from("departments")
+    .select("name")
+    .eq("id", department_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.name;
+};
+
+// Create an invitation and email its link. The link token is only stored hashed.
+// role is "faculty" or "class_teacher"; designation is an optional job title.
+export const createInvitation = async ({ name, email, department_id, invited_by, role = "faculty", designation = null }) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  const { data: invitation, error } = await db
+    .from("staff_invitations")
+    .insert([{
+      name,
+      email,
+      role,
+      designation,
+      department_id,
+      invited_by,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+      last_sent_at: new Date().toISOString(),
+    }])
+    .select("id, name, email, role, designation, department_id, expires_at, created_at")
+    .single();
+
+  if (error) throw error;
+
+  try {
+    await sendInvitationEmail(invitation, token, await getDepartmentName(department_id));
+  } catch (sendError) {
+    // Nobody received the link, so a pending row would only block the retry
+    const { error: deleteError } = await db
+      .from("staff_invitations")
+      .delete()
+      .eq("id", invitation.id);
+
+    if (deleteError) logger.error("Failed to delete an unsent invitation", { invitation_id: invitation.id, error: deleteError });
+    throw sendError;
+  }
+
+  return invitation;
+};
+
+// Issue a new link (the old one stops working) with a fresh expiry and email it again
+export const resendInvitation = async (invitation) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  const { data: updated, error } = await db
+    .from("staff_invitations")
+    .update({
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+      last_sent_at: new Date().toISOString(),
+    })
+    .eq("id", invitation.id)
+    .select("id, name, email, role, designation, department_id, expires_at, created_at")
+    .single();
+
+  if (error) throw error;
+
+  await sendInvitationEmail(updated, token, await getDepartmentName(updated.department_id));
+  return updated;
+};
+
+// Claim a pending invitation by its link token. Returns null when the link is
+// unknown, expired, revoked or was already used.
+export const claimInvitation = async (token) => {
+  const { data, error } = await db
+    .from("staff_invitations")
+    .update({ accepted_at: new Date().toISOString() })
+    .eq("token_hash", hashToken(token))
+    .is("accepted_at", null)
+    .is("revoked_at", null)
+    .gte("expires_at", new Date().toISOString())
+    .select("id, name, email, role, designation, department_id")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Undo claimInvitation when the account could not be created, so the link can be retried
+export const releaseInvitation = async (id) => {
+  const { error } = await db
+    .from("staff_invitations")
+    .update({ accepted_at: null })
+    .eq("id", id);
+
+  if (error) throw error;
+};
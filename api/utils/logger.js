@@ -0,0 +1,64 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// One JSON object per line so the platform's log search can filter on any field.
+// Entries written while a request is being handled carry its request id, user,
+// role and route (see middlewares/requestLogger.js).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const requestContext = new AsyncLocalStorage();
+
+// Run `fn` with `context` ({ requestId, req }) attached to every entry logged inside it
+export const runWithRequestContext = (context, fn) => requestContext.run(context, fn);
+
+export const getRequestContext = () => requestContext.getStore();
+
+// "/api/class-teacher/student/:id" once a route has matched, undefined before
+export const routeOf = (context) => {
+  const route = context?.req.route;
+  if (!route) return undefined;
+  return `${context.mountPath ?? ""}${route.path === "/" && context.mountPath ? "" : route.path}`;
+};
+
+// Error objects don't serialise with JSON.stringify; database errors are plain objects already
+const serialize = (value) => {
+  if (!(value instanceof Error)) return value;
+  return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+};
+
+const contextFields = (context) => {
+  if (!context) return {};
+  const { user } = context.req;
+
+  return {
+    request_id: context.requestId,
+    user_id: user?.id,
+    role: user?.role,
+    impersonator_id: user?.impersonator?.id,
+    route: routeOf(context),
+  };
+};
+
+const write = (level, message, fields = {}) => {
+  const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+  if (LEVELS[level] < threshold) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...contextFields(getRequestContext()),
+    ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, serialize(value)])),
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+// logger.info("Invitation sent", { invitation_id }); errors go in an `error` field
+export const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
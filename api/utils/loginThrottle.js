@@ -0,0 +1,100 @@
+import { db } from "../db/index.js";
+import { recordAudit } from "./audit.js";
+
+// Accounts get a few free attempts, then an exponentially growing wait, then a lockout.
+// IPs get far more room because a whole lab or campus NAT can share one address.
+const POLICIES = {
+  account: { freeAttempts: 3, lockAfter: 10, lockMinutes: 30 },
+  ip: { freeAttempts: 20, lockAfter: 100, lockMinutes: 30 },
+};
+const MAX_BACKOFF_SECONDS = 5 * 60;
+// Failures older than this no longer count
+const RESET_AFTER_MINUTES = 60;
+
+const policyFor = (key) => (key.startsWith("ip:") ? POLICIES.ip : POLICIES.account);
+
+export const accountKey = (account_type, identifier) =>
+  `account:${account_type}:${String(identifier).trim().toLowerCase()}`;
+
+export const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+const loadRecords = async (keys) => {
+  const { data, error } = await db
+    .from("login_throttles")
+    .select("key, failed_count, last_failed_at, locked_until")
+    .in("key", keys);
+
+  if (error) throw error;
+
+  const now = Date.now();
+  return (data || []).filter(record =>
+    now - new Date(record.last_failed_at).getTime() < RESET_AFTER_MINUTES * 60 * 1000 ||
+    (record.locked_until && new Date(record.locked_until).getTime() > now)
+  );
+};
+
+// Seconds the caller still has to wait before another attempt is allowed, 0 if none
+export const getRetryAfter = async (keys) => {
+  const records = await loadRecords(keys);
+  const now = Date.now();
+  let waitMs = 0;
+
+  records.forEach(record => {
+    if (record.locked_until) {
+      waitMs = Math.max(waitMs, new Date(record.locked_until).getTime() - now);
+    }
+
+    const { freeAttempts } = policyFor(record.key);
+    if (record.failed_count >= freeAttempts) {
+      const backoffSeconds = Math.min(2 ** (record.failed_count - freeAttempts), MAX_BACKOFF_SECONDS);
+      const nextAllowed = new Date(record.last_failed_at).getTime() + backoffSeconds * 1000;
+      waitMs = Math.max(waitMs, nextAllowed - now);
+    }
+  });
+
+  return Math.max(0, Math.ceil(waitMs / 1000));
+};
+
+export const recordLoginFailure = async (keys, { ip } = {}) => {
+  const active = new Map((await loadRecords(keys)).map(record => [record.key, record]));
+  const now = new Date();
+
+  for (const key of keys) {
+    const failed_count = (active.get(key)?.failed_count || 0) + 1;
+    const { lockAfter, lockMinutes } = policyFor(key);
+    const shouldLock = failed_count >= lockAfter;
+
+    const { error } = await db
+      .from("login_throttles")
+      .upsert({
+        key,
+        failed_count,
+        last_failed_at: now.toISOString(),
+        locked_until: shouldLock
+          ? new Date(now.getTime() + lockMinutes * 60 * 1000).toISOString()
+          : active.get(key)?.locked_until || null,
+      }, { onConflict: "key" });
+
+    if (error) throw error;
+
+    // Audit only the attempt that crosses the threshold
+    if (failed_count === lockAfter) {
+      await recordAudit({
+        action: "login.locked",
+        target_type: key.startsWith("ip:") ? "ip" : "account",
+        target_id: key,
+        details: { failed_count, lock_minutes: lockMinutes },
+        ip,
+      });
+    }
+  }
+};
+
+export const clearLoginFailures = async (keys) => {
+  const { error } = await db
+    .from("login_throttles")
+    .delete()
+    .in("key", keys);
+
+  if (error) throw error;
+};
@@ -0,0 +1,9 @@
+import { logger } from "../logger.js";
+
+// Logs outgoing mail instead of sending it. The body is left out because it
+// carries OTPs and invitation links; the file transport keeps whole messages.
+export const createConsoleTransport = () => ({
+  async send({ from, to, subject }) {
+    logger.info("Mail not sent (console transport)", { from, to, subject });
+  },
+});
@@ -0,0 +1,21 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+
+// Writes each message as a JSON file so local runs and tests can read it back
+export const createFileTransport = ({ dir } = {}) => {
+  const outbox = dir || path.join(os.tmpdir(), "mail-outbox");
+
+  return {
+    outbox,
+    async send(message) {
+      await fs.mkdir(outbox, { recursive: true });
+
+      const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+      const record = { ...message, sent_at: new Date().toISOString() };
+
+      await fs.writeFile(path.join(outbox, fileName), JSON.stringify(record, null, 2));
+    },
+  };
+};
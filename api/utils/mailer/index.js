@@ -0,0 +1,71 @@
+import { createConsoleTransport } from "./consoleTransport.js";
+import { createFileTransport } from "./fileTransport.js";
+import { createSmtpTransport } from "./smtpTransport.js";
+import { ServiceUnavailableError } from "../errors.js";
+import { logger } from "../logger.js";
+
+// Every transport exposes send({ to, subject, text, html }) and resolves once the message is handed off.
+// MAIL_TRANSPORT picks one: "smtp" in production, "file" or "console" for local use and tests.
+const DEFAULT_TRANSPORT_ENVS = ["development", "test"];
+
+// Only development and test fall back to the console; anywhere else a forgotten
+// MAIL_TRANSPORT would quietly drop every OTP and invitation
+const transportKind = () => {
+  const kind = process.env.MAIL_TRANSPORT;
+  if (kind) return kind.toLowerCase();
+
+  if (DEFAULT_TRANSPORT_ENVS.includes(process.env.NODE_ENV)) return "console";
+  throw new Error("MAIL_TRANSPORT is required (smtp, file or console) unless NODE_ENV is development or test");
+};
+
+const createTransport = () => {
+  const kind = transportKind();
+
+  switch (kind) {
+    case "smtp":
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      });
+    case "file":
+      return createFileTransport({ dir: process.env.MAIL_OUTBOX_DIR });
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+  }
+};
+
+let transport;
+
+export const getMailer = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Lets tests and scripts swap in their own transport
+export const setMailer = (customTransport) => {
+  transport = customTransport;
+};
+
+// A misconfigured transport fails the request that needs mail (and /health/ready),
+// not the whole server
+export const sendMail = async (message) => {
+  let mailer;
+  try {
+    mailer = getMailer();
+  } catch (err) {
+    logger.error("Mail transport is not configured", { error: err });
+    throw new ServiceUnavailableError("Email is not available right now.", { code: "MAIL_NOT_CONFIGURED" });
+  }
+
+  return mailer.send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    ...message,
+  });
+};
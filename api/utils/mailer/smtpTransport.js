@@ -0,0 +1,20 @@
+import nodemailer from "nodemailer";
+
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error("SMTP_HOST is required when MAIL_TRANSPORT is smtp");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    async send({ from, to, subject, text, html }) {
+      await transporter.sendMail({ from, to, subject, text, html });
+    },
+  };
+};
@@ -0,0 +1,49 @@
+import { Counter, Histogram, Registry, collectDefaultMetrics } from "prom-client";
+import { getRequestContext } from "./logger.js";
+
+// Prometheus metrics, served at /metrics (routes/metrics.js). Each serverless
+// instance keeps its own counters, so query them with sum() or rate().
+export const registry = new Registry();
+
+collectDefaultMetrics({ register: registry });
+
+// Labelled with the route pattern rather than the path so ids don't create a
+// series each; requests that matched no route share "unmatched"
+const LABELS = ["method", "route", "status"];
+
+const requests = new Counter({
+  name: "http_requests_total",
+  help: "HTTP requests by route and response status",
+  labelNames: LABELS,
+  registers: [registry],
+});
+
+const duration = new Histogram({
+  name: "http_request_duration_seconds",
+  help: "Time from receiving a request to sending the response",
+  labelNames: LABELS,
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+const dbCalls = new Histogram({
+  name: "http_request_db_calls",
+  help: "Database queries and RPCs made while handling a request",
+  labelNames: ["method", "route"],
+  buckets: [0, 1, 2, 5, 10, 25, 50, 100, 250],
+  registers: [registry],
+});
+
+// Called by the db client for every from() and rpc()
+export const recordDbCall = () => {
+  const context = getRequestContext();
+  if (context) context.dbCalls += 1;
+};
+
+export const observeRequest = ({ method, route = "unmatched", status, seconds, db_calls }) => {
+  const labels = { method, route, status: String(status) };
+
+  requests.inc(labels);
+  duration.observe(labels, seconds);
+  dbCalls.observe({ method, route }, db_calls);
+};
@@ -0,0 +1,103 @@
+import crypto from "crypto";
+import { db } from "../db/index.js";
+import { getUserRoles } from "./roles.js";
+import { hashToken, signRestrictedToken } from "./tokens.js";
+import { verifyCode } from "./totp.js";
+
+// Roles allowed to enrol in two-factor authentication
+export const MFA_ROLES = ["director", "hod"];
+const RECOVERY_CODE_COUNT = 10;
+
+// MFA_REQUIRED_ROLES (comma separated, e.g. "director,hod") makes 2FA mandatory for those roles
+const requiredRoles = () =>
+  (process.env.MFA_REQUIRED_ROLES || "")
+    .split(",")
+    .map(role => role.trim())
+    .filter(Boolean);
+
+export const canUseMfa = (user) => getUserRoles(user).some(role => MFA_ROLES.includes(role));
+
+export const isMfaRequired = (user) => {
+  const required = requiredRoles();
+  return getUserRoles(user).some(role => required.includes(role));
+};
+
+// What a user whose first factor (password or SSO) checked out gets instead of
+// a session when a second factor is needed: an mfa_token for /login/2fa once
+// enrolled, an enrolment-only token when policy requires 2FA. Null when neither applies.
+export const secondFactorStep = (user) => {
+  if (user.totp_enabled) {
+    return {
+      success: true,
+      message: "Two-factor authentication required.",
+      two_factor_required: true,
+      mfa_token: signRestrictedToken({ id: user.id, role: user.role }, "mfa_login"),
+    };
+  }
+
+  if (isMfaRequired(user)) {
+    return {
+      success: true,
+      message: "Two-factor authentication must be set up before continuing.",
+      two_factor_setup_required: true,
+      token: signRestrictedToken({ id: user.id, role: user.role }, "mfa_enrollment"),
+    };
+  }
+
+  return null;
+};
+
+// Replaces any earlier recovery codes. The plain codes are only ever returned here.
+export const generateRecoveryCodes = async (user_id) => {
+  const { error: deleteError } = await db
+    .from("mfa_recovery_codes")
+    .delete()
+    .eq("user_id", user_id);
+
+  if (deleteError) throw deleteError;
+
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const { error } = await db
+    .from("mfa_recovery_codes")
+    .insert(codes.map(code => ({ user_id, code_hash: hashToken(code) })));
+
+  if (error) throw error;
+
+  return codes;
+};
+
+const useRecoveryCode = async (user_id, code) => {
+  const { data, error } = await db
+    .from("mfa_recovery_codes")
+    .update({ used_at: new Date().toISOString() })
+    .eq("user_id", user_id)
+    .eq("code_hash", hashToken(String(code).trim().toLowerCase()))
+    .is("used_at", null)
+    .select("id");
+
+  if (error) throw error;
+  return Boolean(data && data.length > 0);
+};
+
+// Check an authenticator code (or, failing that, a recovery code) for a user with 2FA enabled.
+// Accepted authenticator codes can't be used a second time.
+export const verifySecondFactor = async (user, { code, recovery_code }) => {
+  if (recovery_code) {
+    return useRecoveryCode(user.id, recovery_code);
+  }
+
+  const step = verifyCode(user.totp_secret, code, { afterStep: user.totp_last_step ?? -1 });
+  if (step === null) return false;
+
+  const { error } = await db
+    .from("users")
+    .update({ totp_last_step: step })
+    .eq("id", user.id);
+
+  if (error) throw error;
+  return true;
+};
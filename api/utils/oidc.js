@@ -0,0 +1,156 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { db } from "../db/index.js";
+
+// OpenID Connect authorization-code flow with PKCE against the college IdP.
+// Configured through OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET and OIDC_REDIRECT_URI.
+const STATE_TTL_MINUTES = 10;
+
+export const getOidcConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || "").replace(/\/$/, ""),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || "openid email profile",
+});
+
+export const isOidcConfigured = () => {
+  const config = getOidcConfig();
+  return Boolean(config.issuer && config.clientId && config.redirectUri);
+};
+
+let discoveryCache = null;
+let jwksCache = null;
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+
+  return body;
+};
+
+const discover = async () => {
+  const { issuer } = getOidcConfig();
+
+  if (!discoveryCache || discoveryCache.issuer !== issuer) {
+    discoveryCache = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    jwksCache = null;
+  }
+
+  return discoveryCache;
+};
+
+// Fetch the IdP signing key for `kid`, refreshing the key set once if it's unknown (key rotation)
+const getSigningKey = async (kid) => {
+  const { jwks_uri } = await discover();
+
+  for (const refresh of [false, true]) {
+    if (!jwksCache || refresh) {
+      jwksCache = await fetchJson(jwks_uri);
+    }
+
+    const jwk = (jwksCache.keys || []).find(key => !kid || key.kid === kid);
+    if (jwk) return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+
+  throw new Error(`No IdP signing key found for kid ${kid}`);
+};
+
+// Create and remember the state, nonce and PKCE verifier for one login attempt,
+// then return the IdP URL to send the browser to
+export const beginLogin = async () => {
+  const config = getOidcConfig();
+  const { authorization_endpoint } = await discover();
+
+  const state = crypto.randomBytes(24).toString("base64url");
+  const nonce = crypto.randomBytes(24).toString("base64url");
+  const codeVerifier = crypto.randomBytes(32).toString("base64url");
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+  const { error } = await db
+    .from("oidc_login_states")
+    .insert([{
+      state,
+      nonce,
+      code_verifier: codeVerifier,
+      expires_at: new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000).toISOString(),
+    }]);
+
+  if (error) throw error;
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  });
+
+  return `${authorization_endpoint}?${params.toString()}`;
+};
+
+// Spend a login state; returns null if it is unknown, used or expired
+const consumeState = async (state) => {
+  const { data, error } = await db
+    .from("oidc_login_states")
+    .delete()
+    .eq("state", state)
+    .select("nonce, code_verifier, expires_at");
+
+  if (error) throw error;
+
+  const record = data && data[0];
+  if (!record || new Date(record.expires_at) <= new Date()) return null;
+  return record;
+};
+
+// Finish the login: exchange the code and verify the ID token.
+// Returns the verified ID token claims, or null if the state is invalid.
+export const completeLogin = async ({ code, state }) => {
+  const record = await consumeState(state);
+  if (!record) return null;
+
+  const config = getOidcConfig();
+  const { token_endpoint } = await discover();
+
+  const tokens = await fetchJson(token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      client_secret: config.clientSecret || "",
+      code_verifier: record.code_verifier,
+    }),
+  });
+
+  if (!tokens.id_token) {
+    throw new Error("OIDC token response did not include an id_token");
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) throw new Error("OIDC id_token is malformed");
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "PS256"],
+    issuer: config.issuer,
+    audience: config.clientId,
+  });
+
+  if (claims.nonce !== record.nonce) {
+    throw new Error("OIDC id_token nonce mismatch");
+  }
+
+  return claims;
+};
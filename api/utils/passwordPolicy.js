@@ -0,0 +1,39 @@
+const MIN_LENGTH = 8;
+// bcrypt ignores everything past 72 bytes
+const MAX_LENGTH = 72;
+
+// Returns the list of policy violations; an empty list means the password is acceptable.
+// `personalValues` are things like the email or hall ticket number that must not be reused as the password.
+export const checkPasswordStrength = (password, personalValues = []) => {
+  const problems = [];
+
+  if (typeof password !== "string") {
+    return ["Password must be a string"];
+  }
+
+  if (password.length < MIN_LENGTH) {
+    problems.push(`Password must be at least ${MIN_LENGTH} characters long`);
+  }
+  if (Buffer.byteLength(password) > MAX_LENGTH) {
+    problems.push(`Password must be at most ${MAX_LENGTH} bytes long`);
+  }
+  if (!/[a-z]/.test(password)) {
+    problems.push("Password must contain a lowercase letter");
+  }
+  if (!/[A-Z]/.test(password)) {
+    problems.push("Password must contain an uppercase letter");
+  }
+  if (!/[0-9]/.test(password)) {
+    problems.push("Password must contain a digit");
+  }
+
+  const lowered = password.toLowerCase();
+  const reused = personalValues
+    .filter(Boolean)
+    .some(value => lowered === String(value).trim().toLowerCase());
+  if (reused) {
+    problems.push("Password must not be your email or hall ticket number");
+  }
+
+  return problems;
+};
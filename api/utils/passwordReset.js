@@ -0,0 +1,103 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { db } from "../db/index.js";
+
+const CODE_TTL_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+
+// Look up the account a reset is requested for.
+// Staff are identified by email, students by hall ticket number.
+export const findResetAccount = async ({ email, hall_ticket_number }) => {
+  if (hall_ticket_number) {
+    const { data: student, error } = await db
+      .from("students")
+      .select("id, name, email")
+      .eq("hall_ticket_number", String(hall_ticket_number).trim())
+      .maybeSingle();
+
+    if (error) throw error;
+    return student ? { account: student, account_type: "student" } : null;
+  }
+
+  const { data: user, error } = await db
+    .from("users")
+    .select("id, name, email")
+    .eq("email", String(email).trim())
+    .maybeSingle();
+
+  if (error) throw error;
+  return user ? { account: user, account_type: "user" } : null;
+};
+
+// Issue a fresh 6-digit code; earlier unused codes for the account stop working
+export const createResetCode = async ({ account, account_type }) => {
+  const now = new Date();
+
+  const { error: expireError } = await db
+    .from("password_reset_codes")
+    .update({ used_at: now.toISOString() })
+    .eq("account_id", account.id)
+    .eq("account_type", account_type)
+    .is("used_at", null);
+
+  if (expireError) throw expireError;
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+  const { error } = await db
+    .from("password_reset_codes")
+    .insert([{
+      account_id: account.id,
+      account_type,
+      code_hash: await bcrypt.hash(code, 10),
+      expires_at: new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+      attempts: 0,
+    }]);
+
+  if (error) throw error;
+
+  return { code, ttlMinutes: CODE_TTL_MINUTES };
+};
+
+// Check a code and spend it. Returns false for wrong, expired, used or over-tried codes.
+export const consumeResetCode = async ({ account, account_type }, code) => {
+  const { data: record, error } = await db
+    .from("password_reset_codes")
+    .select("id, code_hash, expires_at, attempts")
+    .eq("account_id", account.id)
+    .eq("account_type", account_type)
+    .is("used_at", null)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!record) return false;
+
+  if (new Date(record.expires_at) <= new Date() || record.attempts >= MAX_ATTEMPTS) {
+    return false;
+  }
+
+  const isMatch = await bcrypt.compare(String(code), record.code_hash);
+
+  if (!isMatch) {
+    const { error: attemptError } = await db
+      .from("password_reset_codes")
+      .update({ attempts: record.attempts + 1 })
+      .eq("id", record.id);
+
+    if (attemptError) throw attemptError;
+    return false;
+  }
+
+  // Spend the code; a concurrent request that already did so wins
+  const { data: spent, error: spendError } = await db
+    .from("password_reset_codes")
+    .update({ used_at: new Date().toISOString() })
+    .eq("id", record.id)
+    .is("used_at", null)
+    .select("id");
+
+  if (spendError) throw spendError;
+  return Boolean(spent && spent.length > 0);
+};
@@ -0,0 +1,47 @@
+import { db } from "../db/index.js";
+
+// Counter stores for the rate limiter (middlewares/rateLimit.js). hit(key, windowSeconds)
+// counts a request against the key's current fixed window, starting a new window
+// when the last one has ended, and resolves to { count, resetAt } (ms timestamp).
+
+// Stale windows are only swept once this many keys are tracked
+const MEMORY_SWEEP_SIZE = 10000;
+
+// Per process: fine for a single server, but each serverless instance counts separately
+export const createMemoryStore = () => {
+  const windows = new Map();
+
+  const sweep = (now) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  return {
+    async hit(key, windowSeconds) {
+      const now = Date.now();
+      let window = windows.get(key);
+
+      if (!window || window.resetAt <= now) {
+        if (windows.size >= MEMORY_SWEEP_SIZE) sweep(now);
+        window = { count: 0, resetAt: now + windowSeconds * 1000 };
+        windows.set(key, window);
+      }
+
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+};
+
+// Shared by every instance: the rate_limit_hit function (migration 0003) counts
+// in a single statement, so concurrent requests can't lose increments
+export const createDatabaseStore = () => ({
+  async hit(key, windowSeconds) {
+    const { data, error } = await db.rpc("rate_limit_hit", { p_key: key, p_window_seconds: windowSeconds });
+    if (error) throw error;
+
+    const [window] = data;
+    return { count: window.count, resetAt: new Date(window.reset_at).getTime() };
+  },
+});
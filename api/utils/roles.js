@@ -0,0 +1,8 @@
+// `users.role` is the default role; `users.roles` lists every role the person holds.
+// Rows created before multi-role support only have `role`.
+export const getUserRoles = (user) => {
+  const extraRoles = Array.isArray(user.roles) ? user.roles : [];
+  return [...new Set([user.role, ...extraRoles].filter(Boolean))];
+};
+
+export const withRole = (user, role) => [...new Set([...getUserRoles(user), role])];
@@ -0,0 +1,175 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { db } from "../db/index.js";
+import { logger } from "./logger.js";
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const RESTRICTED_TOKEN_TTL = "10m";
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 30;
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+export const signAccessToken = (payload) =>
+  jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Short-lived token that only routes accepting `scope` will honour
+export const signRestrictedToken = (payload, scope) =>
+  jwt.sign({ ...payload, scope }, process.env.JWT_SECRET, { expiresIn: RESTRICTED_TOKEN_TTL });
+
+// "View as" token: the target's claims plus the real actor, bound to the actor's session.
+// Never paired with a refresh token, so it lapses after IMPERSONATION_TTL.
+export const IMPERSONATION_TTL_MINUTES = Number(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+
+export const signImpersonationToken = (payload, { actor, sid }) =>
+  jwt.sign(
+    { ...payload, sid, impersonator: { id: actor.id, role: actor.role } },
+    process.env.JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
+  );
+
+const issueRefreshToken = async (session) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+
+  const { error } = await db
+    .from("refresh_tokens")
+    .insert([{
+      session_id: session.id,
+      token_hash: hashToken(token),
+      expires_at: session.expires_at,
+    }]);
+
+  if (error) throw error;
+
+  return token;
+};
+
+// Device details recorded with a session so users can recognise it in their session list
+export const clientInfo = (req) => ({
+  ip: req.ip || null,
+  user_agent: req.get("user-agent")?.slice(0, 512) || null,
+});
+
+// Start a server-side session (user_type is "user" or "student") and hand out its first refresh token.
+// active_role and active_class_id remember which role and class the session is acting as;
+// `client` is the clientInfo() of the login request.
+export const createSession = async ({ user_id, user_type, active_role = null, active_class_id = null, client = {} }) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data: session, error } = await db
+    .from("auth_sessions")
+    .insert([{
+      user_id,
+      user_type,
+      active_role,
+      active_class_id,
+      ip: client.ip || null,
+      user_agent: client.user_agent || null,
+      last_used_at: now.toISOString(),
+      expires_at: expiresAt.toISOString(),
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const refresh_token = await issueRefreshToken(session);
+  return { session, refresh_token };
+};
+
+export const updateSession = async (session_id, updates) => {
+  const { error } = await db
+    .from("auth_sessions")
+    .update(updates)
+    .eq("id", session_id);
+
+  if (error) throw error;
+};
+
+export const revokeSession = async (session_id) => {
+  const { error } = await db
+    .from("auth_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", session_id)
+    .is("revoked_at", null);
+
+  if (error) throw error;
+};
+
+// Revoke every live session of an account, optionally keeping one (usually the caller's own)
+export const revokeUserSessions = async ({ user_id, user_type, except }) => {
+  let query = db
+    .from("auth_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("user_id", user_id)
+    .eq("user_type", user_type)
+    .is("revoked_at", null);
+
+  if (except) {
+    query = query.neq("id", except);
+  }
+
+  const { error } = await query;
+  if (error) throw error;
+};
+
+// Live sessions of an account, most recently used first
+export const listActiveSessions = async ({ user_id, user_type }) => {
+  const { data, error } = await db
+    .from("auth_sessions")
+    .select("id, active_role, ip, user_agent, created_at, last_used_at, expires_at")
+    .eq("user_id", user_id)
+    .eq("user_type", user_type)
+    .is("revoked_at", null)
+    .gte("expires_at", new Date().toISOString())
+    .order("last_used_at", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Swap a refresh token for a new one. Each token works once; presenting a spent
+// token means it leaked, so the whole session is revoked.
+// Returns null when the token cannot be used.
+export const rotateRefreshToken = async (token) => {
+  const { data: record, error } = await db
+    .from("refresh_tokens")
+    .select("id, session_id, expires_at, used_at")
+    .eq("token_hash", hashToken(token))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!record) return null;
+
+  if (record.used_at) {
+    logger.warn("Refresh token reused; revoking the session", { session_id: record.session_id });
+    await revokeSession(record.session_id);
+    return null;
+  }
+
+  if (new Date(record.expires_at) <= new Date()) return null;
+
+  const { data: session, error: sessionError } = await db
+    .from("auth_sessions")
+    .select("*")
+    .eq("id", record.session_id)
+    .maybeSingle();
+
+  if (sessionError) throw sessionError;
+  if (!session || session.revoked_at) return null;
+
+  // Only one concurrent refresh may spend the token
+  const { data: spent, error: spendError } = await db
+    .from("refresh_tokens")
+    .update({ used_at: new Date().toISOString() })
+    .eq("id", record.id)
+    .is("used_at", null)
+    .select("id");
+
+  if (spendError) throw spendError;
+  if (!spent || spent.length === 0) return null;
+
+  const refresh_token = await issueRefreshToken(session);
+  return { session, refresh_token };
+};
@@ -0,0 +1,99 @@
+// Apply pending SQL migrations from api/db/migrations to the Postgres database in
+// DATABASE_URL (Supabase: Project Settings → Database → Connection string).
+//
+//   npm run migrate            apply every pending migration
+//   npm run migrate -- --status list applied and pending migrations
+//
+// Files are named <version>_<name>.sql and run in version order, each in its own
+// transaction, and are recorded in schema_migrations. Applied files must not be
+// edited; change the schema with a new file and bump SCHEMA_VERSION.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import pg from "pg";
+
+dotenv.config();
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "../api/db/migrations");
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+// Any constant works; it only has to be the same for every runner
+const LOCK_ID = 4242018;
+
+export const loadMigrations = (dir = MIGRATIONS_DIR) =>
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith(".sql"))
+    .map(file => {
+      const match = file.match(FILE_PATTERN);
+      if (!match) throw new Error(`Migration file name must look like 0001_name.sql: ${file}`);
+      return { version: Number(match[1]), name: match[2], file: path.join(dir, file) };
+    })
+    .sort((a, b) => a.version - b.version);
+
+const main = async () => {
+  if (!process.env.DATABASE_URL) {
+    console.error("DATABASE_URL is not set.");
+    process.exit(1);
+  }
+
+  const migrations = loadMigrations();
+  const latest = migrations.at(-1)?.version ?? 0;
+
+  const client = new pg.Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    // Two deploys migrating at once would otherwise both apply the same file
+    await client.query("select pg_advisory_lock($1)", [LOCK_ID]);
+
+    await client.query(`
+      create table if not exists schema_migrations (
+        version integer primary key,
+        name text not null,
+        applied_at timestamptz not null default now()
+      )
+    `);
+
+    const { rows } = await client.query("select version from schema_migrations");
+    const applied = new Set(rows.map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    if (process.argv.includes("--status")) {
+      migrations.forEach(({ version, name }) => {
+        console.log(`${applied.has(version) ? "applied" : "pending"}  ${version} ${name}`);
+      });
+      return;
+    }
+
+    if (pending.length === 0) {
+      console.log(`Schema is up to date at version ${latest}.`);
+      return;
+    }
+
+    for (const { version, name, file } of pending) {
+      console.log(`Applying ${version} ${name}...`);
+      await client.query("begin");
+      try {
+        await client.query(fs.readFileSync(file, "utf8"));
+        await client.query("insert into schema_migrations (version, name) values ($1, $2)", [version, name]);
+        await client.query("commit");
+      } catch (err) {
+        await client.query("rollback");
+        throw new Error(`Migration ${version} ${name} failed: ${err.message}`);
+      }
+    }
+
+    console.log(`Applied ${pending.length} migration(s); schema is at version ${latest}.`);
+  } finally {
+    await client.query("select pg_advisory_unlock($1)", [LOCK_ID]).catch(() => {});
+    await client.end();
+  }
+};
+
+// Only run when invoked directly, so tests can import loadMigrations
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
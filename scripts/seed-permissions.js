@@ -0,0 +1,17 @@
+// Upsert the default role → permission mapping into role_permissions.
+// Grants already in the table are kept, so local additions survive a re-seed.
+import { db } from "../api/db/index.js";
+import { defaultPermissionRows } from "../api/db/rolePermissions.js";
+
+const rows = defaultPermissionRows();
+
+const { error } = await db
+  .from("role_permissions")
+  .upsert(rows, { onConflict: "role,permission,scope", ignoreDuplicates: true });
+
+if (error) {
+  console.error("Failed to seed role permissions:", error);
+  process.exit(1);
+}
+
+console.log(`Seeded ${rows.length} role permissions.`);
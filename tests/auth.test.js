@@ -0,0 +1,480 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, db, startServer, stopServer } from "./helpers/server.js";
+import { PASSWORD, findUser, ids, seed, tokens } from "./helpers/fixtures.js";
+import { setMailer } from "../api/utils/mailer/index.js";
+import { currentStep, generateCode } from "../api/utils/totp.js";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+const login = (email, password = PASSWORD) => api.post("/api/auth/login", { email, password });
+
+describe("POST /api/auth/login", () => {
+  test("starts a session for valid credentials", async () => {
+    const res = await login("ct@college.test");
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    assert.ok(res.body.refresh_token);
+    assert.equal(res.body.user.role, "class_teacher");
+    assert.deepEqual(res.body.user.roles.sort(), ["class_teacher", "faculty"]);
+    assert.equal(res.body.user.class_id, ids.cseClass);
+  });
+
+  test("rejects a wrong password and missing fields", async () => {
+    const wrong = await login("fac1@college.test", "Not-the-pass1");
+    const missing = await api.post("/api/auth/login", { email: "fac1@college.test" });
+    const unknown = await login("nobody@college.test");
+
+    assert.equal(wrong.status, 400);
+    assert.equal(missing.status, 400);
+    assert.equal(unknown.status, 400);
+  });
+
+  test("throttles repeated failures even for the right password", async () => {
+    for (let i = 0; i < 3; i++) {
+      await login("fac1@college.test", "Not-the-pass1");
+    }
+
+    const res = await login("fac1@college.test");
+
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+    assert.equal(res.body.code, "LOGIN_THROTTLED");
+  });
+});
+
+describe("POST /api/auth/student/login", () => {
+  test("logs a student in by hall ticket number", async () => {
+    const res = await api.post("/api/auth/student/login", { hall_ticket_number: `HT-${ids.s1}`, password: PASSWORD });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.student.id, ids.s1);
+    assert.equal(res.body.student.role, "student");
+  });
+
+  test("treats a failed student lookup as a failed login", async (t) => {
+    const from = db.from;
+    t.mock.method(db, "from", (table) => table === "students"
+      ? { select: () => ({ eq: () => ({ maybeSingle: async () => ({ data: null, error: { message: "connection reset" } }) }) }) }
+      : from(table));
+
+    const res = await api.post("/api/auth/student/login", { hall_ticket_number: `HT-${ids.s1}`, password: PASSWORD });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "INVALID_CREDENTIALS");
+    assert.ok(db.dump("login_throttles").some(record => record.key === `account:student:ht-${ids.s1}`));
+  });
+
+  test("hands out a password-change token when a change is required", async () => {
+    await db.from("students").update({ must_change_password: true }).eq("id", ids.s1);
+
+    const res = await api.post("/api/auth/student/login", { hall_ticket_number: `HT-${ids.s1}`, password: PASSWORD });
+    assert.equal(res.body.must_change_password, true);
+    assert.equal(res.body.refresh_token, undefined);
+
+    const blocked = await api.get("/api/students/dashboard", { token: res.body.token });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, "PASSWORD_CHANGE_REQUIRED");
+    assert.equal(blocked.body.details.scope, "password_change");
+
+    const changed = await api.put("/api/auth/password", { current_password: PASSWORD, new_password: "Brand-new-pass2" }, { token: res.body.token });
+    assert.equal(changed.status, 200);
+
+    const dashboard = await api.get("/api/students/dashboard", { token: changed.body.token });
+    assert.equal(dashboard.status, 200);
+  });
+});
+
+describe("PUT /api/auth/password", () => {
+  const change = (current_password) =>
+    api.put("/api/auth/password", { current_password, new_password: "Brand-new-pass2" }, { token: t.fac1 });
+
+  test("changes the password and signs out other sessions", async () => {
+    const { body: other } = await login("fac1@college.test");
+
+    const res = await change(PASSWORD);
+
+    assert.equal(res.status, 200);
+    assert.equal((await login("fac1@college.test", "Brand-new-pass2")).status, 200);
+    assert.equal((await api.get("/api/faculty/subjects", { token: other.token })).status, 401);
+    assert.equal((await api.get("/api/faculty/subjects", { token: t.fac1 })).status, 200);
+  });
+
+  test("counts wrong current passwords towards the login lockout", async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await change("Not-the-pass1")).status, 400);
+    }
+
+    const res = await change(PASSWORD);
+    const loginAttempt = await login("fac1@college.test");
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, "LOGIN_THROTTLED");
+    assert.equal(loginAttempt.status, 429);
+  });
+});
+
+describe("POST /api/auth/refresh", () => {
+  test("rotates the refresh token", async () => {
+    const { body: session } = await login("fac1@college.test");
+
+    const first = await api.post("/api/auth/refresh", { refresh_token: session.refresh_token });
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refresh_token, session.refresh_token);
+
+    const reused = await api.post("/api/auth/refresh", { refresh_token: session.refresh_token });
+    assert.equal(reused.status, 401);
+  });
+
+  test("requires a refresh token", async () => {
+    const res = await api.post("/api/auth/refresh", {});
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("sessions", () => {
+  test("logout revokes the access token", async () => {
+    const { body: session } = await login("fac1@college.test");
+
+    const out = await api.post("/api/auth/logout", {}, { token: session.token });
+    assert.equal(out.status, 200);
+
+    const after = await api.get("/api/faculty/subjects", { token: session.token });
+    assert.equal(after.status, 401);
+    assert.equal(after.body.error, "Session has been revoked");
+  });
+
+  test("lists devices and signs out the others", async () => {
+    const { body: phone } = await login("fac1@college.test");
+    const { body: laptop } = await login("fac1@college.test");
+
+    const listed = await api.get("/api/auth/sessions", { token: laptop.token });
+    // Two logins plus the session behind the fixture token
+    assert.equal(listed.body.sessions.length, 3);
+    assert.equal(listed.body.sessions.filter(s => s.current).length, 1);
+
+    await api.delete("/api/auth/sessions", { token: laptop.token });
+
+    assert.equal((await api.get("/api/faculty/subjects", { token: phone.token })).status, 401);
+    assert.equal((await api.get("/api/faculty/subjects", { token: laptop.token })).status, 200);
+  });
+
+  test("lets an HOD sign out staff of their own department only", async () => {
+    const own = await api.delete(`/api/auth/users/${ids.fac1}/sessions`, { token: t.hodCse });
+    const other = await api.delete(`/api/auth/users/${ids.fac2}/sessions`, { token: t.hodCse });
+
+    assert.equal(own.status, 200);
+    assert.equal(other.status, 403);
+    assert.equal((await api.get("/api/faculty/subjects", { token: t.fac1 })).status, 401);
+  });
+
+  test("lets an HOD sign out students of their own department only", async () => {
+    const own = await api.delete(`/api/auth/students/${ids.s1}/sessions`, { token: t.hodCse });
+    const other = await api.delete(`/api/auth/students/${ids.s4}/sessions`, { token: t.hodCse });
+    const faculty = await api.delete(`/api/auth/students/${ids.s2}/sessions`, { token: t.fac1 });
+
+    assert.equal(own.status, 200);
+    assert.equal(other.status, 403);
+    assert.equal(faculty.status, 403);
+    assert.equal((await api.get("/api/students/dashboard", { token: t.s1 })).status, 401);
+    assert.equal((await api.get("/api/students/dashboard", { token: t.s4 })).status, 200);
+    assert.equal((await api.get("/api/students/dashboard", { token: t.s2 })).status, 200);
+
+    const [audit] = db.dump("audit_logs").filter(log => log.action === "session.force_sign_out");
+    assert.equal(audit.target_type, "student");
+    assert.equal(audit.target_id, ids.s1);
+  });
+
+  test("rejects a token without a session", async () => {
+    const res = await api.get("/api/faculty/subjects", { token: "not-a-jwt" });
+    assert.equal(res.status, 401);
+  });
+});
+
+describe("POST /api/auth/switch-role", () => {
+  test("switches to a role the user holds", async () => {
+    const res = await api.post("/api/auth/switch-role", { role: "faculty" }, { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.role, "faculty");
+
+    const denied = await api.get("/api/class-teacher/class-info", { token: res.body.token });
+    assert.equal(denied.status, 403);
+  });
+
+  test("refuses roles the user doesn't hold", async () => {
+    const res = await api.post("/api/auth/switch-role", { role: "hod" }, { token: t.fac1 });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("POST /api/auth/users/:id/impersonate", () => {
+  test("gives a read-only, audited view as another user", async () => {
+    const res = await api.post(`/api/auth/users/${ids.fac1}/impersonate`, { reason: "support ticket" }, { token: t.hodCse });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.read_only, true);
+
+    const read = await api.get("/api/faculty/subjects", { token: res.body.token });
+    assert.equal(read.status, 200);
+
+    const write = await api.post("/api/submissions/mark-submission", {
+      student_id: ids.s3, subject_id: ids.ds, submission_type: "CIE", status: "completed",
+    }, { token: res.body.token });
+    assert.equal(write.status, 403);
+
+    const ownSessions = await api.get("/api/auth/sessions", { token: res.body.token });
+    assert.equal(ownSessions.status, 403);
+
+    const actions = db.dump("audit_logs").filter(log => log.actor_id === ids.hodCse).map(log => log.action);
+    assert.ok(actions.includes("impersonation.start"));
+    assert.ok(actions.includes("impersonation.request"));
+  });
+
+  test("ends with the actor's session", async () => {
+    const { body: hod } = await login("hod.cse@college.test");
+    const { body: view } = await api.post(`/api/auth/users/${ids.fac1}/impersonate`, {}, { token: hod.token });
+
+    await api.post("/api/auth/logout", {}, { token: hod.token });
+
+    const res = await api.get("/api/faculty/subjects", { token: view.token });
+    assert.equal(res.status, 401);
+  });
+
+  test("is limited to the HOD's department and never targets directors", async () => {
+    await db.from("users").insert({ ...(await findUser(ids.director)), id: "u-director-2", email: "director2@college.test" });
+
+    const otherDepartment = await api.post(`/api/auth/users/${ids.fac2}/impersonate`, {}, { token: t.hodCse });
+    const director = await api.post("/api/auth/users/u-director-2/impersonate", {}, { token: t.director });
+    const self = await api.post(`/api/auth/users/${ids.director}/impersonate`, {}, { token: t.director });
+    const faculty = await api.post(`/api/auth/users/${ids.fac2}/impersonate`, {}, { token: t.fac1 });
+
+    assert.equal(otherDepartment.status, 403);
+    assert.equal(director.status, 403);
+    assert.equal(self.status, 400);
+    assert.equal(faculty.status, 403);
+  });
+});
+
+describe("POST /api/auth/switch-class", () => {
+  test("switches between the teacher's classes", async () => {
+    await db.from("classes").update({ class_teacher_id: ids.classTeacher }).eq("id", ids.eceClass);
+
+    const res = await api.post("/api/auth/switch-class", { class_id: ids.eceClass }, { token: t.classTeacher });
+    assert.equal(res.status, 200);
+
+    const info = await api.get("/api/class-teacher/class-info", { token: res.body.token });
+    assert.equal(info.body.class.id, ids.eceClass);
+  });
+
+  test("refuses classes taught by someone else", async () => {
+    const res = await api.post("/api/auth/switch-class", { class_id: ids.eceClass }, { token: t.classTeacher });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("password reset", () => {
+  let outbox;
+
+  beforeEach(() => {
+    outbox = [];
+    setMailer({ send: async (message) => { outbox.push(message); } });
+  });
+
+  const mailedCode = () => outbox.at(-1).text.match(/code is (\S+)\./)[1];
+
+  test("resets the password with the emailed code and signs out everywhere", async () => {
+    const forgot = await api.post("/api/auth/forgot-password", { email: "fac1@college.test" });
+    assert.equal(forgot.status, 200);
+    assert.equal(outbox[0].to, "fac1@college.test");
+
+    const reset = await api.post("/api/auth/reset-password", {
+      email: "fac1@college.test", code: mailedCode(), new_password: "Recovered-pass3",
+    });
+    assert.equal(reset.status, 200);
+
+    assert.equal((await api.get("/api/faculty/subjects", { token: t.fac1 })).status, 401);
+    assert.equal((await login("fac1@college.test", "Recovered-pass3")).status, 200);
+  });
+
+  test("answers the same for unknown accounts without sending mail", async () => {
+    const res = await api.post("/api/auth/forgot-password", { email: "nobody@college.test" });
+
+    assert.equal(res.status, 200);
+    assert.equal(outbox.length, 0);
+  });
+
+  test("accepts a code only once", async () => {
+    await api.post("/api/auth/forgot-password", { hall_ticket_number: `HT-${ids.s1}` });
+    const body = { hall_ticket_number: `HT-${ids.s1}`, code: mailedCode(), new_password: "Recovered-pass3" };
+
+    assert.equal((await api.post("/api/auth/reset-password", body)).status, 200);
+    assert.equal((await api.post("/api/auth/reset-password", body)).status, 400);
+  });
+});
+
+describe("POST /api/auth/unlock-account", () => {
+  test("lets an HOD lift a lockout in their department", async () => {
+    for (let i = 0; i < 3; i++) {
+      await login("fac1@college.test", "Not-the-pass1");
+    }
+
+    const unlocked = await api.post("/api/auth/unlock-account", { email: "fac1@college.test" }, { token: t.hodCse });
+    const otherDepartment = await api.post("/api/auth/unlock-account", { email: "fac2@college.test" }, { token: t.hodCse });
+
+    assert.equal(unlocked.status, 200);
+    assert.equal(otherDepartment.status, 403);
+    assert.equal((await login("fac1@college.test")).status, 200);
+  });
+});
+
+describe("two-factor authentication", () => {
+  const enable = async (token) => {
+    const { body: setup } = await api.post("/api/auth/2fa/setup", { current_password: PASSWORD }, { token });
+    const res = await api.post("/api/auth/2fa/enable", { code: generateCode(setup.secret) }, { token });
+    return res.body.recovery_codes;
+  };
+
+  test("adds a second login step once enabled", async () => {
+    const [recovery_code] = await enable(t.director);
+
+    const first = await login("director@college.test");
+    assert.equal(first.body.two_factor_required, true);
+    assert.equal(first.body.token, undefined);
+
+    const blocked = await api.get("/api/director/departments", { token: first.body.mfa_token });
+    assert.equal(blocked.status, 403);
+
+    const second = await api.post("/api/auth/login/2fa", { recovery_code }, { token: first.body.mfa_token });
+    assert.equal(second.status, 200);
+    assert.ok(second.body.token);
+
+    const reused = await api.post("/api/auth/login/2fa", { recovery_code }, { token: first.body.mfa_token });
+    assert.equal(reused.status, 400);
+  });
+
+  test("rejects a wrong enrolment code", async () => {
+    await api.post("/api/auth/2fa/setup", { current_password: PASSWORD }, { token: t.director });
+
+    const res = await api.post("/api/auth/2fa/enable", { code: "000000" }, { token: t.director });
+    assert.equal(res.status, 400);
+  });
+
+  test("is only offered to directors and HODs", async () => {
+    const res = await api.post("/api/auth/2fa/setup", { current_password: PASSWORD }, { token: t.fac1 });
+    assert.equal(res.status, 403);
+  });
+
+  test("asks a signed-in user for the password before enrolment", async () => {
+    const missing = await api.post("/api/auth/2fa/setup", {}, { token: t.director });
+    const wrong = await api.post("/api/auth/2fa/setup", { current_password: "Not-the-pass1" }, { token: t.director });
+
+    assert.equal(missing.status, 400);
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.code, "INVALID_CREDENTIALS");
+    assert.equal((await findUser(ids.director)).totp_secret ?? null, null);
+  });
+
+  test("lets the enrolment token from /login start setup without the password again", async () => {
+    process.env.MFA_REQUIRED_ROLES = "director";
+    try {
+      const { body } = await login("director@college.test");
+      const res = await api.post("/api/auth/2fa/setup", {}, { token: body.token });
+
+      assert.equal(body.two_factor_setup_required, true);
+      assert.equal(res.status, 200);
+      assert.ok(res.body.secret);
+    } finally {
+      delete process.env.MFA_REQUIRED_ROLES;
+    }
+  });
+
+  // enable() spent the current step's code, and a step is only accepted once
+  const nextCode = async (id) => generateCode((await findUser(id)).totp_secret, currentStep() + 1);
+
+  test("replaces the recovery codes for the right authenticator code", async () => {
+    const [oldCode] = await enable(t.director);
+
+    const wrong = await api.post("/api/auth/2fa/recovery-codes", { code: "000000" }, { token: t.director });
+    const res = await api.post("/api/auth/2fa/recovery-codes", { code: await nextCode(ids.director) }, { token: t.director });
+
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.code, "INVALID_MFA_CODE");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.recovery_codes.length > 0, true);
+    assert.equal(res.body.recovery_codes.includes(oldCode), false);
+
+    const { body: first } = await login("director@college.test");
+    const stale = await api.post("/api/auth/login/2fa", { recovery_code: oldCode }, { token: first.mfa_token });
+    const fresh = await api.post("/api/auth/login/2fa", { recovery_code: res.body.recovery_codes[0] }, { token: first.mfa_token });
+    assert.equal(stale.status, 400);
+    assert.equal(fresh.status, 200);
+  });
+
+  test("only replaces recovery codes once 2FA is enabled", async () => {
+    const res = await api.post("/api/auth/2fa/recovery-codes", { code: "123456" }, { token: t.director });
+    assert.equal(res.status, 400);
+  });
+
+  test("turns 2FA off with the password and a code", async () => {
+    await enable(t.director);
+
+    const wrongPassword = await api.post("/api/auth/2fa/disable",
+      { password: "Not-the-pass1", code: await nextCode(ids.director) }, { token: t.director });
+    const wrongCode = await api.post("/api/auth/2fa/disable", { password: PASSWORD, code: "000000" }, { token: t.director });
+
+    assert.equal(wrongPassword.status, 400);
+    assert.equal(wrongPassword.body.code, "INVALID_CREDENTIALS");
+    assert.equal(wrongCode.status, 400);
+    assert.equal((await findUser(ids.director)).totp_enabled, true);
+
+    const res = await api.post("/api/auth/2fa/disable",
+      { password: PASSWORD, code: await nextCode(ids.director) }, { token: t.director });
+
+    assert.equal(res.status, 200);
+    assert.equal((await findUser(ids.director)).totp_enabled, false);
+    assert.equal(db.dump("mfa_recovery_codes").filter(c => c.user_id === ids.director).length, 0);
+    assert.ok((await login("director@college.test")).body.token);
+  });
+
+  test("keeps 2FA on while policy requires it", async () => {
+    await enable(t.director);
+    process.env.MFA_REQUIRED_ROLES = "director";
+    try {
+      const res = await api.post("/api/auth/2fa/disable",
+        { password: PASSWORD, code: await nextCode(ids.director) }, { token: t.director });
+
+      assert.equal(res.status, 403);
+      assert.equal((await findUser(ids.director)).totp_enabled, true);
+    } finally {
+      delete process.env.MFA_REQUIRED_ROLES;
+    }
+  });
+
+  test("throttles wrong codes when replacing recovery codes", async () => {
+    await enable(t.director);
+
+    for (let i = 0; i < 3; i++) {
+      await api.post("/api/auth/2fa/recovery-codes", { code: "000000" }, { token: t.director });
+    }
+    const res = await api.post("/api/auth/2fa/recovery-codes", { code: "000000" }, { token: t.director });
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, "LOGIN_THROTTLED");
+  });
+});
+
+describe("single sign-on", () => {
+  test("is hidden when no identity provider is configured", async () => {
+    const res = await api.get("/api/auth/oidc/login");
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,242 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, db, startServer, stopServer } from "./helpers/server.js";
+import { ids, seed, tokens } from "./helpers/fixtures.js";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+describe("class overview", () => {
+  test("returns the teacher's class", async () => {
+    const res = await api.get("/api/class-teacher/class-info", { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.class.id, ids.cseClass);
+    assert.equal(res.body.class.division, "SE-A");
+  });
+
+  test("lists students with their batch and submission percentage", async () => {
+    const res = await api.get("/api/class-teacher/students", { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    const byId = Object.fromEntries(res.body.students.map(s => [s.id, s]));
+    assert.deepEqual(Object.keys(byId).sort(), [ids.s1, ids.s2, ids.s3]);
+    assert.equal(byId[ids.s1].batch_name, "B1");
+    // DS 2/2, DSL 1/1, ML 1/2, IOT 0/2
+    assert.equal(byId[ids.s1].submission_percentage, 57);
+    assert.equal(byId[ids.s3].submission_percentage, 0);
+  });
+
+  test("lists staff other than directors", async () => {
+    const res = await api.get("/api/class-teacher/faculties", { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.faculties.some(f => f.role === "director"), false);
+    assert.ok(res.body.faculties.some(f => f.id === ids.fac2));
+  });
+
+  test("lists the class's subjects by type", async () => {
+    const res = await api.get("/api/class-teacher/subjects", { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.subjects.theory.map(s => s.code), ["DS"]);
+    assert.deepEqual(res.body.subjects.practical.map(s => s.code), ["DSL"]);
+  });
+
+  test("lists batches", async () => {
+    const res = await api.get("/api/class-teacher/batches", { token: t.classTeacher });
+    assert.deepEqual(res.body.batches.map(b => b.name).sort(), ["B1", "B2"]);
+  });
+
+  test("needs a class teacher role", async () => {
+    const info = await api.get("/api/class-teacher/class-info", { token: t.fac1 });
+    const students = await api.get("/api/class-teacher/students", { token: t.s1 });
+
+    assert.equal(info.status, 403);
+    assert.equal(students.status, 403);
+  });
+});
+
+describe("student records", () => {
+  test("updates a student and derives the defaulter flag from attendance", async () => {
+    const res = await api.put(`/api/class-teacher/student/${ids.s1}`, { name: "Renamed", attendance_percent: 50 }, { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    const stored = db.dump("students").find(s => s.id === ids.s1);
+    assert.equal(stored.name, "Renamed");
+    assert.equal(stored.defaulter, true);
+  });
+
+  test("only writes the fields that were sent", async () => {
+    await db.from("students").update({ defaulter: true, attendance_percent: 40 }).eq("id", ids.s1);
+
+    const res = await api.put(`/api/class-teacher/student/${ids.s1}`, { name: "Renamed" }, { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    const stored = db.dump("students").find(s => s.id === ids.s1);
+    assert.equal(stored.name, "Renamed");
+    assert.equal(stored.attendance_percent, 40);
+    assert.equal(stored.defaulter, true);
+  });
+
+  test("rejects a non-numeric attendance_percent", async () => {
+    const res = await api.put(`/api/class-teacher/student/${ids.s1}`, { attendance_percent: "lots" }, { token: t.classTeacher });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+    assert.deepEqual(res.body.details, [{ in: "body", field: "attendance_percent", message: "must be number" }]);
+  });
+
+  test("rejects an empty update", async () => {
+    const res = await api.put(`/api/class-teacher/student/${ids.s1}`, {}, { token: t.classTeacher });
+
+    assert.equal(res.status, 400);
+  });
+
+  test("replaces elective selections", async () => {
+    await api.put(`/api/class-teacher/student/${ids.s2}`, {
+      name: "Student 2",
+      attendance_percent: 60,
+      electiveSelections: { mdm_id: ids.ml, mdm_faculty_id: ids.fac2 },
+    }, { token: t.classTeacher });
+
+    const selection = db.dump("student_subject_selection").find(s => s.student_id === ids.s2);
+    assert.equal(selection.mdm_faculty_id, ids.fac2);
+  });
+
+  test("can't touch students of another class", async () => {
+    const update = await api.put(`/api/class-teacher/student/${ids.s4}`, { name: "X" }, { token: t.classTeacher });
+    const remove = await api.delete(`/api/class-teacher/student/${ids.s4}`, { token: t.classTeacher });
+    const missing = await api.delete("/api/class-teacher/student/stu-missing", { token: t.classTeacher });
+
+    assert.equal(update.status, 403);
+    assert.equal(remove.status, 403);
+    assert.equal(missing.status, 404);
+    assert.equal(db.dump("students").length, 4);
+  });
+
+  test("deletes a student of the class", async () => {
+    const res = await api.delete(`/api/class-teacher/student/${ids.s3}`, { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    assert.equal(db.dump("students").some(s => s.id === ids.s3), false);
+  });
+});
+
+describe("subjects and batches", () => {
+  test("creates a theory subject assigned to a faculty", async () => {
+    const res = await api.post("/api/class-teacher/subjects/assign", {
+      class_id: ids.cseClass,
+      subject_code: "OS",
+      subject_name: "Operating Systems",
+      type: "theory",
+      faculty_id: ids.fac1,
+    }, { token: t.classTeacher });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.subject.department_id, ids.cse);
+    assert.deepEqual(res.body.assignments.map(a => [a.faculty_id, a.batch_id]), [[ids.fac1, null]]);
+  });
+
+  test("creates a practical with one faculty per batch", async () => {
+    const res = await api.post("/api/class-teacher/subjects/assign", {
+      class_id: ids.cseClass,
+      subject_code: "OSL",
+      subject_name: "Operating Systems Lab",
+      type: "practical",
+      faculty_assignments: [
+        { batch_id: ids.batchB1, faculty_id: ids.fac1 },
+        { batch_id: ids.batchB2, faculty_id: ids.fac2 },
+      ],
+    }, { token: t.classTeacher });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.assignments.length, 2);
+  });
+
+  test("validates subject assignments", async () => {
+    const noFaculty = await api.post("/api/class-teacher/subjects/assign", {
+      class_id: ids.cseClass, subject_code: "OS", subject_name: "Operating Systems", type: "theory",
+    }, { token: t.classTeacher });
+    const otherClass = await api.post("/api/class-teacher/subjects/assign", {
+      class_id: ids.eceClass, subject_code: "OS", subject_name: "Operating Systems", type: "theory", faculty_id: ids.fac1,
+    }, { token: t.classTeacher });
+
+    assert.equal(noFaculty.status, 400);
+    assert.equal(otherClass.status, 403);
+  });
+
+  test("deletes a class subject with its assignments", async () => {
+    const own = await api.delete(`/api/class-teacher/subjects/${ids.ds}`, { token: t.classTeacher });
+    const elective = await api.delete(`/api/class-teacher/subjects/${ids.iot}`, { token: t.classTeacher });
+
+    assert.equal(own.status, 200);
+    assert.equal(db.dump("faculty_subjects").some(fs => fs.subject_id === ids.ds), false);
+    assert.equal(elective.status, 403);
+  });
+
+  test("creates a batch and moves the students in its roll range", async () => {
+    const res = await api.post("/api/class-teacher/create-batch", { name: "B3", roll_start: 3, roll_end: 3, faculty_id: ids.fac2 }, { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    const moved = db.dump("students").find(s => s.id === ids.s3);
+    assert.equal(moved.batch_id, res.body.batch.id);
+  });
+});
+
+describe("availability", () => {
+  test("stores the subjects the teacher is available for", async () => {
+    const update = await api.put("/api/class-teacher/availability", { isAvailable: true, selectedSubjects: ["DS", "DSL"] }, { token: t.classTeacher });
+    assert.equal(update.status, 200);
+
+    const available = await api.get("/api/class-teacher/available-subjects", { token: t.classTeacher });
+    assert.deepEqual(available.body.selectedSubjects.sort(), ["DS", "DSL"]);
+
+    const status = await api.get("/api/class-teacher/availability", { token: t.classTeacher });
+    assert.equal(status.body.isAvailable, true);
+  });
+
+  test("going offline clears the subjects", async () => {
+    await api.put("/api/class-teacher/availability", { isAvailable: false, selectedSubjects: [] }, { token: t.fac1 });
+
+    const res = await api.get("/api/class-teacher/available-subjects", { token: t.fac1 });
+    assert.equal(res.body.isAvailable, false);
+  });
+
+  test("rejects unknown subject codes", async () => {
+    const res = await api.put("/api/class-teacher/availability", { isAvailable: true, selectedSubjects: ["NOPE"] }, { token: t.fac1 });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("student electives", () => {
+  test("shows a student's options and picks", async () => {
+    const res = await api.get(`/api/class-teacher/elective-subjects/${ids.s3}`, { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.electives.mdm.map(s => s.code), ["ML"]);
+    assert.deepEqual(res.body.electives.oe.map(s => s.code), ["IOT"]);
+    assert.equal(res.body.currentSelections.selections_locked, true);
+  });
+
+  test("unlocks a student's selections", async () => {
+    const res = await api.put(`/api/class-teacher/unlock-student-selections/${ids.s3}`, {}, { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    assert.equal(db.dump("student_subject_selection").find(s => s.student_id === ids.s3).selections_locked, false);
+  });
+
+  test("is limited to the teacher's own class", async () => {
+    const view = await api.get(`/api/class-teacher/elective-subjects/${ids.s4}`, { token: t.classTeacher });
+    const unlock = await api.put(`/api/class-teacher/unlock-student-selections/${ids.s4}`, {}, { token: t.classTeacher });
+
+    assert.equal(view.status, 403);
+    assert.equal(unlock.status, 403);
+  });
+});
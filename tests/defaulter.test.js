@@ -0,0 +1,84 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, db, startServer, stopServer } from "./helpers/server.js";
+import { ids, seed, tokens } from "./helpers/fixtures.js";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+const assign = (token, body) => api.post("/api/defaulter/assign-defaulter-work", body, { token });
+const assignedTo = (subject_id, faculty_id) => db.dump("defaulter_submissions")
+  .filter(w => w.subject_id === subject_id && w.faculty_id === faculty_id && w.submission_text === "Read chapter 4")
+  .map(w => w.student_id)
+  .sort();
+
+describe("POST /api/defaulter/assign-defaulter-work", () => {
+  test("assigns work to the class's defaulters", async () => {
+    const res = await assign(t.fac1, { subject_id: ids.ds, instruction_text: "Read chapter 4" });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.total_assigned, 2);
+    assert.deepEqual(assignedTo(ids.ds, ids.fac1), [ids.s2, ids.s3]);
+  });
+
+  test("limits elective work to defaulters who picked the faculty", async () => {
+    const res = await assign(t.fac1, { subject_id: ids.ml, instruction_text: "Read chapter 4" });
+
+    assert.equal(res.body.total_assigned, 1);
+    assert.deepEqual(assignedTo(ids.ml, ids.fac1), [ids.s2]);
+  });
+
+  test("records skipped work", async () => {
+    await assign(t.fac1, { subject_id: ids.ds, skip: true });
+
+    const skipped = db.dump("defaulter_submissions").filter(w => w.subject_id === ids.ds && w.skip);
+    assert.equal(skipped.length, 2);
+    assert.ok(skipped.every(w => w.submission_text === "Skipped by faculty" && w.status === "pending"));
+  });
+
+  test("does nothing when there are no defaulters", async () => {
+    await db.from("students").update({ defaulter: false }).eq("class_id", ids.cseClass);
+
+    const res = await assign(t.fac1, { subject_id: ids.ds, instruction_text: "Read chapter 4" });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(assignedTo(ids.ds, ids.fac1), []);
+  });
+
+  test("denies subjects the faculty doesn't teach", async () => {
+    const res = await assign(t.fac2, { subject_id: ids.ds, instruction_text: "Read chapter 4" });
+    assert.equal(res.status, 403);
+  });
+
+  test("requires a subject", async () => {
+    const res = await assign(t.fac1, { instruction_text: "Read chapter 4" });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("defaulter work lists", () => {
+  test("lists the latest assignment per subject", async () => {
+    await assign(t.fac1, { subject_id: ids.ds, instruction_text: "Read chapter 4" });
+
+    const res = await api.get("/api/defaulter/submissions", { token: t.fac1 });
+
+    assert.equal(res.status, 200);
+    const bySubject = Object.fromEntries(res.body.submissions.map(s => [s.subject_id, s]));
+    assert.deepEqual(Object.keys(bySubject).sort(), [ids.ds, ids.dsl, ids.ml]);
+    assert.equal(bySubject[ids.ds].submission_text, "Read chapter 4");
+  });
+
+  test("deletes only the faculty's own work for a subject", async () => {
+    const res = await api.delete(`/api/defaulter/submissions/${ids.ml}`, { token: t.fac1 });
+
+    assert.equal(res.status, 200);
+    const remaining = db.dump("defaulter_submissions").filter(w => w.subject_id === ids.ml);
+    assert.deepEqual(remaining.map(w => w.faculty_id), [ids.fac2, ids.fac2]);
+  });
+});
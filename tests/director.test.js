@@ -0,0 +1,151 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, db, startServer, stopServer } from "./helpers/server.js";
+import { ids, seed, tokens } from "./helpers/fixtures.js";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+describe("GET /api/director/profile", () => {
+  test("returns the director's own profile", async () => {
+    const res = await api.get("/api/director/profile", { token: t.director });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.user, { id: ids.director, name: "Dana Director", email: "director@college.test", role: "director" });
+  });
+});
+
+describe("departments", () => {
+  test("lists departments with their HODs", async () => {
+    const res = await api.get("/api/director/departments", { token: t.director });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.departments.map(d => [d.id, d.hod_id]), [[ids.cse, ids.hodCse], [ids.ece, ids.hodEce]]);
+  });
+
+  test("creates and deletes a department", async () => {
+    const created = await api.post("/api/director/departments", { name: "Mechanical" }, { token: t.director });
+    assert.equal(created.status, 201);
+
+    const removed = await api.delete(`/api/director/departments/${created.body.department.id}`, { token: t.director });
+    assert.equal(removed.status, 200);
+    assert.equal(db.dump("departments").length, 2);
+  });
+
+  test("lists HODs and faculty who can be assigned", async () => {
+    const res = await api.get("/api/director/hods", { token: t.director });
+
+    assert.deepEqual(res.body.hods.map(u => u.id).sort(), [ids.fac1, ids.fac2, ids.hodCse, ids.hodEce].sort());
+  });
+
+  test("requires a department name", async () => {
+    const res = await api.post("/api/director/departments", {}, { token: t.director });
+    assert.equal(res.status, 400);
+  });
+
+  test("is for directors only", async () => {
+    const list = await api.get("/api/director/departments", { token: t.hodCse });
+    const create = await api.post("/api/director/departments", { name: "Mechanical" }, { token: t.hodCse });
+
+    assert.equal(list.status, 403);
+    assert.equal(create.status, 403);
+  });
+});
+
+describe("POST /api/director/assign-hod", () => {
+  test("replaces the department's HOD and keeps the new HOD's roles", async () => {
+    const res = await api.post("/api/director/assign-hod", { user_id: ids.classTeacher, department_id: ids.cse }, { token: t.director });
+
+    assert.equal(res.status, 200);
+    const users = db.dump("users");
+    const promoted = users.find(u => u.id === ids.classTeacher);
+    assert.equal(promoted.role, "hod");
+    assert.deepEqual(promoted.roles.sort(), ["class_teacher", "faculty", "hod"]);
+    assert.equal(users.find(u => u.id === ids.hodCse).department_id, null);
+  });
+
+  test("returns 404 for unknown users and departments", async () => {
+    const noUser = await api.post("/api/director/assign-hod", { user_id: "u-missing", department_id: ids.cse }, { token: t.director });
+    const noDepartment = await api.post("/api/director/assign-hod", { user_id: ids.fac1, department_id: "dep-missing" }, { token: t.director });
+
+    assert.equal(noUser.status, 404);
+    assert.equal(noDepartment.status, 404);
+  });
+});
+
+describe("DELETE /api/director/faculty/:id", () => {
+  test("deletes a staff account", async () => {
+    const res = await api.delete(`/api/director/faculty/${ids.fac2}`, { token: t.director });
+
+    assert.equal(res.status, 200);
+    assert.equal(db.dump("users").some(u => u.id === ids.fac2), false);
+  });
+
+  test("returns 404 for an unknown account", async () => {
+    const res = await api.delete("/api/director/faculty/u-missing", { token: t.director });
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("GET /api/director/department-statistics", () => {
+  test("computes the CIE/TA submission rate per department", async () => {
+    const res = await api.get("/api/director/department-statistics", { token: t.director });
+
+    assert.equal(res.status, 200);
+    const byId = Object.fromEntries(res.body.statistics.map(s => [s.id, s]));
+    // s1 and s2 have a completed CIE or TA, s3 has none
+    assert.deepEqual(byId[ids.cse], {
+      id: ids.cse,
+      name: "Computer Engineering",
+      submissionRate: 67,
+      totalStudents: 3,
+      completedStudents: 2,
+      classCount: 1,
+    });
+    assert.equal(byId[ids.ece].submissionRate, 0);
+    assert.equal(byId[ids.ece].totalStudents, 1);
+  });
+
+  test("reports departments without classes", async () => {
+    await db.from("departments").insert({ id: "dep-mech", name: "Mechanical" });
+
+    const res = await api.get("/api/director/department-statistics", { token: t.director });
+
+    const mech = res.body.statistics.find(s => s.id === "dep-mech");
+    assert.deepEqual(mech, { id: "dep-mech", name: "Mechanical", submissionRate: 0, totalStudents: 0, completedStudents: 0, classCount: 0 });
+  });
+});
+
+describe("API keys", () => {
+  test("creates a key that is shown once and can be revoked", async () => {
+    const created = await api.post("/api/director/api-keys", { name: "ERP", scopes: ["clearance:read"] }, { token: t.director });
+
+    assert.equal(created.status, 201);
+    assert.ok(created.body.key);
+
+    const listed = await api.get("/api/director/api-keys", { token: t.director });
+    assert.equal(listed.body.api_keys.length, 1);
+    assert.equal(JSON.stringify(listed.body).includes(created.body.key), false);
+
+    const revoked = await api.delete(`/api/director/api-keys/${created.body.api_key.id}`, { token: t.director });
+    const again = await api.delete(`/api/director/api-keys/${created.body.api_key.id}`, { token: t.director });
+    assert.equal(revoked.status, 200);
+    assert.equal(again.status, 404);
+  });
+
+  test("validates scopes and expiry", async () => {
+    const unknown = await api.post("/api/director/api-keys", { name: "ERP", scopes: ["everything"] }, { token: t.director });
+    const empty = await api.post("/api/director/api-keys", { name: "ERP", scopes: [] }, { token: t.director });
+    const tooLong = await api.post("/api/director/api-keys", { name: "ERP", scopes: ["clearance:read"], expires_in_days: 10000 }, { token: t.director });
+
+    assert.equal(unknown.status, 400);
+    assert.equal(empty.status, 400);
+    assert.equal(tooLong.status, 400);
+  });
+});
@@ -0,0 +1,119 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, startServer, stopServer } from "./helpers/server.js";
+import { seed, tokens } from "./helpers/fixtures.js";
+import { errorHandler } from "../api/middlewares/errorHandler.js";
+import { TooManyRequestsError, ValidationError } from "../api/utils/errors.js";
+
+let baseUrl;
+let t;
+
+before(async () => {
+  baseUrl = await startServer();
+});
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+// Run the error handler on its own and capture what it sends
+const handle = (err) => {
+  const sent = { headers: {} };
+  const res = {
+    headersSent: false,
+    set: (name, value) => { sent.headers[name] = value; },
+    status: (code) => { sent.status = code; return res; },
+    json: (body) => { sent.body = body; return res; },
+  };
+  errorHandler(err, { method: "GET", originalUrl: "/test" }, res, () => {});
+  return sent;
+};
+
+describe("error responses", () => {
+  test("carry a stable code next to the message", async () => {
+    const res = await api.get("/api/director/profile", { token: t.fac1 });
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.body, { success: false, error: "Access denied", code: "FORBIDDEN" });
+  });
+
+  test("report missing resources as NOT_FOUND", async () => {
+    const res = await api.delete("/api/class-teacher/student/no-such-student", { token: t.classTeacher });
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "NOT_FOUND");
+  });
+
+  test("answer unknown routes with JSON", async () => {
+    const res = await api.get("/api/nope");
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "ROUTE_NOT_FOUND");
+  });
+
+  test("reject malformed JSON bodies", async () => {
+    const res = await fetch(`${baseUrl}/api/auth/login`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: "{ not json",
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).code, "INVALID_JSON");
+  });
+
+  test("validation errors include their details", async () => {
+    const res = await api.post("/api/auth/login", {});
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+  });
+});
+
+describe("errorHandler", () => {
+  test("hides unexpected errors behind a generic 500", () => {
+    const sent = handle({ code: "42P01", message: 'relation "secret_table" does not exist' });
+
+    assert.equal(sent.status, 500);
+    assert.deepEqual(sent.body, { success: false, error: "Internal server error", code: "INTERNAL_ERROR" });
+  });
+
+  test("maps unique violations to a conflict", () => {
+    const sent = handle({ code: "23505", message: 'duplicate key value violates unique constraint "users_email_key"' });
+
+    assert.equal(sent.status, 409);
+    assert.equal(sent.body.code, "ALREADY_EXISTS");
+    assert.doesNotMatch(sent.body.error, /users_email_key/);
+  });
+
+  test("maps malformed identifiers to a validation error", () => {
+    const sent = handle({ code: "22P02", message: 'invalid input syntax for type uuid: "abc"' });
+
+    assert.equal(sent.status, 400);
+    assert.equal(sent.body.code, "INVALID_FORMAT");
+  });
+
+  test("passes application error details through", () => {
+    const sent = handle(new ValidationError("Password does not meet the requirements.", {
+      code: "WEAK_PASSWORD",
+      details: ["at least 10 characters"],
+    }));
+
+    assert.equal(sent.status, 400);
+    assert.deepEqual(sent.body, {
+      success: false,
+      error: "Password does not meet the requirements.",
+      code: "WEAK_PASSWORD",
+      details: ["at least 10 characters"],
+    });
+  });
+
+  test("sets Retry-After for rate limited requests", () => {
+    const sent = handle(new TooManyRequestsError("Slow down", { retryAfter: 30 }));
+
+    assert.equal(sent.status, 429);
+    assert.equal(sent.headers["Retry-After"], "30");
+    assert.equal(sent.body.code, "TOO_MANY_REQUESTS");
+  });
+});
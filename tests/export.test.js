@@ -0,0 +1,42 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, startServer, stopServer } from "./helpers/server.js";
+import { ids, seed, tokens } from "./helpers/fixtures.js";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+describe("GET /api/export/class-data", () => {
+  test("exports every student's submissions for class subjects and electives", async () => {
+    const res = await api.get("/api/export/class-data", { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    const { classInfo, students, subjects } = res.body.data;
+    assert.deepEqual(classInfo, { name: "SE-A", year: 2 });
+    assert.deepEqual(students.map(s => s.roll_no), [1, 2, 3]);
+    assert.deepEqual(subjects.filter(s => s.isElective).map(s => s.code).sort(), ["IOT", "ML"]);
+
+    const s2 = students.find(s => s.roll_no === 2);
+    assert.deepEqual(s2.submissions[ids.ds], {
+      subject_name: "Data Structures",
+      subject_code: "DS",
+      subject_type: "theory",
+      cie: "completed",
+      ta: "pending",
+      defaulter: "completed",
+    });
+    assert.equal(s2.submissions[ids.dsl].cie, "N/A");
+    assert.equal(s2.submissions[ids.iot], undefined);
+  });
+
+  test("is for class teachers", async () => {
+    const res = await api.get("/api/export/class-data", { token: t.fac1 });
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,57 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, startServer, stopServer } from "./helpers/server.js";
+import { ids, seed, tokens } from "./helpers/fixtures.js";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+describe("GET /api/faculty/subjects", () => {
+  test("lists each assigned subject once", async () => {
+    const res = await api.get("/api/faculty/subjects", { token: t.fac1 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.subjects.map(s => s.code).sort(), ["DS", "DSL", "ML"]);
+  });
+
+  test("includes electives taught across departments", async () => {
+    const res = await api.get("/api/faculty/subjects", { token: t.fac2 });
+    assert.deepEqual(res.body.subjects.map(s => s.code).sort(), ["IOT", "ML"]);
+  });
+
+  test("is not open to students", async () => {
+    const res = await api.get("/api/faculty/subjects", { token: t.s1 });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("GET /api/faculty/students", () => {
+  test("returns one row per student and class subject, practicals by batch", async () => {
+    const res = await api.get("/api/faculty/students", { token: t.fac1 });
+
+    assert.equal(res.status, 200);
+    const rows = res.body.students.filter(s => [ids.ds, ids.dsl].includes(s.subject_id));
+    assert.deepEqual(rows.map(s => `${s.id}:${s.subject_code}`).sort(), [
+      `${ids.s1}:DS`,
+      `${ids.s1}:DSL`,
+      `${ids.s2}:DS`,
+      `${ids.s2}:DSL`,
+      `${ids.s3}:DS`,
+    ]);
+  });
+
+  test("reports each student's submission status", async () => {
+    const res = await api.get("/api/faculty/students", { token: t.fac1 });
+
+    const s2ds = res.body.students.find(s => s.id === ids.s2 && s.subject_id === ids.ds);
+    assert.equal(s2ds.cie_status, "completed");
+    assert.equal(s2ds.ta_status, "pending");
+    assert.equal(s2ds.defaulter_status, "completed");
+  });
+});
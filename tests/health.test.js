@@ -0,0 +1,100 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, db, startServer, stopServer } from "./helpers/server.js";
+import { logger } from "../api/utils/logger.js";
+import { setMailer } from "../api/utils/mailer/index.js";
+
+before(startServer);
+after(stopServer);
+
+describe("GET /health/live", () => {
+  test("answers without touching the database", async (t) => {
+    const from = t.mock.method(db, "from");
+
+    const res = await api.get("/health/live");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "pass");
+    assert.equal(res.body.checks.process.status, "pass");
+    assert.equal(typeof res.body.checks.process.uptime_seconds, "number");
+    assert.equal(from.mock.callCount(), 0);
+  });
+});
+
+describe("GET /health/ready", () => {
+  test("reports every component", async () => {
+    const res = await api.get("/health/ready");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("cache-control"), "no-store");
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.status, "pass");
+    assert.deepEqual(Object.keys(res.body.checks), ["config", "database", "tables", "migrations", "mail"]);
+    for (const check of Object.values(res.body.checks)) {
+      assert.equal(check.status, "pass");
+      assert.equal(typeof check.duration_ms, "number");
+    }
+    assert.deepEqual(Object.keys(res.body.checks.tables).sort(), ["duration_ms", "status"]);
+  });
+
+  test("fails without a JWT secret", async (t) => {
+    const secret = process.env.JWT_SECRET;
+    delete process.env.JWT_SECRET;
+    const logged = t.mock.method(logger, "error", () => {});
+
+    try {
+      const res = await api.get("/health/ready");
+
+      assert.equal(res.status, 503);
+      assert.equal(res.body.success, false);
+      assert.equal(res.body.status, "fail");
+      assert.equal(res.body.checks.config.status, "fail");
+      assert.equal(res.body.checks.config.missing, undefined);
+      assert.equal(res.body.checks.database.status, "pass");
+
+      const [message, fields] = logged.mock.calls[0].arguments;
+      assert.equal(message, "Readiness check failed");
+      assert.equal(fields.check, "config");
+      assert.deepEqual(fields.missing, ["JWT_SECRET"]);
+    } finally {
+      process.env.JWT_SECRET = secret;
+    }
+  });
+
+  test("logs the tables the database can't serve without returning the error", async (t) => {
+    const from = db.from;
+    const logged = t.mock.method(logger, "error", () => {});
+    t.mock.method(db, "from", (table) => table === "students"
+      ? { select: () => ({ limit: async () => ({ data: null, error: { message: "column students.must_change_password does not exist" } }) }) }
+      : from(table));
+
+    const res = await api.get("/health/ready");
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.checks.tables.status, "fail");
+    assert.equal(res.body.checks.database.status, "pass");
+    assert.doesNotMatch(JSON.stringify(res.body), /must_change_password/);
+
+    const [, fields] = logged.mock.calls.find(call => call.arguments[1]?.check === "tables").arguments;
+    assert.deepEqual(fields.tables, { students: "column students.must_change_password does not exist" });
+  });
+
+  test("fails the mail component when no transport is configured", async (t) => {
+    const transport = process.env.MAIL_TRANSPORT;
+    delete process.env.MAIL_TRANSPORT;
+    setMailer(undefined);
+    const logged = t.mock.method(logger, "error", () => {});
+
+    try {
+      const res = await api.get("/health/ready");
+
+      assert.equal(res.status, 503);
+      assert.equal(res.body.checks.mail.status, "fail");
+      assert.equal(res.body.checks.database.status, "pass");
+      assert.match(logged.mock.calls.find(call => call.arguments[1]?.check === "mail").arguments[1].error, /MAIL_TRANSPORT is required/);
+    } finally {
+      process.env.MAIL_TRANSPORT = transport;
+      setMailer(undefined);
+    }
+  });
+});
@@ -0,0 +1,17 @@
+// Imported before anything under api/ so modules read the test configuration
+// when they load: the in-memory database, a fixed JWT secret and no SSO.
+process.env.DB_DRIVER = "memory";
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.MAIL_TRANSPORT = "console";
+
+delete process.env.MEMORY_DB_SEED;
+delete process.env.OIDC_ISSUER;
+delete process.env.OIDC_CLIENT_ID;
+delete process.env.MFA_REQUIRED_ROLES;
+
+// Request logs would drown the test report; tests/logging.test.js turns them back on
+process.env.LOG_LEVEL = "silent";
+
+// Suites log in far more often than the login budget allows; tests/rateLimit.test.js
+// turns limiting on for itself
+process.env.RATE_LIMIT_STORE = "off";
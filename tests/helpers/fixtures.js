@@ -0,0 +1,189 @@
+import bcrypt from "bcryptjs";
+import { db } from "./server.js";
+import { defaultPermissionRows } from "../../api/db/rolePermissions.js";
+import { clearPermissionCache } from "../../api/middlewares/permissions.js";
+import { buildStudentClaims, startUserSession } from "../../api/utils/authSession.js";
+import { createSession, signAccessToken } from "../../api/utils/tokens.js";
+
+// Every fixture account uses this password (students included)
+export const PASSWORD = "Fixture-pass1";
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+// Two departments, each with a second-year class. CSE's class SE-A has a class
+// teacher, two practical batches and three students; ECE has one student.
+//
+//   fac1 teaches DS (theory, whole class), DSL (practical, batch B1) and the ML minor
+//   fac2 teaches the ML minor too, plus the IoT open elective offered by ECE
+//
+// Elective picks: s1 took ML with fac1 and IoT with fac2; s2 took ML with fac1;
+// s3 took ML with fac2 and IoT with fac2 and has locked them. s2 and s3 are defaulters.
+export const ids = {
+  cse: "dep-cse",
+  ece: "dep-ece",
+  director: "u-director",
+  hodCse: "u-hod-cse",
+  hodEce: "u-hod-ece",
+  classTeacher: "u-class-teacher",
+  fac1: "u-fac1",
+  fac2: "u-fac2",
+  cseClass: "cls-cse-2a",
+  eceClass: "cls-ece-2a",
+  batchB1: "bat-b1",
+  batchB2: "bat-b2",
+  s1: "stu-1",
+  s2: "stu-2",
+  s3: "stu-3",
+  s4: "stu-4",
+  ds: "sub-ds",
+  dsl: "sub-dsl",
+  ml: "sub-ml",
+  iot: "sub-iot",
+  cie: "type-cie",
+  ta: "type-ta",
+  defaulterWork: "type-defaulter",
+};
+
+const createdAt = "2025-01-01T00:00:00.000Z";
+
+const user = (id, name, email, role, roles, department_id) => ({
+  id, name, email, role, roles, department_id, password: passwordHash,
+  totp_enabled: false, created_at: createdAt,
+});
+
+const student = (id, roll_no, class_id, batch_id, defaulter, attendance_percent) => ({
+  id, roll_no, class_id, batch_id, defaulter, attendance_percent,
+  name: `Student ${roll_no}${class_id === ids.eceClass ? " (ECE)" : ""}`,
+  hall_ticket_number: `HT-${id}`,
+  email: `${id}@college.test`,
+  mobile: null,
+  password: passwordHash,
+  must_change_password: false,
+  created_at: createdAt,
+});
+
+const submission = (student_id, subject_id, submission_type_id, status) => ({
+  id: `ss-${student_id}-${subject_id}-${submission_type_id}`,
+  student_id, subject_id, submission_type_id, status,
+  marked_by: ids.fac1, marked_at: createdAt,
+});
+
+const defaulterWork = (id, student_id, subject_id, faculty_id, { skip = false, created_at = createdAt } = {}) => ({
+  id, student_id, subject_id, faculty_id, skip, created_at,
+  submission_text: `Work ${id}`,
+  reference_link: null,
+  status: "pending",
+});
+
+export const fixtureData = () => ({
+  departments: [
+    { id: ids.cse, name: "Computer Engineering", created_at: createdAt },
+    { id: ids.ece, name: "Electronics Engineering", created_at: createdAt },
+  ],
+  users: [
+    user(ids.director, "Dana Director", "director@college.test", "director", ["director"], null),
+    user(ids.hodCse, "Harish CSE", "hod.cse@college.test", "hod", ["hod"], ids.cse),
+    user(ids.hodEce, "Hema ECE", "hod.ece@college.test", "hod", ["hod"], ids.ece),
+    user(ids.classTeacher, "Chitra Teacher", "ct@college.test", "class_teacher", ["faculty", "class_teacher"], ids.cse),
+    user(ids.fac1, "Farid One", "fac1@college.test", "faculty", ["faculty"], ids.cse),
+    user(ids.fac2, "Fatima Two", "fac2@college.test", "faculty", ["faculty"], ids.ece),
+  ],
+  classes: [
+    { id: ids.cseClass, name: "SE-A", year: 2, department_id: ids.cse, class_teacher_id: ids.classTeacher, created_at: createdAt },
+    { id: ids.eceClass, name: "SE-A", year: 2, department_id: ids.ece, class_teacher_id: null, created_at: createdAt },
+  ],
+  batches: [
+    { id: ids.batchB1, name: "B1", roll_start: 1, roll_end: 2, class_id: ids.cseClass, faculty_id: ids.fac1 },
+    { id: ids.batchB2, name: "B2", roll_start: 3, roll_end: 4, class_id: ids.cseClass, faculty_id: ids.fac1 },
+  ],
+  students: [
+    student(ids.s1, 1, ids.cseClass, ids.batchB1, false, 90),
+    student(ids.s2, 2, ids.cseClass, ids.batchB1, true, 60),
+    student(ids.s3, 3, ids.cseClass, ids.batchB2, true, 70),
+    student(ids.s4, 1, ids.eceClass, null, false, 85),
+  ],
+  subjects: [
+    { id: ids.ds, name: "Data Structures", subject_code: "DS", type: "theory", class_id: ids.cseClass, department_id: ids.cse },
+    { id: ids.dsl, name: "Data Structures Lab", subject_code: "DSL", type: "practical", class_id: ids.cseClass, department_id: ids.cse },
+    { id: ids.ml, name: "Machine Learning", subject_code: "ML", type: "mdm", class_id: null, department_id: ids.cse },
+    { id: ids.iot, name: "Internet of Things", subject_code: "IOT", type: "oe", class_id: null, department_id: ids.ece },
+  ],
+  faculty_subjects: [
+    { id: "fs-fac1-ds", faculty_id: ids.fac1, subject_id: ids.ds, class_id: ids.cseClass, batch_id: null },
+    { id: "fs-fac1-dsl", faculty_id: ids.fac1, subject_id: ids.dsl, class_id: ids.cseClass, batch_id: ids.batchB1 },
+    { id: "fs-fac1-ml", faculty_id: ids.fac1, subject_id: ids.ml, class_id: null, batch_id: null },
+    { id: "fs-fac2-ml", faculty_id: ids.fac2, subject_id: ids.ml, class_id: null, batch_id: null },
+    { id: "fs-fac2-iot", faculty_id: ids.fac2, subject_id: ids.iot, class_id: null, batch_id: null },
+  ],
+  department_offered_subjects: [
+    { id: "off-ml", subject_id: ids.ml, department_id: ids.cse, faculty_ids: [ids.fac1, ids.fac2], semester: 3, year: 2, is_active: true, created_at: createdAt },
+    { id: "off-iot", subject_id: ids.iot, department_id: ids.ece, faculty_ids: [ids.fac2], semester: 3, year: 2, is_active: true, created_at: createdAt },
+  ],
+  student_subject_selection: [
+    { id: "sel-1", student_id: ids.s1, mdm_id: ids.ml, mdm_faculty_id: ids.fac1, oe_id: ids.iot, oe_faculty_id: ids.fac2, pe_id: null, pe_faculty_id: null, selections_locked: false },
+    { id: "sel-2", student_id: ids.s2, mdm_id: ids.ml, mdm_faculty_id: ids.fac1, oe_id: null, oe_faculty_id: null, pe_id: null, pe_faculty_id: null, selections_locked: false },
+    { id: "sel-3", student_id: ids.s3, mdm_id: ids.ml, mdm_faculty_id: ids.fac2, oe_id: ids.iot, oe_faculty_id: ids.fac2, pe_id: null, pe_faculty_id: null, selections_locked: true },
+  ],
+  submission_types: [
+    { id: ids.cie, name: "CIE", applicable_to: ["theory", "mdm", "oe", "pe"] },
+    { id: ids.ta, name: "TA", applicable_to: ["theory", "practical", "mdm", "oe", "pe"] },
+    { id: ids.defaulterWork, name: "Defaulter work", applicable_to: ["theory", "mdm", "oe", "pe"] },
+  ],
+  student_submissions: [
+    submission(ids.s1, ids.ds, ids.cie, "completed"),
+    submission(ids.s1, ids.ds, ids.ta, "completed"),
+    submission(ids.s1, ids.dsl, ids.ta, "completed"),
+    submission(ids.s1, ids.ml, ids.cie, "completed"),
+    submission(ids.s2, ids.ds, ids.cie, "completed"),
+    submission(ids.s2, ids.ds, ids.ta, "pending"),
+    submission(ids.s2, ids.ds, ids.defaulterWork, "completed"),
+  ],
+  defaulter_submissions: [
+    defaulterWork("dw-ds-s2", ids.s2, ids.ds, ids.fac1),
+    defaulterWork("dw-ml-fac1-s2", ids.s2, ids.ml, ids.fac1),
+    defaulterWork("dw-ml-fac2-s2", ids.s2, ids.ml, ids.fac2),
+    defaulterWork("dw-dsl-s2", ids.s2, ids.dsl, ids.fac1, { skip: true }),
+    defaulterWork("dw-ml-fac2-s3", ids.s3, ids.ml, ids.fac2),
+    defaulterWork("dw-iot-s4", ids.s4, ids.iot, ids.fac2),
+  ],
+  faculty_availability: [
+    { id: "av-fac1-ds", faculty_id: ids.fac1, subject_id: ids.ds, is_available: true, updated_at: createdAt },
+  ],
+  role_permissions: defaultPermissionRows(),
+});
+
+// Reset the database to the fixtures; call from beforeEach()
+export const seed = () => {
+  db.reset(fixtureData());
+  clearPermissionCache();
+};
+
+export const findUser = async (id) => {
+  const { data } = await db.from("users").select("*").eq("id", id).single();
+  return data;
+};
+
+// Access token for a fixture staff account, acting as its primary role
+export const staffToken = async (id) => {
+  const session = await startUserSession(await findUser(id), {});
+  return session.token;
+};
+
+export const studentToken = async (id) => {
+  const { data: found } = await db.from("students").select("*").eq("id", id).single();
+  const { session } = await createSession({ user_id: found.id, user_type: "student" });
+  return signAccessToken({ ...buildStudentClaims(found), sid: session.id });
+};
+
+// Tokens for every fixture persona
+export const tokens = async () => ({
+  director: await staffToken(ids.director),
+  hodCse: await staffToken(ids.hodCse),
+  hodEce: await staffToken(ids.hodEce),
+  classTeacher: await staffToken(ids.classTeacher),
+  fac1: await staffToken(ids.fac1),
+  fac2: await staffToken(ids.fac2),
+  s1: await studentToken(ids.s1),
+  s2: await studentToken(ids.s2),
+  s3: await studentToken(ids.s3),
+  s4: await studentToken(ids.s4),
+});
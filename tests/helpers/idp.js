@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import http from "http";
+import jwt from "jsonwebtoken";
+
+// A stand-in OpenID provider on a random local port: discovery, JWKS and a token
+// endpoint that checks the PKCE verifier like a real IdP. The test plays the
+// browser: it reads state, nonce and code_challenge from our /oidc/login redirect,
+// then calls authorize() to get the code the IdP would send back.
+export const startIdp = async ({ clientId }) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const kid = "test-key";
+  const codes = new Map();
+  const tokenRequests = [];
+  let issuer;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { "content-type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const exchangeCode = (form) => {
+    tokenRequests.push(form);
+    const grant = codes.get(form.code);
+    codes.delete(form.code);
+
+    if (!grant) return [400, { error: "invalid_grant", error_description: "Unknown code" }];
+
+    const challenge = crypto.createHash("sha256").update(form.code_verifier || "").digest("base64url");
+    if (challenge !== grant.codeChallenge) {
+      return [400, { error: "invalid_grant", error_description: "PKCE verification failed" }];
+    }
+
+    const idToken = jwt.sign(grant.claims, privateKey, { algorithm: "RS256", keyid: kid, expiresIn: 300 });
+    return [200, { access_token: "idp-access-token", token_type: "Bearer", id_token: idToken }];
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.url === "/.well-known/openid-configuration") {
+      return send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+      });
+    }
+
+    if (req.url === "/jwks") {
+      return send(res, 200, { keys: [{ ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" }] });
+    }
+
+    if (req.url === "/token" && req.method === "POST") {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => send(res, ...exchangeCode(Object.fromEntries(new URLSearchParams(body)))));
+      return;
+    }
+
+    send(res, 404, { error: "not_found" });
+  });
+
+  server.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    tokenRequests,
+
+    // Approve the login described by `authorizationUrl` for a user with these
+    // claims; `claims` can also override the issuer, audience or nonce
+    authorize(authorizationUrl, claims = {}) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString("base64url");
+      codes.set(code, {
+        codeChallenge: params.get("code_challenge"),
+        claims: {
+          iss: issuer,
+          aud: clientId,
+          sub: `idp-${claims.email}`,
+          nonce: params.get("nonce"),
+          email_verified: true,
+          ...claims,
+        },
+      });
+      return { code, state: params.get("state") };
+    },
+
+    async stop() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    },
+  };
+};
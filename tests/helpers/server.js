@@ -0,0 +1,53 @@
+import "./env.js";
+import app from "../../api/index.js";
+import { db } from "../../api/db/index.js";
+
+export { app, db };
+
+let server;
+let baseUrl;
+
+// Listen on a random local port; call from before() and stop with stopServer() in after()
+export const startServer = async () => {
+  server = app.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return baseUrl;
+};
+
+export const stopServer = async () => {
+  if (!server) return;
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  server = null;
+};
+
+// Send a request to the running app. `token` becomes a Bearer header, `body` is sent
+// as JSON unless it is FormData. Resolves to { status, headers, body } with the body
+// parsed when the response is JSON.
+export const request = async (method, path, { token, body, headers = {} } = {}) => {
+  const init = { method, headers: { ...headers }, redirect: "manual" };
+
+  if (token) init.headers.authorization = `Bearer ${token}`;
+  if (body instanceof FormData) {
+    init.body = body;
+  } else if (body !== undefined) {
+    init.headers["content-type"] = "application/json";
+    init.body = JSON.stringify(body);
+  }
+
+  const res = await fetch(baseUrl + path, init);
+  const type = res.headers.get("content-type") || "";
+  const payload = type.includes("application/json")
+    ? await res.json()
+    : Buffer.from(await res.arrayBuffer());
+
+  return { status: res.status, headers: res.headers, body: payload };
+};
+
+export const api = {
+  get: (path, options) => request("GET", path, options),
+  post: (path, body, options) => request("POST", path, { ...options, body }),
+  put: (path, body, options) => request("PUT", path, { ...options, body }),
+  delete: (path, options) => request("DELETE", path, options),
+};
@@ -0,0 +1,179 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import { api, db, startServer, stopServer } from "./helpers/server.js";
+import { findUser, ids, seed, tokens } from "./helpers/fixtures.js";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+describe("GET /api/hod/profile", () => {
+  test("includes the department name", async () => {
+    const res = await api.get("/api/hod/profile", { token: t.hodCse });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.department_name, "Computer Engineering");
+  });
+});
+
+describe("classes", () => {
+  test("lists the department's classes with their teachers", async () => {
+    const res = await api.get("/api/hod/classes", { token: t.hodCse });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.classes.map(c => [c.id, c.teacher_id]), [[ids.cseClass, ids.classTeacher]]);
+  });
+
+  test("creates a class and makes its teacher a class teacher", async () => {
+    const res = await api.post("/api/hod/classes", { name: "TE-A", year: 3, class_teacher_id: ids.fac1 }, { token: t.hodCse });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.department_id, ids.cse);
+
+    const teacher = await findUser(ids.fac1);
+    assert.deepEqual(teacher.roles.sort(), ["class_teacher", "faculty"]);
+    assert.equal(teacher.role, "faculty");
+  });
+
+  test("refuses a second class teacher for the same class", async () => {
+    const res = await api.post("/api/hod/classes", { name: "SE-A", year: 2, class_teacher_id: ids.fac1 }, { token: t.hodCse });
+    assert.equal(res.status, 400);
+  });
+
+  test("updates and deletes classes of the own department only", async () => {
+    const update = { name: "SE-B", year: 2, class_teacher_id: ids.classTeacher };
+
+    const own = await api.put(`/api/hod/classes/${ids.cseClass}`, update, { token: t.hodCse });
+    const other = await api.put(`/api/hod/classes/${ids.eceClass}`, update, { token: t.hodCse });
+    const missing = await api.delete("/api/hod/classes/cls-missing", { token: t.hodCse });
+
+    assert.equal(own.status, 200);
+    assert.equal(own.body.data.name, "SE-B");
+    assert.equal(other.status, 403);
+    assert.equal(missing.status, 404);
+
+    const removed = await api.delete(`/api/hod/classes/${ids.cseClass}`, { token: t.hodCse });
+    assert.equal(removed.status, 200);
+    assert.equal(db.dump("classes").some(c => c.id === ids.cseClass), false);
+  });
+
+  test("is not open to faculty", async () => {
+    const res = await api.post("/api/hod/classes", { name: "TE-A", year: 3, class_teacher_id: ids.fac1 }, { token: t.fac1 });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("staff", () => {
+  test("lists the department's faculty", async () => {
+    const res = await api.get("/api/hod/faculties", { token: t.hodCse });
+
+    assert.deepEqual(res.body.faculties.map(f => f.id).sort(), [ids.classTeacher, ids.fac1, ids.hodCse].sort());
+  });
+
+  test("offers teachers of the department or without one as class teachers", async () => {
+    await db.from("users").update({ department_id: null }).eq("id", ids.fac2);
+
+    const res = await api.get("/api/hod/class-teachers", { token: t.hodCse });
+
+    assert.deepEqual(res.body.teachers.map(f => f.id).sort(), [ids.classTeacher, ids.fac1, ids.fac2].sort());
+  });
+
+  test("resets a faculty password within the department", async () => {
+    const res = await api.post("/api/hod/reset-faculty-password", { faculty_id: ids.fac1, new_password: "Reset-pass9" }, { token: t.hodCse });
+
+    assert.equal(res.status, 200);
+    assert.equal(await bcrypt.compare("Reset-pass9", (await findUser(ids.fac1)).password), true);
+  });
+
+  test("signs the faculty member out everywhere and audits the reset", async () => {
+    await api.post("/api/hod/reset-faculty-password", { faculty_id: ids.fac1, new_password: "Reset-pass9" }, { token: t.hodCse });
+
+    const audit = db.dump("audit_logs").find(log => log.action === "password.reset");
+    assert.equal((await api.get("/api/faculty/subjects", { token: t.fac1 })).status, 401);
+    assert.equal(audit.actor_id, ids.hodCse);
+    assert.equal(audit.target_id, ids.fac1);
+  });
+
+  test("refuses to reset passwords outside the department", async () => {
+    const other = await api.post("/api/hod/reset-faculty-password", { faculty_id: ids.fac2, new_password: "Reset-pass9" }, { token: t.hodCse });
+    const director = await api.post("/api/hod/reset-faculty-password", { faculty_id: ids.director, new_password: "Reset-pass9" }, { token: t.hodCse });
+    const short = await api.post("/api/hod/reset-faculty-password", { faculty_id: ids.fac1, new_password: "abc" }, { token: t.hodCse });
+
+    assert.equal(other.status, 403);
+    assert.equal(director.status, 403);
+    assert.equal(short.status, 400);
+  });
+});
+
+describe("offered subjects", () => {
+  const robotics = { name: "Robotics", subject_code: "ROB", type: "oe", faculty_ids: [ids.fac1], semester: 5, year: 3 };
+
+  test("lists offerings with faculty names", async () => {
+    const res = await api.get("/api/hod/offered-subjects", { token: t.hodCse });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.subjects.map(s => s.subject_code), ["ML"]);
+    assert.deepEqual(res.body.subjects[0].faculties.sort(), ["Farid One", "Fatima Two"]);
+  });
+
+  test("adds an offering with its faculty assignments", async () => {
+    const res = await api.post("/api/hod/add-offered-subject", robotics, { token: t.hodCse });
+
+    assert.equal(res.status, 201);
+    const subject_id = res.body.data.subject.id;
+    assert.equal(res.body.data.subject.class_id, null);
+    assert.deepEqual(
+      db.dump("faculty_subjects").filter(fs => fs.subject_id === subject_id).map(fs => fs.faculty_id),
+      [ids.fac1],
+    );
+  });
+
+  test("rejects duplicate subject codes and missing faculty", async () => {
+    const duplicate = await api.post("/api/hod/add-offered-subject", { ...robotics, subject_code: "ML" }, { token: t.hodCse });
+    const noFaculty = await api.post("/api/hod/add-offered-subject", { ...robotics, faculty_ids: [] }, { token: t.hodCse });
+
+    assert.equal(duplicate.status, 400);
+    assert.equal(noFaculty.status, 400);
+  });
+
+  test("removes an offering with its subject and assignments", async () => {
+    const res = await api.delete("/api/hod/offered-subjects/off-ml", { token: t.hodCse });
+
+    assert.equal(res.status, 200);
+    assert.equal(db.dump("subjects").some(s => s.id === ids.ml), false);
+    assert.equal(db.dump("faculty_subjects").some(fs => fs.subject_id === ids.ml), false);
+  });
+
+  test("can't remove another department's offering", async () => {
+    const res = await api.delete("/api/hod/offered-subjects/off-iot", { token: t.hodCse });
+
+    assert.equal(res.status, 404);
+    assert.equal(db.dump("department_offered_subjects").length, 2);
+  });
+});
+
+describe("GET /api/hod/year-statistics", () => {
+  test("groups the department's classes by year", async () => {
+    const res = await api.get("/api/hod/year-statistics", { token: t.hodCse });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.statistics.length, 1);
+    const [second] = res.body.statistics;
+    assert.equal(second.year, 2);
+    assert.equal(second.percentage, 67);
+    assert.equal(second.totalStudents, 3);
+    assert.equal(second.defaulterCount, 2);
+    assert.equal(second.classCount, 1);
+  });
+
+  test("is not open to class teachers", async () => {
+    const res = await api.get("/api/hod/year-statistics", { token: t.classTeacher });
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,140 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, db, startServer, stopServer } from "./helpers/server.js";
+import { ids, seed, tokens } from "./helpers/fixtures.js";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+const createKey = async (scopes) => {
+  const res = await api.post("/api/director/api-keys", { name: "ERP", scopes }, { token: t.director });
+  return res.body;
+};
+
+const withKey = (key) => ({ headers: { "x-api-key": key } });
+
+describe("GET /api/integrations/clearance", () => {
+  test("reports pending submissions for one student", async () => {
+    const { key } = await createKey(["clearance:read"]);
+
+    const res = await api.get(`/api/integrations/clearance?hall_ticket_number=HT-${ids.s1}`, withKey(key));
+
+    assert.equal(res.status, 200);
+    const [s1] = res.body.students;
+    // DS CIE+TA, DSL TA, ML CIE+TA, IOT CIE+TA
+    assert.equal(s1.required_submissions, 7);
+    assert.equal(s1.completed_submissions, 4);
+    assert.equal(s1.cleared, false);
+    assert.deepEqual(s1.pending.map(p => `${p.subject_id}:${p.submission_type}`).sort(), [
+      `${ids.iot}:CIE`,
+      `${ids.iot}:TA`,
+      `${ids.ml}:TA`,
+    ]);
+  });
+
+  test("reports a whole class in roll number order", async () => {
+    const { key } = await createKey(["clearance:read"]);
+
+    const res = await api.get(`/api/integrations/clearance?class_id=${ids.cseClass}`, { headers: { authorization: `ApiKey ${key}` } });
+
+    assert.deepEqual(res.body.students.map(s => s.roll_no), [1, 2, 3]);
+  });
+
+  test("returns 404 for an unknown hall ticket and 400 without a filter", async () => {
+    const { key } = await createKey(["clearance:read"]);
+
+    assert.equal((await api.get("/api/integrations/clearance?hall_ticket_number=HT-missing", withKey(key))).status, 404);
+    assert.equal((await api.get("/api/integrations/clearance", withKey(key))).status, 400);
+  });
+
+  test("records each call against the key", async () => {
+    const { key, api_key } = await createKey(["clearance:read"]);
+
+    await api.get(`/api/integrations/clearance?hall_ticket_number=HT-${ids.s1}`, withKey(key));
+
+    const res = await api.get(`/api/director/api-keys/${api_key.id}/usage`, { token: t.director });
+    assert.equal(res.body.usage.length, 1);
+    assert.equal(res.body.usage[0].status_code, 200);
+  });
+});
+
+describe("POST /api/integrations/attendance", () => {
+  test("updates attendance and the defaulter flag", async () => {
+    const { key } = await createKey(["attendance:write"]);
+
+    const res = await api.post("/api/integrations/attendance", {
+      records: [
+        { hall_ticket_number: `HT-${ids.s1}`, attendance_percent: 40 },
+        { hall_ticket_number: `HT-${ids.s2}`, attendance_percent: 95 },
+        { hall_ticket_number: "HT-missing", attendance_percent: 80 },
+        { hall_ticket_number: `HT-${ids.s3}`, attendance_percent: 140 },
+      ],
+    }, withKey(key));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.updated, 2);
+    assert.deepEqual(res.body.results.map(r => r.status), ["updated", "updated", "not_found", "invalid"]);
+
+    const students = Object.fromEntries(db.dump("students").map(s => [s.id, s]));
+    assert.equal(students[ids.s1].defaulter, true);
+    assert.equal(students[ids.s2].defaulter, false);
+    assert.equal(students[ids.s3].attendance_percent, 70);
+  });
+
+  test("requires a non-empty records array", async () => {
+    const { key } = await createKey(["attendance:write"]);
+
+    const res = await api.post("/api/integrations/attendance", { records: [] }, withKey(key));
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("API key scopes", () => {
+  test("a key only reaches the permissions it lists", async () => {
+    const { key } = await createKey(["clearance:read"]);
+
+    const attendance = await api.post("/api/integrations/attendance", {
+      records: [{ hall_ticket_number: `HT-${ids.s1}`, attendance_percent: 40 }],
+    }, withKey(key));
+    const statistics = await api.get("/api/director/department-statistics", withKey(key));
+
+    assert.equal(attendance.status, 403);
+    assert.equal(statistics.status, 403);
+  });
+
+  test("institution statistics are available with the matching scope", async () => {
+    const { key } = await createKey(["statistics:institution"]);
+
+    const res = await api.get("/api/director/department-statistics", withKey(key));
+    assert.equal(res.status, 200);
+  });
+
+  test("revoked and unknown keys are rejected", async () => {
+    const { key, api_key } = await createKey(["clearance:read"]);
+    await api.delete(`/api/director/api-keys/${api_key.id}`, { token: t.director });
+
+    const revoked = await api.get(`/api/integrations/clearance?class_id=${ids.cseClass}`, withKey(key));
+    const unknown = await api.get(`/api/integrations/clearance?class_id=${ids.cseClass}`, withKey("sk_not_a_key"));
+
+    assert.equal(revoked.status, 401);
+    assert.equal(unknown.status, 401);
+  });
+
+  test("keys can't act on personal sessions", async () => {
+    const { key } = await createKey(["clearance:read"]);
+
+    const res = await api.get("/api/auth/sessions", withKey(key));
+    assert.equal(res.status, 403);
+  });
+
+  test("staff tokens don't hold integration permissions", async () => {
+    const res = await api.get(`/api/integrations/clearance?class_id=${ids.cseClass}`, { token: t.director });
+    assert.equal(res.status, 403);
+  });
+});
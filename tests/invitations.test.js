@@ -0,0 +1,210 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import xlsx from "xlsx";
+import { api, db, startServer, stopServer } from "./helpers/server.js";
+import { findUser, ids, seed, tokens } from "./helpers/fixtures.js";
+import { setMailer } from "../api/utils/mailer/index.js";
+
+let t;
+let outbox;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+  outbox = [];
+  setMailer({ send: async (message) => { outbox.push(message); } });
+});
+
+// The accept token only ever leaves the server in the invitation email
+const tokenFromMail = (message) => new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+
+const invite = (token, body) => api.post("/api/invitations", body, { token });
+
+describe("POST /api/invitations", () => {
+  test("invites into the HOD's department and emails a link", async () => {
+    const res = await invite(t.hodCse, { name: "Nina New", email: "Nina@College.test" });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.invitation.department_id, ids.cse);
+    assert.equal(res.body.invitation.email, "nina@college.test");
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, "nina@college.test");
+    assert.ok(tokenFromMail(outbox[0]));
+  });
+
+  test("keeps HODs to their own department", async () => {
+    const res = await invite(t.hodCse, { name: "Nina New", email: "nina@college.test", department_id: ids.ece });
+
+    assert.equal(res.status, 403);
+    assert.equal(outbox.length, 0);
+  });
+
+  test("rejects existing accounts, pending invites and bad input", async () => {
+    await invite(t.hodCse, { name: "Nina New", email: "nina@college.test" });
+
+    const existing = await invite(t.hodCse, { name: "Farid", email: "fac1@college.test" });
+    const pending = await invite(t.director, { name: "Nina New", email: "nina@college.test", department_id: ids.cse });
+    const badRole = await invite(t.hodCse, { name: "Hugo", email: "hugo@college.test", role: "hod" });
+    const badEmail = await invite(t.hodCse, { name: "Hugo", email: "hugo" });
+
+    assert.equal(existing.status, 409);
+    assert.equal(pending.status, 409);
+    assert.equal(badRole.status, 400);
+    assert.equal(badEmail.status, 400);
+  });
+
+  test("drops the invitation when its email can't be sent, so it can be retried", async () => {
+    setMailer({ send: async () => { throw new Error("SMTP unavailable"); } });
+    const failed = await invite(t.hodCse, { name: "Nina New", email: "nina@college.test" });
+
+    setMailer({ send: async (message) => { outbox.push(message); } });
+    const retried = await invite(t.hodCse, { name: "Nina New", email: "nina@college.test" });
+
+    assert.equal(failed.status, 500);
+    assert.equal(retried.status, 201);
+    assert.equal(db.dump("staff_invitations").length, 1);
+    assert.equal(outbox.length, 1);
+  });
+
+  test("compares emails literally and copes with several matching accounts", async () => {
+    const lookalike = await invite(t.hodCse, { name: "Dirk Ctor", email: "dir_ctor@college.test" });
+
+    await db.from("users").insert({ ...(await findUser(ids.fac2)), id: "u-fac1-copy", email: "FAC1@college.test" });
+    const shared = await invite(t.hodCse, { name: "Farid", email: "fac1@college.test" });
+
+    assert.equal(lookalike.status, 201);
+    assert.equal(shared.status, 409);
+  });
+});
+
+describe("POST /api/invitations/accept", () => {
+  test("creates the account and logs the invitee in, once", async () => {
+    await invite(t.hodCse, { name: "Nina New", email: "nina@college.test", designation: "Assistant Professor" });
+    const token = tokenFromMail(outbox[0]);
+
+    const res = await api.post("/api/invitations/accept", { token, password: "Welcome-pass7" });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.user.email, "nina@college.test");
+    assert.equal(res.body.user.role, "faculty");
+    const created = db.dump("users").find(u => u.email === "nina@college.test");
+    assert.equal(created.department_id, ids.cse);
+    assert.equal(created.designation, "Assistant Professor");
+
+    const again = await api.post("/api/invitations/accept", { token, password: "Welcome-pass7" });
+    assert.equal(again.status, 400);
+  });
+
+  test("keeps the link usable after a weak password", async () => {
+    await invite(t.hodCse, { name: "Nina New", email: "nina@college.test" });
+    const token = tokenFromMail(outbox[0]);
+
+    const weak = await api.post("/api/invitations/accept", { token, password: "short" });
+    const retry = await api.post("/api/invitations/accept", { token, password: "Welcome-pass7" });
+
+    assert.equal(weak.status, 400);
+    assert.equal(retry.status, 201);
+  });
+
+  test("rejects revoked invitations", async () => {
+    const { body } = await invite(t.hodCse, { name: "Nina New", email: "nina@college.test" });
+
+    const revoked = await api.delete(`/api/invitations/${body.invitation.id}`, { token: t.hodCse });
+    assert.equal(revoked.status, 200);
+
+    const res = await api.post("/api/invitations/accept", { token: tokenFromMail(outbox[0]), password: "Welcome-pass7" });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("managing invitations", () => {
+  test("HODs only see their department's invitations", async () => {
+    await invite(t.hodCse, { name: "Nina New", email: "nina@college.test" });
+    await invite(t.hodEce, { name: "Eli East", email: "eli@college.test" });
+
+    const cse = await api.get("/api/invitations", { token: t.hodCse });
+    const all = await api.get("/api/invitations", { token: t.director });
+
+    assert.deepEqual(cse.body.invitations.map(i => i.email), ["nina@college.test"]);
+    assert.equal(cse.body.invitations[0].department_name, "Computer Engineering");
+    assert.equal(all.body.invitations.length, 2);
+  });
+
+  test("resending replaces the emailed link", async () => {
+    const { body } = await invite(t.hodCse, { name: "Nina New", email: "nina@college.test" });
+
+    const res = await api.post(`/api/invitations/${body.invitation.id}/resend`, {}, { token: t.hodCse });
+
+    assert.equal(res.status, 200);
+    assert.equal(outbox.length, 2);
+    const stale = await api.post("/api/invitations/accept", { token: tokenFromMail(outbox[0]), password: "Welcome-pass7" });
+    const fresh = await api.post("/api/invitations/accept", { token: tokenFromMail(outbox[1]), password: "Welcome-pass7" });
+    assert.equal(stale.status, 400);
+    assert.equal(fresh.status, 201);
+  });
+
+  test("another department's HOD can't revoke or resend", async () => {
+    const { body } = await invite(t.hodCse, { name: "Nina New", email: "nina@college.test" });
+
+    const resend = await api.post(`/api/invitations/${body.invitation.id}/resend`, {}, { token: t.hodEce });
+    const revoke = await api.delete(`/api/invitations/${body.invitation.id}`, { token: t.hodEce });
+
+    assert.equal(resend.status, 403);
+    assert.equal(revoke.status, 403);
+  });
+});
+
+describe("POST /api/hod/import-faculty", () => {
+  const sheet = (rows) => {
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rows), "Faculty");
+    const form = new FormData();
+    form.append("file", new Blob([xlsx.write(workbook, { type: "buffer", bookType: "xlsx" })]), "faculty.xlsx");
+    return form;
+  };
+
+  test("invites each valid row and reports the rest", async () => {
+    const res = await api.post("/api/hod/import-faculty", sheet([
+      { name: "Nina New", email: "nina@college.test", designation: "Lecturer", role: "Class Teacher" },
+      { name: "Nina Again", email: "NINA@college.test" },
+      { name: "Farid", email: "fac1@college.test" },
+      { name: "", email: "broken" },
+      { name: "Dirk Ctor", email: "dir_ctor@college.test" },
+    ]), { token: t.hodCse });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map(r => [r.row, r.status]),
+      [[2, "invited"], [3, "skipped"], [4, "skipped"], [5, "invalid"], [6, "invited"]]);
+    assert.equal(outbox.length, 2);
+
+    const [invitation] = db.dump("staff_invitations");
+    assert.equal(invitation.role, "class_teacher");
+    assert.equal(invitation.department_id, ids.cse);
+  });
+
+  test("reports a failed row without the underlying error", async () => {
+    setMailer({ send: async () => { throw new Error("550 relay denied for smtp.internal.college"); } });
+
+    const res = await api.post("/api/hod/import-faculty", sheet([{ name: "Nina New", email: "nina@college.test" }]), { token: t.hodCse });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.summary.failed, 1);
+    assert.deepEqual(res.body.results[0], {
+      row: 2,
+      email: "nina@college.test",
+      status: "failed",
+      reason: "The invitation could not be sent",
+    });
+
+    setMailer({ send: async (message) => { outbox.push(message); } });
+    const rerun = await api.post("/api/hod/import-faculty", sheet([{ name: "Nina New", email: "nina@college.test" }]), { token: t.hodCse });
+    assert.equal(rerun.body.results[0].status, "invited");
+  });
+
+  test("requires the name and email columns", async () => {
+    const res = await api.post("/api/hod/import-faculty", sheet([{ full_name: "Nina New" }]), { token: t.hodCse });
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,148 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { setImmediate as tick } from "node:timers/promises";
+import { api, startServer, stopServer } from "./helpers/server.js";
+import { ids, seed, tokens } from "./helpers/fixtures.js";
+import { logger, runWithRequestContext } from "../api/utils/logger.js";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+// Collect the log entries written while `fn` runs. Anything else (the test
+// runner's own output) still reaches the real streams.
+const captureLogs = async (fn, level = "debug") => {
+  const entries = [];
+  const streams = [process.stdout, process.stderr];
+  const writes = streams.map(stream => stream.write);
+  const previousLevel = process.env.LOG_LEVEL;
+
+  process.env.LOG_LEVEL = level;
+  streams.forEach((stream, i) => {
+    stream.write = (chunk, ...rest) => {
+      if (typeof chunk === "string" && chunk.startsWith('{"time"')) {
+        entries.push({ ...JSON.parse(chunk), stream: i === 0 ? "stdout" : "stderr" });
+        return true;
+      }
+      return writes[i].call(stream, chunk, ...rest);
+    };
+  });
+
+  try {
+    await fn();
+    // The request line is written on "finish", which can land after the client has the response
+    await tick();
+  } finally {
+    streams.forEach((stream, i) => { stream.write = writes[i]; });
+    process.env.LOG_LEVEL = previousLevel;
+  }
+  return entries;
+};
+
+const requestLine = (entries) => entries.find(entry => entry.msg === "request completed");
+
+describe("logger", () => {
+  test("writes one JSON line with the request context", async () => {
+    const req = { user: { id: "user-1", role: "hod" } };
+
+    const [entry] = await captureLogs(() => runWithRequestContext({ requestId: "req-1", req }, () => {
+      logger.info("Class created", { class_id: "class-1" });
+    }));
+
+    assert.equal(entry.level, "info");
+    assert.equal(entry.msg, "Class created");
+    assert.equal(entry.request_id, "req-1");
+    assert.equal(entry.user_id, "user-1");
+    assert.equal(entry.role, "hod");
+    assert.equal(entry.class_id, "class-1");
+    assert.equal(entry.stream, "stdout");
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  });
+
+  test("serialises errors and sends warnings and errors to stderr", async () => {
+    const entries = await captureLogs(() => {
+      logger.warn("Slow query");
+      logger.error("Failed", { error: Object.assign(new Error("boom"), { code: "E_BOOM" }) });
+    });
+
+    assert.deepEqual(entries.map(entry => entry.stream), ["stderr", "stderr"]);
+    assert.equal(entries[1].error.message, "boom");
+    assert.equal(entries[1].error.code, "E_BOOM");
+    assert.match(entries[1].error.stack, /boom/);
+    assert.equal(entries[1].request_id, undefined);
+  });
+
+  test("drops entries below LOG_LEVEL", async () => {
+    const entries = await captureLogs(() => {
+      logger.debug("noise");
+      logger.info("progress");
+      logger.warn("kept");
+    }, "warn");
+
+    assert.deepEqual(entries.map(entry => entry.msg), ["kept"]);
+  });
+});
+
+describe("request logging", () => {
+  test("generates a request id and returns it in X-Request-Id", async () => {
+    const first = await api.get("/");
+    const second = await api.get("/");
+
+    assert.match(first.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+    assert.notEqual(first.headers.get("x-request-id"), second.headers.get("x-request-id"));
+  });
+
+  test("passes a caller's X-Request-Id through and replaces malformed ones", async () => {
+    const passed = await api.get("/", { headers: { "X-Request-Id": "edge-7f3a.1" } });
+    const replaced = await api.get("/", { headers: { "X-Request-Id": "bad id\" with quotes" } });
+
+    assert.equal(passed.headers.get("x-request-id"), "edge-7f3a.1");
+    assert.match(replaced.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  });
+
+  test("logs the user, role, route, status and latency of each request", async () => {
+    let res;
+    const entries = await captureLogs(async () => {
+      res = await api.get(`/api/class-teacher/students?x=1`, { token: t.classTeacher });
+    });
+    const line = requestLine(entries);
+
+    assert.equal(res.status, 200);
+    assert.equal(line.level, "info");
+    assert.equal(line.request_id, res.headers.get("x-request-id"));
+    assert.equal(line.user_id, ids.classTeacher);
+    assert.equal(line.role, "class_teacher");
+    assert.equal(line.method, "GET");
+    assert.equal(line.path, "/api/class-teacher/students");
+    assert.equal(line.route, "/api/class-teacher/students");
+    assert.equal(line.status, 200);
+    assert.equal(typeof line.duration_ms, "number");
+    assert.ok(line.db_calls > 0);
+  });
+
+  test("keeps the route pattern when the handler fails", async () => {
+    const entries = await captureLogs(async () => {
+      await api.put(`/api/class-teacher/student/${ids.s1}`, { attendance_percent: 150 }, { token: t.classTeacher });
+    });
+    const line = requestLine(entries);
+
+    assert.equal(line.level, "warn");
+    assert.equal(line.status, 400);
+    assert.equal(line.route, "/api/class-teacher/student/:id");
+    assert.equal(line.path, `/api/class-teacher/student/${ids.s1}`);
+  });
+
+  test("logs unknown routes without a route pattern", async () => {
+    const entries = await captureLogs(() => api.get("/api/nope"));
+    const line = requestLine(entries);
+
+    assert.equal(line.status, 404);
+    assert.equal(line.route, undefined);
+    assert.equal(line.user_id, undefined);
+  });
+});
@@ -0,0 +1,59 @@
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import "./helpers/env.js";
+import { getMailer, sendMail, setMailer } from "../api/utils/mailer/index.js";
+import { logger } from "../api/utils/logger.js";
+
+const env = { MAIL_TRANSPORT: process.env.MAIL_TRANSPORT, NODE_ENV: process.env.NODE_ENV };
+
+// setMailer(undefined) makes the next getMailer() build the transport from the environment again
+const freshMailer = (vars) => {
+  Object.assign(process.env, vars);
+  for (const [name, value] of Object.entries(vars)) {
+    if (value === undefined) delete process.env[name];
+  }
+  setMailer(undefined);
+  return getMailer();
+};
+
+afterEach(() => freshMailer(env));
+
+describe("mail transport", () => {
+  test("must be chosen explicitly outside development and test", () => {
+    assert.throws(() => freshMailer({ MAIL_TRANSPORT: undefined, NODE_ENV: "production" }), /MAIL_TRANSPORT is required/);
+    assert.throws(() => freshMailer({ MAIL_TRANSPORT: undefined, NODE_ENV: undefined }), /MAIL_TRANSPORT is required/);
+  });
+
+  test("makes sending fail with 503 rather than the server when missing", async (t) => {
+    assert.throws(() => freshMailer({ MAIL_TRANSPORT: undefined, NODE_ENV: "production" }));
+    t.mock.method(logger, "error", () => {});
+
+    await assert.rejects(sendMail({ to: "fac1@college.test", subject: "Hi", text: "Hello" }), {
+      status: 503,
+      code: "MAIL_NOT_CONFIGURED",
+    });
+  });
+
+  test("falls back to the console in development", () => {
+    assert.ok(freshMailer({ MAIL_TRANSPORT: undefined, NODE_ENV: "development" }));
+  });
+
+  test("rejects an unknown transport", () => {
+    assert.throws(() => freshMailer({ MAIL_TRANSPORT: "pigeon" }), /Unknown MAIL_TRANSPORT/);
+  });
+
+  test("logs console mail without the body", async (t) => {
+    const info = t.mock.method(logger, "info", () => {});
+
+    await freshMailer({ MAIL_TRANSPORT: "console" }).send({
+      from: "no-reply@localhost",
+      to: "fac1@college.test",
+      subject: "Your login code",
+      text: "Your code is 123456",
+    });
+
+    const [message, fields] = info.mock.calls[0].arguments;
+    assert.equal(message, "Mail not sent (console transport)");
+    assert.deepEqual(fields, { from: "no-reply@localhost", to: "fac1@college.test", subject: "Your login code" });
+  });
+});
@@ -0,0 +1,87 @@
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, startServer, stopServer } from "./helpers/server.js";
+import { seed, tokens } from "./helpers/fixtures.js";
+
+const METRICS_TOKEN = "test-metrics-token";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+  process.env.METRICS_TOKEN = METRICS_TOKEN;
+});
+afterEach(() => {
+  delete process.env.METRICS_TOKEN;
+});
+
+const scrape = async () => {
+  const res = await api.get("/metrics", { headers: { authorization: `Bearer ${METRICS_TOKEN}` } });
+  return { ...res, text: res.body.toString() };
+};
+
+// The value of the sample whose name and labels match `pattern`, e.g.
+// 'http_requests_total{method="GET",route="/api/hod/classes",status="200"}'
+const sample = (text, pattern) => {
+  const line = text.split("\n").find(l => l.startsWith(`${pattern} `));
+  return line === undefined ? undefined : Number(line.slice(pattern.length + 1));
+};
+
+describe("GET /metrics", () => {
+  test("is hidden unless METRICS_TOKEN is set", async () => {
+    delete process.env.METRICS_TOKEN;
+
+    const res = await api.get("/metrics", { headers: { authorization: `Bearer ${METRICS_TOKEN}` } });
+
+    assert.equal(res.status, 404);
+  });
+
+  test("needs the metrics token", async () => {
+    const missing = await api.get("/metrics");
+    const wrong = await api.get("/metrics", { headers: { authorization: "Bearer not-the-token" } });
+    const userToken = await api.get("/metrics", { token: t.director });
+
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.status, 401);
+    assert.equal(userToken.status, 401);
+    assert.equal(missing.body.code, "UNAUTHORIZED");
+  });
+
+  test("serves the Prometheus text format", async () => {
+    const res = await scrape();
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.text, /^# TYPE process_cpu_user_seconds_total counter$/m);
+  });
+
+  test("counts requests and their database calls per route and status", async () => {
+    const route = 'route="/api/class-teacher/student/:id"';
+    const before = await scrape();
+    const ok = `http_requests_total{method="PUT",${route},status="200"}`;
+    const failed = `http_requests_total{method="PUT",${route},status="400"}`;
+
+    await api.put("/api/class-teacher/student/stu-1", { attendance_percent: 80 }, { token: t.classTeacher });
+    await api.put("/api/class-teacher/student/stu-1", { attendance_percent: 180 }, { token: t.classTeacher });
+    await api.get("/api/nowhere/42");
+    const after = await scrape();
+
+    assert.equal(sample(after.text, ok), (sample(before.text, ok) ?? 0) + 1);
+    assert.equal(sample(after.text, failed), (sample(before.text, failed) ?? 0) + 1);
+    assert.ok(sample(after.text, `http_request_duration_seconds_count{method="PUT",${route},status="200"}`) >= 1);
+    assert.ok(sample(after.text, `http_request_db_calls_sum{method="PUT",${route}}`) > 0);
+    assert.ok(sample(after.text, 'http_requests_total{method="GET",route="unmatched",status="404"}') >= 1);
+    assert.doesNotMatch(after.text, /nowhere/);
+  });
+
+  test("reports pending submissions and defaulters", async () => {
+    const { text } = await scrape();
+
+    // The fixtures have two defaulters (s2, s3) and one pending submission
+    assert.equal(sample(text, "rivo_defaulters"), 2);
+    assert.equal(sample(text, "rivo_pending_submissions"), 1);
+  });
+});
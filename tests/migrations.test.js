@@ -0,0 +1,85 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { db } from "./helpers/server.js";
+import { loadMigrations } from "../scripts/migrate.js";
+import { SCHEMA_VERSION, getAppliedSchemaVersion } from "../api/db/schemaVersion.js";
+import { defaultPermissionRows } from "../api/db/rolePermissions.js";
+import { FOREIGN_KEYS, UNIQUE_KEYS } from "../api/db/memory/schema.js";
+import { REQUIRED_COLUMNS } from "../api/db/requiredSchema.js";
+
+const migrations = loadMigrations();
+const sql = (name) => fs.readFileSync(migrations.find(m => m.name === name).file, "utf8");
+
+// Every migration in order, as one script
+const allSql = () => migrations.map(m => fs.readFileSync(m.file, "utf8")).join("\n");
+
+// table → column definitions, from the create table statements
+const tableColumns = () => {
+  const tables = {};
+  for (const [, table, body] of allSql().matchAll(/create table if not exists (\w+) \(([\s\S]*?)\n\);/g)) {
+    tables[table] = body.split("\n").map(line => line.trim()).filter(line => /^[a-z_]+ /.test(line));
+  }
+  return tables;
+};
+
+describe("migrations", () => {
+  test("are numbered without gaps up to SCHEMA_VERSION", () => {
+    assert.deepEqual(migrations.map(m => m.version), Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+  });
+
+  test("seed exactly the default role permissions", () => {
+    const seeded = [...sql("default_role_permissions").matchAll(/\('([^']+)', '([^']+)', '([^']+)'\)/g)]
+      .map(([, role, permission, scope]) => `${role} ${permission} ${scope}`);
+
+    assert.deepEqual(seeded.sort(), defaultPermissionRows().map(r => `${r.role} ${r.permission} ${r.scope}`).sort());
+  });
+
+  test("declare the foreign keys the in-memory backend relies on", () => {
+    const tables = tableColumns();
+
+    for (const [table, columns] of Object.entries(FOREIGN_KEYS)) {
+      for (const [column, referenced] of Object.entries(columns)) {
+        const definition = tables[table]?.find(line => line.startsWith(`${column} `));
+        assert.match(definition || "", new RegExp(`references ${referenced} \\(`), `${table}.${column}`);
+      }
+    }
+  });
+
+  test("create exactly the tables and columns the readiness check expects", () => {
+    const columns = tableColumns();
+    const added = [...allSql().matchAll(/alter table (\w+) add column if not exists (\w+)/g)];
+    for (const [, table, column] of added) {
+      if (!columns[table].some(line => line.startsWith(`${column} `))) columns[table].push(column);
+    }
+
+    const created = Object.fromEntries(Object.entries(columns).map(([table, lines]) => [
+      table,
+      lines.map(line => line.split(" ")[0]).filter(name => !["unique", "primary", "constraint", "check"].includes(name)),
+    ]));
+    assert.deepEqual(REQUIRED_COLUMNS, created);
+  });
+
+  test("declare the unique keys the in-memory backend relies on", () => {
+    const tables = tableColumns();
+
+    for (const [table, keys] of Object.entries(UNIQUE_KEYS)) {
+      for (const columns of keys) {
+        const unique = columns.length === 1
+          ? tables[table].some(line => line.startsWith(`${columns[0]} `) && line.includes(" unique"))
+          : tables[table].some(line => line.startsWith(`unique (${columns.join(", ")})`));
+        assert.ok(unique, `${table} (${columns.join(", ")})`);
+      }
+    }
+  });
+});
+
+describe("getAppliedSchemaVersion", () => {
+  test("reads the newest recorded migration", async () => {
+    db.reset({ schema_migrations: [] });
+    assert.equal(await getAppliedSchemaVersion(), null);
+
+    db.reset({ schema_migrations: [{ version: 1, name: "initial_schema" }, { version: 2, name: "default_role_permissions" }] });
+    assert.equal(await getAppliedSchemaVersion(), 2);
+  });
+});
@@ -0,0 +1,187 @@
+import crypto from "crypto";
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, db, startServer, stopServer } from "./helpers/server.js";
+import { findUser, ids, seed } from "./helpers/fixtures.js";
+import { startIdp } from "./helpers/idp.js";
+
+const CLIENT_ID = "rivo-test";
+
+let idp;
+
+before(async () => {
+  await startServer();
+  idp = await startIdp({ clientId: CLIENT_ID });
+  process.env.OIDC_ISSUER = idp.issuer;
+  process.env.OIDC_CLIENT_ID = CLIENT_ID;
+  process.env.OIDC_REDIRECT_URI = "http://localhost/api/auth/oidc/callback";
+});
+after(async () => {
+  delete process.env.OIDC_ISSUER;
+  delete process.env.OIDC_CLIENT_ID;
+  delete process.env.OIDC_REDIRECT_URI;
+  await idp.stop();
+  await stopServer();
+});
+beforeEach(seed);
+afterEach(() => {
+  delete process.env.MFA_REQUIRED_ROLES;
+  delete process.env.OIDC_POST_LOGIN_REDIRECT;
+});
+
+// Start a login and return the IdP URL our API redirected the browser to
+const beginLogin = async () => {
+  const res = await api.get("/api/auth/oidc/login");
+  assert.equal(res.status, 302);
+  return res.headers.get("location");
+};
+
+const callback = ({ code, state }) =>
+  api.get(`/api/auth/oidc/callback?${new URLSearchParams({ code, state })}`);
+
+const signIn = async (claims) => callback(idp.authorize(await beginLogin(), claims));
+
+describe("GET /api/auth/oidc/login", () => {
+  test("redirects to the IdP with state, nonce and an S256 PKCE challenge", async () => {
+    const params = new URL(await beginLogin()).searchParams;
+
+    assert.equal(params.get("client_id"), CLIENT_ID);
+    assert.equal(params.get("code_challenge_method"), "S256");
+    assert.ok(params.get("state"));
+    assert.ok(params.get("nonce"));
+    assert.ok(params.get("code_challenge"));
+  });
+});
+
+describe("GET /api/auth/oidc/callback", () => {
+  test("starts a session for the staff account with the verified email", async () => {
+    const res = await signIn({ email: "fac1@college.test" });
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    assert.ok(res.body.refresh_token);
+    assert.equal(res.body.user.id, ids.fac1);
+  });
+
+  test("matches the email regardless of case", async () => {
+    const res = await signIn({ email: "FAC1@College.Test" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.id, ids.fac1);
+  });
+
+  test("accepts each login state only once", async () => {
+    const params = idp.authorize(await beginLogin(), { email: "fac1@college.test" });
+
+    const first = await callback(params);
+    const replayed = await callback(params);
+
+    assert.equal(first.status, 200);
+    assert.equal(replayed.status, 400);
+  });
+
+  test("rejects a state it never issued", async () => {
+    const { code } = idp.authorize(await beginLogin(), { email: "fac1@college.test" });
+
+    const res = await callback({ code, state: "made-up-state" });
+    assert.equal(res.status, 400);
+  });
+
+  test("sends the PKCE verifier that matches the login's challenge", async () => {
+    const url = await beginLogin();
+
+    const res = await callback(idp.authorize(url, { email: "fac1@college.test" }));
+    const verifier = idp.tokenRequests.at(-1).code_verifier;
+
+    assert.equal(res.status, 200);
+    assert.equal(crypto.createHash("sha256").update(verifier).digest("base64url"),
+      new URL(url).searchParams.get("code_challenge"));
+  });
+
+  test("fails when the code was issued for another login's challenge", async () => {
+    const first = await beginLogin();
+    const second = await beginLogin();
+
+    // The IdP sees the second attempt's verifier for a code bound to the first's challenge
+    const { code } = idp.authorize(first, { email: "fac1@college.test" });
+    const res = await callback({ code, state: new URL(second).searchParams.get("state") });
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, "SSO_FAILED");
+  });
+
+  test("rejects an ID token with another login's nonce", async () => {
+    const res = await signIn({ email: "fac1@college.test", nonce: "someone-elses-nonce" });
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, "SSO_FAILED");
+  });
+
+  test("rejects an ID token issued to another client", async () => {
+    const res = await signIn({ email: "fac1@college.test", aud: "another-client" });
+
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, "SSO_FAILED");
+  });
+
+  test("rejects unknown, unverified and missing emails", async () => {
+    const unknown = await signIn({ email: "nobody@college.test" });
+    const unverified = await signIn({ email: "fac1@college.test", email_verified: false });
+    const missing = await signIn({ sub: "idp-no-email" });
+
+    assert.equal(unknown.status, 403);
+    assert.equal(unverified.status, 403);
+    assert.equal(missing.status, 403);
+  });
+
+  test("treats the email literally rather than as a pattern", async () => {
+    const underscore = await signIn({ email: "dir_ctor@college.test" });
+    const percent = await signIn({ email: "%@college.test" });
+
+    assert.equal(underscore.status, 403);
+    assert.equal(percent.status, 403);
+  });
+
+  test("refuses an email shared by several accounts", async () => {
+    await db.from("users").insert({ ...(await findUser(ids.fac2)), id: "u-fac1-copy", email: "Fac1@college.test" });
+
+    const res = await signIn({ email: "fac1@college.test" });
+    assert.equal(res.status, 403);
+  });
+
+  test("asks for the second factor instead of starting a session when 2FA is on", async () => {
+    await db.from("users").update({ totp_enabled: true }).eq("id", ids.director);
+
+    const res = await signIn({ email: "director@college.test" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.two_factor_required, true);
+    assert.ok(res.body.mfa_token);
+    assert.equal(res.body.token, undefined);
+    assert.equal(res.body.refresh_token, undefined);
+  });
+
+  test("sends accounts that must enrol in 2FA to enrolment", async () => {
+    process.env.MFA_REQUIRED_ROLES = "director";
+
+    const res = await signIn({ email: "director@college.test" });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.two_factor_setup_required, true);
+    assert.ok(res.body.token);
+    assert.equal(res.body.refresh_token, undefined);
+  });
+
+  test("hands the tokens to the frontend in the URL fragment when configured", async () => {
+    process.env.OIDC_POST_LOGIN_REDIRECT = "http://localhost/sso";
+
+    const res = await signIn({ email: "fac1@college.test" });
+    const location = new URL(res.headers.get("location"));
+    const fragment = new URLSearchParams(location.hash.slice(1));
+
+    assert.equal(res.status, 302);
+    assert.equal(location.origin + location.pathname, "http://localhost/sso");
+    assert.ok(fragment.get("token"));
+    assert.ok(fragment.get("refresh_token"));
+  });
+});
@@ -0,0 +1,144 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "node:fs";
+import { api, app, startServer, stopServer } from "./helpers/server.js";
+import { routers } from "../api/routes/index.js";
+import docsRoutes from "../api/routes/docs.js";
+import metricsRoutes from "../api/routes/metrics.js";
+import healthRoutes from "../api/routes/health.js";
+import { listRoutes, routeDocs } from "../api/docs/openapi.js";
+import { ERROR_CODES } from "../api/docs/components.js";
+
+let spec;
+
+before(async () => {
+  await startServer();
+  spec = (await api.get("/api/openapi.json")).body;
+});
+after(stopServer);
+
+const operation = (method, path) => spec.paths[path]?.[method];
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+describe("OpenAPI spec", () => {
+  test("is served with a docs page", async () => {
+    const docs = await api.get("/api/docs");
+
+    assert.equal(spec.openapi, "3.1.0");
+    assert.equal(docs.status, 200);
+    assert.match(docs.headers.get("content-type"), /text\/html/);
+    assert.match(docs.body.toString(), /openapi\.json/);
+  });
+
+  test("covers every router the app mounts", () => {
+    // Express 5 doesn't keep mount paths, so compare the router objects themselves
+    const mounted = app.router.stack.map(layer => layer.handle).filter(handle => Array.isArray(handle.stack));
+    const listed = routers.map(({ router }) => router);
+
+    for (const router of listed) {
+      assert.ok(mounted.includes(router), "a listed router is not mounted");
+    }
+    // Everything else the app mounts is for monitoring or serves the docs
+    assert.deepEqual(mounted.filter(router => !listed.includes(router)), [metricsRoutes, healthRoutes, docsRoutes]);
+  });
+
+  test("documents every registered route", () => {
+    const routes = listRoutes();
+    assert.ok(routes.length > 80);
+
+    for (const route of routes) {
+      const op = operation(route.method, toOpenApiPath(route.path));
+      assert.ok(op, `${route.method.toUpperCase()} ${route.path} is missing from the spec`);
+      assert.ok(routeDocs[route.mountPath]?.[route.key], `${route.key} has no entry in the ${route.mountPath} docs`);
+      assert.ok(op.summary, `${route.method.toUpperCase()} ${route.path} has no summary`);
+      assert.ok(
+        Object.keys(op.responses).some(status => status < 400),
+        `${route.method.toUpperCase()} ${route.path} has no success response`
+      );
+    }
+
+    const operations = Object.values(spec.paths).flatMap(item => Object.keys(item));
+    assert.equal(operations.length, routes.length);
+  });
+
+  test("has no docs for routes that don't exist", () => {
+    const registered = new Set(listRoutes().map(route => `${route.mountPath} ${route.key}`));
+
+    for (const [mountPath, docs] of Object.entries(routeDocs)) {
+      for (const key of Object.keys(docs)) {
+        assert.ok(registered.has(`${mountPath} ${key}`), `${mountPath} docs describe ${key}, which isn't a route`);
+      }
+    }
+  });
+
+  test("takes parameters and bodies from the validation schemas", () => {
+    const update = operation("put", "/api/class-teacher/student/{id}");
+    const invitations = operation("get", "/api/invitations");
+    const usage = operation("get", "/api/director/api-keys/{id}/usage");
+
+    assert.equal(update.requestBody.content["application/json"].schema.properties.attendance_percent.maximum, 100);
+    assert.deepEqual(update.parameters.map(p => [p.name, p.in, p.required]), [["id", "path", true]]);
+    assert.equal(invitations.parameters.find(p => p.name === "status").schema.default, "pending");
+    assert.equal(usage.parameters.find(p => p.name === "limit").schema.maximum, 1000);
+    assert.equal(update.responses[400].$ref, "#/components/responses/ValidationFailed");
+  });
+
+  test("describes uploads as multipart forms", () => {
+    const schema = operation("post", "/api/class-teacher/import-students").requestBody.content["multipart/form-data"].schema;
+
+    assert.equal(schema.properties.file.format, "binary");
+    assert.ok(schema.properties.class_id);
+  });
+
+  test("shows how each route authenticates", () => {
+    const login = operation("post", "/api/auth/login");
+    const logout = operation("post", "/api/auth/logout");
+    const clearance = operation("get", "/api/integrations/clearance");
+    const students = operation("get", "/api/class-teacher/students");
+
+    assert.deepEqual(login.security, []);
+    assert.equal(login.responses[401], undefined);
+    assert.deepEqual(logout.security, [{ bearerAuth: [] }]);
+    assert.deepEqual(clearance.security, [{ bearerAuth: [] }, { apiKey: ["clearance:read"] }]);
+    assert.deepEqual(students.security, [{ bearerAuth: [] }]);
+    assert.equal(students["x-permission"], "student:read");
+    assert.ok(students.responses[401] && students.responses[403]);
+  });
+
+  test("documents the routes with their own rate limit", () => {
+    const login = operation("post", "/api/auth/login");
+    const statistics = operation("get", "/api/submissions/subject-statistics");
+    const sessions = operation("get", "/api/auth/sessions");
+
+    assert.match(login.responses[429].description, /LOGIN_THROTTLED.*TOO_MANY_REQUESTS/);
+    assert.ok(login.responses[429].headers["Retry-After"]);
+    assert.equal(statistics.responses[429].$ref, "#/components/responses/RateLimited");
+    assert.match(statistics.description, /`statistics` budget/);
+    assert.equal(sessions.responses[429], undefined);
+  });
+
+  test("resolves every $ref", () => {
+    const refs = JSON.stringify(spec).match(/"\$ref":"[^"]+"/g).map(match => match.slice(8, -1));
+
+    for (const ref of new Set(refs)) {
+      const target = ref.slice(2).split("/").reduce((node, key) => node?.[key], spec);
+      assert.ok(target, `${ref} doesn't resolve`);
+    }
+  });
+
+  test("lists every error code the API throws", () => {
+    const files = readdirSync(new URL("../api", import.meta.url), { recursive: true })
+      .filter(file => file.endsWith(".js"));
+    const thrown = new Set(files.flatMap(file => {
+      const source = readFileSync(new URL(`../api/${file}`, import.meta.url), "utf8");
+      return [...source.matchAll(/code(?: =|:) "([A-Z_]+)"/g)].map(match => match[1]);
+    }));
+
+    assert.ok(thrown.size > 20);
+    for (const code of thrown) {
+      assert.ok(ERROR_CODES[code], `${code} is not documented`);
+    }
+    assert.deepEqual(spec.components.schemas.Error.properties.code.enum, Object.keys(ERROR_CODES));
+  });
+});
@@ -0,0 +1,163 @@
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, db, startServer, stopServer } from "./helpers/server.js";
+import { PASSWORD, seed, tokens } from "./helpers/fixtures.js";
+import { createMemoryStore } from "../api/utils/rateLimitStores.js";
+
+const BUDGET_VARIABLES = ["RATE_LIMIT_LOGIN", "RATE_LIMIT_STATISTICS", "RATE_LIMIT_DEFAULT"];
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+  // Counted in the rate_limits table, which seed() empties before each test
+  process.env.RATE_LIMIT_STORE = "database";
+});
+afterEach(() => {
+  process.env.RATE_LIMIT_STORE = "off";
+  BUDGET_VARIABLES.forEach(name => delete process.env[name]);
+});
+
+// trust proxy is on, so X-Forwarded-For sets the client IP
+const from = (ip) => ({ headers: { "X-Forwarded-For": ip } });
+
+const login = (ip, password = "wrong-password") =>
+  api.post("/api/auth/login", { email: "director@college.test", password }, from(ip));
+
+describe("rate limiting", () => {
+  test("rejects logins over the budget with Retry-After", async () => {
+    process.env.RATE_LIMIT_LOGIN = "2/60";
+
+    const first = await login("203.0.113.7");
+    const second = await login("203.0.113.7");
+    const third = await login("203.0.113.7", PASSWORD);
+
+    assert.equal(first.status, 400);
+    assert.equal(first.headers.get("ratelimit-limit"), "2");
+    assert.equal(first.headers.get("ratelimit-remaining"), "1");
+    assert.equal(second.headers.get("ratelimit-remaining"), "0");
+    assert.equal(third.status, 429);
+    assert.equal(third.body.code, "TOO_MANY_REQUESTS");
+    assert.equal(third.body.details.budget, "login");
+    const retryAfter = Number(third.headers.get("retry-after"));
+    assert.ok(retryAfter > 0 && retryAfter <= 60);
+    assert.equal(third.body.details.retry_after, retryAfter);
+  });
+
+  test("counts logins per IP and account", async () => {
+    process.env.RATE_LIMIT_LOGIN = "1/60";
+
+    await login("203.0.113.7");
+    const sameAccount = await login("203.0.113.7");
+    const sameAccountOtherCase = await api.post("/api/auth/login",
+      { email: "Director@College.test", password: "wrong-password" }, from("203.0.113.7"));
+    const otherAccount = await api.post("/api/auth/login",
+      { email: "fac1@college.test", password: "wrong-password" }, from("203.0.113.7"));
+    const otherIp = await login("198.51.100.4");
+
+    assert.equal(sameAccount.status, 429);
+    assert.equal(sameAccountOtherCase.status, 429);
+    assert.equal(otherAccount.status, 400);
+    assert.equal(otherIp.status, 400);
+  });
+
+  test("counts signed-in users per user, wherever they connect from", async () => {
+    process.env.RATE_LIMIT_DEFAULT = "2/60";
+
+    const get = (token, ip) => api.get("/api/auth/sessions", { token, ...from(ip) });
+    await get(t.fac1, "203.0.113.7");
+    await get(t.fac1, "198.51.100.4");
+    const third = await get(t.fac1, "192.0.2.9");
+    const otherUser = await get(t.fac2, "203.0.113.7");
+
+    assert.equal(third.status, 429);
+    assert.equal(otherUser.status, 200);
+  });
+
+  test("gives statistics routes their own smaller budget", async () => {
+    process.env.RATE_LIMIT_STATISTICS = "1/60";
+
+    const first = await api.get("/api/director/department-statistics", { token: t.director });
+    const second = await api.get("/api/director/department-statistics", { token: t.director });
+    const elsewhere = await api.get("/api/auth/sessions", { token: t.director });
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 429);
+    assert.equal(second.body.details.budget, "statistics");
+    assert.equal(elsewhere.status, 200);
+  });
+
+  test("puts the student dashboard on the statistics budget", async () => {
+    process.env.RATE_LIMIT_STATISTICS = "1/60";
+
+    const first = await api.get("/api/students/dashboard", { token: t.s1 });
+    const second = await api.get("/api/students/dashboard", { token: t.s1 });
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 429);
+    assert.equal(second.body.details.budget, "statistics");
+  });
+
+  test("leaves monitoring endpoints alone", async () => {
+    process.env.RATE_LIMIT_DEFAULT = "1/60";
+
+    await api.get("/health/live");
+    const res = await api.get("/health/live");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("ratelimit-limit"), null);
+  });
+
+  test("lets requests through when the store fails", async (t) => {
+    process.env.RATE_LIMIT_DEFAULT = "1/60";
+    t.mock.method(db, "rpc", async () => ({ data: null, error: { code: "PGRST202", message: "function missing" } }));
+
+    await api.get("/api/nowhere");
+    const res = await api.get("/api/nowhere");
+
+    assert.equal(res.status, 404);
+    assert.equal(res.headers.get("ratelimit-limit"), null);
+  });
+
+  test("is off with RATE_LIMIT_STORE=off", async () => {
+    process.env.RATE_LIMIT_STORE = "off";
+    process.env.RATE_LIMIT_LOGIN = "1/60";
+
+    await login("203.0.113.7");
+    const res = await login("203.0.113.7");
+
+    assert.equal(res.status, 400);
+    assert.equal(res.headers.get("ratelimit-limit"), null);
+  });
+});
+
+describe("memory rate limit store", () => {
+  test("counts hits per key within a window", async () => {
+    const store = createMemoryStore();
+
+    const first = await store.hit("login:ip:203.0.113.7", 60);
+    const second = await store.hit("login:ip:203.0.113.7", 60);
+    const other = await store.hit("login:ip:198.51.100.4", 60);
+
+    assert.equal(first.count, 1);
+    assert.equal(second.count, 2);
+    assert.equal(second.resetAt, first.resetAt);
+    assert.equal(other.count, 1);
+  });
+
+  test("starts a new window once the last one has ended", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    const store = createMemoryStore();
+
+    await store.hit("default:user:u-1", 60);
+    await store.hit("default:user:u-1", 60);
+    t.mock.timers.tick(60 * 1000);
+    const next = await store.hit("default:user:u-1", 60);
+
+    assert.equal(next.count, 1);
+    assert.equal(next.resetAt, 120 * 1000);
+  });
+});
@@ -0,0 +1,213 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, db, startServer, stopServer } from "./helpers/server.js";
+import { ids, seed, tokens } from "./helpers/fixtures.js";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+describe("GET /api/students/dashboard", () => {
+  test("counts theory, batch practicals and selected electives", async () => {
+    const res = await api.get("/api/students/dashboard", { token: t.s1 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.subjects.map(s => s.code).sort(), ["DS", "DSL", "IOT", "ML"]);
+    // DS 2/2, DSL 1/1, ML 1/2, IOT 0/2
+    assert.equal(res.body.student.submissionPercentage, 57);
+
+    const ds = res.body.subjects.find(s => s.code === "DS");
+    assert.deepEqual(ds.submissions, { cie: "completed", ta: "completed", defaulter: "pending" });
+    assert.equal(ds.facultyAvailable, true);
+  });
+
+  test("adds defaulter work to every theory subject for defaulters", async () => {
+    const res = await api.get("/api/students/dashboard", { token: t.s2 });
+
+    assert.equal(res.status, 200);
+    // DS 2/3 (CIE + defaulter work), DSL 0/1, ML 0/3
+    assert.equal(res.body.student.submissionPercentage, 29);
+  });
+
+  test("leaves out practicals assigned to another batch", async () => {
+    const res = await api.get("/api/students/dashboard", { token: t.s3 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.subjects.map(s => s.code).sort(), ["DS", "IOT", "ML"]);
+    assert.equal(res.body.student.submissionPercentage, 0);
+  });
+
+  test("is for students only", async () => {
+    const res = await api.get("/api/students/dashboard", { token: t.fac1 });
+    assert.equal(res.status, 403);
+  });
+
+  test("requires a token", async () => {
+    const res = await api.get("/api/students/dashboard");
+    assert.equal(res.status, 401);
+  });
+});
+
+describe("GET /api/students/subjects", () => {
+  test("groups subjects by type with the chosen elective faculty", async () => {
+    const res = await api.get("/api/students/subjects", { token: t.s1 });
+
+    assert.equal(res.status, 200);
+    const { theory, practical, mdm, oe, pe } = res.body.subjects;
+    assert.deepEqual(theory.map(s => [s.code, s.faculty]), [["DS", "Farid One"]]);
+    assert.deepEqual(practical.map(s => [s.code, s.faculty]), [["DSL", "Farid One"]]);
+    assert.deepEqual(mdm.map(s => [s.code, s.faculty]), [["ML", "Farid One"]]);
+    assert.deepEqual(oe.map(s => [s.code, s.faculty]), [["IOT", "Fatima Two"]]);
+    assert.deepEqual(pe, []);
+  });
+
+  test("shows no practical to a batch without one", async () => {
+    const res = await api.get("/api/students/subjects", { token: t.s3 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.subjects.practical, []);
+    assert.deepEqual(res.body.subjects.mdm.map(s => s.faculty), ["Fatima Two"]);
+  });
+});
+
+describe("GET /api/students/elective-subjects", () => {
+  test("offers second years MDM and OE but not PE", async () => {
+    const res = await api.get("/api/students/elective-subjects", { token: t.s2 });
+
+    assert.equal(res.status, 200);
+    const { mdm, oe, pe } = res.body.electives;
+    assert.deepEqual(mdm.map(s => s.code), ["ML"]);
+    assert.deepEqual(mdm[0].faculties.map(f => f.name), ["Farid One", "Fatima Two"]);
+    assert.deepEqual(oe.map(s => s.code), ["IOT"]);
+    assert.deepEqual(pe, []);
+    assert.equal(res.body.currentSelections.mdm_id, ids.ml);
+  });
+
+  test("hides inactive offerings", async () => {
+    await db.from("department_offered_subjects").update({ is_active: false }).eq("id", "off-iot");
+
+    const res = await api.get("/api/students/elective-subjects", { token: t.s2 });
+
+    assert.deepEqual(res.body.electives.oe, []);
+  });
+
+  test("only shows professional electives from the student's own department", async () => {
+    await db.from("classes").update({ year: 3 }).in("id", [ids.cseClass, ids.eceClass]);
+    await db.from("subjects").insert([
+      { id: "sub-pe-cse", name: "Compilers", subject_code: "CMP", type: "pe", class_id: null, department_id: ids.cse },
+      { id: "sub-pe-ece", name: "VLSI", subject_code: "VLSI", type: "pe", class_id: null, department_id: ids.ece },
+    ]);
+    await db.from("department_offered_subjects").insert([
+      { id: "off-pe-cse", subject_id: "sub-pe-cse", department_id: ids.cse, faculty_ids: [ids.fac1], semester: 5, year: 3, is_active: true },
+      { id: "off-pe-ece", subject_id: "sub-pe-ece", department_id: ids.ece, faculty_ids: [ids.fac2], semester: 5, year: 3, is_active: true },
+    ]);
+
+    const res = await api.get("/api/students/elective-subjects", { token: t.s1 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.electives.pe.map(s => s.code), ["CMP"]);
+  });
+});
+
+describe("GET /api/students/defaulter-work", () => {
+  test("shows elective work only from the faculty the student picked", async () => {
+    const res = await api.get("/api/students/defaulter-work", { token: t.s2 });
+
+    assert.equal(res.status, 200);
+    // dw-ml-fac2-s2 is from a faculty s2 didn't pick; dw-dsl-s2 was skipped
+    assert.deepEqual(res.body.defaulterWork.map(w => w.id).sort(), ["dw-ds-s2", "dw-ml-fac1-s2"]);
+  });
+
+  test("shows elective work from the picked faculty", async () => {
+    const res = await api.get("/api/students/defaulter-work", { token: t.s3 });
+
+    assert.deepEqual(res.body.defaulterWork.map(w => w.id), ["dw-ml-fac2-s3"]);
+  });
+
+  test("hides elective work from students without selections", async () => {
+    const res = await api.get("/api/students/defaulter-work", { token: t.s4 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.defaulterWork, []);
+  });
+});
+
+describe("POST /api/students/select-elective", () => {
+  test("updates an existing selection", async () => {
+    const res = await api.post("/api/students/select-elective", { subject_id: ids.iot, faculty_id: ids.fac2, type: "OE" }, { token: t.s2 });
+
+    assert.equal(res.status, 200);
+    const [selection] = db.dump("student_subject_selection").filter(s => s.student_id === ids.s2);
+    assert.equal(selection.oe_id, ids.iot);
+    assert.equal(selection.mdm_id, ids.ml);
+  });
+
+  test("creates the first selection", async () => {
+    const res = await api.post("/api/students/select-elective", { subject_id: ids.ml, faculty_id: ids.fac1, type: "MDM" }, { token: t.s4 });
+
+    assert.equal(res.status, 201);
+    const [selection] = db.dump("student_subject_selection").filter(s => s.student_id === ids.s4);
+    assert.equal(selection.mdm_faculty_id, ids.fac1);
+    assert.equal(selection.selections_locked, false);
+  });
+
+  test("rejects a faculty who doesn't teach the subject", async () => {
+    const res = await api.post("/api/students/select-elective", { subject_id: ids.iot, faculty_id: ids.fac1, type: "OE" }, { token: t.s2 });
+    assert.equal(res.status, 400);
+  });
+
+  test("rejects an unknown elective type", async () => {
+    const res = await api.post("/api/students/select-elective", { subject_id: ids.ml, faculty_id: ids.fac1, type: "XYZ" }, { token: t.s2 });
+    assert.equal(res.status, 400);
+  });
+
+  test("refuses changes once selections are locked", async () => {
+    const res = await api.post("/api/students/select-elective", { subject_id: ids.ml, faculty_id: ids.fac1, type: "MDM" }, { token: t.s3 });
+
+    assert.equal(res.status, 403);
+    const [selection] = db.dump("student_subject_selection").filter(s => s.student_id === ids.s3);
+    assert.equal(selection.mdm_faculty_id, ids.fac2);
+  });
+
+  test("is not open to staff", async () => {
+    const res = await api.post("/api/students/select-elective", { subject_id: ids.ml, faculty_id: ids.fac1, type: "MDM" }, { token: t.classTeacher });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("POST /api/students/lock-selections", () => {
+  test("requires every elective the year needs", async () => {
+    const res = await api.post("/api/students/lock-selections", {}, { token: t.s2 });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /\(OE\)/);
+  });
+
+  test("locks complete selections", async () => {
+    const res = await api.post("/api/students/lock-selections", {}, { token: t.s1 });
+
+    assert.equal(res.status, 200);
+    const [selection] = db.dump("student_subject_selection").filter(s => s.student_id === ids.s1);
+    assert.equal(selection.selections_locked, true);
+  });
+
+  test("needs selections to lock", async () => {
+    const res = await api.post("/api/students/lock-selections", {}, { token: t.s4 });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("debug endpoints", () => {
+  test("are gone", async () => {
+    const students = await api.get("/api/students/debug-students");
+    const auth = await api.get("/api/students/debug-auth", { token: t.s1 });
+
+    assert.equal(students.status, 404);
+    assert.equal(auth.status, 404);
+  });
+});
@@ -0,0 +1,207 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, db, startServer, stopServer } from "./helpers/server.js";
+import { ids, seed, tokens } from "./helpers/fixtures.js";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+describe("GET /api/submissions/types", () => {
+  test("lists submission types for any signed-in user", async () => {
+    const res = await api.get("/api/submissions/types", { token: t.s1 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.submission_types.map(type => type.name), ["CIE", "Defaulter work", "TA"]);
+  });
+});
+
+describe("GET /api/submissions/faculty-subjects", () => {
+  test("includes assigned subjects and electives students picked the faculty for", async () => {
+    const res = await api.get("/api/submissions/faculty-subjects", { token: t.fac1 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.subjects.theory.map(s => s.code).sort(), ["DS", "ML"]);
+    assert.deepEqual(res.body.subjects.practical.map(s => s.code), ["DSL"]);
+  });
+
+  test("lists a cross-department elective faculty's subjects", async () => {
+    const res = await api.get("/api/submissions/faculty-subjects", { token: t.fac2 });
+
+    assert.deepEqual(res.body.subjects.theory.map(s => s.code).sort(), ["IOT", "ML"]);
+    assert.deepEqual(res.body.subjects.practical, []);
+  });
+});
+
+describe("GET /api/submissions/students", () => {
+  test("returns the class with each student's submissions", async () => {
+    const res = await api.get(`/api/submissions/students?subject_id=${ids.ds}`, { token: t.fac1 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.students.map(s => s.id), [ids.s1, ids.s2, ids.s3]);
+    assert.deepEqual(res.body.students[1].submissions, { CIE: "completed", TA: "pending", "Defaulter work": "completed" });
+    assert.equal(res.body.subject_type, "theory");
+  });
+
+  test("limits a practical to its batch and to TA", async () => {
+    const res = await api.get(`/api/submissions/students?subject_id=${ids.dsl}`, { token: t.fac1 });
+
+    assert.deepEqual(res.body.students.map(s => s.id), [ids.s1, ids.s2]);
+    assert.deepEqual(res.body.submission_types.map(type => type.name), ["TA"]);
+  });
+
+  test("limits an elective to students who picked this faculty", async () => {
+    const fac1 = await api.get(`/api/submissions/students?subject_id=${ids.ml}`, { token: t.fac1 });
+    const fac2 = await api.get(`/api/submissions/students?subject_id=${ids.ml}`, { token: t.fac2 });
+
+    assert.deepEqual(fac1.body.students.map(s => s.id).sort(), [ids.s1, ids.s2]);
+    assert.deepEqual(fac2.body.students.map(s => s.id), [ids.s3]);
+  });
+
+  test("denies faculty who don't teach the subject", async () => {
+    const res = await api.get(`/api/submissions/students?subject_id=${ids.ds}`, { token: t.fac2 });
+    assert.equal(res.status, 403);
+  });
+
+  test("returns 404 for an unknown subject", async () => {
+    const res = await api.get("/api/submissions/students?subject_id=sub-missing", { token: t.fac1 });
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("POST /api/submissions/mark-submission", () => {
+  const mark = (token, body) => api.post("/api/submissions/mark-submission", body, { token });
+  const stored = () => db.dump("student_submissions").filter(s => s.student_id === ids.s3 && s.subject_id === ids.ds);
+
+  test("records a new submission and then updates it", async () => {
+    const created = await mark(t.fac1, { student_id: ids.s3, subject_id: ids.ds, submission_type: "CIE", status: "completed" });
+    assert.equal(created.status, 201);
+
+    const updated = await mark(t.fac1, { student_id: ids.s3, subject_id: ids.ds, submission_type: "CIE", status: "pending" });
+    assert.equal(updated.status, 200);
+
+    const rows = stored();
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].status, "pending");
+    assert.equal(rows[0].marked_by, ids.fac1);
+  });
+
+  test("lets an elective faculty mark their subject", async () => {
+    const res = await mark(t.fac2, { student_id: ids.s3, subject_id: ids.ml, submission_type: "TA", status: "completed" });
+    assert.equal(res.status, 201);
+  });
+
+  test("denies faculty who don't teach the subject", async () => {
+    const res = await mark(t.fac2, { student_id: ids.s3, subject_id: ids.ds, submission_type: "CIE", status: "completed" });
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(stored(), []);
+  });
+
+  test("validates status and submission type", async () => {
+    const badStatus = await mark(t.fac1, { student_id: ids.s3, subject_id: ids.ds, submission_type: "CIE", status: "done" });
+    const badType = await mark(t.fac1, { student_id: ids.s3, subject_id: ids.ds, submission_type: "Quiz", status: "completed" });
+    const missing = await mark(t.fac1, { student_id: ids.s3, subject_id: ids.ds });
+
+    assert.equal(badStatus.status, 400);
+    assert.equal(badType.status, 400);
+    assert.equal(missing.status, 400);
+  });
+
+  test("is not open to students", async () => {
+    const res = await mark(t.s3, { student_id: ids.s3, subject_id: ids.ds, submission_type: "CIE", status: "completed" });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("GET /api/submissions/dashboard-statistics", () => {
+  test("summarises the class teacher's class", async () => {
+    const res = await api.get("/api/submissions/dashboard-statistics", { token: t.classTeacher });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.statistics, {
+      // s1 and s2 have a completed CIE or TA
+      overallSubmission: 67,
+      // only s1 has both CIE and TA completed
+      submissionMarked: 33,
+      // s2 of the two defaulters completed defaulter work
+      defaulterWorkSubmitted: 50,
+      totalStudents: 3,
+      defaulterCount: 2,
+    });
+  });
+
+  test("returns zeros for a class without students", async () => {
+    await db.from("students").delete().eq("class_id", ids.cseClass);
+
+    const res = await api.get("/api/submissions/dashboard-statistics", { token: t.classTeacher });
+
+    assert.deepEqual(res.body.statistics, {
+      overallSubmission: 0,
+      submissionMarked: 0,
+      defaulterWorkSubmitted: 0,
+      totalStudents: 0,
+      defaulterCount: 0,
+    });
+  });
+
+  test("rejects a class the teacher doesn't own", async () => {
+    const res = await api.get("/api/submissions/dashboard-statistics", {
+      token: t.classTeacher,
+      headers: { "x-class-id": ids.eceClass },
+    });
+    assert.equal(res.status, 403);
+  });
+
+  test("is for class teachers", async () => {
+    const res = await api.get("/api/submissions/dashboard-statistics", { token: t.fac1 });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("GET /api/submissions/subject-statistics", () => {
+  test("computes completion per subject", async () => {
+    const res = await api.get("/api/submissions/subject-statistics", { token: t.fac1 });
+
+    assert.equal(res.status, 200);
+    const ds = res.body.subjects.find(s => s.code === "DS");
+    const dsl = res.body.subjects.find(s => s.code === "DSL");
+
+    // s1 2/2, s2 2/3 (defaulter), s3 0/3
+    assert.equal(ds.completionPercentage, 50);
+    assert.equal(ds.totalStudents, 3);
+    assert.equal(ds.defaulterCount, 2);
+    assert.equal(ds.className, "SE-A");
+    assert.deepEqual(ds.submissionStats, {
+      CIE: { total: 3, completed: 2, pending: 0, notStarted: 1 },
+      "Defaulter work": { total: 3, completed: 1, pending: 0, notStarted: 2 },
+      TA: { total: 3, completed: 1, pending: 1, notStarted: 1 },
+    });
+
+    // Batch B1 only: s1 1/1, s2 0/1
+    assert.equal(dsl.completionPercentage, 50);
+    assert.equal(dsl.totalStudents, 2);
+    assert.equal(dsl.batchName, "B1");
+  });
+
+  test("computes elective completion across the offering's students", async () => {
+    const res = await api.get("/api/submissions/subject-statistics", { token: t.fac1 });
+
+    const ml = res.body.subjects.find(s => s.code === "ML" && s.className === "Elective");
+    // The offering counts every second year in the department:
+    // s1 1/2, s2 0/3 and s3 0/3 (both defaulters)
+    assert.equal(ml.totalStudents, 3);
+    assert.equal(ml.defaulterCount, 2);
+    assert.equal(ml.completionPercentage, 13);
+  });
+
+  test("is not open to students", async () => {
+    const res = await api.get("/api/submissions/subject-statistics", { token: t.s1 });
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,95 @@
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { api, startServer, stopServer } from "./helpers/server.js";
+import { ids, seed, tokens } from "./helpers/fixtures.js";
+import { validate } from "../api/middlewares/validate.js";
+import { object } from "../api/schemas/common.js";
+import { ValidationError } from "../api/utils/errors.js";
+
+let t;
+
+before(startServer);
+after(stopServer);
+beforeEach(async () => {
+  seed();
+  t = await tokens();
+});
+
+// Run the middleware on a fake request; resolves to the request or the thrown error
+const run = (middleware, req) => {
+  let passed = false;
+  try {
+    middleware(req, {}, () => { passed = true; });
+  } catch (err) {
+    return err;
+  }
+  assert.ok(passed, "next() was not called");
+  return req;
+};
+
+describe("validate", () => {
+  const middleware = validate({
+    params: object({ id: { type: "string", minLength: 1 } }, ["id"]),
+    query: object({ limit: { type: "integer", maximum: 50, default: 10 }, all: { type: "boolean" } }),
+    body: object({ name: { type: "string", minLength: 1 }, age: { type: "number" } }, ["name"]),
+  });
+
+  test("coerces query values and applies defaults", () => {
+    const req = run(middleware, { params: { id: "x" }, query: { all: "true" }, body: { name: "A", age: "12" } });
+
+    assert.deepEqual(req.query, { limit: 10, all: true });
+    assert.equal(req.body.age, 12);
+  });
+
+  test("lists every problem by location and field", () => {
+    const err = run(middleware, { params: { id: "" }, query: { limit: "500" }, body: { age: "old" } });
+
+    assert.ok(err instanceof ValidationError);
+    assert.deepEqual(err.details, [
+      { in: "params", field: "id", message: "must NOT have fewer than 1 characters" },
+      { in: "query", field: "limit", message: "must be <= 50" },
+      { in: "body", field: "name", message: "is required" },
+      { in: "body", field: "age", message: "must be number" },
+    ]);
+  });
+
+  test("treats a missing body as empty", () => {
+    const err = run(middleware, { params: { id: "x" }, query: {}, body: undefined });
+
+    assert.deepEqual(err.details, [{ in: "body", field: "name", message: "is required" }]);
+  });
+
+  test("keeps its schemas for the API docs", () => {
+    assert.equal(middleware.schemas.body.required[0], "name");
+  });
+});
+
+describe("request validation", () => {
+  test("rejects a submission with missing and invalid fields", async () => {
+    const res = await api.post("/api/submissions/mark-submission", {
+      subject_id: ids.ds,
+      status: "done",
+    }, { token: t.fac1 });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+    assert.deepEqual(res.body.details.map(d => d.field).sort(), ["status", "student_id", "submission_type"]);
+  });
+
+  test("rejects unknown enum values with the allowed ones", async () => {
+    const res = await api.get("/api/invitations?status=lost", { token: t.director });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details, [
+      { in: "query", field: "status", message: "must be one of: pending, accepted, revoked, expired, all" },
+    ]);
+  });
+
+  test("coerces query strings before the handler sees them", async () => {
+    const res = await api.delete("/api/auth/sessions?include_current=true", { token: t.fac1 });
+    const after = await api.get("/api/auth/sessions", { token: t.fac1 });
+
+    assert.equal(res.status, 200);
+    assert.equal(after.status, 401);
+  });
+});